@@ -10,15 +10,51 @@ import { swaggerSpec } from './swagger/swagger.js';
 import { createAuthRoutes } from './presentation/routes/auth.routes.js';
 import { createEntryRoutes } from './presentation/routes/entry.routes.js';
 import { createWorkoutRoutes } from './presentation/routes/workout.routes.js';
+import { createFoodRoutes } from './presentation/routes/food.routes.js';
+import { createMealTemplateRoutes } from './presentation/routes/mealTemplate.routes.js';
+import { createRecipeRoutes } from './presentation/routes/recipe.routes.js';
+import { createExerciseRoutes } from './presentation/routes/exercise.routes.js';
+import { createEnergyBalanceRoutes } from './presentation/routes/energyBalance.routes.js';
+import { createBodyMetricRoutes } from './presentation/routes/bodyMetric.routes.js';
+import { configureAuthMiddleware } from './presentation/middleware/authMiddleware.js';
 import { createAdminRoutes } from './presentation/routes/admin.routes.js';
 import { healthRoutes } from './presentation/routes/health.routes.js';
 import { User } from './infrastructure/persistence/schemas/userSchema.js';
 import { Entry } from './infrastructure/persistence/schemas/entrySchema.js';
 import { Workout } from './infrastructure/persistence/schemas/workoutSchema.js';
+import { Food } from './infrastructure/persistence/schemas/foodSchema.js';
+import { NutritionGoal } from './infrastructure/persistence/schemas/nutritionGoalSchema.js';
+import { MealTemplate } from './infrastructure/persistence/schemas/mealTemplateSchema.js';
+import { Recipe } from './infrastructure/persistence/schemas/recipeSchema.js';
+import { Exercise } from './infrastructure/persistence/schemas/exerciseSchema.js';
+import { PersonalRecord } from './infrastructure/persistence/schemas/personalRecordSchema.js';
+import { BodyMetric } from './infrastructure/persistence/schemas/bodyMetricSchema.js';
+import { PasswordResetToken } from './infrastructure/persistence/schemas/passwordResetTokenSchema.js';
+import { RefreshToken } from './infrastructure/persistence/schemas/refreshTokenSchema.js';
+import { Session } from './infrastructure/persistence/schemas/sessionSchema.js';
+import { LoginAttempt } from './infrastructure/persistence/schemas/loginAttemptSchema.js';
 import { MongoUserRepository } from './infrastructure/repositories/MongoUserRepository.js';
 import { MongoEntryRepository } from './infrastructure/repositories/MongoEntryRepository.js';
 import { MongoWorkoutRepository } from './infrastructure/repositories/MongoWorkoutRepository.js';
+import { MongoFoodRepository } from './infrastructure/repositories/MongoFoodRepository.js';
+import { MongoNutritionGoalRepository } from './infrastructure/repositories/MongoNutritionGoalRepository.js';
+import { MongoMealTemplateRepository } from './infrastructure/repositories/MongoMealTemplateRepository.js';
+import { MongoRecipeRepository } from './infrastructure/repositories/MongoRecipeRepository.js';
+import { MongoExerciseRepository } from './infrastructure/repositories/MongoExerciseRepository.js';
+import { MongoPersonalRecordRepository } from './infrastructure/repositories/MongoPersonalRecordRepository.js';
+import { MongoBodyMetricRepository } from './infrastructure/repositories/MongoBodyMetricRepository.js';
+import { MongoPasswordResetTokenRepository } from './infrastructure/repositories/MongoPasswordResetTokenRepository.js';
+import { MongoRefreshTokenRepository } from './infrastructure/repositories/MongoRefreshTokenRepository.js';
+import { RedisRefreshTokenRepository } from './infrastructure/repositories/RedisRefreshTokenRepository.js';
+import { MongoSessionRepository } from './infrastructure/repositories/MongoSessionRepository.js';
+import { RedisTokenRevocationRepository } from './infrastructure/repositories/RedisTokenRevocationRepository.js';
+import { InMemoryTokenRevocationRepository } from './infrastructure/repositories/InMemoryTokenRevocationRepository.js';
+import { MongoLoginAttemptRepository } from './infrastructure/repositories/MongoLoginAttemptRepository.js';
+import { RedisLoginAttemptRepository } from './infrastructure/repositories/RedisLoginAttemptRepository.js';
+import { REFRESH_TOKEN_TTL_SECONDS } from './application/services/RefreshTokenService.js';
 import CacheService from './infrastructure/cache/CacheService.js';
+import { MailService, createMailTransport } from './infrastructure/mail/MailService.js';
+import config from './config.js';
 
 /**
  * Mock cache service for when Redis is disabled or unavailable
@@ -95,7 +131,41 @@ async function createApp() {
   console.log('Initializing repositories...');
   const userRepository = new MongoUserRepository(User);
   const entryRepository = new MongoEntryRepository(Entry);
-  const workoutRepository = new MongoWorkoutRepository(Workout);
+  const workoutRepository = new MongoWorkoutRepository(Workout, User);
+  const foodRepository = new MongoFoodRepository(Food);
+  const nutritionGoalRepository = new MongoNutritionGoalRepository(NutritionGoal);
+  const mealTemplateRepository = new MongoMealTemplateRepository(MealTemplate);
+  const recipeRepository = new MongoRecipeRepository(Recipe);
+  const exerciseRepository = new MongoExerciseRepository(Exercise);
+  const personalRecordRepository = new MongoPersonalRecordRepository(PersonalRecord);
+  const bodyMetricRepository = new MongoBodyMetricRepository(BodyMetric);
+  const passwordResetTokenRepository = new MongoPasswordResetTokenRepository(PasswordResetToken);
+
+  // Refresh tokens: en Redis si está conectado, si no en MongoDB
+  const refreshTokenRepository = redisClient
+    ? new RedisRefreshTokenRepository(redisClient, { ttlSeconds: REFRESH_TOKEN_TTL_SECONDS })
+    : new MongoRefreshTokenRepository(RefreshToken);
+  console.log(`Refresh token store: ${redisClient ? 'Redis' : 'MongoDB'}`);
+  const sessionRepository = new MongoSessionRepository(Session);
+
+  // Access tokens revocados: en Redis si está conectado, si no en memoria (solo una instancia)
+  const tokenRevocationRepository = redisClient
+    ? new RedisTokenRevocationRepository(redisClient)
+    : new InMemoryTokenRevocationRepository();
+  console.log(`Token revocation store: ${redisClient ? 'Redis' : 'in-memory'}`);
+
+  // Intentos fallidos de login por cuenta: en Redis si está conectado, si no en MongoDB
+  const loginAttemptRepository = redisClient
+    ? new RedisLoginAttemptRepository(redisClient)
+    : new MongoLoginAttemptRepository(LoginAttempt);
+  console.log(`Login attempt store: ${redisClient ? 'Redis' : 'MongoDB'}`);
+
+  // authMiddleware rechaza los access tokens revocados y los de sesiones revocadas
+  configureAuthMiddleware({ sessionRepository, tokenRevocationRepository });
+
+  // Mail (console/file en desarrollo)
+  const mailService = new MailService(createMailTransport(config.mail), { from: config.mail.from });
+  console.log(`Mail transport: ${config.mail.transport}`);
 
   // Create Express application
   const app = express();
@@ -155,9 +225,19 @@ async function createApp() {
     legacyHeaders: false,
   });
 
+  // Endpoints that take credentials or secrets without a session. The authenticated ones
+  // (/me, sessions, 2FA setup...) only get the general limit.
+  const credentialEndpoints = [
+    '/api/v1/auth/login',
+    '/api/v1/auth/register',
+    '/api/v1/auth/refresh',
+    '/api/v1/auth/password/reset', // also /password/reset/confirm
+    '/api/v1/auth/2fa/verify',
+  ];
+
   // Apply rate limiting
   app.use('/api/', generalLimiter);
-  app.use('/api/v1/auth/', authLimiter);
+  app.use(credentialEndpoints, authLimiter);
 
   // Routes
   console.log('Configuring routes...');
@@ -173,10 +253,62 @@ async function createApp() {
 
   // API Routes
   const apiRouter = express.Router();
-  apiRouter.use('/auth', createAuthRoutes(userRepository, cacheService));
-  apiRouter.use('/entries', createEntryRoutes(entryRepository, cacheService));
-  apiRouter.use('/workouts', createWorkoutRoutes(workoutRepository, cacheService));
-  apiRouter.use('/admin', createAdminRoutes(userRepository, cacheService));
+  apiRouter.use(
+    '/auth',
+    createAuthRoutes(userRepository, cacheService, {
+      nutritionGoalRepository,
+      bodyMetricRepository,
+      entryRepository,
+      workoutRepository,
+      sessionRepository,
+      refreshTokenRepository,
+      passwordResetTokenRepository,
+      tokenRevocationRepository,
+      loginAttemptRepository,
+      mailService,
+    })
+  );
+  apiRouter.use(
+    '/entries',
+    createEntryRoutes(entryRepository, cacheService, {
+      foodRepository,
+      nutritionGoalRepository,
+      userRepository,
+    })
+  );
+  apiRouter.use(
+    '/workouts',
+    createWorkoutRoutes(workoutRepository, cacheService, {
+      userRepository,
+      exerciseRepository,
+      personalRecordRepository,
+    })
+  );
+  apiRouter.use('/foods', createFoodRoutes(foodRepository));
+  apiRouter.use(
+    '/meal-templates',
+    createMealTemplateRoutes(mealTemplateRepository, cacheService, { entryRepository, foodRepository })
+  );
+  apiRouter.use(
+    '/recipes',
+    createRecipeRoutes(recipeRepository, cacheService, { entryRepository, foodRepository })
+  );
+  apiRouter.use('/exercises', createExerciseRoutes(exerciseRepository));
+  apiRouter.use(
+    '/energy-balance',
+    createEnergyBalanceRoutes(entryRepository, workoutRepository, userRepository, cacheService)
+  );
+  apiRouter.use(
+    '/body-metrics',
+    createBodyMetricRoutes(bodyMetricRepository, cacheService, { userRepository })
+  );
+  apiRouter.use(
+    '/admin',
+    createAdminRoutes(userRepository, cacheService, {
+      tokenRevocationRepository,
+      loginAttemptRepository,
+    })
+  );
 
   app.use('/api/v1', apiRouter);
 
@@ -195,15 +327,54 @@ async function createApp() {
           register: 'POST /api/v1/auth/register',
           login: 'POST /api/v1/auth/login',
           me: 'GET /api/v1/auth/me',
+          updateMe: 'PATCH /api/v1/auth/me',
+          changePassword: 'POST /api/v1/auth/password',
+          resetPassword: 'POST /api/v1/auth/password/reset',
+          sessions: 'GET /api/v1/auth/sessions',
+          twoFactor: 'POST /api/v1/auth/2fa/setup',
+          goals: 'PUT /api/v1/auth/me/goals',
+          weightGoal: 'GET /api/v1/auth/me/weight-goal',
         },
         entries: {
           list: 'GET /api/v1/entries',
           create: 'POST /api/v1/entries',
           stats: 'GET /api/v1/entries/stats/daily',
+          periodStats: 'GET /api/v1/entries/stats/period',
+          copy: 'POST /api/v1/entries/copy',
         },
         workouts: {
           list: 'GET /api/v1/workouts',
           create: 'POST /api/v1/workouts',
+          stats: 'GET /api/v1/workouts/stats/daily',
+          weeklyStats: 'GET /api/v1/workouts/stats/weekly',
+          periodStats: 'GET /api/v1/workouts/stats/period',
+          records: 'GET /api/v1/workouts/records',
+        },
+        foods: {
+          search: 'GET /api/v1/foods?q=',
+          create: 'POST /api/v1/foods',
+        },
+        mealTemplates: {
+          list: 'GET /api/v1/meal-templates',
+          create: 'POST /api/v1/meal-templates',
+          log: 'POST /api/v1/meal-templates/:id/log',
+        },
+        recipes: {
+          list: 'GET /api/v1/recipes',
+          create: 'POST /api/v1/recipes',
+          log: 'POST /api/v1/recipes/:id/log',
+        },
+        exercises: {
+          search: 'GET /api/v1/exercises?q=&muscle=&equipment=',
+          get: 'GET /api/v1/exercises/:id',
+        },
+        energyBalance: {
+          get: 'GET /api/v1/energy-balance?startDate=&endDate=',
+        },
+        bodyMetrics: {
+          list: 'GET /api/v1/body-metrics',
+          create: 'POST /api/v1/body-metrics',
+          trend: 'GET /api/v1/body-metrics/trend?startDate=&endDate=&metric=',
         },
       },
     });
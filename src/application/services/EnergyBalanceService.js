@@ -0,0 +1,41 @@
+import { calculateEnergyBalance, listDays } from '../../domain/services/EnergyBalance.js';
+
+/**
+ * Balance energético de un usuario: junta las comidas (entries), los entrenamientos
+ * (workouts) y el metabolismo basal del perfil, y los pasa a EnergyBalance.
+ * Lo usan el endpoint de balance y la proyección del peso objetivo.
+ */
+export class EnergyBalanceService {
+  constructor(entryRepository, workoutRepository, userRepository) {
+    this.entryRepository = entryRepository;
+    this.workoutRepository = workoutRepository;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} start - Primer día (YYYY-MM-DD)
+   * @param {string} end - Último día (YYYY-MM-DD)
+   * @param {string} timezone - Zona horaria IANA de los días
+   * @returns {Promise<Object>} - { bmr, totals, days } (ver EnergyBalance.calculateEnergyBalance)
+   */
+  async calculate(userId, start, end, timezone) {
+    const [nutrition, training, user] = await Promise.all([
+      this.entryRepository.aggregatePeriodStats(userId, new Date(start), new Date(end), timezone),
+      this.workoutRepository.aggregateStats(userId, new Date(start), new Date(end), timezone),
+      this.userRepository.findById(userId)
+    ]);
+
+    // Sin sexo, peso, altura o edad no se puede calcular el BMR: solo cuentan los entrenamientos
+    const bmr = user?.calculateBMR ? user.calculateBMR() : null;
+
+    const { days, totals } = calculateEnergyBalance({
+      days: listDays(start, end),
+      consumed: new Map(nutrition.byDay.map((day) => [day.key, day.calories])),
+      burned: new Map(training.byDay.map((day) => [day.key, day.calories])),
+      bmr
+    });
+
+    return { bmr, totals, days };
+  }
+}
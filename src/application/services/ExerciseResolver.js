@@ -0,0 +1,50 @@
+import { NotFoundError, ValidationError } from '../../shared/errors/AppError.js';
+
+/**
+ * Vincula los ejercicios de un entrenamiento con la biblioteca de ejercicios.
+ *
+ * - Con `exerciseId`: se comprueba que exista y, si no se envió `name`, se usa el nombre canónico.
+ * - Sin `exerciseId`: si el nombre escrito coincide con un nombre o alias de la biblioteca
+ *   ("bench", "Press banca") se agrega el `exerciseId`, así todos cuentan como el mismo ejercicio.
+ *
+ * El `name` que envió el usuario se conserva tal cual.
+ */
+export class ExerciseResolver {
+  constructor(exerciseRepository = null) {
+    this.exerciseRepository = exerciseRepository;
+  }
+
+  async resolve(exercises) {
+    const references = exercises.filter((exercise) => exercise.exerciseId);
+
+    if (references.length > 0 && !this.exerciseRepository) {
+      throw new ValidationError('Exercise library is not available');
+    }
+    if (!this.exerciseRepository) {
+      return exercises;
+    }
+
+    const ids = [...new Set(references.map((exercise) => exercise.exerciseId.toString()))];
+    const names = exercises.filter((exercise) => !exercise.exerciseId).map((exercise) => exercise.name);
+
+    const [byId, byName] = await Promise.all([
+      ids.length > 0 ? this.exerciseRepository.findByIds(ids) : [],
+      names.length > 0 ? this.exerciseRepository.findByNames(names) : []
+    ]);
+    const libraryById = new Map(byId.map((exercise) => [exercise.id.toString(), exercise]));
+
+    return exercises.map((exercise) => {
+      if (exercise.exerciseId) {
+        const libraryExercise = libraryById.get(exercise.exerciseId.toString());
+        if (!libraryExercise) {
+          throw new NotFoundError('Exercise', exercise.exerciseId);
+        }
+
+        return { ...exercise, name: exercise.name || libraryExercise.name };
+      }
+
+      const match = byName.find((libraryExercise) => libraryExercise.matches(exercise.name));
+      return match ? { ...exercise, exerciseId: match.id } : exercise;
+    });
+  }
+}
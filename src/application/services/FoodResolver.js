@@ -0,0 +1,49 @@
+import { FoodItem } from '../../domain/value-objects/FoodItem.js';
+import { NotFoundError, ValidationError } from '../../shared/errors/AppError.js';
+
+/**
+ * Convierte los items { foodId, quantity } de una comida en snapshots de FoodItem
+ * usando el catálogo compartido. Los items escritos a mano se devuelven sin cambios.
+ *
+ * Se guarda una copia de los valores (no solo la referencia) para que editar
+ * o eliminar un alimento del catálogo no modifique comidas ya registradas.
+ */
+export class FoodResolver {
+  constructor(foodRepository = null) {
+    this.foodRepository = foodRepository;
+  }
+
+  async resolve(foods) {
+    const references = foods.filter((food) => food.foodId);
+
+    if (references.length === 0) {
+      return foods;
+    }
+
+    if (!this.foodRepository) {
+      throw new ValidationError('Food catalog is not available');
+    }
+
+    const ids = [...new Set(references.map((food) => food.foodId.toString()))];
+    const catalogFoods = await this.foodRepository.findByIds(ids);
+    const catalogById = new Map(catalogFoods.map((food) => [food.id.toString(), food]));
+
+    return foods.map((food) => {
+      if (!food.foodId) {
+        return food;
+      }
+
+      const catalogFood = catalogById.get(food.foodId.toString());
+      if (!catalogFood) {
+        throw new NotFoundError('Food', food.foodId);
+      }
+
+      try {
+        return FoodItem.fromCatalog(catalogFood, food.quantity).toJSON();
+      } catch (error) {
+        // Valores fuera de rango del value object: error del cliente, no del servidor
+        throw new ValidationError(error.message);
+      }
+    });
+  }
+}
@@ -0,0 +1,90 @@
+import { evaluateLoginAttempts } from '../../domain/services/LoginBackoff.js';
+
+// Contadores independientes: acertar la contraseña no devuelve los intentos de código 2FA
+export const LOGIN_ATTEMPT_SCOPES = {
+  PASSWORD: 'password',
+  TWO_FACTOR: 'twoFactor'
+};
+
+/**
+ * Intentos fallidos de login por cuenta, con espera exponencial entre intentos y bloqueo
+ * temporal al llegar a maxAttempts (ver domain/services/LoginBackoff). Complementa el
+ * rate limit por IP: protege una cuenta atacada desde muchas IPs sin castigar a quienes
+ * comparten IP (NAT).
+ * El repositorio es Redis o MongoDB (ver RedisLoginAttemptRepository / MongoLoginAttemptRepository).
+ */
+export class LoginAttemptService {
+  constructor(loginAttemptRepository, { maxAttempts, baseDelaySeconds, lockoutMinutes }) {
+    this.loginAttemptRepository = loginAttemptRepository;
+    this.policy = { maxAttempts, baseDelaySeconds };
+    this.lockoutMs = lockoutMinutes * 60 * 1000;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} scope - LOGIN_ATTEMPT_SCOPES
+   * @returns {Promise<Object>} - Estado (ver LoginBackoff.evaluateLoginAttempts)
+   */
+  async getStatus(userId, scope = LOGIN_ATTEMPT_SCOPES.PASSWORD) {
+    const record = await this.loginAttemptRepository.findByUser(userId, scope);
+    return evaluateLoginAttempts(record, this.policy);
+  }
+
+  /**
+   * Reservar un intento antes de comprobar la contraseña o el código: se cuenta como fallido
+   * hasta que reset() lo borre. El repositorio incrementa atómicamente y devuelve el registro
+   * anterior, así los intentos en paralelo no pasan todos con el mismo estado.
+   * Los fallos se olvidan lockoutMinutes después del último.
+   *
+   * @param {string} userId - User ID
+   * @param {string} scope - LOGIN_ATTEMPT_SCOPES
+   * @returns {Promise<Object>} - Estado con este intento contado; allowed indica si se puede comprobar
+   */
+  async reserveAttempt(userId, scope = LOGIN_ATTEMPT_SCOPES.PASSWORD) {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.lockoutMs);
+
+    const previous = await this.loginAttemptRepository.recordAttempt(userId, scope, {
+      at: now,
+      expiresAt
+    });
+    const status = evaluateLoginAttempts(previous, this.policy, now);
+    const failedAttempts = status.failedAttempts + 1;
+
+    // Este intento completa el máximo: los siguientes quedan bloqueados
+    if (failedAttempts === this.policy.maxAttempts) {
+      await this.loginAttemptRepository.lock(userId, scope, expiresAt);
+    }
+
+    // Pasado el máximo sin bloqueo guardado todavía (el intento que lo completó lo está guardando)
+    if (failedAttempts > this.policy.maxAttempts && !status.locked) {
+      return {
+        ...status,
+        failedAttempts,
+        allowed: false,
+        retryAfterSeconds: Math.ceil(this.lockoutMs / 1000)
+      };
+    }
+
+    return { ...status, failedAttempts };
+  }
+
+  /**
+   * Olvidar los fallos después de un intento correcto
+   * @param {string} userId - User ID
+   * @param {string} scope - LOGIN_ATTEMPT_SCOPES
+   */
+  async reset(userId, scope = LOGIN_ATTEMPT_SCOPES.PASSWORD) {
+    await this.loginAttemptRepository.clear(userId, scope);
+  }
+
+  /**
+   * Desbloqueo por un admin: contraseña y códigos 2FA
+   * @param {string} userId - User ID
+   */
+  async unlock(userId) {
+    await Promise.all(
+      Object.values(LOGIN_ATTEMPT_SCOPES).map((scope) => this.reset(userId, scope))
+    );
+  }
+}
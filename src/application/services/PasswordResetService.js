@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import bcrypt from 'bcrypt';
+import logger from '../../shared/logger/logger.js';
+import { ValidationError } from '../../shared/errors/AppError.js';
+
+/**
+ * Hash con el que se guarda y se busca un token de recuperación
+ * @param {string} token - Token en claro (el del enlace)
+ */
+export const hashResetToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Recuperación de contraseña por correo:
+ *
+ * 1. requestReset genera un token aleatorio, guarda solo su hash con vencimiento
+ *    y envía el enlace con el token en claro
+ * 2. confirmReset consume el token (un solo uso) y guarda la nueva contraseña, salvo que
+ *    la contraseña haya cambiado después de pedir el enlace (passwordChangedAt)
+ *
+ * Al completar el cambio AuthController revoca todos los refresh tokens del usuario.
+ */
+export class PasswordResetService {
+  constructor(userRepository, passwordResetTokenRepository, mailService, { tokenTtlMinutes, url }) {
+    this.userRepository = userRepository;
+    this.passwordResetTokenRepository = passwordResetTokenRepository;
+    this.mailService = mailService;
+    this.tokenTtlMinutes = tokenTtlMinutes;
+    this.url = url;
+  }
+
+  /**
+   * Enviar el enlace de recuperación. No falla si el email no existe
+   * (ni si el correo no se pudo enviar) para no revelar qué cuentas están registradas.
+   * @param {string} email - Email de la cuenta
+   */
+  async requestReset(email) {
+    const user = await this.userRepository.findByEmail(email);
+
+    if (!user) {
+      logger.info('Password reset requested for unknown email');
+      return;
+    }
+
+    // Solo el último enlace pedido sigue siendo válido
+    await this.passwordResetTokenRepository.invalidateForUser(user.id);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await this.passwordResetTokenRepository.create({
+      userId: user.id,
+      tokenHash: hashResetToken(token),
+      expiresAt: new Date(Date.now() + this.tokenTtlMinutes * 60 * 1000)
+    });
+
+    try {
+      await this.mailService.sendPasswordReset(user, {
+        url: `${this.url}?token=${token}`,
+        expiresInMinutes: this.tokenTtlMinutes
+      });
+    } catch (error) {
+      logger.error('Password reset email could not be sent', { userId: user.id, error: error.message });
+    }
+  }
+
+  /**
+   * Cambiar la contraseña con un token de recuperación
+   * @param {string} token - Token en claro recibido por correo
+   * @param {string} newPassword - Nueva contraseña
+   * @returns {Promise<string>} - ID del usuario
+   */
+  async confirmReset(token, newPassword) {
+    const resetToken = await this.passwordResetTokenRepository.consume(hashResetToken(token));
+
+    if (!resetToken) {
+      throw new ValidationError('Invalid or expired reset token');
+    }
+
+    // Un enlace pedido antes del último cambio de contraseña (POST /auth/password) ya no sirve
+    const user = await this.userRepository.findById(resetToken.userId);
+    if (user?.passwordChangedAt && resetToken.createdAt <= user.passwordChangedAt) {
+      throw new ValidationError('Invalid or expired reset token');
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    await this.userRepository.update(resetToken.userId, {
+      passwordHash,
+      passwordChangedAt: new Date()
+    });
+
+    // Otros enlaces pendientes del mismo usuario ya no deben servir
+    await this.passwordResetTokenRepository.invalidateForUser(resetToken.userId);
+
+    return resetToken.userId;
+  }
+}
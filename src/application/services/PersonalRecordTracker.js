@@ -0,0 +1,54 @@
+import { applyWorkout, computeRecords, getExerciseKey } from '../../domain/services/PersonalRecords.js';
+
+/**
+ * Mantiene al día los récords personales guardados de cada usuario.
+ *
+ * - Al crear un entrenamiento se comparan sus ejercicios con los récords guardados
+ *   y se devuelven los PRs nuevos.
+ * - Al editar o eliminar un entrenamiento un récord puede dejar de serlo, así que se
+ *   recalculan desde todos los entrenamientos de fuerza del usuario.
+ */
+export class PersonalRecordTracker {
+  constructor(personalRecordRepository, workoutRepository) {
+    this.personalRecordRepository = personalRecordRepository;
+    this.workoutRepository = workoutRepository;
+  }
+
+  async getRecords(userId) {
+    return this.personalRecordRepository.findByUser(userId);
+  }
+
+  /**
+   * Registrar un entrenamiento nuevo
+   * @param {Object} workout - Entrenamiento recién creado
+   * @returns {Promise<Array<Object>>} - PRs nuevos (ver PersonalRecords.applyWorkout)
+   */
+  async recordWorkout(workout) {
+    if (workout.type !== 'strength') {
+      return [];
+    }
+
+    const keys = [...new Set(workout.exercises.map(getExerciseKey))];
+    const stored = await this.personalRecordRepository.findByKeys(workout.userId, keys);
+    const records = new Map(stored.map((record) => [record.key, record]));
+
+    const improvements = applyWorkout(records, workout);
+    await this.personalRecordRepository.saveMany(
+      workout.userId,
+      keys.map((key) => records.get(key))
+    );
+
+    return improvements;
+  }
+
+  /**
+   * Recalcular todos los récords de un usuario
+   * @param {string} userId - User ID
+   */
+  async rebuild(userId) {
+    const workouts = await this.workoutRepository.findByType(userId, 'strength');
+    const records = computeRecords(workouts);
+
+    await this.personalRecordRepository.replaceAll(userId, [...records.values()]);
+  }
+}
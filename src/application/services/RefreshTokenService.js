@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../../config.js';
+import logger from '../../shared/logger/logger.js';
+import { UnauthorizedError } from '../../shared/errors/AppError.js';
+
+// Vigencia de los refresh tokens (y de la cookie que los lleva)
+export const REFRESH_TOKEN_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+/**
+ * Hash con el que se guarda y se busca un refresh token
+ * @param {string} token - Refresh token (JWT)
+ */
+export const hashRefreshToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Se presentó un refresh token ya rotado: la familia quedó revocada
+ */
+export class RefreshTokenReuseError extends UnauthorizedError {
+  constructor(familyId) {
+    super('Refresh token reuse detected. Please login again.');
+    this.familyId = familyId;
+  }
+}
+
+/**
+ * Refresh tokens con rotación y detección de reuso.
+ *
+ * Cada inicio de sesión crea una familia de tokens (su id es el de la sesión, ver SessionService). En cada refresh el token usado
+ * queda rotado y se emite otro de la misma familia; si llega un token ya rotado
+ * (copiado y reusado por otra persona, por ejemplo) se revoca la familia completa.
+ * El repositorio es Redis o MongoDB (ver RedisRefreshTokenRepository / MongoRefreshTokenRepository).
+ */
+export class RefreshTokenService {
+  constructor(refreshTokenRepository) {
+    this.refreshTokenRepository = refreshTokenRepository;
+  }
+
+  _getSecret() {
+    const secret = config.jwt.refreshSecret || process.env.REFRESH_TOKEN_SECRET;
+    if (!secret) {
+      throw new Error('REFRESH_TOKEN_SECRET is not configured. Please set it in your environment variables.');
+    }
+    return secret;
+  }
+
+  /**
+   * Emitir un refresh token
+   * @param {string} userId - User ID
+   * @param {string} familyId - Familia a la que pertenece (id de la sesión)
+   * @returns {Promise<string>} - Refresh token firmado
+   */
+  async issue(userId, familyId) {
+    // jti hace único cada token aunque se emitan dos en el mismo segundo
+    const token = jwt.sign(
+      { id: userId, family: familyId, jti: crypto.randomUUID() },
+      this._getSecret(),
+      { expiresIn: REFRESH_TOKEN_TTL_SECONDS }
+    );
+
+    await this.refreshTokenRepository.save({
+      tokenHash: hashRefreshToken(token),
+      familyId,
+      userId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000)
+    });
+
+    return token;
+  }
+
+  /**
+   * Cambiar un refresh token válido por uno nuevo de la misma familia
+   * @param {string} token - Refresh token recibido
+   * @returns {Promise<Object>} - { userId, familyId, refreshToken }
+   * @throws {UnauthorizedError} - Token inválido, vencido o revocado
+   * @throws {RefreshTokenReuseError} - Token ya rotado (se revoca la familia)
+   */
+  async rotate(token) {
+    try {
+      jwt.verify(token, this._getSecret());
+    } catch {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+
+    const tokenHash = hashRefreshToken(token);
+    const record = await this.refreshTokenRepository.findByHash(tokenHash);
+
+    if (!record || record.revoked) {
+      throw new UnauthorizedError('Invalid or expired refresh token');
+    }
+
+    // markRotated falla si otro refresh rotó el mismo token primero
+    if (record.rotated || !(await this.refreshTokenRepository.markRotated(tokenHash))) {
+      logger.warn('Refresh token reuse detected, revoking family', {
+        userId: record.userId,
+        familyId: record.familyId
+      });
+      await this.refreshTokenRepository.revokeFamily(record.familyId);
+      throw new RefreshTokenReuseError(record.familyId);
+    }
+
+    const refreshToken = await this.issue(record.userId, record.familyId);
+
+    return { userId: record.userId, familyId: record.familyId, refreshToken };
+  }
+
+  /**
+   * Revocar la familia de un token (logout). No falla si el token no existe.
+   * @param {string} token - Refresh token
+   * @returns {Promise<string|null>} - familyId revocado, o null si el token no existe
+   */
+  async revoke(token) {
+    const record = await this.refreshTokenRepository.findByHash(hashRefreshToken(token));
+
+    if (!record) {
+      return null;
+    }
+
+    await this.refreshTokenRepository.revokeFamily(record.familyId);
+    return record.familyId;
+  }
+
+  /**
+   * @param {string} familyId - Familia (id de la sesión)
+   */
+  async revokeFamily(familyId) {
+    await this.refreshTokenRepository.revokeFamily(familyId);
+  }
+
+  /**
+   * Revocar todos los refresh tokens del usuario (cambio o recuperación de contraseña)
+   * @param {string} userId - User ID
+   */
+  async revokeAllForUser(userId) {
+    await this.refreshTokenRepository.revokeAllForUser(userId);
+  }
+}
@@ -0,0 +1,127 @@
+import { NotFoundError, UnauthorizedError } from '../../shared/errors/AppError.js';
+import { REFRESH_TOKEN_TTL_SECONDS, RefreshTokenReuseError } from './RefreshTokenService.js';
+
+/**
+ * Sesiones de los usuarios. Cada sesión es un inicio de sesión (login o registro)
+ * con su familia de refresh tokens (familyId = id de la sesión) y los access tokens
+ * que llevan su id en el claim sid. Revocar una sesión revoca también sus refresh
+ * tokens, y authMiddleware rechaza los access tokens de sesiones revocadas.
+ */
+export class SessionService {
+  constructor(sessionRepository, refreshTokenService) {
+    this.sessionRepository = sessionRepository;
+    this.refreshTokenService = refreshTokenService;
+  }
+
+  /**
+   * Iniciar una sesión
+   * @param {string} userId - User ID
+   * @param {Object} client - { userAgent, ip }
+   * @returns {Promise<Object>} - { sessionId, refreshToken }
+   */
+  async start(userId, { userAgent = null, ip = null } = {}) {
+    const session = await this.sessionRepository.create({
+      userId,
+      userAgent,
+      ip,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000)
+    });
+    const sessionId = session.id.toString();
+    const refreshToken = await this.refreshTokenService.issue(userId, sessionId);
+
+    return { sessionId, refreshToken };
+  }
+
+  /**
+   * Rotar el refresh token de una sesión activa
+   * @param {string} token - Refresh token recibido
+   * @returns {Promise<Object>} - { userId, sessionId, refreshToken }
+   */
+  async refresh(token) {
+    let result;
+    try {
+      result = await this.refreshTokenService.rotate(token);
+    } catch (error) {
+      // Reuso de un token rotado: se cierra también la sesión
+      if (error instanceof RefreshTokenReuseError) {
+        await this.sessionRepository.revoke(error.familyId);
+      }
+      throw error;
+    }
+
+    const { userId, familyId: sessionId, refreshToken } = result;
+    const session = await this.sessionRepository.findActiveById(sessionId);
+
+    if (!session) {
+      await this.refreshTokenService.revokeFamily(sessionId);
+      throw new UnauthorizedError('Session has been revoked. Please login again.');
+    }
+
+    await this.sessionRepository.touch(
+      sessionId,
+      new Date(Date.now() + REFRESH_TOKEN_TTL_SECONDS * 1000)
+    );
+
+    return { userId, sessionId, refreshToken };
+  }
+
+  /**
+   * Cerrar la sesión de un refresh token (logout)
+   * @param {string} token - Refresh token
+   */
+  async end(token) {
+    const sessionId = await this.refreshTokenService.revoke(token);
+
+    if (sessionId) {
+      await this.sessionRepository.revoke(sessionId);
+    }
+  }
+
+  async list(userId) {
+    return this.sessionRepository.findActiveByUser(userId);
+  }
+
+  /**
+   * Cerrar una sesión del usuario
+   * @param {string} userId - Dueño de la sesión
+   * @param {string} sessionId - Session ID
+   * @throws {NotFoundError} - La sesión no existe, no es del usuario o ya estaba cerrada
+   */
+  async revoke(userId, sessionId) {
+    const session = await this.sessionRepository.revoke(sessionId, userId);
+
+    if (!session) {
+      throw new NotFoundError('Session', sessionId);
+    }
+
+    await this.refreshTokenService.revokeFamily(sessionId);
+  }
+
+  /**
+   * Cerrar todas las sesiones del usuario excepto una
+   * @param {string} userId - User ID
+   * @param {string|null} currentSessionId - Sesión que sigue activa
+   * @returns {Promise<number>} - Sesiones cerradas
+   */
+  async revokeOthers(userId, currentSessionId) {
+    const sessions = await this.sessionRepository.findActiveByUser(userId);
+    const others = sessions.filter((session) => session.id.toString() !== currentSessionId);
+
+    for (const session of others) {
+      const sessionId = session.id.toString();
+      await this.sessionRepository.revoke(sessionId, userId);
+      await this.refreshTokenService.revokeFamily(sessionId);
+    }
+
+    return others.length;
+  }
+
+  /**
+   * Cerrar todas las sesiones del usuario (recuperación de contraseña)
+   * @param {string} userId - User ID
+   */
+  async revokeAll(userId) {
+    await this.sessionRepository.revokeAllForUser(userId);
+    await this.refreshTokenService.revokeAllForUser(userId);
+  }
+}
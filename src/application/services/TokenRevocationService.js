@@ -0,0 +1,60 @@
+// Vigencia de los access tokens
+export const ACCESS_TOKEN_TTL_SECONDS = 24 * 60 * 60;
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Lista de revocación de access tokens.
+ *
+ * Los access tokens llevan un id propio (claim jti). Se puede revocar un token suelto
+ * (logout) o todos los emitidos hasta ahora para un usuario (al eliminarlo, cambiarle
+ * el rol o recuperar su contraseña). authMiddleware la consulta en cada request.
+ * El repositorio es Redis o memoria (ver RedisTokenRevocationRepository / InMemoryTokenRevocationRepository).
+ */
+export class TokenRevocationService {
+  constructor(tokenRevocationRepository) {
+    this.tokenRevocationRepository = tokenRevocationRepository;
+  }
+
+  /**
+   * Revocar un access token hasta que venza
+   * @param {Object} decoded - Payload del token ({ jti, exp })
+   */
+  async revokeToken({ jti, exp }) {
+    const ttl = exp - nowInSeconds();
+
+    if (!jti || ttl <= 0) {
+      return;
+    }
+
+    await this.tokenRevocationRepository.revokeToken(jti, ttl);
+  }
+
+  /**
+   * Revocar todos los access tokens emitidos hasta ahora para el usuario.
+   * Los que se emitan después (nuevo login o refresh) siguen siendo válidos. Se compara en
+   * milisegundos (claim iatMs) para no dejar pasar los emitidos en el mismo segundo.
+   * @param {string|Object} userId - User ID (string u ObjectId)
+   */
+  async revokeAllForUser(userId) {
+    // authMiddleware consulta con el id del token (string)
+    await this.tokenRevocationRepository.revokeUser(
+      String(userId),
+      Date.now(),
+      ACCESS_TOKEN_TTL_SECONDS
+    );
+  }
+
+  /**
+   * @param {Object} decoded - Payload del token ({ jti, id, iat, iatMs })
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked({ jti, id, iat, iatMs }) {
+    // Un token sin iatMs cuenta como emitido al empezar su segundo (se revoca si hay duda)
+    return this.tokenRevocationRepository.isRevoked({
+      jti,
+      userId: id,
+      issuedAt: iatMs ?? iat * 1000
+    });
+  }
+}
@@ -0,0 +1,155 @@
+import crypto from 'crypto';
+import logger from '../../shared/logger/logger.js';
+import { ConflictError, ValidationError } from '../../shared/errors/AppError.js';
+import { base32Encode, buildOtpauthUri, verifyCode } from '../../domain/services/Totp.js';
+
+// Token "mfa pending" que entrega el login mientras falta el segundo paso
+export const MFA_TOKEN_PURPOSE = 'mfa';
+export const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+
+export const RECOVERY_CODE_COUNT = 10;
+
+// Los códigos se muestran como xxxxx-xxxxx; se comparan sin guion y en minúsculas
+const normalizeRecoveryCode = (code) => code.replace(/[\s-]/g, '').toLowerCase();
+
+/**
+ * Hash con el que se guarda un código de recuperación
+ * @param {string} code - Código en claro
+ */
+export const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCode = () => {
+  const hex = crypto.randomBytes(5).toString('hex');
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+/**
+ * Autenticación en dos pasos con TOTP (ver domain/services/Totp):
+ *
+ * 1. beginEnrollment genera un secreto pendiente y la URI otpauth para la app
+ * 2. confirmEnrollment lo activa con un código válido y entrega los códigos de recuperación
+ *    (se muestran una sola vez; se guarda solo su hash)
+ * 3. En cada login con 2FA activo AuthController pide un código (verify) antes de emitir los tokens
+ */
+export class TwoFactorService {
+  constructor(userRepository, { issuer, requireForAdmins = false }) {
+    this.userRepository = userRepository;
+    this.issuer = issuer;
+    this.requireForAdmins = requireForAdmins;
+  }
+
+  /**
+   * El usuario no puede iniciar sesión sin 2FA (admins con TWO_FACTOR_REQUIRE_ADMINS)
+   * @param {Object} user - Usuario del repositorio
+   */
+  isRequired(user) {
+    return this.requireForAdmins && user.role === 'admin';
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { secret, otpauthUri }
+   */
+  async beginEnrollment(userId) {
+    const user = await this.userRepository.findById(userId);
+
+    if (user.twoFactor.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    // Pedir el alta de nuevo reemplaza el secreto pendiente anterior
+    const secret = base32Encode(crypto.randomBytes(20));
+    await this.userRepository.update(userId, { 'twoFactor.pendingSecret': secret });
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, issuer: this.issuer, account: user.email })
+    };
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} code - Código de la app generado con el secreto pendiente
+   * @returns {Promise<string[]>} - Códigos de recuperación en claro
+   */
+  async confirmEnrollment(userId, code) {
+    const user = await this.userRepository.findByIdWithTwoFactor(userId);
+
+    if (user.twoFactor.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new ValidationError('Two-factor setup has not been started');
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new ValidationError('Invalid two-factor code');
+    }
+
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    await this.userRepository.update(userId, {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': new Date()
+    });
+
+    logger.info('Two-factor authentication enabled', { userId });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Verificar el segundo paso con un código de la app o uno de recuperación.
+   * Cada código sirve una sola vez.
+   * @param {string} userId - User ID
+   * @param {Object} credentials - { code } o { recoveryCode }
+   * @returns {Promise<boolean>}
+   */
+  async verify(userId, { code, recoveryCode }) {
+    const user = await this.userRepository.findByIdWithTwoFactor(userId);
+
+    if (!user.twoFactor.enabled) {
+      return false;
+    }
+
+    if (recoveryCode) {
+      const consumed = await this.userRepository.consumeRecoveryCode(
+        userId,
+        hashRecoveryCode(recoveryCode)
+      );
+
+      if (consumed) {
+        logger.warn('Two-factor recovery code used', {
+          userId,
+          remaining: user.twoFactor.recoveryCodes.length - 1
+        });
+      }
+      return consumed;
+    }
+
+    const step = verifyCode(user.twoFactor.secret, code);
+    return step !== null && this.userRepository.useTwoFactorStep(userId, step);
+  }
+
+  /**
+   * @param {string} userId - User ID
+   */
+  async disable(userId) {
+    await this.userRepository.update(userId, {
+      'twoFactor.enabled': false,
+      'twoFactor.secret': null,
+      'twoFactor.pendingSecret': null,
+      'twoFactor.recoveryCodes': [],
+      'twoFactor.lastUsedStep': null,
+      'twoFactor.enabledAt': null
+    });
+
+    logger.info('Two-factor authentication disabled', { userId });
+  }
+}
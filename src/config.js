@@ -34,6 +34,41 @@ const config = {
     refreshExpiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN || '7d',
   },
 
+  // Recuperación de contraseña
+  passwordReset: {
+    // Minutos de validez del enlace de recuperación
+    tokenTtlMinutes: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30,
+    // Página del frontend que recibe el token (?token=...)
+    url: process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password',
+  },
+
+  // Bloqueo de cuentas por intentos fallidos de login (además del rate limit por IP)
+  loginLockout: {
+    // Fallos seguidos que bloquean la cuenta
+    maxAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+    // Espera después del primer fallo; se duplica con cada fallo siguiente
+    baseDelaySeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS, 10) || 1,
+    // Duración del bloqueo (y tiempo tras el cual se olvidan los fallos)
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  },
+
+  // Autenticación en dos pasos (TOTP)
+  twoFactor: {
+    // Nombre con el que aparece la cuenta en la app de autenticación
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Gordont',
+    // true: las cuentas admin no pueden iniciar sesión sin 2FA (se les pide activarlo)
+    requireForAdmins: process.env.TWO_FACTOR_REQUIRE_ADMINS === 'true',
+  },
+
+  // Correo saliente
+  mail: {
+    // console | file (desarrollo); otros transportes se registran en createMailTransport
+    transport: process.env.MAIL_TRANSPORT || 'console',
+    from: process.env.MAIL_FROM || 'Gordont <no-reply@gordont.local>',
+    // Carpeta donde el transporte file guarda los correos
+    fileDir: process.env.MAIL_FILE_DIR || 'logs/mail',
+  },
+
   // Logging
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -1,3 +1,5 @@
+import { calculateTotals } from '../services/MacroCalculator.js';
+
 /**
  * Entity: Entry (Registro de comida)
  * Representa el dominio de negocio - sin dependencias externas
@@ -29,22 +31,8 @@ export class Entry {
    * ESTA ES LA LÓGICA DE NEGOCIO PURA
    */
   calculateMacros() {
-    const macros = {
-      totalCalories: 0,
-      totalProtein: 0,
-      totalCarbs: 0,
-      totalFat: 0
-    };
-
-    this.foods.forEach((food) => {
-      const quantity = food.quantity / 100;
-      macros.totalCalories += food.calories * quantity;
-      macros.totalProtein += food.protein * quantity;
-      macros.totalCarbs += food.carbs * quantity;
-      macros.totalFat += food.fat * quantity;
-    });
-
-    return macros;
+    // Misma fórmula que usa entrySchema al guardar (valores por 100g × quantity)
+    return calculateTotals(this.foods);
   }
 
   /**
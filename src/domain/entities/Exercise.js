@@ -0,0 +1,131 @@
+/**
+ * Categorías de ejercicio (las mismas que el `type` de un entrenamiento)
+ */
+export const EXERCISE_CATEGORIES = ['strength', 'cardio', 'flexibility', 'sports', 'other'];
+
+export const MUSCLE_GROUPS = [
+  'chest',
+  'upper_back',
+  'lats',
+  'traps',
+  'lower_back',
+  'shoulders',
+  'rear_delts',
+  'biceps',
+  'triceps',
+  'forearms',
+  'abs',
+  'obliques',
+  'glutes',
+  'quadriceps',
+  'hamstrings',
+  'adductors',
+  'abductors',
+  'hip_flexors',
+  'calves',
+  'neck',
+  'full_body',
+  'cardiovascular'
+];
+
+export const EQUIPMENT = [
+  'bodyweight',
+  'barbell',
+  'dumbbell',
+  'kettlebell',
+  'machine',
+  'cable',
+  'smith_machine',
+  'ez_bar',
+  'trap_bar',
+  'band',
+  'medicine_ball',
+  'stability_ball',
+  'pull_up_bar',
+  'bench',
+  'cardio_machine',
+  'other'
+];
+
+/**
+ * Normalizar un nombre de ejercicio para compararlo:
+ * minúsculas, sin tildes, sin signos y con un solo espacio entre palabras.
+ * "Press  Banca" y "press-banca" quedan como "press banca".
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeExerciseName(text = '') {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Entity: Exercise (Ejercicio de la biblioteca)
+ * Nombre canónico + alias (otros nombres o idiomas) para que "Bench press",
+ * "bench" y "Press banca" se reconozcan como el mismo ejercicio.
+ */
+export class Exercise {
+  constructor({
+    id,
+    name,
+    aliases = [],
+    primaryMuscles = [],
+    secondaryMuscles = [],
+    equipment = 'other',
+    category,
+    createdAt,
+    updatedAt
+  }) {
+    if (!name || !name.trim()) {
+      throw new Error('Exercise name is required');
+    }
+    if (!EXERCISE_CATEGORIES.includes(category)) {
+      throw new Error(`Category must be one of: ${EXERCISE_CATEGORIES.join(', ')}`);
+    }
+
+    this.id = id;
+    this.name = name.trim();
+    this.aliases = aliases;
+    this.primaryMuscles = primaryMuscles;
+    this.secondaryMuscles = secondaryMuscles;
+    this.equipment = equipment;
+    this.category = category;
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Nombre y alias normalizados, sin repetidos (se guardan para buscar por ellos)
+   * @returns {Array<string>}
+   */
+  getSearchTerms() {
+    return [...new Set([this.name, ...this.aliases].map(normalizeExerciseName).filter(Boolean))];
+  }
+
+  /**
+   * ¿El texto corresponde a este ejercicio (nombre o alias, sin importar mayúsculas ni tildes)?
+   * @param {string} text
+   * @returns {boolean}
+   */
+  matches(text) {
+    return this.getSearchTerms().includes(normalizeExerciseName(text));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      aliases: this.aliases,
+      primaryMuscles: this.primaryMuscles,
+      secondaryMuscles: this.secondaryMuscles,
+      equipment: this.equipment,
+      category: this.category,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
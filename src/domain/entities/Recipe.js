@@ -0,0 +1,140 @@
+import { FoodItem } from '../value-objects/FoodItem.js';
+import { MICRONUTRIENT_KEYS } from '../services/MacroCalculator.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Multiplica macros y micronutrientes presentes por `factor` (redondeado a 2 decimales)
+const scaleNutrition = (nutrition, factor) =>
+  Object.fromEntries(Object.entries(nutrition).map(([key, value]) => [key, round(value * factor)]));
+
+/**
+ * Entity: Recipe (Receta del usuario)
+ * Ingredientes en gramos crudos + peso total cocinado + número de porciones.
+ * La nutrición se calcula sumando FoodItem.getMacros de cada ingrediente y se
+ * reparte por porción o por 100g del plato cocinado.
+ */
+export class Recipe {
+  constructor({
+    id,
+    userId,
+    name,
+    ingredients,
+    cookedWeight = null,
+    servings = 1,
+    notes,
+    createdAt,
+    updatedAt
+  }) {
+    if (!Array.isArray(ingredients) || ingredients.length === 0) {
+      throw new Error('Recipe must have at least one ingredient');
+    }
+    if (!Number.isInteger(servings) || servings < 1) {
+      throw new Error('Servings must be a positive integer');
+    }
+    if (cookedWeight !== null && cookedWeight <= 0) {
+      throw new Error('Cooked weight must be greater than 0');
+    }
+
+    this.id = id;
+    this.userId = userId;
+    this.name = name;
+    this.ingredients = ingredients.map((i) => (i instanceof FoodItem ? i : new FoodItem(i)));
+    this.cookedWeight = cookedWeight; // null = sin pérdida de agua (suma de los ingredientes)
+    this.servings = servings;
+    this.notes = notes || '';
+    this.createdAt = createdAt;
+    this.updatedAt = updatedAt;
+  }
+
+  /**
+   * Peso crudo: suma de los gramos de cada ingrediente
+   */
+  getRawWeight() {
+    return this.ingredients.reduce((sum, food) => sum + food.quantity, 0);
+  }
+
+  /**
+   * Peso del plato terminado (si no se informó, el peso crudo)
+   */
+  getCookedWeight() {
+    return this.cookedWeight ?? this.getRawWeight();
+  }
+
+  /**
+   * Gramos de plato cocinado que corresponden a una porción
+   */
+  getServingWeight() {
+    return round(this.getCookedWeight() / this.servings);
+  }
+
+  /**
+   * Nutrición de la receta completa (sin redondear)
+   * Los micronutrientes solo aparecen si algún ingrediente los informa
+   */
+  calculateTotals() {
+    const totals = { calories: 0, protein: 0, carbs: 0, fat: 0 };
+
+    this.ingredients.forEach((food) => {
+      const macros = food.getMacros();
+      Object.keys(macros).forEach((key) => {
+        totals[key] = (totals[key] || 0) + macros[key];
+      });
+    });
+
+    return totals;
+  }
+
+  getNutritionPerServing() {
+    return scaleNutrition(this.calculateTotals(), 1 / this.servings);
+  }
+
+  getNutritionPer100g() {
+    return scaleNutrition(this.calculateTotals(), 100 / this.getCookedWeight());
+  }
+
+  /**
+   * Sintetizar un único FoodItem para registrar la receta en una comida.
+   * Los valores por 100g se copian (snapshot), así editar la receta no cambia
+   * las comidas ya registradas.
+   *
+   * @param {Object} portion - { servings } o { grams }
+   * @returns {FoodItem}
+   */
+  toFoodItem({ servings, grams } = {}) {
+    const quantity = grams ?? round((servings ?? 1) * this.getServingWeight());
+    const per100g = this.getNutritionPer100g();
+
+    return new FoodItem({
+      recipeId: this.id,
+      name: this.name,
+      calories: per100g.calories,
+      protein: per100g.protein,
+      carbs: per100g.carbs,
+      fat: per100g.fat,
+      ...Object.fromEntries(
+        MICRONUTRIENT_KEYS.filter((key) => per100g[key] !== undefined).map((key) => [key, per100g[key]])
+      ),
+      quantity
+    });
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      name: this.name,
+      ingredients: this.ingredients.map((food) => food.toJSON()),
+      cookedWeight: this.getCookedWeight(),
+      servings: this.servings,
+      servingWeight: this.getServingWeight(),
+      nutrition: {
+        total: scaleNutrition(this.calculateTotals(), 1),
+        perServing: this.getNutritionPerServing(),
+        per100g: this.getNutritionPer100g()
+      },
+      notes: this.notes,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
@@ -1,3 +1,22 @@
+import { DEFAULT_TIMEZONE } from '../services/DayBoundaries.js';
+
+export const SEXES = ['male', 'female'];
+
+/**
+ * Factores de actividad para estimar el gasto energético total (TDEE = BMR × factor)
+ */
+export const ACTIVITY_FACTORS = {
+  sedentary: 1.2, // Poco o nada de ejercicio
+  light: 1.375, // 1-3 días por semana
+  moderate: 1.55, // 3-5 días por semana
+  active: 1.725, // 6-7 días por semana
+  very_active: 1.9 // Entrenamiento intenso o trabajo físico
+};
+
+export const ACTIVITY_LEVELS = Object.keys(ACTIVITY_FACTORS);
+
+export const BMR_FORMULAS = ['mifflin', 'harris'];
+
 /**
  * Entity: User
  * Representa un usuario del sistema con información de fitness
@@ -11,6 +30,11 @@ export class User {
     weight,
     height,
     age,
+    sex,
+    activityLevel,
+    timezone,
+    goalWeight,
+    goalDate,
     createdAt,
     updatedAt
   }) {
@@ -21,6 +45,11 @@ export class User {
     this.weight = weight; // kg
     this.height = height; // cm
     this.age = age;
+    this.sex = sex || null; // Sexo biológico, necesario para BMR
+    this.activityLevel = activityLevel || 'sedentary';
+    this.timezone = timezone || DEFAULT_TIMEZONE; // IANA, define dónde empieza y termina cada día
+    this.goalWeight = goalWeight ?? null; // kg
+    this.goalDate = goalDate ?? null;
     this.createdAt = createdAt;
     this.updatedAt = updatedAt;
   }
@@ -55,6 +84,40 @@ export class User {
     return parseFloat((this.weight / (heightInMeters * heightInMeters)).toFixed(2));
   }
 
+  /**
+   * Calcular tasa metabólica basal (kcal/día)
+   * - mifflin: Mifflin-St Jeor (1990), la más precisa para población general
+   *   10 × peso + 6.25 × altura - 5 × edad + (5 hombres | -161 mujeres)
+   * - harris: Harris-Benedict revisada (Roza y Shizgal, 1984)
+   * Devuelve null si falta sexo, peso, altura o edad
+   */
+  calculateBMR(formula = 'mifflin') {
+    if (!SEXES.includes(this.sex) || !this.weight || !this.height || !this.age) return null;
+
+    const male = this.sex === 'male';
+    let bmr;
+
+    if (formula === 'harris') {
+      bmr = male
+        ? 88.362 + 13.397 * this.weight + 4.799 * this.height - 5.677 * this.age
+        : 447.593 + 9.247 * this.weight + 3.098 * this.height - 4.33 * this.age;
+    } else {
+      bmr = 10 * this.weight + 6.25 * this.height - 5 * this.age + (male ? 5 : -161);
+    }
+
+    return Math.round(bmr);
+  }
+
+  /**
+   * Calcular gasto energético diario total (kcal/día) según el nivel de actividad
+   */
+  calculateTDEE(formula = 'mifflin') {
+    const bmr = this.calculateBMR(formula);
+    if (bmr === null) return null;
+    const factor = ACTIVITY_FACTORS[this.activityLevel] || ACTIVITY_FACTORS.sedentary;
+    return Math.round(bmr * factor);
+  }
+
   /**
    * Validar que todos los campos requeridos estén presentes
    */
@@ -81,7 +144,17 @@ export class User {
       weight: this.weight,
       height: this.height,
       age: this.age,
+      sex: this.sex,
+      activityLevel: this.activityLevel,
+      timezone: this.timezone,
+      goalWeight: this.goalWeight,
+      goalDate: this.goalDate,
       bmi: this.calculateBMI(),
+      bmr: {
+        mifflinStJeor: this.calculateBMR('mifflin'),
+        harrisBenedict: this.calculateBMR('harris')
+      },
+      tdee: this.calculateTDEE(),
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -54,6 +54,33 @@ describe('Entry Entity', () => {
       expect(macros.totalCalories).toBeCloseTo(155 + 130 * 1.5, 1);
       expect(macros.totalProtein).toBeCloseTo(13 + 2.7 * 1.5, 1);
     });
+
+    it('should scale by quantity for plain objects (as stored in Mongo)', () => {
+      testEntry.foods = [{ name: 'Huevo', calories: 155, protein: 13, carbs: 1.1, fat: 11, quantity: 50 }];
+
+      const macros = testEntry.calculateMacros();
+
+      expect(macros.totalCalories).toBe(77.5);
+      expect(macros.totalFat).toBe(5.5);
+    });
+
+    it('should carry micronutrients through totals', () => {
+      testEntry.foods.push(
+        new FoodItem({
+          name: 'Naranja',
+          calories: 47,
+          protein: 0.9,
+          carbs: 12,
+          fat: 0.1,
+          vitaminC: 53,
+          quantity: 200
+        })
+      );
+
+      const macros = testEntry.calculateMacros();
+
+      expect(macros.totalMicronutrients).toEqual({ vitaminC: 106 });
+    });
   });
 
   describe('isValid', () => {
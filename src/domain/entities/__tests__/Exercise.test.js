@@ -0,0 +1,70 @@
+import { Exercise, normalizeExerciseName } from '../Exercise.js';
+
+describe('Exercise Entity', () => {
+  const benchPress = {
+    id: 'exercise-123',
+    name: 'Bench Press',
+    aliases: ['bench', 'Press banca', 'Press de banca'],
+    primaryMuscles: ['chest'],
+    secondaryMuscles: ['triceps', 'shoulders'],
+    equipment: 'barbell',
+    category: 'strength',
+  };
+
+  describe('normalizeExerciseName', () => {
+    it('should ignore case, accents and punctuation', () => {
+      expect(normalizeExerciseName('  Press  Banca ')).toBe('press banca');
+      expect(normalizeExerciseName('Jalón al pecho')).toBe('jalon al pecho');
+      expect(normalizeExerciseName("Farmer's Walk")).toBe('farmer s walk');
+      expect(normalizeExerciseName('Pull-Up')).toBe('pull up');
+    });
+  });
+
+  describe('constructor', () => {
+    it('should create an exercise with defaults', () => {
+      const exercise = new Exercise({ name: 'Plank', primaryMuscles: ['abs'], category: 'strength' });
+
+      expect(exercise.aliases).toEqual([]);
+      expect(exercise.secondaryMuscles).toEqual([]);
+      expect(exercise.equipment).toBe('other');
+    });
+
+    it('should require a name', () => {
+      expect(() => new Exercise({ ...benchPress, name: '  ' })).toThrow('Exercise name is required');
+    });
+
+    it('should only accept workout type categories', () => {
+      expect(() => new Exercise({ ...benchPress, category: 'powerlifting' })).toThrow(
+        'Category must be one of'
+      );
+    });
+  });
+
+  describe('getSearchTerms', () => {
+    it('should normalize name and aliases without duplicates', () => {
+      const exercise = new Exercise({ ...benchPress, aliases: [...benchPress.aliases, 'BENCH'] });
+
+      expect(exercise.getSearchTerms()).toEqual(['bench press', 'bench', 'press banca', 'press de banca']);
+    });
+  });
+
+  describe('matches', () => {
+    it('should match the name or any alias', () => {
+      const exercise = new Exercise(benchPress);
+
+      expect(exercise.matches('bench press')).toBe(true);
+      expect(exercise.matches('Bench')).toBe(true);
+      expect(exercise.matches('Press Banca')).toBe(true);
+      expect(exercise.matches('Incline bench')).toBe(false);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should not expose search terms', () => {
+      const json = new Exercise(benchPress).toJSON();
+
+      expect(json).toEqual(expect.objectContaining({ id: 'exercise-123', name: 'Bench Press' }));
+      expect(json).not.toHaveProperty('searchTerms');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+import { Recipe } from '../Recipe.js';
+import { FoodItem } from '../../value-objects/FoodItem.js';
+
+describe('Recipe Entity', () => {
+  let testRecipe;
+
+  beforeEach(() => {
+    testRecipe = new Recipe({
+      id: 'recipe-123',
+      userId: 'user123',
+      name: 'Arroz con pollo',
+      ingredients: [
+        { name: 'Arroz blanco', calories: 360, protein: 7, carbs: 79, fat: 0.6, fiber: 1.3, quantity: 300 },
+        { name: 'Pechuga de pollo', calories: 165, protein: 31, carbs: 0, fat: 3.6, quantity: 500 }
+      ],
+      cookedWeight: 1600,
+      servings: 4
+    });
+  });
+
+  describe('constructor', () => {
+    it('should convert ingredients into FoodItems', () => {
+      expect(testRecipe.ingredients[0]).toBeInstanceOf(FoodItem);
+    });
+
+    it('should throw error without ingredients', () => {
+      expect(() => new Recipe({ name: 'Vacía', ingredients: [] })).toThrow(
+        'Recipe must have at least one ingredient'
+      );
+    });
+
+    it('should throw error with invalid servings', () => {
+      expect(
+        () => new Recipe({ name: 'Arroz', ingredients: testRecipe.ingredients, servings: 0 })
+      ).toThrow('Servings must be a positive integer');
+    });
+  });
+
+  describe('weights', () => {
+    it('should use the cooked weight to compute serving weight', () => {
+      expect(testRecipe.getRawWeight()).toBe(800);
+      expect(testRecipe.getCookedWeight()).toBe(1600);
+      expect(testRecipe.getServingWeight()).toBe(400);
+    });
+
+    it('should fall back to the raw weight when cooked weight is missing', () => {
+      const recipe = new Recipe({ ...testRecipe, cookedWeight: null });
+
+      expect(recipe.getCookedWeight()).toBe(800);
+      expect(recipe.getServingWeight()).toBe(200);
+    });
+  });
+
+  describe('nutrition', () => {
+    it('should sum ingredient macros scaled by their quantity', () => {
+      const totals = testRecipe.calculateTotals();
+
+      expect(totals.calories).toBe(1905);
+      expect(totals.protein).toBe(176);
+      expect(totals.carbs).toBe(237);
+      expect(totals.fat).toBeCloseTo(19.8, 5);
+    });
+
+    it('should compute nutrition per serving', () => {
+      expect(testRecipe.getNutritionPerServing()).toEqual({
+        calories: 476.25,
+        protein: 44,
+        carbs: 59.25,
+        fat: 4.95,
+        fiber: 0.98
+      });
+    });
+
+    it('should compute nutrition per 100g of cooked dish', () => {
+      const per100g = testRecipe.getNutritionPer100g();
+
+      expect(per100g.calories).toBe(119.06);
+      expect(per100g.protein).toBe(11);
+      expect(per100g.carbs).toBe(14.81);
+      expect(per100g.fat).toBe(1.24);
+      expect(per100g.fiber).toBe(0.24);
+      expect(per100g).not.toHaveProperty('sodium');
+    });
+  });
+
+  describe('toFoodItem', () => {
+    it('should synthesize a single food for N servings', () => {
+      const food = testRecipe.toFoodItem({ servings: 1.5 });
+
+      expect(food).toBeInstanceOf(FoodItem);
+      expect(food.name).toBe('Arroz con pollo');
+      expect(food.recipeId).toBe('recipe-123');
+      expect(food.quantity).toBe(600);
+      expect(food.calories).toBe(119.06);
+      expect(food.fiber).toBe(0.24);
+    });
+
+    it('should synthesize a single food for X grams', () => {
+      const food = testRecipe.toFoodItem({ grams: 250 });
+
+      expect(food.quantity).toBe(250);
+      expect(food.getMacros().protein).toBe(27.5);
+    });
+
+    it('should default to one serving', () => {
+      expect(testRecipe.toFoodItem().quantity).toBe(400);
+    });
+  });
+
+  describe('toJSON', () => {
+    it('should include per serving and per 100g nutrition', () => {
+      const json = testRecipe.toJSON();
+
+      expect(json.servingWeight).toBe(400);
+      expect(json.nutrition.total.calories).toBe(1905);
+      expect(json.nutrition.perServing.calories).toBe(476.25);
+      expect(json.nutrition.per100g.calories).toBe(119.06);
+      expect(json.ingredients).toHaveLength(2);
+    });
+  });
+});
@@ -95,4 +95,66 @@ describe('User Entity', () => {
       expect(json.createdAt).toBeDefined();
     });
   });
-});
\ No newline at end of file
+
+  describe('calculateBMR', () => {
+    const baseUser = {
+      id: '123',
+      email: 'test@example.com',
+      name: 'Test User',
+      weight: 70,
+      height: 175,
+      age: 25
+    };
+
+    it('should use Mifflin-St Jeor by default', () => {
+      const male = new User({ ...baseUser, sex: 'male' });
+      const female = new User({ ...baseUser, sex: 'female', weight: 60, height: 165, age: 30 });
+
+      // 10×70 + 6.25×175 - 5×25 + 5 = 1673.75
+      expect(male.calculateBMR()).toBe(1674);
+      // 10×60 + 6.25×165 - 5×30 - 161 = 1320.25
+      expect(female.calculateBMR()).toBe(1320);
+    });
+
+    it('should support revised Harris-Benedict', () => {
+      const male = new User({ ...baseUser, sex: 'male' });
+
+      expect(male.calculateBMR('harris')).toBe(1724);
+    });
+
+    it('should return null when sex is unknown', () => {
+      const user = new User(baseUser);
+
+      expect(user.calculateBMR()).toBeNull();
+      expect(user.calculateTDEE()).toBeNull();
+    });
+  });
+
+  describe('calculateTDEE', () => {
+    it('should multiply BMR by the activity factor', () => {
+      const user = new User({
+        weight: 70,
+        height: 175,
+        age: 25,
+        sex: 'male',
+        activityLevel: 'moderate'
+      });
+
+      expect(user.calculateTDEE()).toBe(Math.round(1674 * 1.55));
+    });
+
+    it('should default to sedentary activity', () => {
+      const user = new User({ weight: 70, height: 175, age: 25, sex: 'male' });
+
+      expect(user.activityLevel).toBe('sedentary');
+      expect(user.calculateTDEE()).toBe(Math.round(1674 * 1.2));
+    });
+
+    it('should be included in toJSON', () => {
+      const json = new User({ weight: 70, height: 175, age: 25, sex: 'male' }).toJSON();
+
+      expect(json.bmr).toEqual({ mifflinStJeor: 1674, harrisBenedict: 1724 });
+      expect(json.tdee).toBe(2009);
+    });
+  });
+});
@@ -8,11 +8,15 @@ export class IEntryRepository {
     throw new Error('Method not implemented');
   }
 
+  async createMany(entries) {
+    throw new Error('Method not implemented');
+  }
+
   async findById(id, userId) {
     throw new Error('Method not implemented');
   }
 
-  async findByDate(userId, date) {
+  async findByDate(userId, date, timezone) {
     throw new Error('Method not implemented');
   }
 
@@ -20,6 +24,10 @@ export class IEntryRepository {
     throw new Error('Method not implemented');
   }
 
+  async aggregatePeriodStats(userId, startDate, endDate, timezone) {
+    throw new Error('Method not implemented');
+  }
+
   async update(id, userId, data) {
     throw new Error('Method not implemented');
   }
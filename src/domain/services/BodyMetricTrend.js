@@ -0,0 +1,101 @@
+/**
+ * Domain Service: BodyMetricTrend
+ * Tendencia de una medida corporal (peso, % de grasa, cintura, ...) en el tiempo.
+ *
+ * - movingAverage: promedio de los días medidos dentro de la ventana (por defecto 7 días)
+ *   que termina en cada día; suaviza las variaciones diarias de agua y comida
+ * - weeklyRate: pendiente de la recta de mínimos cuadrados, en unidades por semana
+ *   (kg/semana para el peso, negativo = bajando)
+ *
+ * Si un día tiene varias mediciones se usa su promedio.
+ */
+
+export const BODY_METRICS = ['weight', 'bodyFat', 'waist', 'hips', 'chest', 'arms', 'thighs'];
+
+export const DEFAULT_TREND_WINDOW = 7;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS);
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+/**
+ * Una medición por día (promedio de las del día), ordenadas por fecha
+ * @param {Array<Object>} samples - [{ date: 'YYYY-MM-DD', value }]
+ * @returns {Array<Object>} - [{ date, value }]
+ */
+export function toDailySeries(samples) {
+  const byDay = new Map();
+
+  for (const { date, value } of samples) {
+    if (value === null || value === undefined) {
+      continue;
+    }
+    if (!byDay.has(date)) {
+      byDay.set(date, []);
+    }
+    byDay.get(date).push(value);
+  }
+
+  return [...byDay]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, values]) => ({ date, value: round(average(values)) }));
+}
+
+/**
+ * Variación por semana según la recta de mínimos cuadrados
+ * @param {Array<Object>} series - [{ date, value }] ordenada por fecha
+ * @returns {number|null} - null con menos de dos días medidos
+ */
+export function calculateWeeklyRate(series) {
+  if (series.length < 2) {
+    return null;
+  }
+
+  const xs = series.map((point) => daysBetween(series[0].date, point.date));
+  const ys = series.map((point) => point.value);
+  const meanX = average(xs);
+  const meanY = average(ys);
+
+  const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0);
+  const variance = xs.reduce((sum, x) => sum + (x - meanX) ** 2, 0);
+
+  return round((covariance / variance) * 7);
+}
+
+/**
+ * Tendencia de una medida
+ *
+ * @param {Array<Object>} samples - [{ date: 'YYYY-MM-DD', value }] (pueden repetirse días)
+ * @param {Object} options
+ * @param {number} options.window - Días de la media móvil
+ * @param {string|null} options.from - Primer día a informar; las mediciones anteriores solo
+ *   alimentan la media móvil de los primeros días
+ * @returns {Object} - { points, latest, change, weeklyRate }
+ */
+export function calculateTrend(samples, { window = DEFAULT_TREND_WINDOW, from = null } = {}) {
+  const daily = toDailySeries(samples);
+
+  const points = daily
+    .map((point, index) => {
+      const inWindow = daily
+        .slice(0, index + 1)
+        .filter((previous) => daysBetween(previous.date, point.date) < window);
+
+      return { ...point, movingAverage: round(average(inWindow.map((p) => p.value))) };
+    })
+    .filter((point) => !from || point.date >= from);
+
+  const first = points[0];
+  const latest = points[points.length - 1] || null;
+
+  return {
+    points,
+    latest,
+    change: points.length > 1 ? round(latest.movingAverage - first.movingAverage) : null,
+    weeklyRate: calculateWeeklyRate(points)
+  };
+}
@@ -0,0 +1,78 @@
+import { readFileSync } from 'fs';
+import { normalizeExerciseName } from '../entities/Exercise.js';
+
+/**
+ * Domain Service: CalorieEstimator
+ * Estima las calorías quemadas en un entrenamiento con METs:
+ *
+ *   kcal = MET × peso (kg) × horas
+ *
+ * Los METs vienen de metValues.json (por tipo de entrenamiento y por ejercicio),
+ * así la tabla se puede ampliar sin tocar código. Los nombres de ejercicio se
+ * comparan normalizados (sin mayúsculas ni tildes), igual que en la biblioteca.
+ */
+const MET_TABLE = JSON.parse(readFileSync(new URL('./metValues.json', import.meta.url), 'utf8'));
+
+const EXERCISE_METS = new Map(
+  Object.entries(MET_TABLE.exercises).map(([name, met]) => [normalizeExerciseName(name), met])
+);
+
+// Mismo máximo que workoutSchema.caloriesBurned
+const MAX_CALORIES = 10000;
+
+/**
+ * MET de un tipo de entrenamiento (strength, cardio, ...)
+ * @param {string} type
+ * @returns {number}
+ */
+export function getTypeMet(type) {
+  return MET_TABLE.types[type] ?? MET_TABLE.defaultMet;
+}
+
+/**
+ * MET de un ejercicio; si no está en la tabla se usa el del tipo de entrenamiento
+ * @param {string} name - Nombre del ejercicio
+ * @param {string} type - Tipo del entrenamiento
+ * @returns {number}
+ */
+export function getExerciseMet(name, type) {
+  return EXERCISE_METS.get(normalizeExerciseName(name)) ?? getTypeMet(type);
+}
+
+/**
+ * Estimar las calorías quemadas en un entrenamiento
+ *
+ * - Los ejercicios con `duration` propia usan su MET durante ese tiempo.
+ * - El resto de la duración del entrenamiento usa el MET promedio de los ejercicios
+ *   sin duración (o el del tipo de entrenamiento si no hay).
+ *
+ * @param {Object} workout - { type, exercises, duration } (duraciones en segundos)
+ * @param {number} weightKg - Peso del usuario
+ * @returns {number} - kcal redondeadas
+ */
+export function estimateCaloriesBurned({ type, exercises = [], duration }, weightKg) {
+  if (!weightKg || !duration) {
+    return 0;
+  }
+
+  const timed = exercises.filter((exercise) => exercise.duration > 0);
+  const untimed = exercises.filter((exercise) => !(exercise.duration > 0));
+  const timedSeconds = timed.reduce((sum, exercise) => sum + exercise.duration, 0);
+
+  // Si la suma de los ejercicios supera la duración total, se reparten proporcionalmente
+  const scale = timedSeconds > duration ? duration / timedSeconds : 1;
+
+  let metSeconds = timed.reduce(
+    (sum, exercise) => sum + getExerciseMet(exercise.name, type) * exercise.duration * scale,
+    0
+  );
+
+  const remainingSeconds = Math.max(duration - timedSeconds, 0);
+  if (remainingSeconds > 0) {
+    const mets = untimed.map((exercise) => getExerciseMet(exercise.name, type));
+    const met = mets.length > 0 ? mets.reduce((sum, value) => sum + value, 0) / mets.length : getTypeMet(type);
+    metSeconds += met * remainingSeconds;
+  }
+
+  return Math.min(Math.round((metSeconds / 3600) * weightKg), MAX_CALORIES);
+}
@@ -0,0 +1,151 @@
+/**
+ * Domain Service: DayBoundaries
+ * Límites de un día calendario en la zona horaria del usuario (IANA, por ejemplo
+ * "America/Santiago"), para que una cena a las 23:30 hora local quede en su día.
+ *
+ * Las fechas que envía el cliente (`?date=2025-11-05`) representan días calendario:
+ * se toma la parte YYYY-MM-DD y se busca desde la medianoche local de ese día
+ * hasta la siguiente.
+ */
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Los Intl.DateTimeFormat son costosos de crear, se reutilizan por zona horaria.
+// Solo se guardan con el nombre canónico: variantes como "america/santiago" o "Etc/UTC"
+// no agregan entradas
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (formatters.has(timezone)) {
+    return formatters.get(timezone);
+  }
+
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+  const canonical = formatter.resolvedOptions().timeZone;
+
+  if (!formatters.has(canonical)) {
+    formatters.set(canonical, formatter);
+  }
+  return formatters.get(canonical);
+};
+
+/**
+ * Nombre canónico de una zona horaria IANA ("america/santiago" → "America/Santiago",
+ * "Etc/UTC" → "UTC"). Es el que se usa en req.timezone y en las claves de caché.
+ * @param {string} timezone - Por ejemplo "Europe/Madrid"
+ * @returns {string|null} - null si no es una zona horaria válida
+ */
+export function normalizeTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0) return null;
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: timezone }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validar un identificador de zona horaria IANA
+ * @param {string} timezone - Por ejemplo "Europe/Madrid"
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+  return normalizeTimezone(timezone) !== null;
+}
+
+// Fecha y hora "de pared" de un instante en la zona horaria
+const getWallTime = (date, timezone) =>
+  Object.fromEntries(
+    getFormatter(timezone)
+      .formatToParts(date)
+      .filter(({ type }) => type !== 'literal')
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+// Diferencia (ms) entre la hora local de la zona y UTC en ese instante
+const getOffset = (date, timezone) => {
+  const { year, month, day, hour, minute, second } = getWallTime(date, timezone);
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallAsUtc - (date.getTime() - date.getMilliseconds());
+};
+
+/**
+ * Día calendario pedido por el cliente (parte YYYY-MM-DD, sin convertir de zona)
+ * @param {Date|string} date
+ * @returns {string} - YYYY-MM-DD
+ */
+export function toDayKey(date) {
+  return new Date(date).toISOString().split('T')[0];
+}
+
+/**
+ * Día calendario local en el que cae un instante
+ * @param {Date|string} date - Instante (por ejemplo, la fecha guardada de una comida)
+ * @param {string} timezone - Zona horaria IANA
+ * @returns {string} - YYYY-MM-DD
+ */
+export function getLocalDayKey(date, timezone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getWallTime(new Date(date), timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Sumar días a un día calendario
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {number} days - Puede ser negativo
+ * @returns {string} - YYYY-MM-DD
+ */
+export function addDays(dayKey, days) {
+  return toDayKey(new Date(`${dayKey}T00:00:00.000Z`).getTime() + days * DAY_MS);
+}
+
+/**
+ * Primer instante de un día calendario en la zona horaria (normalmente la medianoche local)
+ *
+ * El offset se calcula dos veces porque puede cambiar ese mismo día. Si el cambio de horario
+ * ocurre a medianoche (por ejemplo en Chile) las 00:00 no existen y el día empieza a la 01:00.
+ * @param {string} dayKey - YYYY-MM-DD
+ * @param {string} timezone - Zona horaria IANA
+ * @returns {Date}
+ */
+export function getStartOfDay(dayKey, timezone = DEFAULT_TIMEZONE) {
+  const midnightUtc = new Date(`${dayKey}T00:00:00.000Z`);
+  const first = new Date(midnightUtc.getTime() - getOffset(midnightUtc, timezone));
+  const second = new Date(midnightUtc.getTime() - getOffset(first, timezone));
+
+  const candidates = [first, second].filter((date) => getLocalDayKey(date, timezone) === dayKey);
+  return new Date(Math.min(...candidates.map((date) => date.getTime())));
+}
+
+/**
+ * Rango [start, end] de un día calendario en la zona horaria
+ * @param {Date|string} date - Día pedido (se usa su parte YYYY-MM-DD)
+ * @param {string} timezone - Zona horaria IANA
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getDayRange(date, timezone = DEFAULT_TIMEZONE) {
+  return getPeriodRange(date, date, timezone);
+}
+
+/**
+ * Rango desde el inicio del primer día hasta el final del último (ambos incluidos)
+ * @param {Date|string} startDate - Primer día
+ * @param {Date|string} endDate - Último día
+ * @param {string} timezone - Zona horaria IANA
+ * @returns {{ start: Date, end: Date }}
+ */
+export function getPeriodRange(startDate, endDate, timezone = DEFAULT_TIMEZONE) {
+  const start = getStartOfDay(toDayKey(startDate), timezone);
+  const nextDay = getStartOfDay(addDays(toDayKey(endDate), 1), timezone);
+  return { start, end: new Date(nextDay.getTime() - 1) };
+}
@@ -0,0 +1,86 @@
+import { addDays } from './DayBoundaries.js';
+
+/**
+ * Domain Service: EnergyBalance
+ * Balance energético diario: calorías consumidas (comidas) menos calorías gastadas
+ * (entrenamientos + metabolismo basal).
+ *
+ *   net = consumed - (workouts + bmr)
+ *
+ * Un día sin comidas registradas no cuenta como ayuno: se informa, pero su `net` es null
+ * y no suma a los acumulados ni a los promedios.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Días calendario entre dos fechas (ambas incluidas)
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {Array<string>}
+ */
+export function listDays(start, end) {
+  const days = [];
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    days.push(day);
+  }
+  return days;
+}
+
+/**
+ * Balance por día con acumulados
+ *
+ * @param {Object} params
+ * @param {Array<string>} params.days - Días del período (YYYY-MM-DD)
+ * @param {Map<string, number>} params.consumed - Calorías consumidas por día (solo días con comidas)
+ * @param {Map<string, number>} params.burned - Calorías de entrenamientos por día
+ * @param {number|null} params.bmr - Metabolismo basal diario (null si faltan datos del usuario)
+ * @returns {Object} - { days, totals }
+ */
+export function calculateEnergyBalance({ days, consumed, burned, bmr = null }) {
+  const running = { consumed: 0, burned: 0, net: 0 };
+  let daysLogged = 0;
+
+  const balance = days.map((date) => {
+    const workouts = round(burned.get(date) || 0);
+    const burnedTotal = round(workouts + (bmr || 0));
+    const logged = consumed.has(date);
+
+    if (!logged) {
+      return {
+        date,
+        logged,
+        consumed: 0,
+        burned: { workouts, bmr, total: burnedTotal },
+        net: null,
+        cumulative: { ...running }
+      };
+    }
+
+    const dayConsumed = round(consumed.get(date));
+    const net = round(dayConsumed - burnedTotal);
+
+    daysLogged += 1;
+    running.consumed = round(running.consumed + dayConsumed);
+    running.burned = round(running.burned + burnedTotal);
+    running.net = round(running.net + net);
+
+    return {
+      date,
+      logged,
+      consumed: dayConsumed,
+      burned: { workouts, bmr, total: burnedTotal },
+      net,
+      cumulative: { ...running }
+    };
+  });
+
+  return {
+    days: balance,
+    totals: {
+      daysLogged,
+      ...running,
+      averageNet: daysLogged ? round(running.net / daysLogged) : null
+    }
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Domain Service: ExerciseSets
+ * Series de un ejercicio registradas una por una (`setDetails`).
+ *
+ * Los campos de resumen del ejercicio (`sets`, `reps`, `weight`) se siguen guardando
+ * para los clientes que no conocen `setDetails`, pero se derivan de las series:
+ *
+ * - sets: cantidad de series efectivas (completadas y que no son de calentamiento)
+ * - reps: promedio de repeticiones de esas series
+ * - weight: peso de la serie más pesada
+ */
+
+export const SET_TYPES = ['warmup', 'working', 'drop', 'failure'];
+
+/**
+ * Series que cuentan para volumen y récords: las completadas que no son de calentamiento
+ * @param {Array<Object>} setDetails
+ * @returns {Array<Object>}
+ */
+const getEffectiveSets = (setDetails) =>
+  setDetails.filter((set) => set.completed !== false && set.setType !== 'warmup');
+
+/**
+ * Resumen de un ejercicio a partir de sus series
+ * Si ninguna serie es efectiva (por ejemplo, solo se registró el calentamiento)
+ * se resumen todas.
+ *
+ * @param {Array<Object>} setDetails - [{ reps, weight, setType, completed, ... }]
+ * @returns {Object} - { sets, reps, weight }
+ */
+export function summarizeSets(setDetails) {
+  const effective = getEffectiveSets(setDetails);
+  const counted = effective.length > 0 ? effective : setDetails;
+  const totalReps = counted.reduce((sum, set) => sum + (set.reps || 0), 0);
+
+  return {
+    sets: counted.length,
+    reps: Math.max(1, Math.round(totalReps / counted.length)),
+    weight: Math.max(...counted.map((set) => set.weight || 0))
+  };
+}
+
+/**
+ * Ejercicio con los campos de resumen derivados de `setDetails` (si las tiene)
+ * @param {Object} exercise
+ * @returns {Object}
+ */
+export function withDerivedSummary(exercise) {
+  if (!exercise.setDetails || exercise.setDetails.length === 0) {
+    return exercise;
+  }
+
+  return { ...exercise, ...summarizeSets(exercise.setDetails) };
+}
+
+/**
+ * Series realizadas de un ejercicio como [{ reps, weight }]
+ * Con `setDetails` se usan las series efectivas; sin ellas se expanden los campos
+ * de resumen (`sets` series de `reps` × `weight`).
+ *
+ * @param {Object} exercise
+ * @returns {Array<Object>}
+ */
+export function getPerformedSets(exercise) {
+  if (exercise.setDetails && exercise.setDetails.length > 0) {
+    return getEffectiveSets(exercise.setDetails).map((set) => ({
+      reps: set.reps || 0,
+      weight: set.weight || 0
+    }));
+  }
+
+  return Array.from({ length: exercise.sets || 0 }, () => ({
+    reps: exercise.reps || 0,
+    weight: exercise.weight || 0
+  }));
+}
@@ -0,0 +1,60 @@
+/**
+ * Domain Service: LoginBackoff
+ * Protección de cada cuenta contra intentos de contraseña por fuerza bruta:
+ *
+ * - Después de cada intento fallido hay que esperar antes del siguiente, y la espera se duplica
+ *   con cada fallo (baseDelaySeconds, 2×, 4×...)
+ * - Al llegar a maxAttempts fallos la cuenta queda bloqueada hasta lockedUntil
+ *
+ * Mientras hay que esperar (o la cuenta está bloqueada) el login se rechaza sin comprobar la contraseña.
+ */
+
+/**
+ * Espera exigida después de una cantidad de fallos
+ * @param {number} failedAttempts - Intentos fallidos seguidos
+ * @param {number} baseDelaySeconds - Espera después del primer fallo
+ * @returns {number} - Segundos
+ */
+export function getBackoffSeconds(failedAttempts, baseDelaySeconds) {
+  if (failedAttempts <= 0) {
+    return 0;
+  }
+  return baseDelaySeconds * 2 ** (failedAttempts - 1);
+}
+
+/**
+ * Estado de los intentos de login de una cuenta
+ *
+ * @param {Object|null} record - { failedAttempts, lastFailedAt, lockedUntil } (null = sin fallos)
+ * @param {Object} policy - { maxAttempts, baseDelaySeconds }
+ * @param {Date} now - Instante actual
+ * @returns {Object} - { failedAttempts, lastFailedAt, locked, lockedUntil, allowed, retryAfterSeconds }
+ */
+export function evaluateLoginAttempts(record, { maxAttempts, baseDelaySeconds }, now = new Date()) {
+  const failedAttempts = record?.failedAttempts || 0;
+  const lastFailedAt = record?.lastFailedAt ? new Date(record.lastFailedAt) : null;
+  const lockedUntil = record?.lockedUntil ? new Date(record.lockedUntil) : null;
+
+  const locked = lockedUntil !== null && lockedUntil > now;
+
+  let retryAt = null;
+  if (locked) {
+    retryAt = lockedUntil;
+  } else if (lastFailedAt && failedAttempts < maxAttempts) {
+    retryAt = new Date(
+      lastFailedAt.getTime() + getBackoffSeconds(failedAttempts, baseDelaySeconds) * 1000
+    );
+  }
+
+  const retryAfterSeconds =
+    retryAt && retryAt > now ? Math.ceil((retryAt.getTime() - now.getTime()) / 1000) : 0;
+
+  return {
+    failedAttempts,
+    lastFailedAt,
+    locked,
+    lockedUntil: locked ? lockedUntil : null,
+    allowed: retryAfterSeconds === 0,
+    retryAfterSeconds
+  };
+}
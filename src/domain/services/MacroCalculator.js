@@ -0,0 +1,114 @@
+/**
+ * Domain Service: MacroCalculator
+ * Cálculo de macros compartido por el dominio (FoodItem, Entry) y la persistencia
+ * (entrySchema), para que los totales guardados coincidan siempre con el dominio.
+ *
+ * Los valores de cada alimento son por 100g y se escalan por `quantity` (gramos).
+ */
+export const DEFAULT_QUANTITY = 100;
+
+/**
+ * Micronutrientes opcionales (por 100g) y su unidad.
+ * Un alimento puede traer cualquier subconjunto; los que faltan se consideran desconocidos,
+ * no cero, por eso solo se suman los que aparecen en al menos un alimento.
+ */
+export const MICRONUTRIENTS = {
+  fiber: 'g',
+  sugar: 'g',
+  saturatedFat: 'g',
+  sodium: 'mg',
+  potassium: 'mg',
+  cholesterol: 'mg',
+  calcium: 'mg',
+  iron: 'mg',
+  vitaminA: 'µg',
+  vitaminC: 'mg',
+  vitaminD: 'µg'
+};
+
+export const MICRONUTRIENT_KEYS = Object.keys(MICRONUTRIENTS);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const hasValue = (value) => typeof value === 'number' && !Number.isNaN(value);
+
+/**
+ * Macros (y micronutrientes presentes) de un alimento según la cantidad consumida
+ * @param {Object} food - { calories, protein, carbs, fat, quantity, ...micronutrientes }
+ * @returns {Object} - { calories, protein, carbs, fat, ...micronutrientes presentes }
+ */
+export function calculateFoodMacros(food) {
+  const factor = (food.quantity ?? DEFAULT_QUANTITY) / 100;
+
+  const macros = {
+    calories: (food.calories || 0) * factor,
+    protein: (food.protein || 0) * factor,
+    carbs: (food.carbs || 0) * factor,
+    fat: (food.fat || 0) * factor
+  };
+
+  MICRONUTRIENT_KEYS.forEach((key) => {
+    if (hasValue(food[key])) {
+      macros[key] = food[key] * factor;
+    }
+  });
+
+  return macros;
+}
+
+/**
+ * Totales de una comida (redondeados a 2 decimales)
+ * @param {Array<Object>} foods - Alimentos de la comida
+ * @returns {Object} - { totalCalories, totalProtein, totalCarbs, totalFat, totalMicronutrients }
+ */
+export function calculateTotals(foods = []) {
+  const totals = { totalCalories: 0, totalProtein: 0, totalCarbs: 0, totalFat: 0 };
+  const micronutrients = {};
+
+  foods.forEach((food) => {
+    const macros = calculateFoodMacros(food);
+    totals.totalCalories += macros.calories;
+    totals.totalProtein += macros.protein;
+    totals.totalCarbs += macros.carbs;
+    totals.totalFat += macros.fat;
+
+    MICRONUTRIENT_KEYS.forEach((key) => {
+      if (hasValue(macros[key])) {
+        micronutrients[key] = (micronutrients[key] || 0) + macros[key];
+      }
+    });
+  });
+
+  return {
+    totalCalories: round(totals.totalCalories),
+    totalProtein: round(totals.totalProtein),
+    totalCarbs: round(totals.totalCarbs),
+    totalFat: round(totals.totalFat),
+    totalMicronutrients: sumMicronutrients([micronutrients])
+  };
+}
+
+/**
+ * Sumar micronutrientes de varios totales (por ejemplo, las comidas de un día).
+ * Acepta undefined para entradas antiguas que no tienen micronutrientes.
+ * @param {Array<Object|undefined>} list - Objetos { fiber, sodium, ... }
+ * @returns {Object} - Suma redondeada de los micronutrientes presentes
+ */
+export function sumMicronutrients(list = []) {
+  const result = {};
+
+  list.forEach((micronutrients) => {
+    if (!micronutrients) return;
+    MICRONUTRIENT_KEYS.forEach((key) => {
+      if (hasValue(micronutrients[key])) {
+        result[key] = (result[key] || 0) + micronutrients[key];
+      }
+    });
+  });
+
+  Object.keys(result).forEach((key) => {
+    result[key] = round(result[key]);
+  });
+
+  return result;
+}
@@ -0,0 +1,221 @@
+import { normalizeExerciseName } from '../entities/Exercise.js';
+import { getPerformedSets } from './ExerciseSets.js';
+
+/**
+ * Domain Service: PersonalRecords
+ * Récords personales (PRs) por ejercicio de fuerza:
+ *
+ * - maxWeight: mayor peso levantado
+ * - repsByWeight: mejor cantidad de repeticiones con cada peso
+ * - estimatedOneRepMax: mejor 1RM estimado con Epley y con Brzycki
+ * - bestVolume: mayor volumen de una sesión (series × reps × peso)
+ *
+ * Con `setDetails` cada serie efectiva cuenta por separado (ver ExerciseSets.getPerformedSets).
+ *
+ * Un mismo ejercicio se identifica por su `exerciseId` de la biblioteca, o por su
+ * nombre normalizado si no está vinculado, así "Sentadilla" y "sentadilla" suman juntos.
+ */
+
+// Brzycki deja de tener sentido desde 37 repeticiones (divide por cero)
+const BRZYCKI_MAX_REPS = 36;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * 1RM estimado con la fórmula de Epley: peso × (1 + reps / 30)
+ * @param {number} weight - Peso levantado (kg)
+ * @param {number} reps - Repeticiones
+ * @returns {number}
+ */
+export function epley(weight, reps) {
+  if (!(weight > 0) || !(reps > 0)) {
+    return 0;
+  }
+  return reps === 1 ? weight : round(weight * (1 + reps / 30));
+}
+
+/**
+ * 1RM estimado con la fórmula de Brzycki: peso × 36 / (37 − reps)
+ * @param {number} weight - Peso levantado (kg)
+ * @param {number} reps - Repeticiones
+ * @returns {number|null} - null con más de 36 repeticiones
+ */
+export function brzycki(weight, reps) {
+  if (!(weight > 0) || !(reps > 0)) {
+    return 0;
+  }
+  if (reps > BRZYCKI_MAX_REPS) {
+    return null;
+  }
+  return reps === 1 ? weight : round((weight * 36) / (37 - reps));
+}
+
+/**
+ * Clave con la que se agrupan los récords de un ejercicio
+ * @param {Object} exercise - { exerciseId, name }
+ * @returns {string}
+ */
+export function getExerciseKey(exercise) {
+  return exercise.exerciseId
+    ? exercise.exerciseId.toString()
+    : `name:${normalizeExerciseName(exercise.name)}`;
+}
+
+/**
+ * Récord vacío de un ejercicio
+ * @param {Object} exercise - { exerciseId, name }
+ * @returns {Object}
+ */
+export function createEmptyRecord(exercise) {
+  return {
+    key: getExerciseKey(exercise),
+    exerciseId: exercise.exerciseId || null,
+    name: exercise.name,
+    maxWeight: null,
+    repsByWeight: [],
+    estimatedOneRepMax: { epley: null, brzycki: null },
+    bestVolume: null
+  };
+}
+
+/**
+ * Copia de los valores de un récord (los récords del repositorio traen además toJSON)
+ * @param {Object} record
+ * @returns {Object}
+ */
+const snapshot = (record) => ({
+  maxWeight: record.maxWeight && { ...record.maxWeight },
+  repsByWeight: record.repsByWeight.map((entry) => ({ ...entry })),
+  estimatedOneRepMax: { ...record.estimatedOneRepMax },
+  bestVolume: record.bestVolume && { ...record.bestVolume }
+});
+
+/**
+ * Récords que un entrenamiento superó, comparando el récord antes y después de aplicarlo
+ * @param {Object|null} before - Récord previo (null si el ejercicio no tenía registros)
+ * @param {Object} after - Récord actualizado
+ * @returns {Array<Object>}
+ */
+function findImprovements(before, after) {
+  if (!before) {
+    return [];
+  }
+
+  const improvements = [];
+  const improve = (record, value, previous, extra = {}) =>
+    improvements.push({ exerciseId: after.exerciseId, name: after.name, record, value, previous, ...extra });
+
+  after.repsByWeight.forEach(({ weight, reps }) => {
+    const previous = before.repsByWeight.find((entry) => entry.weight === weight);
+    if (previous && reps > previous.reps) {
+      improve('reps', reps, previous.reps, { weight });
+    }
+  });
+
+  if (before.maxWeight && after.maxWeight.weight > before.maxWeight.weight) {
+    improve('maxWeight', after.maxWeight.weight, before.maxWeight.weight);
+  }
+
+  for (const formula of ['epley', 'brzycki']) {
+    const previous = before.estimatedOneRepMax[formula];
+    const current = after.estimatedOneRepMax[formula];
+    if (previous && current.value > previous.value) {
+      improve(formula, current.value, previous.value);
+    }
+  }
+
+  if (before.bestVolume && after.bestVolume.value > before.bestVolume.value) {
+    improve('volume', after.bestVolume.value, before.bestVolume.value);
+  }
+
+  return improvements;
+}
+
+/**
+ * Aplica un entrenamiento sobre los récords (los modifica) y devuelve las mejoras.
+ * Solo cuentan los entrenamientos de tipo `strength`.
+ *
+ * Una mejora es un récord que supera al que había antes del entrenamiento; la primera
+ * vez que se registra un ejercicio (o un peso) no se considera un PR nuevo.
+ *
+ * @param {Map<string, Object>} records - Récords por clave de ejercicio
+ * @param {Object} workout - { id, type, date, exercises }
+ * @returns {Array<Object>} - [{ exerciseId, name, record, value, previous, weight? }]
+ */
+export function applyWorkout(records, workout) {
+  if (workout.type !== 'strength') {
+    return [];
+  }
+
+  const source = { date: workout.date, workoutId: workout.id };
+  const sessionVolume = new Map();
+  const before = new Map();
+
+  for (const exercise of workout.exercises || []) {
+    const key = getExerciseKey(exercise);
+
+    if (!before.has(key)) {
+      before.set(key, records.has(key) ? snapshot(records.get(key)) : null);
+    }
+    if (!records.has(key)) {
+      records.set(key, createEmptyRecord(exercise));
+    }
+    const record = records.get(key);
+
+    for (const { reps, weight } of getPerformedSets(exercise)) {
+      // Mejores repeticiones con este peso (0 = peso corporal)
+      const atWeight = record.repsByWeight.find((entry) => entry.weight === weight);
+      if (!atWeight) {
+        record.repsByWeight.push({ weight, reps, ...source });
+        record.repsByWeight.sort((a, b) => a.weight - b.weight);
+      } else if (reps > atWeight.reps) {
+        Object.assign(atWeight, { reps, ...source });
+      }
+
+      if (weight <= 0) {
+        continue;
+      }
+
+      if (!record.maxWeight || weight > record.maxWeight.weight) {
+        record.maxWeight = { weight, reps, ...source };
+      }
+
+      for (const [formula, estimate] of [['epley', epley], ['brzycki', brzycki]]) {
+        const value = estimate(weight, reps);
+        const best = record.estimatedOneRepMax[formula];
+
+        if (value && (!best || value > best.value)) {
+          record.estimatedOneRepMax[formula] = { value, weight, reps, ...source };
+        }
+      }
+
+      sessionVolume.set(key, (sessionVolume.get(key) || 0) + reps * weight);
+    }
+  }
+
+  // El volumen se compara por sesión: el mismo ejercicio repetido en un entrenamiento suma
+  for (const [key, volume] of sessionVolume) {
+    const record = records.get(key);
+
+    if (volume > 0 && (!record.bestVolume || volume > record.bestVolume.value)) {
+      record.bestVolume = { value: volume, ...source };
+    }
+  }
+
+  return [...before].flatMap(([key, previous]) => findImprovements(previous, records.get(key)));
+}
+
+/**
+ * Calcula desde cero los récords de una lista de entrenamientos
+ * @param {Array<Object>} workouts - Entrenamientos del usuario
+ * @returns {Map<string, Object>} - Récords por clave de ejercicio
+ */
+export function computeRecords(workouts) {
+  const records = new Map();
+
+  [...workouts]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .forEach((workout) => applyWorkout(records, workout));
+
+  return records;
+}
@@ -0,0 +1,58 @@
+import { toDayKey } from './DayBoundaries.js';
+import { ValidationError } from '../../shared/errors/AppError.js';
+
+/**
+ * Domain Service: StatsPeriod
+ * Rango de días de las estadísticas por período (comidas, entrenamientos, balance
+ * energético y medidas corporales): validación del rango y cómo se cachea.
+ */
+
+export const MAX_PERIOD_DAYS = 366;
+
+// Segundos en caché: 1 hora para semanas, 2 horas para períodos mayores
+// (igual que WEEKLY_STATS / MONTHLY_STATS de CacheService.TTL)
+export const PERIOD_CACHE_TTL = {
+  weekly: 3600,
+  monthly: 7200
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Días del período, ambos incluidos
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {number}
+ */
+export function countPeriodDays(start, end) {
+  return Math.round((new Date(end) - new Date(start)) / DAY_MS) + 1;
+}
+
+/**
+ * Validar el rango pedido por el cliente (?startDate=&endDate=)
+ * Hasta 7 días es un período "weekly" y los mayores "monthly" (parte de la clave en caché).
+ *
+ * @param {Date|string} startDate - Primer día
+ * @param {Date|string} endDate - Último día
+ * @returns {{ start: string, end: string, daysInPeriod: number, period: string }}
+ * @throws {ValidationError} - Faltan fechas, el rango está invertido o supera MAX_PERIOD_DAYS
+ */
+export function parseStatsPeriod(startDate, endDate) {
+  if (!startDate || !endDate) {
+    throw new ValidationError('Start date and end date are required');
+  }
+
+  const start = toDayKey(startDate);
+  const end = toDayKey(endDate);
+  const daysInPeriod = countPeriodDays(start, end);
+
+  if (daysInPeriod < 1) {
+    throw new ValidationError('End date must be after start date');
+  }
+
+  if (daysInPeriod > MAX_PERIOD_DAYS) {
+    throw new ValidationError(`Period cannot exceed ${MAX_PERIOD_DAYS} days`);
+  }
+
+  return { start, end, daysInPeriod, period: daysInPeriod <= 7 ? 'weekly' : 'monthly' };
+}
@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+
+/**
+ * Domain Service: Totp
+ * Códigos de un solo uso basados en el tiempo (TOTP, RFC 6238), compatibles con
+ * Google Authenticator, Authy, 1Password, etc.: HMAC-SHA1, 6 dígitos, pasos de 30 segundos.
+ * Los secretos se comparten con la app en base32 (RFC 4648, sin padding).
+ */
+
+export const TOTP_DIGITS = 6;
+export const TOTP_STEP_SECONDS = 30;
+
+// Pasos aceptados antes y después del actual (desfase de reloj del teléfono)
+const DEFAULT_WINDOW = 1;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} - Base32 sin padding
+ */
+export function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+/**
+ * @param {string} value - Base32 (se ignoran mayúsculas/minúsculas, espacios y padding)
+ * @returns {Buffer}
+ */
+export function base32Decode(value) {
+  const clean = value.toUpperCase().replace(/[\s=]/g, '');
+
+  let bits = '';
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Paso de tiempo (contador) de un instante
+ * @param {number} timestamp - Milisegundos
+ */
+export const getTimeStep = (timestamp = Date.now()) =>
+  Math.floor(timestamp / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Código de un paso de tiempo (HOTP, RFC 4226)
+ * @param {string} secret - Secreto en base32
+ * @param {number} step - Contador
+ * @param {number} digits - Dígitos del código
+ * @returns {string}
+ */
+export function generateCode(secret, step, digits = TOTP_DIGITS) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+}
+
+/**
+ * Verificar un código dentro de la ventana de pasos aceptados
+ * @param {string} secret - Secreto en base32
+ * @param {string} code - Código ingresado por el usuario
+ * @param {Object} options - { timestamp (ms), window }
+ * @returns {number|null} - Paso de tiempo del código, o null si no es válido
+ */
+export function verifyCode(secret, code, { timestamp = Date.now(), window = DEFAULT_WINDOW } = {}) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const current = getTimeStep(timestamp);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * URI otpauth:// para registrar la cuenta en la app (normalmente como código QR)
+ * @param {Object} params - { secret, issuer, account }
+ * @returns {string}
+ */
+export function buildOtpauthUri({ secret, issuer, account }) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+}
@@ -0,0 +1,123 @@
+import { addDays } from './DayBoundaries.js';
+
+/**
+ * Domain Service: WeightProjection
+ * Proyección del peso objetivo:
+ *
+ * - Fecha estimada para llegar al objetivo según la tendencia del peso (kg/semana medidos)
+ *   y según el balance energético promedio (kcal/día ÷ 7700 kcal por kg)
+ * - Ritmo y déficit calórico diario necesarios para llegar en la fecha objetivo
+ *
+ * Bajar (o subir) más del 1% del peso corporal por semana se considera poco seguro.
+ */
+
+// Energía aproximada de 1 kg de peso corporal
+export const KCAL_PER_KG = 7700;
+
+export const MAX_SAFE_WEEKLY_RATE_PERCENT = 1;
+
+// Diferencia con el objetivo que ya se considera alcanzada (kg)
+const GOAL_TOLERANCE = 0.1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const daysBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / DAY_MS);
+
+/**
+ * Fecha en la que se llega al objetivo manteniendo un ritmo
+ * @param {number} remaining - Kg que faltan (negativo = bajar)
+ * @param {number|null} weeklyRate - Kg por semana (negativo = bajando)
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Object} - { weeklyRate, expectedDate, daysToGoal }; sin fecha si el ritmo no acerca al objetivo
+ */
+function projectFromRate(remaining, weeklyRate, today) {
+  if (!weeklyRate || Math.sign(weeklyRate) !== Math.sign(remaining)) {
+    return { weeklyRate, expectedDate: null, daysToGoal: null };
+  }
+
+  const daysToGoal = Math.ceil((remaining / weeklyRate) * 7);
+  return { weeklyRate, expectedDate: addDays(today, daysToGoal), daysToGoal };
+}
+
+/**
+ * Proyección hacia el peso objetivo
+ *
+ * @param {Object} params
+ * @param {string} params.today - Día actual del usuario (YYYY-MM-DD)
+ * @param {number} params.currentWeight - Peso actual (kg)
+ * @param {number} params.goalWeight - Peso objetivo (kg)
+ * @param {string|null} params.goalDate - Fecha objetivo (YYYY-MM-DD)
+ * @param {number|null} params.trendWeeklyRate - Ritmo medido en kg/semana (BodyMetricTrend)
+ * @param {number|null} params.averageNet - Balance energético promedio en kcal/día (EnergyBalance)
+ * @returns {Object}
+ */
+export function projectWeightGoal({
+  today,
+  currentWeight,
+  goalWeight,
+  goalDate = null,
+  trendWeeklyRate = null,
+  averageNet = null
+}) {
+  const remaining = round(goalWeight - currentWeight);
+  const reached = Math.abs(remaining) < GOAL_TOLERANCE;
+  const warnings = [];
+
+  const trend = projectFromRate(remaining, trendWeeklyRate, today);
+  const energyBalance = {
+    averageNet,
+    ...projectFromRate(
+      remaining,
+      averageNet === null ? null : round((averageNet * 7) / KCAL_PER_KG),
+      today
+    )
+  };
+
+  let required = null;
+  if (goalDate && !reached) {
+    const daysToTarget = daysBetween(today, goalDate);
+
+    if (daysToTarget <= 0) {
+      warnings.push({
+        code: 'GOAL_DATE_PASSED',
+        message: `Goal date ${goalDate} has already passed`
+      });
+    } else {
+      const weeklyRate = round((remaining / daysToTarget) * 7);
+      const weeklyRatePercent = round((Math.abs(weeklyRate) / currentWeight) * 100);
+
+      required = {
+        daysToTarget,
+        weeklyRate,
+        weeklyRatePercent,
+        // Positivo = déficit, negativo = superávit
+        dailyDeficit: Math.round((-remaining * KCAL_PER_KG) / daysToTarget)
+      };
+
+      if (weeklyRatePercent > MAX_SAFE_WEEKLY_RATE_PERCENT) {
+        warnings.push({
+          code: 'UNSAFE_RATE',
+          message:
+            `Reaching ${goalWeight} kg by ${goalDate} requires ${Math.abs(weeklyRate)} kg per week ` +
+            `(${weeklyRatePercent}% of body weight), more than the recommended ${MAX_SAFE_WEEKLY_RATE_PERCENT}%`
+        });
+      }
+    }
+  }
+
+  return {
+    currentWeight,
+    goalWeight,
+    goalDate,
+    remaining,
+    direction: reached ? 'maintain' : remaining < 0 ? 'lose' : 'gain',
+    reached,
+    // La tendencia medida manda; sin pesajes suficientes se usa el balance energético
+    expectedDate: reached ? null : trend.expectedDate || energyBalance.expectedDate,
+    projections: { trend, energyBalance },
+    required,
+    warnings
+  };
+}
@@ -0,0 +1,83 @@
+import { calculateTrend, calculateWeeklyRate, toDailySeries } from '../BodyMetricTrend.js';
+
+describe('BodyMetricTrend', () => {
+  describe('toDailySeries', () => {
+    it('should average measurements of the same day and sort by date', () => {
+      expect(
+        toDailySeries([
+          { date: '2025-11-02', value: 79 },
+          { date: '2025-11-01', value: 80 },
+          { date: '2025-11-02', value: 79.5 },
+        ])
+      ).toEqual([
+        { date: '2025-11-01', value: 80 },
+        { date: '2025-11-02', value: 79.25 },
+      ]);
+    });
+
+    it('should skip measurements without a value', () => {
+      expect(
+        toDailySeries([
+          { date: '2025-11-01', value: null },
+          { date: '2025-11-02', value: 84 },
+        ])
+      ).toEqual([{ date: '2025-11-02', value: 84 }]);
+    });
+  });
+
+  describe('calculateWeeklyRate', () => {
+    it('should return the least squares slope per week', () => {
+      const series = [
+        { date: '2025-11-01', value: 80 },
+        { date: '2025-11-08', value: 79.5 },
+        { date: '2025-11-15', value: 79 },
+      ];
+
+      expect(calculateWeeklyRate(series)).toBe(-0.5);
+    });
+
+    it('should return null with less than two days', () => {
+      expect(calculateWeeklyRate([{ date: '2025-11-01', value: 80 }])).toBeNull();
+      expect(calculateWeeklyRate([])).toBeNull();
+    });
+  });
+
+  describe('calculateTrend', () => {
+    it('should average the measured days inside the window', () => {
+      const { points, latest, change } = calculateTrend(
+        [
+          { date: '2025-11-01', value: 80 },
+          { date: '2025-11-03', value: 79 },
+          { date: '2025-11-07', value: 78 },
+          { date: '2025-11-08', value: 78.5 },
+        ],
+        { window: 7 }
+      );
+
+      expect(points.map((p) => p.movingAverage)).toEqual([80, 79.5, 79, 78.5]);
+      expect(latest).toEqual({ date: '2025-11-08', value: 78.5, movingAverage: 78.5 });
+      expect(change).toBe(-1.5);
+    });
+
+    it('should use earlier measurements only for the moving average of the first days', () => {
+      const { points, change } = calculateTrend(
+        [
+          { date: '2025-10-30', value: 81 },
+          { date: '2025-11-01', value: 80 },
+          { date: '2025-11-02', value: 79 },
+        ],
+        { window: 7, from: '2025-11-01' }
+      );
+
+      expect(points).toEqual([
+        { date: '2025-11-01', value: 80, movingAverage: 80.5 },
+        { date: '2025-11-02', value: 79, movingAverage: 80 },
+      ]);
+      expect(change).toBe(-0.5);
+    });
+
+    it('should return empty results without measurements', () => {
+      expect(calculateTrend([])).toEqual({ points: [], latest: null, change: null, weeklyRate: null });
+    });
+  });
+});
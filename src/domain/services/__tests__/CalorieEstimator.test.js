@@ -0,0 +1,63 @@
+import { estimateCaloriesBurned, getExerciseMet, getTypeMet } from '../CalorieEstimator.js';
+
+describe('CalorieEstimator', () => {
+  describe('getTypeMet / getExerciseMet', () => {
+    it('should read METs from the table', () => {
+      expect(getTypeMet('strength')).toBe(5);
+      expect(getExerciseMet('Running', 'cardio')).toBe(9.8);
+    });
+
+    it('should match exercise names ignoring case and accents', () => {
+      expect(getExerciseMet('natacion', 'cardio')).toBe(getExerciseMet('Natación', 'cardio'));
+      expect(getExerciseMet('  JUMP rope ', 'cardio')).toBe(11.8);
+    });
+
+    it('should fall back to the workout type MET', () => {
+      expect(getExerciseMet('Ejercicio inventado', 'flexibility')).toBe(getTypeMet('flexibility'));
+      expect(getTypeMet('unknown')).toBe(3.5);
+    });
+  });
+
+  describe('estimateCaloriesBurned', () => {
+    it('should apply MET × weight × hours', () => {
+      // 5 MET × 80 kg × 1 h
+      const calories = estimateCaloriesBurned(
+        { type: 'strength', exercises: [{ name: 'Bench Press' }], duration: 3600 },
+        80
+      );
+
+      expect(calories).toBe(400);
+    });
+
+    it('should use each exercise duration and the type MET for the rest', () => {
+      // 20 min corriendo (9.8) + 10 min de yoga (2.5) + 30 min restantes a 7 MET (sin ejercicios sin duración)
+      const calories = estimateCaloriesBurned(
+        {
+          type: 'cardio',
+          exercises: [
+            { name: 'Running', duration: 1200 },
+            { name: 'Yoga', duration: 600 },
+          ],
+          duration: 3600,
+        },
+        60
+      );
+
+      expect(calories).toBe(Math.round(((9.8 * 1200 + 2.5 * 600 + 7 * 1800) / 3600) * 60));
+    });
+
+    it('should scale exercise durations that exceed the workout duration', () => {
+      const calories = estimateCaloriesBurned(
+        { type: 'cardio', exercises: [{ name: 'Running', duration: 7200 }], duration: 3600 },
+        70
+      );
+
+      expect(calories).toBe(Math.round(9.8 * 70));
+    });
+
+    it('should return 0 without weight or duration', () => {
+      expect(estimateCaloriesBurned({ type: 'cardio', exercises: [], duration: 3600 }, null)).toBe(0);
+      expect(estimateCaloriesBurned({ type: 'cardio', exercises: [], duration: 0 }, 70)).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import {
+  isValidTimezone,
+  normalizeTimezone,
+  toDayKey,
+  getLocalDayKey,
+  addDays,
+  getStartOfDay,
+  getDayRange,
+  getPeriodRange,
+} from '../DayBoundaries.js';
+
+describe('DayBoundaries', () => {
+  describe('isValidTimezone', () => {
+    it('should accept IANA timezones', () => {
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('America/Santiago')).toBe(true);
+      expect(isValidTimezone('Asia/Kolkata')).toBe(true);
+    });
+
+    it('should reject unknown or empty values', () => {
+      expect(isValidTimezone('Mars/Olympus')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+      expect(isValidTimezone(undefined)).toBe(false);
+    });
+  });
+
+  describe('normalizeTimezone', () => {
+    it('should return the canonical name of a timezone', () => {
+      expect(normalizeTimezone('america/santiago')).toBe('America/Santiago');
+      expect(normalizeTimezone('Etc/UTC')).toBe('UTC');
+      expect(normalizeTimezone('Europe/Madrid')).toBe('Europe/Madrid');
+    });
+
+    it('should return null for invalid timezones', () => {
+      expect(normalizeTimezone('Mars/Olympus')).toBeNull();
+      expect(normalizeTimezone(undefined)).toBeNull();
+    });
+  });
+
+  describe('toDayKey / addDays', () => {
+    it('should take the calendar day part of a date', () => {
+      expect(toDayKey(new Date('2025-11-05'))).toBe('2025-11-05');
+      expect(toDayKey('2025-11-05T23:30:00.000Z')).toBe('2025-11-05');
+    });
+
+    it('should add days across month boundaries', () => {
+      expect(addDays('2025-10-31', 1)).toBe('2025-11-01');
+      expect(addDays('2025-03-01', -1)).toBe('2025-02-28');
+    });
+  });
+
+  describe('getLocalDayKey', () => {
+    it('should return the local calendar day of an instant', () => {
+      // 23:30 en Santiago (UTC-3) es 02:30Z del día siguiente
+      expect(getLocalDayKey('2025-11-06T02:30:00.000Z', 'America/Santiago')).toBe('2025-11-05');
+      expect(getLocalDayKey('2025-11-06T02:30:00.000Z', 'UTC')).toBe('2025-11-06');
+    });
+  });
+
+  describe('getStartOfDay', () => {
+    it('should return local midnight as a UTC instant', () => {
+      expect(getStartOfDay('2025-11-05', 'UTC')).toEqual(new Date('2025-11-05T00:00:00.000Z'));
+      expect(getStartOfDay('2025-11-05', 'America/Santiago')).toEqual(
+        new Date('2025-11-05T03:00:00.000Z')
+      );
+      expect(getStartOfDay('2025-11-05', 'Asia/Kolkata')).toEqual(
+        new Date('2025-11-04T18:30:00.000Z')
+      );
+    });
+
+    it('should start at 01:00 when midnight is skipped by a DST change', () => {
+      // Chile adelanta el reloj a las 00:00 del 7 de septiembre de 2025
+      expect(getStartOfDay('2025-09-07', 'America/Santiago')).toEqual(
+        new Date('2025-09-07T04:00:00.000Z')
+      );
+    });
+  });
+
+  describe('getDayRange / getPeriodRange', () => {
+    it('should cover a whole local day', () => {
+      const { start, end } = getDayRange(new Date('2025-11-05'), 'America/Santiago');
+
+      expect(start).toEqual(new Date('2025-11-05T03:00:00.000Z'));
+      expect(end).toEqual(new Date('2025-11-06T02:59:59.999Z'));
+    });
+
+    it('should handle days that are 23 hours long', () => {
+      const { start, end } = getDayRange('2025-03-09', 'America/New_York');
+
+      expect(end.getTime() + 1 - start.getTime()).toBe(23 * 60 * 60 * 1000);
+    });
+
+    it('should include both the first and last day of a period', () => {
+      const { start, end } = getPeriodRange('2025-11-01', '2025-11-07', 'UTC');
+
+      expect(start).toEqual(new Date('2025-11-01T00:00:00.000Z'));
+      expect(end).toEqual(new Date('2025-11-07T23:59:59.999Z'));
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { calculateEnergyBalance, listDays } from '../EnergyBalance.js';
+
+describe('EnergyBalance', () => {
+  describe('listDays', () => {
+    it('should list every day of the period, month changes included', () => {
+      expect(listDays('2025-10-30', '2025-11-02')).toEqual([
+        '2025-10-30',
+        '2025-10-31',
+        '2025-11-01',
+        '2025-11-02',
+      ]);
+    });
+
+    it('should return a single day when start and end match', () => {
+      expect(listDays('2025-11-05', '2025-11-05')).toEqual(['2025-11-05']);
+    });
+  });
+
+  describe('calculateEnergyBalance', () => {
+    const days = ['2025-11-01', '2025-11-02', '2025-11-03'];
+
+    it('should subtract workouts and BMR from consumed calories with running totals', () => {
+      const { days: balance, totals } = calculateEnergyBalance({
+        days,
+        consumed: new Map([
+          ['2025-11-01', 2000],
+          ['2025-11-02', 2500],
+          ['2025-11-03', 1800],
+        ]),
+        burned: new Map([['2025-11-02', 400]]),
+        bmr: 1700,
+      });
+
+      expect(balance[0]).toEqual({
+        date: '2025-11-01',
+        logged: true,
+        consumed: 2000,
+        burned: { workouts: 0, bmr: 1700, total: 1700 },
+        net: 300,
+        cumulative: { consumed: 2000, burned: 1700, net: 300 },
+      });
+      expect(balance[1].net).toBe(400);
+      expect(balance[2].net).toBe(100);
+      expect(balance[2].cumulative).toEqual({ consumed: 6300, burned: 5500, net: 800 });
+      expect(totals).toEqual({ daysLogged: 3, consumed: 6300, burned: 5500, net: 800, averageNet: 266.67 });
+    });
+
+    it('should not count days without food logged', () => {
+      const { days: balance, totals } = calculateEnergyBalance({
+        days,
+        consumed: new Map([['2025-11-01', 1500]]),
+        burned: new Map([['2025-11-02', 300]]),
+        bmr: 1700,
+      });
+
+      expect(balance[1]).toEqual(
+        expect.objectContaining({
+          logged: false,
+          consumed: 0,
+          net: null,
+          burned: { workouts: 300, bmr: 1700, total: 2000 },
+          cumulative: { consumed: 1500, burned: 1700, net: -200 },
+        })
+      );
+      expect(totals.daysLogged).toBe(1);
+      expect(totals.averageNet).toBe(-200);
+    });
+
+    it('should only count workouts when BMR is unknown', () => {
+      const { days: balance, totals } = calculateEnergyBalance({
+        days: ['2025-11-01'],
+        consumed: new Map([['2025-11-01', 2000]]),
+        burned: new Map([['2025-11-01', 500]]),
+        bmr: null,
+      });
+
+      expect(balance[0].burned).toEqual({ workouts: 500, bmr: null, total: 500 });
+      expect(totals.net).toBe(1500);
+    });
+
+    it('should return null average without logged days', () => {
+      const { totals } = calculateEnergyBalance({ days, consumed: new Map(), burned: new Map(), bmr: 1700 });
+
+      expect(totals).toEqual({ daysLogged: 0, consumed: 0, burned: 0, net: 0, averageNet: null });
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { getPerformedSets, summarizeSets, withDerivedSummary } from '../ExerciseSets.js';
+
+describe('ExerciseSets', () => {
+  const pyramid = [
+    { reps: 10, weight: 60, setType: 'warmup', completed: true },
+    { reps: 5, weight: 100, setType: 'working', completed: true },
+    { reps: 3, weight: 110, setType: 'working', completed: true },
+    { reps: 1, weight: 120, setType: 'working', completed: true },
+    { reps: 0, weight: 125, setType: 'failure', completed: false },
+  ];
+
+  describe('summarizeSets', () => {
+    it('should summarize completed non-warmup sets', () => {
+      expect(summarizeSets(pyramid)).toEqual({ sets: 3, reps: 3, weight: 120 });
+    });
+
+    it('should summarize every set when none is effective', () => {
+      expect(summarizeSets([{ reps: 10, weight: 40, setType: 'warmup' }])).toEqual({
+        sets: 1,
+        reps: 10,
+        weight: 40,
+      });
+    });
+
+    it('should never derive less than one rep', () => {
+      expect(summarizeSets([{ reps: 0, weight: 100 }]).reps).toBe(1);
+    });
+  });
+
+  describe('withDerivedSummary', () => {
+    it('should overwrite the summary fields when setDetails are present', () => {
+      const exercise = withDerivedSummary({ name: 'Sentadilla', sets: 1, reps: 1, setDetails: pyramid });
+
+      expect(exercise).toEqual(expect.objectContaining({ sets: 3, reps: 3, weight: 120, setDetails: pyramid }));
+    });
+
+    it('should keep exercises without setDetails as they are', () => {
+      const exercise = { name: 'Sentadilla', sets: 4, reps: 12, weight: 80 };
+
+      expect(withDerivedSummary(exercise)).toBe(exercise);
+    });
+  });
+
+  describe('getPerformedSets', () => {
+    it('should use the effective sets of setDetails', () => {
+      expect(getPerformedSets({ setDetails: pyramid })).toEqual([
+        { reps: 5, weight: 100 },
+        { reps: 3, weight: 110 },
+        { reps: 1, weight: 120 },
+      ]);
+    });
+
+    it('should expand the summary fields otherwise', () => {
+      expect(getPerformedSets({ sets: 2, reps: 8, weight: 50 })).toEqual([
+        { reps: 8, weight: 50 },
+        { reps: 8, weight: 50 },
+      ]);
+    });
+  });
+});
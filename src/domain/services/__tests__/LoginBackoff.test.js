@@ -0,0 +1,84 @@
+import { evaluateLoginAttempts, getBackoffSeconds } from '../LoginBackoff.js';
+
+describe('LoginBackoff', () => {
+  const policy = { maxAttempts: 5, baseDelaySeconds: 1 };
+  const now = new Date('2025-12-04T15:00:00.000Z');
+  const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+  describe('getBackoffSeconds', () => {
+    it('should double the delay with each failure', () => {
+      expect(getBackoffSeconds(0, 1)).toBe(0);
+      expect(getBackoffSeconds(1, 1)).toBe(1);
+      expect(getBackoffSeconds(2, 1)).toBe(2);
+      expect(getBackoffSeconds(4, 1)).toBe(8);
+      expect(getBackoffSeconds(3, 5)).toBe(20);
+    });
+  });
+
+  describe('evaluateLoginAttempts', () => {
+    it('should allow accounts without failures', () => {
+      expect(evaluateLoginAttempts(null, policy, now)).toEqual({
+        failedAttempts: 0,
+        lastFailedAt: null,
+        locked: false,
+        lockedUntil: null,
+        allowed: true,
+        retryAfterSeconds: 0,
+      });
+    });
+
+    it('should make the user wait after a failure', () => {
+      // 3 fallos: 4 segundos de espera
+      const status = evaluateLoginAttempts(
+        { failedAttempts: 3, lastFailedAt: secondsAgo(1) },
+        policy,
+        now
+      );
+
+      expect(status.allowed).toBe(false);
+      expect(status.locked).toBe(false);
+      expect(status.retryAfterSeconds).toBe(3);
+    });
+
+    it('should allow a new attempt once the delay has passed', () => {
+      const status = evaluateLoginAttempts(
+        { failedAttempts: 3, lastFailedAt: secondsAgo(4) },
+        policy,
+        now
+      );
+
+      expect(status.allowed).toBe(true);
+      expect(status.failedAttempts).toBe(3);
+    });
+
+    it('should reject logins while the account is locked', () => {
+      const lockedUntil = new Date(now.getTime() + 10 * 60 * 1000);
+      const status = evaluateLoginAttempts(
+        { failedAttempts: 5, lastFailedAt: secondsAgo(300), lockedUntil },
+        policy,
+        now
+      );
+
+      expect(status).toEqual(
+        expect.objectContaining({
+          locked: true,
+          lockedUntil,
+          allowed: false,
+          retryAfterSeconds: 600,
+        })
+      );
+    });
+
+    it('should release the account when the lockout expires', () => {
+      const status = evaluateLoginAttempts(
+        { failedAttempts: 5, lastFailedAt: secondsAgo(1200), lockedUntil: secondsAgo(300) },
+        policy,
+        now
+      );
+
+      expect(status.locked).toBe(false);
+      expect(status.lockedUntil).toBeNull();
+      expect(status.allowed).toBe(true);
+    });
+  });
+});
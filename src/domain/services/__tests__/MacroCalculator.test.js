@@ -0,0 +1,67 @@
+import { calculateFoodMacros, calculateTotals, sumMicronutrients } from '../MacroCalculator.js';
+
+describe('MacroCalculator', () => {
+  const rice = { name: 'Arroz', calories: 130, protein: 2.7, carbs: 28, fat: 0.3, quantity: 150 };
+
+  describe('calculateFoodMacros', () => {
+    it('should scale per-100g values by quantity', () => {
+      const macros = calculateFoodMacros(rice);
+
+      expect(macros.calories).toBeCloseTo(195);
+      expect(macros.protein).toBeCloseTo(4.05);
+      expect(macros.carbs).toBeCloseTo(42);
+      expect(macros.fat).toBeCloseTo(0.45);
+    });
+
+    it('should default quantity to 100g when missing', () => {
+      const { quantity, ...withoutQuantity } = rice;
+
+      expect(calculateFoodMacros(withoutQuantity).calories).toBe(130);
+    });
+  });
+
+  describe('calculateTotals', () => {
+    it('should sum scaled macros and round to 2 decimals', () => {
+      const totals = calculateTotals([
+        rice,
+        { name: 'Huevo', calories: 155, protein: 13, carbs: 1.1, fat: 11, quantity: 50 },
+      ]);
+
+      expect(totals).toEqual({
+        totalCalories: 272.5,
+        totalProtein: 10.55,
+        totalCarbs: 42.55,
+        totalFat: 5.95,
+        totalMicronutrients: {},
+      });
+    });
+
+    it('should return zeros for no foods', () => {
+      expect(calculateTotals([])).toEqual({
+        totalCalories: 0,
+        totalProtein: 0,
+        totalCarbs: 0,
+        totalFat: 0,
+        totalMicronutrients: {},
+      });
+    });
+
+    it('should sum only the micronutrients that are present', () => {
+      const totals = calculateTotals([
+        { ...rice, fiber: 0.4, sodium: 1 },
+        { name: 'Lentejas', calories: 116, protein: 9, carbs: 20, fat: 0.4, fiber: 8, quantity: 200 },
+      ]);
+
+      expect(totals.totalMicronutrients).toEqual({ fiber: 16.6, sodium: 1.5 });
+    });
+  });
+
+  describe('sumMicronutrients', () => {
+    it('should ignore entries without micronutrients (legacy entries)', () => {
+      expect(sumMicronutrients([undefined, { iron: 1.25 }, {}, { iron: 2, vitaminC: 10 }])).toEqual({
+        iron: 3.25,
+        vitaminC: 10,
+      });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+import {
+  applyWorkout,
+  brzycki,
+  computeRecords,
+  epley,
+  getExerciseKey,
+} from '../PersonalRecords.js';
+
+const strength = (id, date, exercises) => ({ id, type: 'strength', date: new Date(date), exercises });
+
+describe('PersonalRecords', () => {
+  describe('1RM formulas', () => {
+    it('should estimate with Epley', () => {
+      expect(epley(100, 5)).toBe(116.7);
+      expect(epley(100, 1)).toBe(100);
+    });
+
+    it('should estimate with Brzycki', () => {
+      expect(brzycki(100, 5)).toBe(112.5);
+      expect(brzycki(100, 1)).toBe(100);
+    });
+
+    it('should not estimate Brzycki beyond 36 reps', () => {
+      expect(brzycki(20, 40)).toBeNull();
+    });
+
+    it('should return 0 without weight', () => {
+      expect(epley(0, 10)).toBe(0);
+      expect(brzycki(0, 10)).toBe(0);
+    });
+  });
+
+  describe('getExerciseKey', () => {
+    it('should prefer the library exerciseId', () => {
+      expect(getExerciseKey({ exerciseId: 'abc', name: 'Bench' })).toBe('abc');
+    });
+
+    it('should normalize free-text names', () => {
+      expect(getExerciseKey({ name: 'Sentadílla ' })).toBe(getExerciseKey({ name: 'sentadilla' }));
+    });
+  });
+
+  describe('computeRecords', () => {
+    it('should track weight, reps per weight, 1RM and session volume', () => {
+      const records = computeRecords([
+        strength('w1', '2025-11-01', [
+          { name: 'Sentadilla', sets: 5, reps: 5, weight: 100 },
+          { name: 'Sentadilla', sets: 1, reps: 3, weight: 110 },
+        ]),
+        strength('w2', '2025-11-08', [{ name: 'Sentadilla', sets: 3, reps: 8, weight: 100 }]),
+      ]);
+
+      const squat = records.get('name:sentadilla');
+      expect(squat.maxWeight).toEqual(expect.objectContaining({ weight: 110, reps: 3, workoutId: 'w1' }));
+      expect(squat.repsByWeight).toEqual([
+        expect.objectContaining({ weight: 100, reps: 8, workoutId: 'w2' }),
+        expect.objectContaining({ weight: 110, reps: 3, workoutId: 'w1' }),
+      ]);
+      expect(squat.estimatedOneRepMax.epley).toEqual(
+        expect.objectContaining({ value: 126.7, weight: 100, reps: 8, workoutId: 'w2' })
+      );
+      // 5×5×100 + 1×3×110 en la misma sesión
+      expect(squat.bestVolume).toEqual(expect.objectContaining({ value: 2830, workoutId: 'w1' }));
+    });
+
+    it('should ignore workouts that are not strength', () => {
+      const records = computeRecords([
+        { id: 'w1', type: 'cardio', date: new Date('2025-11-01'), exercises: [{ name: 'Correr', sets: 1, reps: 1 }] },
+      ]);
+
+      expect(records.size).toBe(0);
+    });
+
+    it('should keep bodyweight reps without weight records', () => {
+      const records = computeRecords([strength('w1', '2025-11-01', [{ name: 'Dominadas', sets: 3, reps: 12 }])]);
+
+      const pullUps = records.get('name:dominadas');
+      expect(pullUps.repsByWeight).toEqual([expect.objectContaining({ weight: 0, reps: 12 })]);
+      expect(pullUps.maxWeight).toBeNull();
+      expect(pullUps.bestVolume).toBeNull();
+    });
+  });
+
+  describe('applyWorkout', () => {
+    it('should report records that beat a previous one', () => {
+      const records = computeRecords([
+        strength('w1', '2025-11-01', [{ exerciseId: 'bench', name: 'Bench Press', sets: 3, reps: 5, weight: 80 }]),
+      ]);
+
+      const improvements = applyWorkout(
+        records,
+        strength('w2', '2025-11-08', [{ exerciseId: 'bench', name: 'Bench Press', sets: 3, reps: 5, weight: 85 }])
+      );
+
+      expect(improvements.map((pr) => pr.record)).toEqual(['maxWeight', 'epley', 'brzycki', 'volume']);
+      expect(improvements[0]).toEqual({
+        exerciseId: 'bench',
+        name: 'Bench Press',
+        record: 'maxWeight',
+        value: 85,
+        previous: 80,
+      });
+    });
+
+    it('should report more reps with the same weight', () => {
+      const records = computeRecords([
+        strength('w1', '2025-11-01', [{ name: 'Remo', sets: 1, reps: 8, weight: 60 }]),
+      ]);
+
+      const improvements = applyWorkout(
+        records,
+        strength('w2', '2025-11-08', [{ name: 'Remo', sets: 1, reps: 10, weight: 60 }])
+      );
+
+      expect(improvements).toContainEqual(
+        expect.objectContaining({ record: 'reps', value: 10, previous: 8, weight: 60 })
+      );
+    });
+
+    it('should report each record once for pyramid sets', () => {
+      const records = computeRecords([
+        strength('w1', '2025-11-01', [{ name: 'Sentadilla', sets: 1, reps: 5, weight: 100 }]),
+      ]);
+      // Objeto como los del repositorio (con toJSON)
+      records.get('name:sentadilla').toJSON = () => ({});
+
+      const improvements = applyWorkout(
+        records,
+        strength('w2', '2025-11-08', [
+          {
+            name: 'Sentadilla',
+            sets: 3,
+            reps: 3,
+            weight: 120,
+            setDetails: [
+              { reps: 5, weight: 60, setType: 'warmup' },
+              { reps: 5, weight: 100 },
+              { reps: 3, weight: 110 },
+              { reps: 1, weight: 120 },
+              { reps: 1, weight: 130, completed: false },
+            ],
+          },
+        ])
+      );
+
+      const maxWeight = improvements.filter((pr) => pr.record === 'maxWeight');
+      expect(maxWeight).toEqual([expect.objectContaining({ value: 120, previous: 100 })]);
+      expect(records.get('name:sentadilla').bestVolume.value).toBe(500 + 330 + 120);
+    });
+
+    it('should not report the first time an exercise is logged', () => {
+      const improvements = applyWorkout(
+        new Map(),
+        strength('w1', '2025-11-01', [{ name: 'Peso muerto', sets: 1, reps: 5, weight: 140 }])
+      );
+
+      expect(improvements).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { PERIOD_CACHE_TTL, countPeriodDays, parseStatsPeriod } from '../StatsPeriod.js';
+import { ValidationError } from '../../../shared/errors/AppError.js';
+
+describe('StatsPeriod', () => {
+  describe('countPeriodDays', () => {
+    it('should count both ends of the period', () => {
+      expect(countPeriodDays('2025-11-01', '2025-11-01')).toBe(1);
+      expect(countPeriodDays('2025-11-01', '2025-11-30')).toBe(30);
+    });
+  });
+
+  describe('parseStatsPeriod', () => {
+    it('should return weekly periods of up to 7 days', () => {
+      expect(parseStatsPeriod('2025-11-01T10:00:00.000Z', '2025-11-07')).toEqual({
+        start: '2025-11-01',
+        end: '2025-11-07',
+        daysInPeriod: 7,
+        period: 'weekly',
+      });
+    });
+
+    it('should return monthly periods for longer ranges', () => {
+      const { daysInPeriod, period } = parseStatsPeriod('2025-11-01', '2025-11-08');
+
+      expect(daysInPeriod).toBe(8);
+      expect(period).toBe('monthly');
+      expect(PERIOD_CACHE_TTL[period]).toBe(7200);
+    });
+
+    it('should reject missing dates', () => {
+      expect(() => parseStatsPeriod('2025-11-01')).toThrow(
+        new ValidationError('Start date and end date are required')
+      );
+    });
+
+    it('should reject inverted ranges', () => {
+      expect(() => parseStatsPeriod('2025-11-07', '2025-11-01')).toThrow(
+        'End date must be after start date'
+      );
+    });
+
+    it('should reject periods longer than 366 days', () => {
+      expect(() => parseStatsPeriod('2024-01-01', '2024-12-31')).not.toThrow();
+      expect(() => parseStatsPeriod('2024-01-01', '2025-01-01')).toThrow(
+        'Period cannot exceed 366 days'
+      );
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateCode,
+  getTimeStep,
+  verifyCode
+} from '../Totp.js';
+
+describe('Totp', () => {
+  // Secreto de los vectores de prueba del RFC 6238 ("12345678901234567890")
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+  describe('base32', () => {
+    it('should encode and decode without padding', () => {
+      expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(secret);
+      expect(base32Decode(secret).toString()).toBe('12345678901234567890');
+      expect(base32Encode(Buffer.from('f'))).toBe('MY');
+      expect(base32Decode('my======').toString()).toBe('f');
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character: 1');
+    });
+  });
+
+  describe('generateCode', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      expect(generateCode(secret, getTimeStep(59 * 1000), 8)).toBe('94287082');
+      expect(generateCode(secret, getTimeStep(1111111109 * 1000), 8)).toBe('07081804');
+      expect(generateCode(secret, getTimeStep(1234567890 * 1000), 8)).toBe('89005924');
+      expect(generateCode(secret, getTimeStep(1111111109 * 1000))).toBe('081804');
+    });
+  });
+
+  describe('verifyCode', () => {
+    const timestamp = 1111111109 * 1000;
+
+    it('should return the time step of a valid code', () => {
+      expect(verifyCode(secret, '081804', { timestamp })).toBe(getTimeStep(timestamp));
+    });
+
+    it('should accept the codes of the adjacent steps', () => {
+      const previous = generateCode(secret, getTimeStep(timestamp) - 1);
+
+      expect(verifyCode(secret, previous, { timestamp })).toBe(getTimeStep(timestamp) - 1);
+      expect(verifyCode(secret, previous, { timestamp, window: 0 })).toBeNull();
+    });
+
+    it('should reject wrong or malformed codes', () => {
+      expect(verifyCode(secret, '000000', { timestamp })).toBeNull();
+      expect(verifyCode(secret, '08180', { timestamp })).toBeNull();
+      expect(verifyCode(secret, 'abcdef', { timestamp })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should build the URI for authenticator apps', () => {
+      expect(
+        buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', issuer: 'Gordont', account: 'ana@example.com' })
+      ).toBe(
+        'otpauth://totp/Gordont%3Aana%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Gordont' +
+          '&algorithm=SHA1&digits=6&period=30'
+      );
+    });
+  });
+});
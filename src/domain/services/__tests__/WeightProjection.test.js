@@ -0,0 +1,96 @@
+import { projectWeightGoal } from '../WeightProjection.js';
+
+describe('WeightProjection', () => {
+  const base = {
+    today: '2025-12-04',
+    currentWeight: 78,
+    goalWeight: 72,
+  };
+
+  describe('projectWeightGoal', () => {
+    it('should project the goal date from the weight trend', () => {
+      const projection = projectWeightGoal({ ...base, trendWeeklyRate: -0.5 });
+
+      expect(projection.remaining).toBe(-6);
+      expect(projection.direction).toBe('lose');
+      // 6 kg a 0.5 kg/semana = 12 semanas
+      expect(projection.projections.trend).toEqual({
+        weeklyRate: -0.5,
+        expectedDate: '2026-02-26',
+        daysToGoal: 84,
+      });
+      expect(projection.expectedDate).toBe('2026-02-26');
+      expect(projection.required).toBeNull();
+    });
+
+    it('should fall back to the energy balance without a weight trend', () => {
+      // -550 kcal/día × 7 = 3850 kcal/semana = 0.5 kg/semana
+      const projection = projectWeightGoal({ ...base, averageNet: -550 });
+
+      expect(projection.projections.trend.expectedDate).toBeNull();
+      expect(projection.projections.energyBalance).toEqual({
+        averageNet: -550,
+        weeklyRate: -0.5,
+        expectedDate: '2026-02-26',
+        daysToGoal: 84,
+      });
+      expect(projection.expectedDate).toBe('2026-02-26');
+    });
+
+    it('should not project a date when the rate moves away from the goal', () => {
+      const projection = projectWeightGoal({ ...base, trendWeeklyRate: 0.3, averageNet: 200 });
+
+      expect(projection.projections.trend.expectedDate).toBeNull();
+      expect(projection.projections.energyBalance.expectedDate).toBeNull();
+      expect(projection.expectedDate).toBeNull();
+    });
+
+    it('should return the required rate and daily deficit for the goal date', () => {
+      const projection = projectWeightGoal({ ...base, goalDate: '2026-04-16' });
+
+      // 133 días = 19 semanas
+      expect(projection.required).toEqual({
+        daysToTarget: 133,
+        weeklyRate: -0.32,
+        weeklyRatePercent: 0.41,
+        dailyDeficit: 347,
+      });
+      expect(projection.warnings).toEqual([]);
+    });
+
+    it('should warn when the required rate exceeds 1% of body weight per week', () => {
+      const projection = projectWeightGoal({ ...base, goalDate: '2026-01-15' });
+
+      expect(projection.required.weeklyRate).toBe(-1);
+      expect(projection.required.dailyDeficit).toBe(1100);
+      expect(projection.warnings).toEqual([expect.objectContaining({ code: 'UNSAFE_RATE' })]);
+    });
+
+    it('should return a surplus for weight gain goals', () => {
+      const projection = projectWeightGoal({
+        ...base,
+        goalWeight: 80,
+        goalDate: '2026-04-16',
+      });
+
+      expect(projection.direction).toBe('gain');
+      expect(projection.required.dailyDeficit).toBe(-116);
+    });
+
+    it('should warn when the goal date has passed', () => {
+      const projection = projectWeightGoal({ ...base, goalDate: '2025-12-01' });
+
+      expect(projection.required).toBeNull();
+      expect(projection.warnings).toEqual([expect.objectContaining({ code: 'GOAL_DATE_PASSED' })]);
+    });
+
+    it('should mark the goal as reached', () => {
+      const projection = projectWeightGoal({ ...base, goalWeight: 78, goalDate: '2026-01-15' });
+
+      expect(projection.reached).toBe(true);
+      expect(projection.direction).toBe('maintain');
+      expect(projection.required).toBeNull();
+      expect(projection.expectedDate).toBeNull();
+    });
+  });
+});
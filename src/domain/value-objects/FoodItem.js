@@ -1,10 +1,22 @@
+import { calculateFoodMacros, MICRONUTRIENT_KEYS } from '../services/MacroCalculator.js';
+
 /**
  * Value Object: FoodItem
  * No tiene identidad, es immutable
  * Solo representa valores
  */
 export class FoodItem {
-  constructor({ name, calories, protein, carbs, fat, quantity = 100 }) {
+  constructor({
+    name,
+    calories,
+    protein,
+    carbs,
+    fat,
+    quantity = 100,
+    foodId = null,
+    recipeId = null,
+    ...rest
+  }) {
     if (!name || name.length < 2) {
       throw new Error('Food name must be at least 2 characters');
     }
@@ -20,9 +32,15 @@ export class FoodItem {
     if (fat < 0) {
       throw new Error('Fat must be non-negative');
     }
-    if (quantity < 1 || quantity > 10000) {
-      throw new Error('Quantity must be between 1 and 10000 grams');
+    // Mismos límites que los validators y los schemas (se admiten porciones de menos de 1g, ej: especias)
+    if (quantity < 0.1 || quantity > 10000) {
+      throw new Error('Quantity must be between 0.1 and 10000 grams');
     }
+    MICRONUTRIENT_KEYS.forEach((key) => {
+      if (rest[key] !== undefined && rest[key] !== null && rest[key] < 0) {
+        throw new Error(`${key} must be non-negative`);
+      }
+    });
 
     this.name = name;
     this.calories = calories;
@@ -30,19 +48,49 @@ export class FoodItem {
     this.carbs = carbs;
     this.fat = fat;
     this.quantity = quantity;
+    this.foodId = foodId; // Referencia al catálogo (solo informativa, los valores son un snapshot)
+    this.recipeId = recipeId; // Receta de la que se sintetizó (también solo informativa)
+
+    // Micronutrientes opcionales (por 100g), solo los informados
+    MICRONUTRIENT_KEYS.forEach((key) => {
+      if (rest[key] !== undefined && rest[key] !== null) {
+        this[key] = rest[key];
+      }
+    });
+  }
+
+  /**
+   * Crear un snapshot a partir de un alimento del catálogo
+   * Los valores del catálogo son por 100g, igual que los de FoodItem
+   */
+  static fromCatalog(food, quantity = food.servingSize || 100) {
+    return new FoodItem({
+      foodId: food.id,
+      name: food.name,
+      calories: food.calories,
+      protein: food.protein,
+      carbs: food.carbs,
+      fat: food.fat,
+      quantity
+    });
+  }
+
+  /**
+   * Micronutrientes informados para este alimento (por 100g)
+   */
+  getMicronutrients() {
+    return MICRONUTRIENT_KEYS.reduce((result, key) => {
+      if (this[key] !== undefined) result[key] = this[key];
+      return result;
+    }, {});
   }
 
   /**
    * Calcular macros para este alimento específico
+   * Incluye los micronutrientes informados, escalados igual que los macros
    */
   getMacros() {
-    const quantity = this.quantity / 100;
-    return {
-      calories: this.calories * quantity,
-      protein: this.protein * quantity,
-      carbs: this.carbs * quantity,
-      fat: this.fat * quantity
-    };
+    return calculateFoodMacros(this);
   }
 
   /**
@@ -55,17 +103,21 @@ export class FoodItem {
       this.protein === other.protein &&
       this.carbs === other.carbs &&
       this.fat === other.fat &&
-      this.quantity === other.quantity
+      this.quantity === other.quantity &&
+      MICRONUTRIENT_KEYS.every((key) => this[key] === other[key])
     );
   }
 
   toJSON() {
     return {
+      ...(this.foodId && { foodId: this.foodId }),
+      ...(this.recipeId && { recipeId: this.recipeId }),
       name: this.name,
       calories: this.calories,
       protein: this.protein,
       carbs: this.carbs,
       fat: this.fat,
+      ...this.getMicronutrients(),
       quantity: this.quantity
     };
   }
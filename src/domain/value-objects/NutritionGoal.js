@@ -0,0 +1,102 @@
+/**
+ * Value Object: NutritionGoal
+ * Objetivo diario de calorías y macros de un usuario, vigente desde `effectiveFrom`.
+ *
+ * Los macros se pueden expresar en gramos o como porcentaje de las calorías
+ * (macroMode = 'percentage'); en ese caso se convierten a gramos con
+ * 4 kcal/g para proteína y carbohidratos y 9 kcal/g para grasa.
+ */
+export const MACRO_MODES = ['grams', 'percentage'];
+
+export const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+const MACROS = ['protein', 'carbs', 'fat'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export class NutritionGoal {
+  constructor({ calories, macroMode = 'grams', protein = null, carbs = null, fat = null, effectiveFrom }) {
+    if (!calories || calories < 500 || calories > 10000) {
+      throw new Error('Calorie goal must be between 500 and 10000 kcal');
+    }
+    if (!MACRO_MODES.includes(macroMode)) {
+      throw new Error(`Macro mode must be one of: ${MACRO_MODES.join(', ')}`);
+    }
+    const macroValues = [protein, carbs, fat];
+    if (macroValues.some((value) => value !== null && value !== undefined && value < 0)) {
+      throw new Error('Macro goals must be non-negative');
+    }
+    if (macroMode === 'percentage') {
+      if (macroValues.some((value) => value === null || value === undefined)) {
+        throw new Error('Protein, carbs and fat are required when using percentages');
+      }
+      if (Math.abs(protein + carbs + fat - 100) > 0.5) {
+        throw new Error('Macro percentages must add up to 100');
+      }
+    }
+
+    this.calories = calories;
+    this.macroMode = macroMode;
+    this.protein = protein ?? null;
+    this.carbs = carbs ?? null;
+    this.fat = fat ?? null;
+    this.effectiveFrom = effectiveFrom;
+  }
+
+  /**
+   * Objetivos en gramos (null si el macro no tiene objetivo)
+   */
+  getTargets() {
+    const targets = { calories: this.calories };
+
+    MACROS.forEach((macro) => {
+      const value = this[macro];
+      if (value === null) {
+        targets[macro] = null;
+      } else if (this.macroMode === 'percentage') {
+        targets[macro] = round((this.calories * value) / 100 / KCAL_PER_GRAM[macro]);
+      } else {
+        targets[macro] = value;
+      }
+    });
+
+    return targets;
+  }
+
+  /**
+   * Comparar lo consumido contra el objetivo
+   * @param {Object} consumed - { calories, protein, carbs, fat }
+   * @returns {Object} - Por macro: { target, consumed, remaining, percent, over }
+   */
+  evaluate(consumed) {
+    const targets = this.getTargets();
+    const progress = {};
+
+    Object.entries(targets).forEach(([macro, target]) => {
+      if (target === null) return;
+
+      const value = consumed[macro] || 0;
+      progress[macro] = {
+        target,
+        consumed: round(value),
+        remaining: round(Math.max(target - value, 0)),
+        percent: target > 0 ? round((value / target) * 100) : 0,
+        over: value > target
+      };
+    });
+
+    return progress;
+  }
+
+  toJSON() {
+    return {
+      calories: this.calories,
+      macroMode: this.macroMode,
+      protein: this.protein,
+      carbs: this.carbs,
+      fat: this.fat,
+      effectiveFrom: this.effectiveFrom,
+      targets: this.getTargets()
+    };
+  }
+}
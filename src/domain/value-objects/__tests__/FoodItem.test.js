@@ -40,6 +40,19 @@ describe('FoodItem Value Object', () => {
       }).toThrow();
     });
 
+    it('should accept quantities under 1g', () => {
+      const food = new FoodItem({
+        name: 'Pimienta',
+        calories: 251,
+        protein: 10,
+        carbs: 64,
+        fat: 3.3,
+        quantity: 0.5
+      });
+
+      expect(food.quantity).toBe(0.5);
+    });
+
     it('should reject invalid quantity', () => {
       expect(() => {
         new FoodItem({
@@ -52,6 +65,17 @@ describe('FoodItem Value Object', () => {
         });
       }).toThrow();
 
+      expect(() => {
+        new FoodItem({
+          name: 'Food',
+          calories: 95,
+          protein: 0.5,
+          carbs: 25,
+          fat: 0.3,
+          quantity: 0.05
+        });
+      }).toThrow();
+
       expect(() => {
         new FoodItem({
           name: 'Food',
@@ -160,4 +184,70 @@ describe('FoodItem Value Object', () => {
       expect(json.quantity).toBe(150);
     });
   });
-});
\ No newline at end of file
+
+  describe('fromCatalog', () => {
+    const catalogFood = {
+      id: 'food-123',
+      name: 'Arroz blanco',
+      calories: 130,
+      protein: 2.7,
+      carbs: 28,
+      fat: 0.3,
+      servingSize: 150
+    };
+
+    it('should copy catalog values and keep the reference', () => {
+      const food = FoodItem.fromCatalog(catalogFood, 200);
+
+      expect(food.name).toBe('Arroz blanco');
+      expect(food.calories).toBe(130);
+      expect(food.quantity).toBe(200);
+      expect(food.toJSON().foodId).toBe('food-123');
+    });
+
+    it('should default quantity to the serving size', () => {
+      const food = FoodItem.fromCatalog(catalogFood);
+
+      expect(food.quantity).toBe(150);
+      expect(food.getMacros().calories).toBeCloseTo(195);
+    });
+
+    it('should not include foodId for manual items', () => {
+      const food = new FoodItem({ name: 'Apple', calories: 95, protein: 0.5, carbs: 25, fat: 0.3 });
+
+      expect(food.toJSON()).not.toHaveProperty('foodId');
+    });
+  });
+
+  describe('micronutrients', () => {
+    it('should keep optional micronutrients and scale them with quantity', () => {
+      const food = new FoodItem({
+        name: 'Espinaca',
+        calories: 23,
+        protein: 2.9,
+        carbs: 3.6,
+        fat: 0.4,
+        fiber: 2.2,
+        iron: 2.7,
+        quantity: 50
+      });
+
+      expect(food.getMicronutrients()).toEqual({ fiber: 2.2, iron: 2.7 });
+      expect(food.getMacros().iron).toBeCloseTo(1.35);
+      expect(food.toJSON().fiber).toBe(2.2);
+    });
+
+    it('should work without micronutrients', () => {
+      const food = new FoodItem({ name: 'Apple', calories: 95, protein: 0.5, carbs: 25, fat: 0.3 });
+
+      expect(food.getMicronutrients()).toEqual({});
+      expect(food.getMacros()).not.toHaveProperty('fiber');
+    });
+
+    it('should reject negative micronutrients', () => {
+      expect(() => {
+        new FoodItem({ name: 'Food', calories: 95, protein: 0.5, carbs: 25, fat: 0.3, sodium: -5 });
+      }).toThrow('sodium must be non-negative');
+    });
+  });
+});
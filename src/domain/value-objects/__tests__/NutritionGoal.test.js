@@ -0,0 +1,86 @@
+import { NutritionGoal } from '../NutritionGoal.js';
+
+describe('NutritionGoal Value Object', () => {
+  describe('creation', () => {
+    it('should create a grams goal with optional macros', () => {
+      const goal = new NutritionGoal({ calories: 2000, protein: 150 });
+
+      expect(goal.macroMode).toBe('grams');
+      expect(goal.protein).toBe(150);
+      expect(goal.carbs).toBeNull();
+    });
+
+    it('should reject unrealistic calorie goals', () => {
+      expect(() => new NutritionGoal({ calories: 100 })).toThrow();
+      expect(() => new NutritionGoal({ calories: 20000 })).toThrow();
+    });
+
+    it('should reject negative macros', () => {
+      expect(() => new NutritionGoal({ calories: 2000, fat: -1 })).toThrow();
+    });
+
+    it('should require percentages that add up to 100', () => {
+      expect(
+        () => new NutritionGoal({ calories: 2000, macroMode: 'percentage', protein: 30, carbs: 30, fat: 30 })
+      ).toThrow('Macro percentages must add up to 100');
+
+      expect(
+        () => new NutritionGoal({ calories: 2000, macroMode: 'percentage', protein: 30, carbs: 70 })
+      ).toThrow();
+    });
+  });
+
+  describe('getTargets', () => {
+    it('should convert percentages to grams', () => {
+      const goal = new NutritionGoal({
+        calories: 2000,
+        macroMode: 'percentage',
+        protein: 30,
+        carbs: 40,
+        fat: 30
+      });
+
+      expect(goal.getTargets()).toEqual({
+        calories: 2000,
+        protein: 150,
+        carbs: 200,
+        fat: 66.67
+      });
+    });
+
+    it('should keep grams as they are', () => {
+      const goal = new NutritionGoal({ calories: 2200, protein: 160, carbs: 250, fat: 70 });
+
+      expect(goal.getTargets()).toEqual({ calories: 2200, protein: 160, carbs: 250, fat: 70 });
+    });
+  });
+
+  describe('evaluate', () => {
+    it('should report remaining, percent and over flag per macro', () => {
+      const goal = new NutritionGoal({ calories: 2000, protein: 150 });
+
+      const progress = goal.evaluate({ calories: 1500, protein: 180, carbs: 100, fat: 50 });
+
+      expect(progress.calories).toEqual({
+        target: 2000,
+        consumed: 1500,
+        remaining: 500,
+        percent: 75,
+        over: false
+      });
+      expect(progress.protein).toEqual({
+        target: 150,
+        consumed: 180,
+        remaining: 0,
+        percent: 120,
+        over: true
+      });
+    });
+
+    it('should skip macros without a target', () => {
+      const goal = new NutritionGoal({ calories: 2000 });
+
+      expect(Object.keys(goal.evaluate({ calories: 100 }))).toEqual(['calories']);
+    });
+  });
+});
@@ -220,6 +220,7 @@ export default class CacheService {
     const patterns = [
       this.buildKey(this.PREFIX.WORKOUT, userId, 'list', '*'),
       this.buildKey(this.PREFIX.PAGINATED, userId, 'workouts', '*'),
+      this.buildKey(this.PREFIX.STATS, userId, 'daily', 'workouts', '*'),
       this.buildKey(this.PREFIX.STATS, userId, 'weekly', '*'),
       this.buildKey(this.PREFIX.STATS, userId, 'monthly', '*'),
     ];
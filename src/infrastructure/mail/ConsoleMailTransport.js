@@ -0,0 +1,19 @@
+import logger from '../../shared/logger/logger.js';
+
+/**
+ * Development mail transport: writes each message to the application log
+ * instead of delivering it. Never use it in production, the log would
+ * contain the reset links.
+ */
+export class ConsoleMailTransport {
+  async send(message) {
+    logger.info('Mail message (console transport)', {
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+
+    return { delivered: false, transport: 'console' };
+  }
+}
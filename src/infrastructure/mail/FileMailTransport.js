@@ -0,0 +1,37 @@
+import { randomUUID } from 'crypto';
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import logger from '../../shared/logger/logger.js';
+
+/**
+ * Development mail transport: saves each message as an .eml file so it can be
+ * opened with any mail client
+ */
+export class FileMailTransport {
+  /**
+   * @param {string} directory - Folder where messages are written (created if missing)
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await mkdir(this.directory, { recursive: true });
+
+    const filePath = path.join(this.directory, `${Date.now()}-${randomUUID()}.eml`);
+    const content = [
+      `From: ${message.from}`,
+      `To: ${message.to}`,
+      `Subject: ${message.subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      'Content-Type: text/plain; charset=utf-8',
+      '',
+      message.text
+    ].join('\r\n');
+
+    await writeFile(filePath, content, 'utf8');
+    logger.info('Mail message written to file', { to: message.to, filePath });
+
+    return { delivered: false, transport: 'file', filePath };
+  }
+}
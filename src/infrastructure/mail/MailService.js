@@ -0,0 +1,73 @@
+import logger from '../../shared/logger/logger.js';
+import { ConsoleMailTransport } from './ConsoleMailTransport.js';
+import { FileMailTransport } from './FileMailTransport.js';
+
+/**
+ * Available transports by name (config.mail.transport).
+ * A transport is any object with an async send({ from, to, subject, text }) method;
+ * a real provider (SMTP, API) only needs to be registered here.
+ */
+export const MAIL_TRANSPORTS = {
+  console: () => new ConsoleMailTransport(),
+  file: (options) => new FileMailTransport(options.fileDir)
+};
+
+/**
+ * Build the transport configured in config.mail
+ * @param {Object} options - { transport, fileDir }
+ * @returns {Object} - Transport instance
+ */
+export function createMailTransport(options) {
+  const factory = MAIL_TRANSPORTS[options.transport];
+
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${options.transport}`);
+  }
+
+  return factory(options);
+}
+
+/**
+ * Builds the application emails and hands them to the configured transport
+ */
+export class MailService {
+  /**
+   * @param {Object} transport - Object with an async send(message) method
+   * @param {Object} options - { from }
+   */
+  constructor(transport, { from } = {}) {
+    this.transport = transport;
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    try {
+      return await this.transport.send({ from: this.from, to, subject, text });
+    } catch (error) {
+      logger.error('Error sending mail', { to, subject, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Password reset email with the single-use link
+   * @param {Object} user - { email, name }
+   * @param {Object} reset - { url, expiresInMinutes }
+   */
+  async sendPasswordReset(user, { url, expiresInMinutes }) {
+    return this.send({
+      to: user.email,
+      subject: 'Recupera tu contraseña de Gordont',
+      text: [
+        `Hola ${user.name},`,
+        '',
+        'Recibimos una solicitud para restablecer tu contraseña. Para elegir una nueva, abre este enlace:',
+        '',
+        url,
+        '',
+        `El enlace vence en ${expiresInMinutes} minutos y solo se puede usar una vez.`,
+        'Si no pediste el cambio, ignora este correo: tu contraseña sigue siendo la misma.'
+      ].join('\n')
+    });
+  }
+}
@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MailService, createMailTransport } from '../MailService.js';
+import { ConsoleMailTransport } from '../ConsoleMailTransport.js';
+import { FileMailTransport } from '../FileMailTransport.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MailService', () => {
+  describe('createMailTransport', () => {
+    it('should build the configured transport', () => {
+      expect(createMailTransport({ transport: 'console' })).toBeInstanceOf(ConsoleMailTransport);
+      expect(createMailTransport({ transport: 'file', fileDir: 'logs/mail' })).toBeInstanceOf(
+        FileMailTransport
+      );
+    });
+
+    it('should throw for unknown transports', () => {
+      expect(() => createMailTransport({ transport: 'carrier-pigeon' })).toThrow(
+        'Unknown mail transport: carrier-pigeon'
+      );
+    });
+  });
+
+  describe('sendPasswordReset', () => {
+    it('should send the reset link through the transport', async () => {
+      // Arrange
+      const transport = { send: jest.fn().mockResolvedValue({ delivered: true }) };
+      const mailService = new MailService(transport, { from: 'Gordont <no-reply@gordont.local>' });
+
+      // Act
+      await mailService.sendPasswordReset(
+        { email: 'test@example.com', name: 'Test User' },
+        { url: 'http://localhost:3000/reset-password?token=abc', expiresInMinutes: 30 }
+      );
+
+      // Assert
+      const message = transport.send.mock.calls[0][0];
+      expect(message.from).toBe('Gordont <no-reply@gordont.local>');
+      expect(message.to).toBe('test@example.com');
+      expect(message.text).toContain('http://localhost:3000/reset-password?token=abc');
+      expect(message.text).toContain('30 minutos');
+    });
+  });
+
+  describe('FileMailTransport', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await mkdtemp(path.join(os.tmpdir(), 'gordont-mail-'));
+    });
+
+    afterEach(async () => {
+      await rm(directory, { recursive: true, force: true });
+    });
+
+    it('should write each message as an .eml file', async () => {
+      // Arrange
+      const mailService = new MailService(new FileMailTransport(directory), {
+        from: 'no-reply@gordont.local',
+      });
+
+      // Act
+      const result = await mailService.send({
+        to: 'test@example.com',
+        subject: 'Hola',
+        text: 'Cuerpo del correo',
+      });
+
+      // Assert
+      const files = await readdir(directory);
+      expect(files).toHaveLength(1);
+      expect(files[0]).toMatch(/\.eml$/);
+      expect(result.filePath).toBe(path.join(directory, files[0]));
+
+      const content = await readFile(result.filePath, 'utf8');
+      expect(content).toContain('To: test@example.com');
+      expect(content).toContain('Subject: Hola');
+      expect(content).toContain('Cuerpo del correo');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import logger from '../../../shared/logger/logger.js';
+import { calculateTotals } from '../../../domain/services/MacroCalculator.js';
+
+/**
+ * Migration: Recalculate Entry Totals
+ *
+ * Purpose: Fix totalCalories/totalProtein/totalCarbs/totalFat of existing entries.
+ * The old entrySchema pre('save') hook summed the raw per-100g values of each food
+ * and ignored `quantity`, and updates never recomputed totals at all. Totals are now
+ * computed with MacroCalculator (same formula as Entry.calculateMacros).
+ *
+ * Notes:
+ * - Only entries whose stored totals differ are written
+ * - Writes are sent in batches to keep memory usage low on large collections
+ * - Safe to run more than once
+ */
+
+const BATCH_SIZE = 500;
+
+const TOTAL_FIELDS = ['totalCalories', 'totalProtein', 'totalCarbs', 'totalFat'];
+
+export const up = async () => {
+  try {
+    logger.info('Starting migration: 002_recalculate_entry_totals');
+
+    const entriesCollection = mongoose.connection.db.collection('entries');
+    const cursor = entriesCollection.find(
+      {},
+      { projection: { foods: 1, totalCalories: 1, totalProtein: 1, totalCarbs: 1, totalFat: 1 } }
+    );
+
+    let scanned = 0;
+    let updated = 0;
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await entriesCollection.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+      operations = [];
+    };
+
+    for await (const entry of cursor) {
+      scanned++;
+
+      const totals = calculateTotals(entry.foods || []);
+      const changed = TOTAL_FIELDS.some(field => entry[field] !== totals[field]);
+
+      if (changed) {
+        operations.push({
+          updateOne: {
+            filter: { _id: entry._id },
+            update: { $set: totals }
+          }
+        });
+      }
+
+      if (operations.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    logger.info(' Migration 002_recalculate_entry_totals completed successfully', { scanned, updated });
+
+    console.log('\n Entry totals recalculated');
+    console.log(`  - Entries scanned: ${scanned}`);
+    console.log(`  - Entries updated: ${updated}`);
+    console.log('');
+
+    return { success: true, scanned, updated };
+  } catch (error) {
+    logger.error('Migration 002_recalculate_entry_totals failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Rollback function - nothing to undo
+ * The previous totals were wrong, so they are not restored.
+ */
+export const down = async () => {
+  logger.info('Rolling back migration: 002_recalculate_entry_totals (no-op, previous totals were incorrect)');
+  return { success: true };
+};
+
+export default { up, down };
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+import { readFile } from 'fs/promises';
+import logger from '../../../shared/logger/logger.js';
+import { Exercise } from '../../../domain/entities/Exercise.js';
+
+/**
+ * Migration: Seed Exercise Library
+ *
+ * Purpose: Load the bundled exercise library (seeds/exercises.json) so workout
+ * exercises can reference an `exerciseId` and free-text names like "bench" or
+ * "Press banca" are matched to the same exercise.
+ *
+ * Notes:
+ * - Exercises are upserted by canonical name with $setOnInsert, so exercises
+ *   already edited by an admin are left untouched
+ * - Safe to run more than once
+ */
+
+const SEED_FILE = new URL('../seeds/exercises.json', import.meta.url);
+
+const loadSeed = async () => JSON.parse(await readFile(SEED_FILE, 'utf8'));
+
+export const up = async () => {
+  try {
+    logger.info('Starting migration: 003_seed_exercise_library');
+
+    const exercisesCollection = mongoose.connection.db.collection('exercises');
+    const seed = await loadSeed();
+    const now = new Date();
+
+    const operations = seed.map((data) => {
+      const exercise = new Exercise(data);
+
+      return {
+        updateOne: {
+          filter: { name: exercise.name },
+          update: {
+            $setOnInsert: {
+              name: exercise.name,
+              aliases: exercise.aliases,
+              searchTerms: exercise.getSearchTerms(),
+              primaryMuscles: exercise.primaryMuscles,
+              secondaryMuscles: exercise.secondaryMuscles,
+              equipment: exercise.equipment,
+              category: exercise.category,
+              createdAt: now,
+              updatedAt: now
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    // Mismos índices que exerciseSchema (la colección puede no existir todavía)
+    await exercisesCollection.createIndex({ name: 1 }, { unique: true });
+    await exercisesCollection.createIndex({ searchTerms: 1 });
+    await exercisesCollection.createIndex({ primaryMuscles: 1 });
+    await exercisesCollection.createIndex({ category: 1, equipment: 1 });
+
+    const result = await exercisesCollection.bulkWrite(operations, { ordered: false });
+
+    logger.info(' Migration 003_seed_exercise_library completed successfully', {
+      total: seed.length,
+      inserted: result.upsertedCount
+    });
+
+    console.log('\n Exercise library seeded');
+    console.log(`  - Exercises in seed file: ${seed.length}`);
+    console.log(`  - Exercises inserted: ${result.upsertedCount}`);
+    console.log('');
+
+    return { success: true, total: seed.length, inserted: result.upsertedCount };
+  } catch (error) {
+    logger.error('Migration 003_seed_exercise_library failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+/**
+ * Rollback function - remove the seeded exercises
+ * Exercises added later by admins (not in the seed file) are kept.
+ */
+export const down = async () => {
+  try {
+    logger.info('Rolling back migration: 003_seed_exercise_library');
+
+    const seed = await loadSeed();
+    const result = await mongoose.connection.db
+      .collection('exercises')
+      .deleteMany({ name: { $in: seed.map((exercise) => exercise.name) } });
+
+    logger.info(' Rollback 003_seed_exercise_library completed', { deleted: result.deletedCount });
+
+    return { success: true, deleted: result.deletedCount };
+  } catch (error) {
+    logger.error('Rollback 003_seed_exercise_library failed', {
+      error: error.message,
+      stack: error.stack
+    });
+    throw error;
+  }
+};
+
+export default { up, down };
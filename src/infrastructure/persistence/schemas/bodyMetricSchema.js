@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+// Perímetros en centímetros
+const circumference = (label) => ({
+  type: Number,
+  min: [1, `${label} must be at least 1 cm`],
+  max: [300, `${label} cannot exceed 300 cm`],
+  default: null,
+});
+
+/**
+ * Peso y medidas corporales de un usuario en una fecha
+ * Todas las medidas son opcionales, pero cada registro trae al menos una
+ */
+const bodyMetricSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  date: {
+    type: Date,
+    required: [true, 'Date is required'],
+  },
+  // Mismos límites que User.weight
+  weight: {
+    type: Number,
+    min: [1, 'Weight must be at least 1 kg'],
+    max: [500, 'Weight cannot exceed 500 kg'],
+    default: null,
+  },
+  bodyFat: {
+    type: Number,
+    min: [1, 'Body fat must be at least 1%'],
+    max: [75, 'Body fat cannot exceed 75%'],
+    default: null,
+  },
+  waist: circumference('Waist'),
+  hips: circumference('Hips'),
+  chest: circumference('Chest'),
+  arms: circumference('Arms'),
+  thighs: circumference('Thighs'),
+  notes: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Historial y consultas por rango de fechas
+bodyMetricSchema.index({ userId: 1, date: -1 });
+
+// Pre-save middleware para actualizar updatedAt
+bodyMetricSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Pre-update middleware
+bodyMetricSchema.pre('findOneAndUpdate', function (next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+export const BodyMetric = mongoose.model('BodyMetric', bodyMetricSchema);
@@ -1,40 +1,8 @@
 import mongoose from 'mongoose';
+import { calculateTotals } from '../../../domain/services/MacroCalculator.js';
+import { foodItemSchema, micronutrientFields } from './foodItemSchema.js';
 
-const foodItemSchema = new mongoose.Schema(
-  {
-    name: {
-      type: String,
-      required: [true, 'Food name is required'],
-      trim: true,
-    },
-    calories: {
-      type: Number,
-      required: [true, 'Calories is required'],
-      min: [0, 'Calories cannot be negative'],
-    },
-    protein: {
-      type: Number,
-      required: [true, 'Protein is required'],
-      min: [0, 'Protein cannot be negative'],
-    },
-    carbs: {
-      type: Number,
-      required: [true, 'Carbs is required'],
-      min: [0, 'Carbs cannot be negative'],
-    },
-    fat: {
-      type: Number,
-      required: [true, 'Fat is required'],
-      min: [0, 'Fat cannot be negative'],
-    },
-    quantity: {
-      type: Number,
-      default: 100,
-      min: [0.1, 'Quantity must be greater than 0'],
-    },
-  },
-  { _id: false }
-);
+const micronutrientTotalsSchema = new mongoose.Schema(micronutrientFields, { _id: false });
 
 const entrySchema = new mongoose.Schema({
   userId: {
@@ -87,6 +55,11 @@ const entrySchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  // Suma de los micronutrientes informados en los alimentos (vacío en entradas antiguas)
+  totalMicronutrients: {
+    type: micronutrientTotalsSchema,
+    default: () => ({}),
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -97,18 +70,22 @@ const entrySchema = new mongoose.Schema({
   },
 });
 
-// Pre-save middleware para calcular totales
+// Pre-save middleware para calcular totales (escalados por quantity, igual que el dominio)
 entrySchema.pre('save', function (next) {
-  this.totalCalories = this.foods.reduce((sum, food) => sum + food.calories, 0);
-  this.totalProtein = this.foods.reduce((sum, food) => sum + food.protein, 0);
-  this.totalCarbs = this.foods.reduce((sum, food) => sum + food.carbs, 0);
-  this.totalFat = this.foods.reduce((sum, food) => sum + food.fat, 0);
+  Object.assign(this, calculateTotals(this.foods));
   this.updatedAt = Date.now();
   next();
 });
 
-// Pre-update middleware
+// Pre-update middleware: si cambian los alimentos, recalcular totales
 entrySchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate() || {};
+  const foods = update.foods ?? update.$set?.foods;
+
+  if (Array.isArray(foods)) {
+    this.set(calculateTotals(foods));
+  }
+
   this.set({ updatedAt: Date.now() });
   next();
 });
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import { EXERCISE_CATEGORIES, MUSCLE_GROUPS, EQUIPMENT } from '../../../domain/entities/Exercise.js';
+
+/**
+ * Biblioteca compartida de ejercicios
+ * Los ejercicios de un entrenamiento pueden referenciarla con `exerciseId`
+ */
+const exerciseLibrarySchema = new mongoose.Schema({
+  // Nombre canónico
+  name: {
+    type: String,
+    required: [true, 'Exercise name is required'],
+    trim: true,
+    unique: true,
+    minlength: [2, 'Exercise name must be at least 2 characters'],
+    maxlength: [100, 'Exercise name cannot exceed 100 characters'],
+  },
+  // Otros nombres con los que se conoce (abreviaturas, español, etc.)
+  aliases: {
+    type: [
+      {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Alias cannot exceed 100 characters'],
+      },
+    ],
+    default: [],
+  },
+  // Nombre y alias normalizados (Exercise.getSearchTerms), usados para buscar
+  searchTerms: {
+    type: [String],
+    default: [],
+    index: true,
+  },
+  primaryMuscles: {
+    type: [{ type: String, enum: MUSCLE_GROUPS }],
+    validate: {
+      validator(v) {
+        return v && v.length > 0;
+      },
+      message: 'At least one primary muscle is required',
+    },
+  },
+  secondaryMuscles: {
+    type: [{ type: String, enum: MUSCLE_GROUPS }],
+    default: [],
+  },
+  equipment: {
+    type: String,
+    enum: {
+      values: EQUIPMENT,
+      message: `Equipment must be one of: ${EQUIPMENT.join(', ')}`,
+    },
+    default: 'other',
+  },
+  category: {
+    type: String,
+    enum: {
+      values: EXERCISE_CATEGORIES,
+      message: `Category must be one of: ${EXERCISE_CATEGORIES.join(', ')}`,
+    },
+    required: [true, 'Category is required'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Filtros de búsqueda
+exerciseLibrarySchema.index({ primaryMuscles: 1 });
+exerciseLibrarySchema.index({ category: 1, equipment: 1 });
+
+// Pre-save middleware para actualizar updatedAt
+exerciseLibrarySchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Pre-update middleware
+exerciseLibrarySchema.pre('findOneAndUpdate', function (next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+export const Exercise = mongoose.model('Exercise', exerciseLibrarySchema);
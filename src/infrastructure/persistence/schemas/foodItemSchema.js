@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { MICRONUTRIENT_KEYS } from '../../../domain/services/MacroCalculator.js';
+
+// Micronutrientes opcionales: no tienen default para distinguir "desconocido" de 0
+export const micronutrientFields = Object.fromEntries(
+  MICRONUTRIENT_KEYS.map((key) => [key, { type: Number, min: [0, `${key} cannot be negative`] }])
+);
+
+/**
+ * Alimento dentro de una comida o de una comida guardada (subdocumento, sin _id)
+ * Los valores nutricionales son por 100g y se escalan por `quantity`
+ */
+export const foodItemSchema = new mongoose.Schema(
+  {
+    // Alimento del catálogo del que se copiaron los valores (opcional)
+    foodId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Food',
+    },
+    // Receta de la que se sintetizó el alimento (opcional)
+    recipeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Recipe',
+    },
+    name: {
+      type: String,
+      required: [true, 'Food name is required'],
+      trim: true,
+    },
+    calories: {
+      type: Number,
+      required: [true, 'Calories is required'],
+      min: [0, 'Calories cannot be negative'],
+    },
+    protein: {
+      type: Number,
+      required: [true, 'Protein is required'],
+      min: [0, 'Protein cannot be negative'],
+    },
+    carbs: {
+      type: Number,
+      required: [true, 'Carbs is required'],
+      min: [0, 'Carbs cannot be negative'],
+    },
+    fat: {
+      type: Number,
+      required: [true, 'Fat is required'],
+      min: [0, 'Fat cannot be negative'],
+    },
+    ...micronutrientFields,
+    quantity: {
+      type: Number,
+      default: 100,
+      min: [0.1, 'Quantity must be greater than 0'],
+    },
+  },
+  { _id: false }
+);
@@ -0,0 +1,80 @@
+import mongoose from 'mongoose';
+
+/**
+ * Catálogo compartido de alimentos
+ * Todos los valores nutricionales son por 100g, igual que FoodItem,
+ * para que FoodItem.getMacros pueda escalarlos según la cantidad consumida
+ */
+const foodSchema = new mongoose.Schema({
+  // Usuario que creó el alimento (solo él puede editarlo o eliminarlo)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Food name is required'],
+    trim: true,
+    minlength: [2, 'Food name must be at least 2 characters'],
+    maxlength: [100, 'Food name cannot exceed 100 characters'],
+  },
+  brand: {
+    type: String,
+    default: '',
+    trim: true,
+    maxlength: [100, 'Brand cannot exceed 100 characters'],
+  },
+  calories: {
+    type: Number,
+    required: [true, 'Calories is required'],
+    min: [0, 'Calories cannot be negative'],
+  },
+  protein: {
+    type: Number,
+    required: [true, 'Protein is required'],
+    min: [0, 'Protein cannot be negative'],
+  },
+  carbs: {
+    type: Number,
+    required: [true, 'Carbs is required'],
+    min: [0, 'Carbs cannot be negative'],
+  },
+  fat: {
+    type: Number,
+    required: [true, 'Fat is required'],
+    min: [0, 'Fat cannot be negative'],
+  },
+  // Porción sugerida en gramos (cantidad por defecto al registrarlo en una comida)
+  servingSize: {
+    type: Number,
+    default: 100,
+    min: [0.1, 'Serving size must be greater than 0'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Búsqueda y ordenamiento por nombre
+foodSchema.index({ name: 1 });
+
+// Pre-save middleware para actualizar updatedAt
+foodSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Pre-update middleware
+foodSchema.pre('findOneAndUpdate', function (next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+export const Food = mongoose.model('Food', foodSchema);
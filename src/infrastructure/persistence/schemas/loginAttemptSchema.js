@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+/**
+ * Intentos fallidos de login seguidos de una cuenta (ver LoginAttemptService), uno por
+ * contador: contraseña y códigos 2FA. Se usa cuando Redis no está disponible; un intento
+ * correcto borra el documento.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  scope: {
+    type: String,
+    enum: ['password', 'twoFactor'],
+    required: [true, 'Scope is required'],
+  },
+  failedAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedAt: {
+    type: Date,
+    default: null,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  // Los fallos se olvidan pasado este momento (se extiende con cada fallo)
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required'],
+  },
+});
+
+loginAttemptSchema.index({ userId: 1, scope: 1 }, { unique: true });
+
+// Borrado automático al vencer
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
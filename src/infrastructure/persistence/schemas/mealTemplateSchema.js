@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+import { foodItemSchema } from './foodItemSchema.js';
+
+/**
+ * Comidas guardadas (por ejemplo "Batido post-entreno")
+ * Guardan los mismos alimentos que una Entry para poder registrarlas en cualquier fecha
+ */
+const mealTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    minlength: [1, 'Template name cannot be empty'],
+    maxlength: [100, 'Template name cannot exceed 100 characters'],
+  },
+  // Tipo de comida con el que se registra si no se indica otro
+  defaultMealType: {
+    type: String,
+    enum: {
+      values: ['breakfast', 'lunch', 'dinner', 'snack'],
+      message: 'Meal type must be breakfast, lunch, dinner or snack',
+    },
+    required: [true, 'Default meal type is required'],
+  },
+  foods: {
+    type: [foodItemSchema],
+    required: [true, 'Foods array is required'],
+    validate: {
+      validator(v) {
+        return v.length > 0;
+      },
+      message: 'At least one food item is required',
+    },
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Listado de plantillas del usuario ordenado por nombre
+mealTemplateSchema.index({ userId: 1, name: 1 });
+
+// Pre-save middleware para actualizar updatedAt
+mealTemplateSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Pre-update middleware
+mealTemplateSchema.pre('findOneAndUpdate', function (next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+export const MealTemplate = mongoose.model('MealTemplate', mealTemplateSchema);
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+
+/**
+ * Objetivos nutricionales diarios de un usuario.
+ * Cada documento es una "versión" vigente desde effectiveFrom (medianoche UTC),
+ * así los días pasados se comparan con el objetivo que estaba activo en ese momento.
+ */
+const nutritionGoalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  effectiveFrom: {
+    type: Date,
+    required: [true, 'Effective from date is required'],
+  },
+  calories: {
+    type: Number,
+    required: [true, 'Calorie goal is required'],
+    min: [500, 'Calorie goal must be at least 500 kcal'],
+    max: [10000, 'Calorie goal cannot exceed 10000 kcal'],
+  },
+  macroMode: {
+    type: String,
+    enum: {
+      values: ['grams', 'percentage'],
+      message: 'Macro mode must be grams or percentage',
+    },
+    default: 'grams',
+  },
+  // Gramos o porcentaje de las calorías según macroMode
+  protein: {
+    type: Number,
+    default: null,
+    min: [0, 'Protein goal cannot be negative'],
+  },
+  carbs: {
+    type: Number,
+    default: null,
+    min: [0, 'Carbs goal cannot be negative'],
+  },
+  fat: {
+    type: Number,
+    default: null,
+    min: [0, 'Fat goal cannot be negative'],
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Un solo objetivo por usuario y fecha; también sirve para buscar el vigente
+nutritionGoalSchema.index({ userId: 1, effectiveFrom: -1 }, { unique: true });
+
+// Pre-save middleware para actualizar updatedAt
+nutritionGoalSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Pre-update middleware
+nutritionGoalSchema.pre('findOneAndUpdate', function (next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+export const NutritionGoal = mongoose.model('NutritionGoal', nutritionGoalSchema);
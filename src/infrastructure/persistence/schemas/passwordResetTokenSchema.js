@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+/**
+ * Tokens de recuperación de contraseña.
+ * Solo se guarda el hash SHA-256 del token: el token en claro viaja únicamente en el correo.
+ * Cada token es de un solo uso (usedAt) y MongoDB borra los vencidos con el índice TTL.
+ */
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required'],
+  },
+  usedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Borrado automático al vencer
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+
+export const PasswordResetToken = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,95 @@
+import mongoose from 'mongoose';
+
+// Entrenamiento en el que se logró un récord
+const sourceFields = {
+  date: {
+    type: Date,
+    required: true,
+  },
+  workoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workout',
+    required: true,
+  },
+};
+
+// Serie con la que se logró un récord (peso × reps)
+const liftSchema = new mongoose.Schema(
+  {
+    weight: { type: Number, required: true, min: 0 },
+    reps: { type: Number, required: true, min: 0 },
+    ...sourceFields,
+  },
+  { _id: false }
+);
+
+// 1RM estimado y la serie de la que sale
+const oneRepMaxSchema = new mongoose.Schema(
+  {
+    value: { type: Number, required: true, min: 0 },
+    weight: { type: Number, required: true, min: 0 },
+    reps: { type: Number, required: true, min: 0 },
+    ...sourceFields,
+  },
+  { _id: false }
+);
+
+const volumeSchema = new mongoose.Schema(
+  {
+    value: { type: Number, required: true, min: 0 },
+    ...sourceFields,
+  },
+  { _id: false }
+);
+
+/**
+ * Récords personales de un usuario en un ejercicio
+ * Se recalculan desde los entrenamientos (ver domain/services/PersonalRecords.js)
+ */
+const personalRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  // exerciseId, o "name:<nombre normalizado>" para ejercicios fuera de la biblioteca
+  key: {
+    type: String,
+    required: [true, 'Exercise key is required'],
+  },
+  exerciseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Exercise',
+    default: null,
+  },
+  name: {
+    type: String,
+    required: [true, 'Exercise name is required'],
+    trim: true,
+  },
+  maxWeight: {
+    type: liftSchema,
+    default: null,
+  },
+  repsByWeight: {
+    type: [liftSchema],
+    default: [],
+  },
+  estimatedOneRepMax: {
+    epley: { type: oneRepMaxSchema, default: null },
+    brzycki: { type: oneRepMaxSchema, default: null },
+  },
+  bestVolume: {
+    type: volumeSchema,
+    default: null,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Un documento por usuario y ejercicio
+personalRecordSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+export const PersonalRecord = mongoose.model('PersonalRecord', personalRecordSchema);
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { foodItemSchema } from './foodItemSchema.js';
+
+/**
+ * Recetas del usuario
+ * Los ingredientes se guardan como FoodItem (valores por 100g + gramos crudos usados);
+ * la nutrición por porción y por 100g se calcula en el dominio (Recipe)
+ */
+const recipeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Recipe name is required'],
+    trim: true,
+    minlength: [2, 'Recipe name must be at least 2 characters'],
+    maxlength: [100, 'Recipe name cannot exceed 100 characters'],
+  },
+  ingredients: {
+    type: [foodItemSchema],
+    required: [true, 'Ingredients array is required'],
+    validate: {
+      validator(v) {
+        return v.length > 0;
+      },
+      message: 'At least one ingredient is required',
+    },
+  },
+  // Peso del plato terminado en gramos (null = suma de los ingredientes crudos)
+  cookedWeight: {
+    type: Number,
+    default: null,
+    min: [1, 'Cooked weight must be at least 1g'],
+  },
+  servings: {
+    type: Number,
+    default: 1,
+    min: [1, 'Servings must be at least 1'],
+  },
+  notes: {
+    type: String,
+    default: '',
+    trim: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Listado de recetas del usuario ordenado por nombre
+recipeSchema.index({ userId: 1, name: 1 });
+
+// Pre-save middleware para actualizar updatedAt
+recipeSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// Pre-update middleware
+recipeSchema.pre('findOneAndUpdate', function (next) {
+  this.set({ updatedAt: Date.now() });
+  next();
+});
+
+export const Recipe = mongoose.model('Recipe', recipeSchema);
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * Refresh tokens emitidos (respaldo en MongoDB cuando Redis no está disponible).
+ * Solo se guarda el hash SHA-256 del token. Los tokens de un mismo inicio de sesión
+ * forman una familia (familyId): cada refresh marca el token como rotado y emite
+ * otro de la misma familia; si se reusa uno rotado se revoca la familia completa.
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true,
+  },
+  familyId: {
+    type: String,
+    required: [true, 'Family ID is required'],
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required'],
+  },
+  rotatedAt: {
+    type: Date,
+    default: null,
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Borrado automático al vencer
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+refreshTokenSchema.index({ familyId: 1 });
+refreshTokenSchema.index({ userId: 1 });
+
+export const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
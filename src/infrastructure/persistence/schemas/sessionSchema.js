@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+/**
+ * Sesiones iniciadas por los usuarios (un documento por login o registro).
+ * El _id de la sesión es también el familyId de sus refresh tokens y viaja en los
+ * access tokens (claim sid), así revocar la sesión corta ambos.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User ID is required'],
+  },
+  userAgent: {
+    type: String,
+    default: null,
+  },
+  ip: {
+    type: String,
+    default: null,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Vence junto con el último refresh token emitido; se extiende en cada refresh
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiration date is required'],
+  },
+  revokedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Borrado automático al vencer
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+export const Session = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { DEFAULT_TIMEZONE, isValidTimezone } from '../../../domain/services/DayBoundaries.js';
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -22,6 +23,45 @@ const userSchema = new mongoose.Schema({
     minlength: 6,
     select: false,
   },
+  // Último cambio o recuperación de contraseña
+  passwordChangedAt: {
+    type: Date,
+    default: null,
+  },
+  // Autenticación en dos pasos (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Secreto base32 activo; pendingSecret mientras no se confirma la activación
+    secret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    // Hashes SHA-256 de los códigos de recuperación sin usar
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false,
+    },
+    // Último paso de tiempo usado (un código no se puede usar dos veces)
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false,
+    },
+    enabledAt: {
+      type: Date,
+      default: null,
+    },
+  },
   // Nuevos campos de fitness
   weight: {
     type: Number,
@@ -41,6 +81,42 @@ const userSchema = new mongoose.Schema({
     min: [13, 'Must be at least 13 years old'],
     max: [120, 'Age cannot exceed 120 years'],
   },
+  // Sexo biológico y nivel de actividad (para BMR/TDEE)
+  sex: {
+    type: String,
+    enum: {
+      values: ['male', 'female'],
+      message: 'Sex must be male or female',
+    },
+  },
+  activityLevel: {
+    type: String,
+    enum: {
+      values: ['sedentary', 'light', 'moderate', 'active', 'very_active'],
+      message: 'Activity level must be sedentary, light, moderate, active or very_active',
+    },
+    default: 'sedentary',
+  },
+  // Peso objetivo y fecha en la que se quiere alcanzar (ver WeightProjection)
+  goalWeight: {
+    type: Number,
+    min: [1, 'Goal weight must be at least 1 kg'],
+    max: [500, 'Goal weight cannot exceed 500 kg'],
+    default: null,
+  },
+  goalDate: {
+    type: Date,
+    default: null,
+  },
+  // Zona horaria IANA para calcular los días de comidas y entrenamientos
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Timezone must be a valid IANA timezone (e.g. America/Santiago)',
+    },
+  },
   role: {
     type: String,
     enum: ['usuario', 'admin'],
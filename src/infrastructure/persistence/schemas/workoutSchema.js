@@ -1,8 +1,66 @@
 import mongoose from 'mongoose';
+import { SET_TYPES } from '../../../domain/services/ExerciseSets.js';
+
+// Serie individual de un ejercicio
+const setDetailSchema = new mongoose.Schema(
+  {
+    reps: {
+      type: Number,
+      required: [true, 'Set reps is required'],
+      min: [0, 'Set reps cannot be negative'],
+      max: [1000, 'Set reps cannot exceed 1000'],
+    },
+    weight: {
+      type: Number,
+      default: 0,
+      min: [0, 'Set weight cannot be negative'],
+      max: [1000, 'Set weight cannot exceed 1000 kg'],
+    },
+    // Esfuerzo percibido (1-10) y repeticiones en reserva
+    rpe: {
+      type: Number,
+      min: [1, 'RPE must be between 1 and 10'],
+      max: [10, 'RPE must be between 1 and 10'],
+    },
+    rir: {
+      type: Number,
+      min: [0, 'RIR cannot be negative'],
+      max: [10, 'RIR cannot exceed 10'],
+    },
+    restSeconds: {
+      type: Number,
+      min: [0, 'Rest cannot be negative'],
+      max: [3600, 'Rest cannot exceed 1 hour'],
+    },
+    // Ej: "3-1-1-0" (excéntrica-pausa-concéntrica-pausa)
+    tempo: {
+      type: String,
+      trim: true,
+    },
+    setType: {
+      type: String,
+      enum: {
+        values: SET_TYPES,
+        message: `Set type must be one of: ${SET_TYPES.join(', ')}`,
+      },
+      default: 'working',
+    },
+    completed: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
 
 // Exercise sub-schema
 const exerciseSchema = new mongoose.Schema(
   {
+    // Ejercicio de la biblioteca al que corresponde (opcional)
+    exerciseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Exercise',
+    },
     name: {
       type: String,
       required: [true, 'Exercise name is required'],
@@ -40,6 +98,11 @@ const exerciseSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, 'Exercise notes cannot exceed 200 characters'],
     },
+    // Series una por una (opcional); sets, reps y weight se derivan de ellas
+    setDetails: {
+      type: [setDetailSchema],
+      default: undefined,
+    },
   },
   { _id: false }
 );
@@ -87,6 +150,11 @@ const workoutSchema = new mongoose.Schema({
     min: [0, 'Calories burned cannot be negative'],
     max: [10000, 'Calories burned seems unrealistic'],
   },
+  // true si caloriesBurned se estimó con METs porque el cliente no lo envió
+  caloriesEstimated: {
+    type: Boolean,
+    default: false,
+  },
   notes: {
     type: String,
     default: '',
@@ -0,0 +1,46 @@
+/**
+ * Access token revocation list kept in process memory, used when Redis is disabled.
+ * Same interface as RedisTokenRevocationRepository. Entries are lost on restart and
+ * are not shared between instances, so it is only meant for development and single-node setups.
+ */
+export class InMemoryTokenRevocationRepository {
+  constructor() {
+    // jti -> expiration (ms)
+    this.tokens = new Map();
+    // userId -> { revokedAt (ms), expiresAt (ms) }
+    this.users = new Map();
+  }
+
+  // Drop entries whose tokens would have expired anyway
+  _prune() {
+    const now = Date.now();
+
+    this.tokens.forEach((expiresAt, jti) => {
+      if (expiresAt <= now) {
+        this.tokens.delete(jti);
+      }
+    });
+    this.users.forEach(({ expiresAt }, userId) => {
+      if (expiresAt <= now) {
+        this.users.delete(userId);
+      }
+    });
+  }
+
+  async revokeToken(jti, ttlSeconds) {
+    this._prune();
+    this.tokens.set(jti, Date.now() + ttlSeconds * 1000);
+  }
+
+  async revokeUser(userId, revokedAt, ttlSeconds) {
+    this._prune();
+    this.users.set(userId, { revokedAt, expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  async isRevoked({ jti, userId, issuedAt }) {
+    this._prune();
+    const user = this.users.get(userId);
+
+    return this.tokens.has(jti) || (user !== undefined && issuedAt <= user.revokedAt);
+  }
+}
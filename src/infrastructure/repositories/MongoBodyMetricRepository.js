@@ -0,0 +1,144 @@
+import { NotFoundError } from '../../shared/errors/AppError.js';
+import logger from '../../shared/logger/logger.js';
+import { DEFAULT_TIMEZONE, getPeriodRange } from '../../domain/services/DayBoundaries.js';
+import { BODY_METRICS } from '../../domain/services/BodyMetricTrend.js';
+
+export class MongoBodyMetricRepository {
+  constructor(BodyMetricModel) {
+    this.BodyMetricModel = BodyMetricModel;
+  }
+
+  async create(metric) {
+    try {
+      const mongoMetric = new this.BodyMetricModel({
+        userId: metric.userId,
+        date: metric.date,
+        ...Object.fromEntries(BODY_METRICS.map((field) => [field, metric[field] ?? null])),
+        notes: metric.notes || ''
+      });
+
+      await mongoMetric.save();
+      logger.info('Body metric created in MongoDB', {
+        userId: metric.userId,
+        bodyMetricId: mongoMetric._id
+      });
+
+      return this.mapToDomain(mongoMetric);
+    } catch (error) {
+      logger.error('Error creating body metric in MongoDB', { error: error.message });
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const metric = await this.BodyMetricModel.findById(id).lean();
+
+      if (!metric) {
+        throw new NotFoundError('BodyMetric', id);
+      }
+
+      return this.mapToDomain(metric);
+    } catch (error) {
+      logger.error('Error finding body metric by ID', { bodyMetricId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Measurements of a user, oldest first
+   * Without dates returns the whole history
+   * @param {string} userId - User ID
+   * @param {Object} options - { startDate, endDate, timezone } (days in the user's timezone)
+   * @returns {Promise<Array>}
+   */
+  async findByUser(userId, { startDate = null, endDate = null, timezone = DEFAULT_TIMEZONE } = {}) {
+    try {
+      const filter = { userId };
+
+      if (startDate && endDate) {
+        const { start, end } = getPeriodRange(startDate, endDate, timezone);
+        filter.date = { $gte: start, $lte: end };
+      }
+
+      const metrics = await this.BodyMetricModel.find(filter).sort({ date: 1 }).lean();
+      return metrics.map(m => this.mapToDomain(m));
+    } catch (error) {
+      logger.error('Error finding body metrics by user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Most recent measurement that includes a weight
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async findLatestWeight(userId) {
+    try {
+      const metric = await this.BodyMetricModel.findOne({ userId, weight: { $ne: null } })
+        .sort({ date: -1 })
+        .lean();
+
+      return metric ? this.mapToDomain(metric) : null;
+    } catch (error) {
+      logger.error('Error finding latest weight', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async update(id, userId, data) {
+    try {
+      const metric = await this.BodyMetricModel.findOneAndUpdate(
+        { _id: id, userId },
+        { ...data, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!metric) {
+        throw new NotFoundError('BodyMetric', id);
+      }
+
+      logger.info('Body metric updated in MongoDB', { bodyMetricId: id });
+
+      return this.mapToDomain(metric);
+    } catch (error) {
+      logger.error('Error updating body metric', { bodyMetricId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  async delete(id, userId) {
+    try {
+      const metric = await this.BodyMetricModel.findOneAndDelete({ _id: id, userId }).lean();
+
+      if (!metric) {
+        throw new NotFoundError('BodyMetric', id);
+      }
+
+      logger.info('Body metric deleted from MongoDB', { bodyMetricId: id });
+
+      return this.mapToDomain(metric);
+    } catch (error) {
+      logger.error('Error deleting body metric', { bodyMetricId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoMetric) {
+    const metric = {
+      id: mongoMetric._id,
+      userId: mongoMetric.userId,
+      date: mongoMetric.date,
+      ...Object.fromEntries(BODY_METRICS.map((field) => [field, mongoMetric[field] ?? null])),
+      notes: mongoMetric.notes,
+      createdAt: mongoMetric.createdAt,
+      updatedAt: mongoMetric.updatedAt
+    };
+
+    return {
+      ...metric,
+      toJSON: () => ({ ...metric })
+    };
+  }
+}
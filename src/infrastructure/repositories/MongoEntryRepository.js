@@ -1,5 +1,8 @@
+import mongoose from 'mongoose';
 import { NotFoundError } from '../../shared/errors/AppError.js';
 import logger from '../../shared/logger/logger.js';
+import { calculateTotals } from '../../domain/services/MacroCalculator.js';
+import { DEFAULT_TIMEZONE, getDayRange, getPeriodRange } from '../../domain/services/DayBoundaries.js';
 
 export class MongoEntryRepository {
   constructor(EntryModel) {
@@ -26,6 +29,42 @@ export class MongoEntryRepository {
     }
   }
 
+  /**
+   * Create several entries in a single insert (used to copy meals or whole days)
+   * insertMany does not run the pre('save') hook, so totals are computed here
+   * with the same calculator the schema uses
+   * @param {Array<Object>} entries - Entries to create
+   * @returns {Promise<Array>} - Created entries
+   */
+  async createMany(entries) {
+    try {
+      if (entries.length === 0) {
+        return [];
+      }
+
+      const mongoEntries = await this.EntryModel.insertMany(
+        entries.map(entry => ({
+          userId: entry.userId,
+          date: entry.date,
+          mealType: entry.mealType,
+          foods: entry.foods,
+          notes: entry.notes || '',
+          ...calculateTotals(entry.foods)
+        }))
+      );
+
+      logger.info('Entries created in MongoDB (bulk)', {
+        userId: entries[0].userId,
+        count: mongoEntries.length
+      });
+
+      return mongoEntries.map(e => this.mapToDomain(e));
+    } catch (error) {
+      logger.error('Error creating entries in MongoDB (bulk)', { count: entries.length, error: error.message });
+      throw error;
+    }
+  }
+
   async findById(id) {
     try {
       const entry = await this.EntryModel.findById(id).lean();
@@ -41,21 +80,99 @@ export class MongoEntryRepository {
     }
   }
 
-  async findByDate(userId, date) {
+  /**
+   * Entries of one calendar day in the user's timezone
+   * @param {string} userId - User ID
+   * @param {Date|string} date - Day to search (its YYYY-MM-DD part)
+   * @param {string} timezone - IANA timezone that defines where the day starts and ends
+   * @returns {Promise<Array>} - Entries of that day
+   */
+  async findByDate(userId, date, timezone = DEFAULT_TIMEZONE) {
     try {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const { start, end } = getDayRange(date, timezone);
 
       const entries = await this.EntryModel.find({
         userId,
-        date: { $gte: startOfDay, $lte: endOfDay }
+        date: { $gte: start, $lte: end }
       }).lean();
 
       return entries.map(e => this.mapToDomain(e));
     } catch (error) {
-      logger.error('Error finding entries by date', { userId, date, error: error.message });
+      logger.error('Error finding entries by date', { userId, date, timezone, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregated nutrition for a period, grouped by day and by meal type
+   * Days are calendar days in the given timezone
+   *
+   * @param {string} userId - User ID
+   * @param {Date} startDate - First day of the period (inclusive)
+   * @param {Date} endDate - Last day of the period (inclusive)
+   * @param {string} timezone - IANA timezone used for day boundaries and grouping
+   * @returns {Promise<Object>} - { byDay, byMealType }
+   */
+  async aggregatePeriodStats(userId, startDate, endDate, timezone = DEFAULT_TIMEZONE) {
+    try {
+      const { start, end } = getPeriodRange(startDate, endDate, timezone);
+
+      const macroTotals = {
+        entries: { $sum: 1 },
+        calories: { $sum: '$totalCalories' },
+        protein: { $sum: '$totalProtein' },
+        carbs: { $sum: '$totalCarbs' },
+        fat: { $sum: '$totalFat' }
+      };
+
+      // aggregate() no castea tipos como find(), el userId debe ir como ObjectId
+      const [result] = await this.EntryModel.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(userId),
+            date: { $gte: start, $lte: end }
+          }
+        },
+        {
+          $facet: {
+            byDay: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
+                  ...macroTotals
+                }
+              },
+              { $sort: { _id: 1 } }
+            ],
+            byMealType: [
+              { $group: { _id: '$mealType', ...macroTotals } },
+              { $sort: { _id: 1 } }
+            ]
+          }
+        }
+      ]);
+
+      const mapGroup = ({ _id, ...totals }) => ({ key: _id, ...totals });
+
+      logger.debug('Period stats aggregated', {
+        userId,
+        startDate: start,
+        endDate: end,
+        timezone,
+        daysLogged: result?.byDay.length || 0
+      });
+
+      return {
+        byDay: (result?.byDay || []).map(mapGroup),
+        byMealType: (result?.byMealType || []).map(mapGroup)
+      };
+    } catch (error) {
+      logger.error('Error aggregating period stats', {
+        userId,
+        startDate,
+        endDate,
+        error: error.message
+      });
       throw error;
     }
   }
@@ -240,6 +357,8 @@ export class MongoEntryRepository {
       totalProtein: mongoEntry.totalProtein,
       totalCarbs: mongoEntry.totalCarbs,
       totalFat: mongoEntry.totalFat,
+      // Entradas anteriores a los micronutrientes no tienen este campo
+      totalMicronutrients: mongoEntry.totalMicronutrients || {},
       createdAt: mongoEntry.createdAt,
       updatedAt: mongoEntry.updatedAt,
       toJSON: () => ({
@@ -252,6 +371,7 @@ export class MongoEntryRepository {
         totalProtein: mongoEntry.totalProtein,
         totalCarbs: mongoEntry.totalCarbs,
         totalFat: mongoEntry.totalFat,
+        totalMicronutrients: mongoEntry.totalMicronutrients || {},
         notes: mongoEntry.notes,
         createdAt: mongoEntry.createdAt,
         updatedAt: mongoEntry.updatedAt
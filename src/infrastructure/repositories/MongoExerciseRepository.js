@@ -0,0 +1,223 @@
+import { ConflictError, NotFoundError } from '../../shared/errors/AppError.js';
+import logger from '../../shared/logger/logger.js';
+import { Exercise, normalizeExerciseName } from '../../domain/entities/Exercise.js';
+
+// Escapa caracteres especiales para usar texto del usuario dentro de un RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Índice único de MongoDB sobre `name`
+const isDuplicateKeyError = (error) => error.code === 11000;
+
+export class MongoExerciseRepository {
+  constructor(ExerciseModel) {
+    this.ExerciseModel = ExerciseModel;
+  }
+
+  async create(exercise) {
+    try {
+      const entity = new Exercise(exercise);
+
+      const mongoExercise = new this.ExerciseModel({
+        name: entity.name,
+        aliases: entity.aliases,
+        searchTerms: entity.getSearchTerms(),
+        primaryMuscles: entity.primaryMuscles,
+        secondaryMuscles: entity.secondaryMuscles,
+        equipment: entity.equipment,
+        category: entity.category
+      });
+
+      await mongoExercise.save();
+      logger.info('Exercise created in MongoDB', { exerciseId: mongoExercise._id });
+
+      return this.mapToDomain(mongoExercise.toObject());
+    } catch (error) {
+      logger.error('Error creating exercise in MongoDB', { error: error.message });
+      if (isDuplicateKeyError(error)) {
+        throw new ConflictError(`Exercise "${exercise.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const exercise = await this.ExerciseModel.findById(id).lean();
+
+      if (!exercise) {
+        throw new NotFoundError('Exercise', id);
+      }
+
+      return this.mapToDomain(exercise);
+    } catch (error) {
+      logger.error('Error finding exercise by ID', { exerciseId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find several exercises at once (used to resolve workout exercises)
+   * @param {Array<string>} ids - Exercise IDs
+   * @returns {Promise<Array>} - Exercises found (missing IDs are simply not returned)
+   */
+  async findByIds(ids) {
+    try {
+      const exercises = await this.ExerciseModel.find({ _id: { $in: ids } }).lean();
+      return exercises.map(e => this.mapToDomain(e));
+    } catch (error) {
+      logger.error('Error finding exercises by IDs', { count: ids.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find exercises whose name or alias is exactly one of the given names
+   * (ignoring case, accents and punctuation)
+   * @param {Array<string>} names - Free-text exercise names
+   * @returns {Promise<Array>} - Exercises found
+   */
+  async findByNames(names) {
+    try {
+      const terms = [...new Set(names.map(normalizeExerciseName).filter(Boolean))];
+
+      if (terms.length === 0) {
+        return [];
+      }
+
+      const exercises = await this.ExerciseModel.find({ searchTerms: { $in: terms } }).lean();
+      return exercises.map(e => this.mapToDomain(e));
+    } catch (error) {
+      logger.error('Error finding exercises by names', { count: names.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Search the library by name or alias (partial match) and filters
+   *
+   * @param {Object} options - Search options
+   * @param {string} options.query - Text to search (optional, lists everything if empty)
+   * @param {string} options.muscle - Primary or secondary muscle group
+   * @param {string} options.equipment - Equipment
+   * @param {string} options.category - Category (same values as the workout type)
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @returns {Promise<Object>} - { items, pagination }
+   */
+  async search({ query = '', muscle, equipment, category, page = 1, limit = 20 } = {}) {
+    try {
+      const filter = {};
+
+      const term = normalizeExerciseName(query);
+      if (term) {
+        filter.searchTerms = new RegExp(escapeRegex(term));
+      }
+      if (muscle) {
+        filter.$or = [{ primaryMuscles: muscle }, { secondaryMuscles: muscle }];
+      }
+      if (equipment) {
+        filter.equipment = equipment;
+      }
+      if (category) {
+        filter.category = category;
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [exercises, totalCount] = await Promise.all([
+        this.ExerciseModel.find(filter)
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        this.ExerciseModel.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      logger.debug('Exercise library searched', { query, muscle, equipment, category, page, limit, totalCount });
+
+      return {
+        items: exercises.map(e => this.mapToDomain(e)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalCount,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching exercise library', { query, error: error.message });
+      throw error;
+    }
+  }
+
+  async update(id, data) {
+    try {
+      const changes = { ...data };
+
+      // Si cambia el nombre o los alias hay que recalcular los términos de búsqueda
+      if (data.name !== undefined || data.aliases !== undefined) {
+        const current = await this.findById(id);
+        changes.searchTerms = new Exercise({ ...current, ...data }).getSearchTerms();
+      }
+
+      const exercise = await this.ExerciseModel.findOneAndUpdate(
+        { _id: id },
+        { ...changes, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!exercise) {
+        throw new NotFoundError('Exercise', id);
+      }
+
+      logger.info('Exercise updated in MongoDB', { exerciseId: id });
+
+      return this.mapToDomain(exercise);
+    } catch (error) {
+      logger.error('Error updating exercise', { exerciseId: id, error: error.message });
+      if (isDuplicateKeyError(error)) {
+        throw new ConflictError(`Exercise "${data.name}" already exists`);
+      }
+      throw error;
+    }
+  }
+
+  async delete(id) {
+    try {
+      const exercise = await this.ExerciseModel.findOneAndDelete({ _id: id }).lean();
+
+      if (!exercise) {
+        throw new NotFoundError('Exercise', id);
+      }
+
+      logger.info('Exercise deleted from MongoDB', { exerciseId: id });
+
+      return this.mapToDomain(exercise);
+    } catch (error) {
+      logger.error('Error deleting exercise', { exerciseId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoExercise) {
+    const exercise = new Exercise({ ...mongoExercise, id: mongoExercise._id });
+
+    return {
+      id: mongoExercise._id,
+      name: exercise.name,
+      aliases: exercise.aliases,
+      primaryMuscles: exercise.primaryMuscles,
+      secondaryMuscles: exercise.secondaryMuscles,
+      equipment: exercise.equipment,
+      category: exercise.category,
+      createdAt: mongoExercise.createdAt,
+      updatedAt: mongoExercise.updatedAt,
+      matches: (text) => exercise.matches(text),
+      toJSON: () => exercise.toJSON()
+    };
+  }
+}
@@ -0,0 +1,181 @@
+import { NotFoundError } from '../../shared/errors/AppError.js';
+import logger from '../../shared/logger/logger.js';
+
+// Escapa caracteres especiales para usar texto del usuario dentro de un RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export class MongoFoodRepository {
+  constructor(FoodModel) {
+    this.FoodModel = FoodModel;
+  }
+
+  async create(food) {
+    try {
+      const mongoFood = new this.FoodModel({
+        userId: food.userId,
+        name: food.name,
+        brand: food.brand || '',
+        calories: food.calories,
+        protein: food.protein,
+        carbs: food.carbs,
+        fat: food.fat,
+        servingSize: food.servingSize || 100
+      });
+
+      await mongoFood.save();
+      logger.info('Food created in MongoDB', { userId: food.userId, foodId: mongoFood._id });
+
+      return this.mapToDomain(mongoFood);
+    } catch (error) {
+      logger.error('Error creating food in MongoDB', { error: error.message });
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const food = await this.FoodModel.findById(id).lean();
+
+      if (!food) {
+        throw new NotFoundError('Food', id);
+      }
+
+      return this.mapToDomain(food);
+    } catch (error) {
+      logger.error('Error finding food by ID', { foodId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Find several catalog foods at once (used to resolve entry items)
+   * @param {Array<string>} ids - Food IDs
+   * @returns {Promise<Array>} - Foods found (missing IDs are simply not returned)
+   */
+  async findByIds(ids) {
+    try {
+      const foods = await this.FoodModel.find({ _id: { $in: ids } }).lean();
+      return foods.map(f => this.mapToDomain(f));
+    } catch (error) {
+      logger.error('Error finding foods by IDs', { count: ids.length, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Search the shared catalog by name or brand (case-insensitive, partial match)
+   *
+   * @param {Object} options - Search options
+   * @param {string} options.query - Text to search (optional, lists everything if empty)
+   * @param {number} options.page - Page number (1-indexed)
+   * @param {number} options.limit - Items per page
+   * @returns {Promise<Object>} - { items, pagination }
+   */
+  async search({ query = '', page = 1, limit = 20 } = {}) {
+    try {
+      const filter = {};
+
+      if (query) {
+        const pattern = new RegExp(escapeRegex(query.trim()), 'i');
+        filter.$or = [{ name: pattern }, { brand: pattern }];
+      }
+
+      const skip = (page - 1) * limit;
+
+      const [foods, totalCount] = await Promise.all([
+        this.FoodModel.find(filter)
+          .sort({ name: 1 })
+          .skip(skip)
+          .limit(limit)
+          .lean(),
+        this.FoodModel.countDocuments(filter)
+      ]);
+
+      const totalPages = Math.ceil(totalCount / limit);
+
+      logger.debug('Food catalog searched', { query, page, limit, totalCount });
+
+      return {
+        items: foods.map(f => this.mapToDomain(f)),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalItems: totalCount,
+          itemsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1
+        }
+      };
+    } catch (error) {
+      logger.error('Error searching food catalog', { query, error: error.message });
+      throw error;
+    }
+  }
+
+  async update(id, userId, data) {
+    try {
+      const food = await this.FoodModel.findOneAndUpdate(
+        { _id: id, userId },
+        { ...data, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!food) {
+        throw new NotFoundError('Food', id);
+      }
+
+      logger.info('Food updated in MongoDB', { foodId: id });
+
+      return this.mapToDomain(food);
+    } catch (error) {
+      logger.error('Error updating food', { foodId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  async delete(id, userId) {
+    try {
+      const food = await this.FoodModel.findOneAndDelete({ _id: id, userId }).lean();
+
+      if (!food) {
+        throw new NotFoundError('Food', id);
+      }
+
+      logger.info('Food deleted from MongoDB', { foodId: id });
+
+      return this.mapToDomain(food);
+    } catch (error) {
+      logger.error('Error deleting food', { foodId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoFood) {
+    return {
+      id: mongoFood._id,
+      userId: mongoFood.userId,
+      name: mongoFood.name,
+      brand: mongoFood.brand,
+      calories: mongoFood.calories,
+      protein: mongoFood.protein,
+      carbs: mongoFood.carbs,
+      fat: mongoFood.fat,
+      servingSize: mongoFood.servingSize,
+      createdAt: mongoFood.createdAt,
+      updatedAt: mongoFood.updatedAt,
+      toJSON: () => ({
+        id: mongoFood._id,
+        userId: mongoFood.userId,
+        name: mongoFood.name,
+        brand: mongoFood.brand,
+        calories: mongoFood.calories,
+        protein: mongoFood.protein,
+        carbs: mongoFood.carbs,
+        fat: mongoFood.fat,
+        servingSize: mongoFood.servingSize,
+        createdAt: mongoFood.createdAt,
+        updatedAt: mongoFood.updatedAt
+      })
+    };
+  }
+}
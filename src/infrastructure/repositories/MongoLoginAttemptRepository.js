@@ -0,0 +1,131 @@
+import logger from '../../shared/logger/logger.js';
+
+// Duplicate key: two first attempts raced on the upsert
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Failed login attempts stored in MongoDB (fallback when Redis is disabled).
+ * One document per account and scope (password / twoFactor).
+ * Same interface as RedisLoginAttemptRepository.
+ */
+export class MongoLoginAttemptRepository {
+  constructor(LoginAttemptModel) {
+    this.LoginAttemptModel = LoginAttemptModel;
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} scope - Counter (password / twoFactor)
+   * @returns {Promise<Object|null>} - { failedAttempts, lastFailedAt, lockedUntil }, or null without recent failures
+   */
+  async findByUser(userId, scope) {
+    try {
+      const record = await this.LoginAttemptModel.findOne({
+        userId,
+        scope,
+        expiresAt: { $gt: new Date() }
+      }).lean();
+
+      return record ? this.mapToDomain(record) : null;
+    } catch (error) {
+      logger.error('Error finding login attempts', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Add an attempt atomically. An expired record, or one whose lockout is over, starts over.
+   * @param {string} userId - User ID
+   * @param {string} scope - Counter (password / twoFactor)
+   * @param {Object} data - { at, expiresAt }
+   * @returns {Promise<Object|null>} - Record before this attempt, or null if there was none
+   */
+  async recordAttempt(userId, scope, { at, expiresAt }) {
+    try {
+      try {
+        return await this._incrementAttempts(userId, scope, { at, expiresAt });
+      } catch (error) {
+        if (error.code !== DUPLICATE_KEY_ERROR) {
+          throw error;
+        }
+        // The other request created the document: this time the update finds it
+        return await this._incrementAttempts(userId, scope, { at, expiresAt });
+      }
+    } catch (error) {
+      logger.error('Error recording login attempt', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  async _incrementAttempts(userId, scope, { at, expiresAt }) {
+    // The TTL index removes expired documents only every minute, so the update pipeline
+    // decides whether the previous failures still count (missing fields mean a new document)
+    const startOver = {
+      $or: [
+        { $lte: [{ $ifNull: ['$expiresAt', at] }, at] },
+        { $lte: [{ $ifNull: ['$lockedUntil', expiresAt] }, at] }
+      ]
+    };
+
+    const previous = await this.LoginAttemptModel.findOneAndUpdate(
+      { userId, scope },
+      [
+        {
+          $set: {
+            failedAttempts: { $add: [{ $cond: [startOver, 0, '$failedAttempts'] }, 1] },
+            lastFailedAt: at,
+            lockedUntil: { $cond: [startOver, null, '$lockedUntil'] },
+            // An active lockout keeps the record at least until it ends
+            expiresAt: { $max: [expiresAt, { $cond: [startOver, null, '$lockedUntil'] }] }
+          }
+        }
+      ],
+      { new: false, upsert: true }
+    ).lean();
+
+    const startedOver =
+      !previous || previous.expiresAt <= at || (previous.lockedUntil && previous.lockedUntil <= at);
+
+    return startedOver ? null : this.mapToDomain(previous);
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @param {string} scope - Counter (password / twoFactor)
+   * @param {Date} lockedUntil - End of the lockout (the failures are forgotten then)
+   */
+  async lock(userId, scope, lockedUntil) {
+    try {
+      await this.LoginAttemptModel.updateOne(
+        { userId, scope },
+        { $set: { lockedUntil, expiresAt: lockedUntil } }
+      );
+      logger.warn('Account locked after failed login attempts', { userId, scope, lockedUntil });
+    } catch (error) {
+      logger.error('Error locking account', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Forget the failed attempts (successful attempt or admin unlock)
+   * @param {string} userId - User ID
+   * @param {string} scope - Counter (password / twoFactor)
+   */
+  async clear(userId, scope) {
+    try {
+      await this.LoginAttemptModel.deleteOne({ userId, scope });
+    } catch (error) {
+      logger.error('Error clearing login attempts', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(record) {
+    return {
+      failedAttempts: record.failedAttempts,
+      lastFailedAt: record.lastFailedAt,
+      lockedUntil: record.lockedUntil
+    };
+  }
+}
@@ -0,0 +1,143 @@
+import { NotFoundError } from '../../shared/errors/AppError.js';
+import logger from '../../shared/logger/logger.js';
+import { calculateTotals } from '../../domain/services/MacroCalculator.js';
+
+export class MongoMealTemplateRepository {
+  constructor(MealTemplateModel) {
+    this.MealTemplateModel = MealTemplateModel;
+  }
+
+  async create(template) {
+    try {
+      const mongoTemplate = new this.MealTemplateModel({
+        userId: template.userId,
+        name: template.name,
+        defaultMealType: template.defaultMealType,
+        foods: template.foods,
+        notes: template.notes || ''
+      });
+
+      await mongoTemplate.save();
+      logger.info('Meal template created in MongoDB', {
+        userId: template.userId,
+        templateId: mongoTemplate._id
+      });
+
+      return this.mapToDomain(mongoTemplate);
+    } catch (error) {
+      logger.error('Error creating meal template in MongoDB', { error: error.message });
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const template = await this.MealTemplateModel.findById(id).lean();
+
+      if (!template) {
+        throw new NotFoundError('MealTemplate', id);
+      }
+
+      return this.mapToDomain(template);
+    } catch (error) {
+      logger.error('Error finding meal template by ID', { templateId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * All templates of a user, sorted by name
+   * @param {string} userId - User ID
+   * @param {Object} options - { mealType } to filter by default meal type
+   * @returns {Promise<Array>} - Templates
+   */
+  async findByUser(userId, { mealType } = {}) {
+    try {
+      const filter = { userId };
+      if (mealType) {
+        filter.defaultMealType = mealType;
+      }
+
+      const templates = await this.MealTemplateModel.find(filter).sort({ name: 1 }).lean();
+      return templates.map(t => this.mapToDomain(t));
+    } catch (error) {
+      logger.error('Error finding meal templates by user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async update(id, userId, data) {
+    try {
+      const template = await this.MealTemplateModel.findOneAndUpdate(
+        { _id: id, userId },
+        { ...data, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!template) {
+        throw new NotFoundError('MealTemplate', id);
+      }
+
+      logger.info('Meal template updated in MongoDB', { templateId: id });
+
+      return this.mapToDomain(template);
+    } catch (error) {
+      logger.error('Error updating meal template', { templateId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  async delete(id, userId) {
+    try {
+      const template = await this.MealTemplateModel.findOneAndDelete({ _id: id, userId }).lean();
+
+      if (!template) {
+        throw new NotFoundError('MealTemplate', id);
+      }
+
+      logger.info('Meal template deleted from MongoDB', { templateId: id });
+
+      return this.mapToDomain(template);
+    } catch (error) {
+      logger.error('Error deleting meal template', { templateId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoTemplate) {
+    // Los totales no se guardan: se calculan igual que los de una Entry
+    const { totalCalories, totalProtein, totalCarbs, totalFat, totalMicronutrients } =
+      calculateTotals(mongoTemplate.foods);
+
+    return {
+      id: mongoTemplate._id,
+      userId: mongoTemplate.userId,
+      name: mongoTemplate.name,
+      defaultMealType: mongoTemplate.defaultMealType,
+      foods: mongoTemplate.foods,
+      notes: mongoTemplate.notes,
+      totalCalories,
+      totalProtein,
+      totalCarbs,
+      totalFat,
+      totalMicronutrients,
+      createdAt: mongoTemplate.createdAt,
+      updatedAt: mongoTemplate.updatedAt,
+      toJSON: () => ({
+        id: mongoTemplate._id,
+        userId: mongoTemplate.userId,
+        name: mongoTemplate.name,
+        defaultMealType: mongoTemplate.defaultMealType,
+        foods: mongoTemplate.foods,
+        totalCalories,
+        totalProtein,
+        totalCarbs,
+        totalFat,
+        totalMicronutrients,
+        notes: mongoTemplate.notes,
+        createdAt: mongoTemplate.createdAt,
+        updatedAt: mongoTemplate.updatedAt
+      })
+    };
+  }
+}
@@ -0,0 +1,114 @@
+import { NotFoundError } from '../../shared/errors/AppError.js';
+import logger from '../../shared/logger/logger.js';
+import { NutritionGoal } from '../../domain/value-objects/NutritionGoal.js';
+
+export class MongoNutritionGoalRepository {
+  constructor(NutritionGoalModel) {
+    this.NutritionGoalModel = NutritionGoalModel;
+  }
+
+  /**
+   * Crear o reemplazar el objetivo que empieza en effectiveFrom
+   * @param {string} userId - User ID
+   * @param {Object} goal - { effectiveFrom, calories, macroMode, protein, carbs, fat }
+   * @returns {Promise<Object>} - Goal guardado
+   */
+  async upsert(userId, goal) {
+    try {
+      const mongoGoal = await this.NutritionGoalModel.findOneAndUpdate(
+        { userId, effectiveFrom: goal.effectiveFrom },
+        {
+          calories: goal.calories,
+          macroMode: goal.macroMode || 'grams',
+          protein: goal.protein ?? null,
+          carbs: goal.carbs ?? null,
+          fat: goal.fat ?? null
+        },
+        { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+      ).lean();
+
+      logger.info('Nutrition goal saved in MongoDB', { userId, goalId: mongoGoal._id });
+
+      return this.mapToDomain(mongoGoal);
+    } catch (error) {
+      logger.error('Error saving nutrition goal', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Objetivo vigente en una fecha: el de effectiveFrom más reciente que no sea posterior
+   * @param {string} userId - User ID
+   * @param {Date} date - Día a evaluar (medianoche UTC)
+   * @returns {Promise<Object|null>} - Goal o null si el usuario no tenía objetivo
+   */
+  async findEffective(userId, date) {
+    try {
+      const goal = await this.NutritionGoalModel.findOne({
+        userId,
+        effectiveFrom: { $lte: date }
+      })
+        .sort({ effectiveFrom: -1 })
+        .lean();
+
+      return goal ? this.mapToDomain(goal) : null;
+    } catch (error) {
+      logger.error('Error finding effective nutrition goal', { userId, date, error: error.message });
+      throw error;
+    }
+  }
+
+  async findByUser(userId) {
+    try {
+      const goals = await this.NutritionGoalModel.find({ userId })
+        .sort({ effectiveFrom: -1 })
+        .lean();
+
+      return goals.map(g => this.mapToDomain(g));
+    } catch (error) {
+      logger.error('Error finding nutrition goals by user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async delete(id, userId) {
+    try {
+      const goal = await this.NutritionGoalModel.findOneAndDelete({ _id: id, userId }).lean();
+
+      if (!goal) {
+        throw new NotFoundError('Nutrition goal', id);
+      }
+
+      logger.info('Nutrition goal deleted from MongoDB', { goalId: id });
+
+      return this.mapToDomain(goal);
+    } catch (error) {
+      logger.error('Error deleting nutrition goal', { goalId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoGoal) {
+    const goal = new NutritionGoal(mongoGoal);
+
+    return {
+      id: mongoGoal._id,
+      userId: mongoGoal.userId,
+      effectiveFrom: mongoGoal.effectiveFrom,
+      calories: mongoGoal.calories,
+      macroMode: mongoGoal.macroMode,
+      protein: mongoGoal.protein,
+      carbs: mongoGoal.carbs,
+      fat: mongoGoal.fat,
+      createdAt: mongoGoal.createdAt,
+      updatedAt: mongoGoal.updatedAt,
+      evaluate: (consumed) => goal.evaluate(consumed),
+      toJSON: () => ({
+        id: mongoGoal._id,
+        ...goal.toJSON(),
+        createdAt: mongoGoal.createdAt,
+        updatedAt: mongoGoal.updatedAt
+      })
+    };
+  }
+}
@@ -0,0 +1,76 @@
+import logger from '../../shared/logger/logger.js';
+
+export class MongoPasswordResetTokenRepository {
+  constructor(PasswordResetTokenModel) {
+    this.PasswordResetTokenModel = PasswordResetTokenModel;
+  }
+
+  /**
+   * @param {Object} data - { userId, tokenHash, expiresAt }
+   * @returns {Promise<Object>}
+   */
+  async create({ userId, tokenHash, expiresAt }) {
+    try {
+      const token = new this.PasswordResetTokenModel({ userId, tokenHash, expiresAt });
+
+      await token.save();
+      logger.info('Password reset token created in MongoDB', { userId, expiresAt });
+
+      return this.mapToDomain(token);
+    } catch (error) {
+      logger.error('Error creating password reset token', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a token as used if it is still valid (not used and not expired).
+   * The check and the update are a single atomic operation, so a token can only be consumed once.
+   * @param {string} tokenHash - SHA-256 of the token
+   * @returns {Promise<Object|null>} - Consumed token, or null if it does not exist or is no longer valid
+   */
+  async consume(tokenHash) {
+    try {
+      const now = new Date();
+      const token = await this.PasswordResetTokenModel.findOneAndUpdate(
+        { tokenHash, usedAt: null, expiresAt: { $gt: now } },
+        { usedAt: now },
+        { new: true }
+      ).lean();
+
+      return token ? this.mapToDomain(token) : null;
+    } catch (error) {
+      logger.error('Error consuming password reset token', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Invalidate every pending token of a user (a new request or a completed reset)
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Tokens invalidated
+   */
+  async invalidateForUser(userId) {
+    try {
+      const result = await this.PasswordResetTokenModel.updateMany(
+        { userId, usedAt: null },
+        { usedAt: new Date() }
+      );
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error invalidating password reset tokens', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoToken) {
+    return {
+      id: mongoToken._id,
+      userId: mongoToken.userId.toString(),
+      expiresAt: mongoToken.expiresAt,
+      usedAt: mongoToken.usedAt,
+      createdAt: mongoToken.createdAt
+    };
+  }
+}
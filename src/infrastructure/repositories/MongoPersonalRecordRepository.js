@@ -0,0 +1,118 @@
+import logger from '../../shared/logger/logger.js';
+
+// Campos de un récord que se guardan tal cual (ver PersonalRecords.createEmptyRecord)
+const RECORD_FIELDS = ['exerciseId', 'name', 'maxWeight', 'repsByWeight', 'estimatedOneRepMax', 'bestVolume'];
+
+export class MongoPersonalRecordRepository {
+  constructor(PersonalRecordModel) {
+    this.PersonalRecordModel = PersonalRecordModel;
+  }
+
+  /**
+   * All records of a user, sorted by exercise name
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async findByUser(userId) {
+    try {
+      const records = await this.PersonalRecordModel.find({ userId }).sort({ name: 1 }).lean();
+
+      return records.map(r => this.mapToDomain(r));
+    } catch (error) {
+      logger.error('Error finding personal records', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Records of some exercises of a user
+   * @param {string} userId - User ID
+   * @param {Array<string>} keys - Exercise keys (PersonalRecords.getExerciseKey)
+   * @returns {Promise<Array>}
+   */
+  async findByKeys(userId, keys) {
+    try {
+      const records = await this.PersonalRecordModel.find({ userId, key: { $in: keys } }).lean();
+
+      return records.map(r => this.mapToDomain(r));
+    } catch (error) {
+      logger.error('Error finding personal records by exercise', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Create or overwrite records (one document per user and exercise key)
+   * @param {string} userId - User ID
+   * @param {Array<Object>} records - Records to save
+   */
+  async saveMany(userId, records) {
+    try {
+      if (records.length === 0) {
+        return;
+      }
+
+      const now = new Date();
+      const operations = records.map((record) => {
+        const fields = Object.fromEntries(RECORD_FIELDS.map((field) => [field, record[field]]));
+
+        return {
+          updateOne: {
+            filter: { userId, key: record.key },
+            update: { $set: { ...fields, updatedAt: now } },
+            upsert: true
+          }
+        };
+      });
+
+      await this.PersonalRecordModel.bulkWrite(operations, { ordered: false });
+      logger.debug('Personal records saved', { userId, count: records.length });
+    } catch (error) {
+      logger.error('Error saving personal records', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Replace every record of a user (used after recalculating them from scratch).
+   * Exercises without records anymore are removed.
+   * @param {string} userId - User ID
+   * @param {Array<Object>} records - The user's complete set of records
+   */
+  async replaceAll(userId, records) {
+    try {
+      const keys = records.map((record) => record.key);
+
+      await this.PersonalRecordModel.deleteMany({ userId, key: { $nin: keys } });
+      await this.saveMany(userId, records);
+    } catch (error) {
+      logger.error('Error replacing personal records', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoRecord) {
+    const record = {
+      key: mongoRecord.key,
+      exerciseId: mongoRecord.exerciseId ?? null,
+      name: mongoRecord.name,
+      maxWeight: mongoRecord.maxWeight ?? null,
+      repsByWeight: mongoRecord.repsByWeight || [],
+      estimatedOneRepMax: {
+        epley: mongoRecord.estimatedOneRepMax?.epley ?? null,
+        brzycki: mongoRecord.estimatedOneRepMax?.brzycki ?? null
+      },
+      bestVolume: mongoRecord.bestVolume ?? null,
+      updatedAt: mongoRecord.updatedAt
+    };
+
+    return {
+      id: mongoRecord._id,
+      ...record,
+      toJSON: () => ({
+        id: mongoRecord._id,
+        ...record
+      })
+    };
+  }
+}
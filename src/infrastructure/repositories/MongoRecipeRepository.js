@@ -0,0 +1,120 @@
+import { NotFoundError } from '../../shared/errors/AppError.js';
+import logger from '../../shared/logger/logger.js';
+import { Recipe } from '../../domain/entities/Recipe.js';
+
+export class MongoRecipeRepository {
+  constructor(RecipeModel) {
+    this.RecipeModel = RecipeModel;
+  }
+
+  async create(recipe) {
+    try {
+      const mongoRecipe = new this.RecipeModel({
+        userId: recipe.userId,
+        name: recipe.name,
+        ingredients: recipe.ingredients,
+        cookedWeight: recipe.cookedWeight ?? null,
+        servings: recipe.servings || 1,
+        notes: recipe.notes || ''
+      });
+
+      await mongoRecipe.save();
+      logger.info('Recipe created in MongoDB', { userId: recipe.userId, recipeId: mongoRecipe._id });
+
+      // toObject para que los micronutrientes de los ingredientes lleguen al dominio
+      return this.mapToDomain(mongoRecipe.toObject());
+    } catch (error) {
+      logger.error('Error creating recipe in MongoDB', { error: error.message });
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    try {
+      const recipe = await this.RecipeModel.findById(id).lean();
+
+      if (!recipe) {
+        throw new NotFoundError('Recipe', id);
+      }
+
+      return this.mapToDomain(recipe);
+    } catch (error) {
+      logger.error('Error finding recipe by ID', { recipeId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * All recipes of a user, sorted by name
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Recipes
+   */
+  async findByUser(userId) {
+    try {
+      const recipes = await this.RecipeModel.find({ userId }).sort({ name: 1 }).lean();
+      return recipes.map(r => this.mapToDomain(r));
+    } catch (error) {
+      logger.error('Error finding recipes by user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  async update(id, userId, data) {
+    try {
+      const recipe = await this.RecipeModel.findOneAndUpdate(
+        { _id: id, userId },
+        { ...data, updatedAt: new Date() },
+        { new: true, runValidators: true }
+      ).lean();
+
+      if (!recipe) {
+        throw new NotFoundError('Recipe', id);
+      }
+
+      logger.info('Recipe updated in MongoDB', { recipeId: id });
+
+      return this.mapToDomain(recipe);
+    } catch (error) {
+      logger.error('Error updating recipe', { recipeId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  async delete(id, userId) {
+    try {
+      const recipe = await this.RecipeModel.findOneAndDelete({ _id: id, userId }).lean();
+
+      if (!recipe) {
+        throw new NotFoundError('Recipe', id);
+      }
+
+      logger.info('Recipe deleted from MongoDB', { recipeId: id });
+
+      return this.mapToDomain(recipe);
+    } catch (error) {
+      logger.error('Error deleting recipe', { recipeId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoRecipe) {
+    // Entidad de dominio para los cálculos de nutrición
+    const recipe = new Recipe({ ...mongoRecipe, id: mongoRecipe._id });
+
+    return {
+      id: mongoRecipe._id,
+      userId: mongoRecipe.userId,
+      name: mongoRecipe.name,
+      ingredients: mongoRecipe.ingredients,
+      cookedWeight: recipe.getCookedWeight(),
+      servings: recipe.servings,
+      notes: mongoRecipe.notes,
+      createdAt: mongoRecipe.createdAt,
+      updatedAt: mongoRecipe.updatedAt,
+      getNutritionPerServing: () => recipe.getNutritionPerServing(),
+      getNutritionPer100g: () => recipe.getNutritionPer100g(),
+      toFoodItem: (portion) => recipe.toFoodItem(portion),
+      toJSON: () => recipe.toJSON()
+    };
+  }
+}
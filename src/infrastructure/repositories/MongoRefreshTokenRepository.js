@@ -0,0 +1,88 @@
+import logger from '../../shared/logger/logger.js';
+
+/**
+ * Refresh token store backed by MongoDB. Used when Redis is disabled or unavailable;
+ * same interface as RedisRefreshTokenRepository.
+ */
+export class MongoRefreshTokenRepository {
+  constructor(RefreshTokenModel) {
+    this.RefreshTokenModel = RefreshTokenModel;
+  }
+
+  /**
+   * @param {Object} data - { tokenHash, familyId, userId, expiresAt }
+   */
+  async save({ tokenHash, familyId, userId, expiresAt }) {
+    try {
+      const token = new this.RefreshTokenModel({ tokenHash, familyId, userId, expiresAt });
+      await token.save();
+    } catch (error) {
+      logger.error('Error saving refresh token', { userId, familyId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} tokenHash - SHA-256 of the token
+   * @returns {Promise<Object|null>} - { userId, familyId, expiresAt, rotated, revoked }
+   */
+  async findByHash(tokenHash) {
+    try {
+      const token = await this.RefreshTokenModel.findOne({ tokenHash }).lean();
+      return token ? this.mapToDomain(token) : null;
+    } catch (error) {
+      logger.error('Error finding refresh token', { error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a token as rotated. Check and update are atomic, so only one
+   * concurrent refresh can rotate a given token.
+   * @param {string} tokenHash - SHA-256 of the token
+   * @returns {Promise<boolean>} - false if it was already rotated or revoked
+   */
+  async markRotated(tokenHash) {
+    try {
+      const token = await this.RefreshTokenModel.findOneAndUpdate(
+        { tokenHash, rotatedAt: null, revokedAt: null },
+        { rotatedAt: new Date() }
+      ).lean();
+
+      return Boolean(token);
+    } catch (error) {
+      logger.error('Error rotating refresh token', { error: error.message });
+      throw error;
+    }
+  }
+
+  async revokeFamily(familyId) {
+    try {
+      await this.RefreshTokenModel.updateMany({ familyId, revokedAt: null }, { revokedAt: new Date() });
+      logger.info('Refresh token family revoked', { familyId });
+    } catch (error) {
+      logger.error('Error revoking refresh token family', { familyId, error: error.message });
+      throw error;
+    }
+  }
+
+  async revokeAllForUser(userId) {
+    try {
+      await this.RefreshTokenModel.updateMany({ userId, revokedAt: null }, { revokedAt: new Date() });
+      logger.info('All refresh tokens revoked', { userId });
+    } catch (error) {
+      logger.error('Error revoking refresh tokens', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoToken) {
+    return {
+      userId: mongoToken.userId,
+      familyId: mongoToken.familyId,
+      expiresAt: mongoToken.expiresAt,
+      rotated: Boolean(mongoToken.rotatedAt),
+      revoked: Boolean(mongoToken.revokedAt)
+    };
+  }
+}
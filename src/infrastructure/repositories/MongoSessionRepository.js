@@ -0,0 +1,163 @@
+import logger from '../../shared/logger/logger.js';
+
+// Campo userAgent acotado: algunos clientes envían cabeceras enormes
+const MAX_USER_AGENT_LENGTH = 512;
+
+export class MongoSessionRepository {
+  constructor(SessionModel) {
+    this.SessionModel = SessionModel;
+  }
+
+  /**
+   * @param {Object} data - { userId, userAgent, ip, expiresAt }
+   * @returns {Promise<Object>}
+   */
+  async create({ userId, userAgent = null, ip = null, expiresAt }) {
+    try {
+      const session = new this.SessionModel({
+        userId,
+        userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+        ip,
+        expiresAt
+      });
+
+      await session.save();
+      logger.info('Session created in MongoDB', { userId, sessionId: session._id });
+
+      return this.mapToDomain(session);
+    } catch (error) {
+      logger.error('Error creating session', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>} - Session, or null if it was revoked, expired or does not exist
+   */
+  async findActiveById(id) {
+    try {
+      const session = await this.SessionModel.findOne({
+        _id: id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      }).lean();
+
+      return session ? this.mapToDomain(session) : null;
+    } catch (error) {
+      logger.error('Error finding session', { sessionId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async findActiveByUser(userId) {
+    try {
+      const sessions = await this.SessionModel.find({
+        userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+      })
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+      return sessions.map(session => this.mapToDomain(session));
+    } catch (error) {
+      logger.error('Error finding sessions by user', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record a use of the session
+   * @param {string} id - Session ID
+   * @param {Date|null} expiresAt - New expiration (on refresh), or null to keep it
+   */
+  async touch(id, expiresAt = null) {
+    try {
+      const update = { lastUsedAt: new Date() };
+      if (expiresAt) {
+        update.expiresAt = expiresAt;
+      }
+
+      await this.SessionModel.updateOne({ _id: id }, update);
+    } catch (error) {
+      logger.error('Error updating session', { sessionId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} id - Session ID
+   * @param {string|null} userId - Owner; when given, sessions of other users are not revoked
+   * @returns {Promise<Object|null>} - Revoked session, or null if it was not active
+   */
+  async revoke(id, userId = null) {
+    try {
+      const filter = { _id: id, revokedAt: null };
+      if (userId) {
+        filter.userId = userId;
+      }
+
+      const session = await this.SessionModel.findOneAndUpdate(
+        filter,
+        { revokedAt: new Date() },
+        { new: true }
+      ).lean();
+
+      if (session) {
+        logger.info('Session revoked', { sessionId: id, userId: session.userId });
+      }
+
+      return session ? this.mapToDomain(session) : null;
+    } catch (error) {
+      logger.error('Error revoking session', { sessionId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Sessions revoked
+   */
+  async revokeAllForUser(userId) {
+    try {
+      const result = await this.SessionModel.updateMany(
+        { userId, revokedAt: null },
+        { revokedAt: new Date() }
+      );
+
+      logger.info('All sessions revoked', { userId, count: result.modifiedCount });
+
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error('Error revoking sessions', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(mongoSession) {
+    return {
+      id: mongoSession._id,
+      userId: mongoSession.userId,
+      userAgent: mongoSession.userAgent,
+      ip: mongoSession.ip,
+      createdAt: mongoSession.createdAt,
+      lastUsedAt: mongoSession.lastUsedAt,
+      expiresAt: mongoSession.expiresAt,
+      revokedAt: mongoSession.revokedAt,
+      toJSON: () => ({
+        id: mongoSession._id,
+        userAgent: mongoSession.userAgent,
+        ip: mongoSession.ip,
+        createdAt: mongoSession.createdAt,
+        lastUsedAt: mongoSession.lastUsedAt,
+        expiresAt: mongoSession.expiresAt
+      })
+    };
+  }
+}
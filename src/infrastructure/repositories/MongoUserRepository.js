@@ -1,5 +1,6 @@
 import { NotFoundError } from '../../shared/errors/AppError.js';
 import logger from '../../shared/logger/logger.js';
+import { User } from '../../domain/entities/User.js';
 
 export class MongoUserRepository {
   constructor(UserModel) {
@@ -14,7 +15,10 @@ export class MongoUserRepository {
         passwordHash: user.passwordHash,
         weight: user.weight,
         height: user.height,
-        age: user.age
+        age: user.age,
+        sex: user.sex,
+        activityLevel: user.activityLevel,
+        timezone: user.timezone
       });
 
       await mongoUser.save();
@@ -42,6 +46,27 @@ export class MongoUserRepository {
     }
   }
 
+  /**
+   * Same as findById but including passwordHash (excluded by default in the schema),
+   * for operations that must confirm the current password
+   * @param {string} id - User ID
+   * @returns {Promise<Object>}
+   */
+  async findByIdWithPassword(id) {
+    try {
+      const user = await this.UserModel.findById(id).select('+passwordHash').lean();
+
+      if (!user) {
+        throw new NotFoundError('User', id);
+      }
+
+      return this.mapToDomain(user);
+    } catch (error) {
+      logger.error('Error finding user by ID', { userId: id, error: error.message });
+      throw error;
+    }
+  }
+
  async findByEmail(email) {
   try {
     const user = await this.UserModel.findOne({ email }).select('+passwordHash').lean();
@@ -52,6 +77,74 @@ export class MongoUserRepository {
   }
 }
 
+  /**
+   * Same as findById but including the two-factor secrets (excluded by default in the schema)
+   * @param {string} id - User ID
+   * @returns {Promise<Object>}
+   */
+  async findByIdWithTwoFactor(id) {
+    try {
+      const user = await this.UserModel.findById(id)
+        .select(
+          '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+        )
+        .lean();
+
+      if (!user) {
+        throw new NotFoundError('User', id);
+      }
+
+      return this.mapToDomain(user);
+    } catch (error) {
+      logger.error('Error finding user by ID', { userId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the TOTP time step of a code, only if it is newer than the last one used,
+   * so the same code cannot be replayed
+   * @param {string} id - User ID
+   * @param {number} step - Time step of the code
+   * @returns {Promise<boolean>} - false if the step was already used
+   */
+  async useTwoFactorStep(id, step) {
+    try {
+      const result = await this.UserModel.updateOne(
+        {
+          _id: id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+
+      return result.modifiedCount === 1;
+    } catch (error) {
+      logger.error('Error recording two-factor step', { userId: id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a recovery code atomically (each one can only be used once)
+   * @param {string} id - User ID
+   * @param {string} codeHash - SHA-256 of the recovery code
+   * @returns {Promise<boolean>} - false if the code does not exist or was already used
+   */
+  async consumeRecoveryCode(id, codeHash) {
+    try {
+      const result = await this.UserModel.updateOne(
+        { _id: id, 'twoFactor.recoveryCodes': codeHash },
+        { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+      );
+
+      return result.modifiedCount === 1;
+    } catch (error) {
+      logger.error('Error consuming recovery code', { userId: id, error: error.message });
+      throw error;
+    }
+  }
+
   async update(id, data) {
     try {
       const user = await this.UserModel.findByIdAndUpdate(
@@ -124,17 +217,36 @@ export class MongoUserRepository {
   }
 
   mapToDomain(mongoUser) {
+    // Entidad de dominio para los cálculos (BMI, BMR, TDEE)
+    const user = new User(mongoUser);
+
     return {
       id: mongoUser._id,
       email: mongoUser.email,
       name: mongoUser.name,
       passwordHash: mongoUser.passwordHash,
+      passwordChangedAt: mongoUser.passwordChangedAt || null,
       weight: mongoUser.weight,
       height: mongoUser.height,
       age: mongoUser.age,
+      sex: user.sex,
+      activityLevel: user.activityLevel,
+      timezone: user.timezone,
+      goalWeight: user.goalWeight,
+      goalDate: user.goalDate,
       role: mongoUser.role || 'usuario',
+      twoFactor: {
+        enabled: mongoUser.twoFactor?.enabled || false,
+        secret: mongoUser.twoFactor?.secret || null,
+        pendingSecret: mongoUser.twoFactor?.pendingSecret || null,
+        recoveryCodes: mongoUser.twoFactor?.recoveryCodes || [],
+        lastUsedStep: mongoUser.twoFactor?.lastUsedStep ?? null,
+        enabledAt: mongoUser.twoFactor?.enabledAt || null
+      },
       createdAt: mongoUser.createdAt,
       updatedAt: mongoUser.updatedAt,
+      calculateBMR: (formula) => user.calculateBMR(formula),
+      calculateTDEE: (formula) => user.calculateTDEE(formula),
       toJSON: () => ({
         id: mongoUser._id,
         email: mongoUser.email,
@@ -142,18 +254,22 @@ export class MongoUserRepository {
         weight: mongoUser.weight,
         height: mongoUser.height,
         age: mongoUser.age,
+        sex: user.sex,
+        activityLevel: user.activityLevel,
+        timezone: user.timezone,
+        goalWeight: user.goalWeight,
+        goalDate: user.goalDate,
         role: mongoUser.role || 'usuario',
-        bmi: calculateBMI(mongoUser.weight, mongoUser.height),
+        twoFactorEnabled: mongoUser.twoFactor?.enabled || false,
+        bmi: user.calculateBMI(),
+        bmr: {
+          mifflinStJeor: user.calculateBMR('mifflin'),
+          harrisBenedict: user.calculateBMR('harris')
+        },
+        tdee: user.calculateTDEE(),
         createdAt: mongoUser.createdAt,
         updatedAt: mongoUser.updatedAt
       })
     };
   }
 }
-
-// Función auxiliar para calcular BMI
-function calculateBMI(weight, height) {
-  if (!weight || !height) return null;
-  const heightInMeters = height / 100;
-  return parseFloat((weight / (heightInMeters * heightInMeters)).toFixed(2));
-}
\ No newline at end of file
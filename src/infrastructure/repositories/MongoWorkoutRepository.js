@@ -1,20 +1,107 @@
+import mongoose from 'mongoose';
 import { NotFoundError } from '../../shared/errors/AppError.js';
 import logger from '../../shared/logger/logger.js';
+import { DEFAULT_TIMEZONE, getDayRange, getPeriodRange } from '../../domain/services/DayBoundaries.js';
+import { estimateCaloriesBurned } from '../../domain/services/CalorieEstimator.js';
+import { withDerivedSummary } from '../../domain/services/ExerciseSets.js';
+
+// Campos de los que depende la estimación de calorías
+const ESTIMATION_FIELDS = ['type', 'exercises', 'duration'];
+
+/**
+ * Volumen (reps × peso) de un ejercicio dentro de una agregación.
+ * Igual que ExerciseSets.getPerformedSets: con setDetails suma las series completadas
+ * que no son de calentamiento; sin ellas usa sets × reps × weight.
+ * @param {string} exercise - Expresión del ejercicio ('$exercises', '$$exercise', ...)
+ * @returns {Object} - Expresión de agregación
+ */
+const exerciseVolume = (exercise) => ({
+  $cond: [
+    { $gt: [{ $size: { $ifNull: [`${exercise}.setDetails`, []] } }, 0] },
+    {
+      $sum: {
+        $map: {
+          input: {
+            $filter: {
+              input: `${exercise}.setDetails`,
+              as: 'set',
+              cond: {
+                $and: [
+                  { $ne: ['$$set.completed', false] },
+                  { $ne: ['$$set.setType', 'warmup'] }
+                ]
+              }
+            }
+          },
+          as: 'set',
+          in: { $multiply: ['$$set.reps', { $ifNull: ['$$set.weight', 0] }] }
+        }
+      }
+    },
+    {
+      $multiply: [
+        { $ifNull: [`${exercise}.sets`, 0] },
+        { $ifNull: [`${exercise}.reps`, 0] },
+        { $ifNull: [`${exercise}.weight`, 0] }
+      ]
+    }
+  ]
+});
 
 export class MongoWorkoutRepository {
-  constructor(WorkoutModel) {
+  /**
+   * @param {Object} WorkoutModel - Mongoose Workout model
+   * @param {Object} UserModel - Mongoose User model, used to read the weight for
+   *   calorie estimation (optional: without it omitted calories stay at 0)
+   */
+  constructor(WorkoutModel, UserModel = null) {
     this.WorkoutModel = WorkoutModel;
+    this.UserModel = UserModel;
+  }
+
+  /**
+   * Calories sent by the client, or a MET-based estimate when they were omitted
+   * @param {string} userId - Owner of the workout (its stored weight is used)
+   * @param {Object} workout - { type, exercises, duration, caloriesBurned }
+   * @returns {Promise<Object>} - { caloriesBurned, caloriesEstimated }
+   */
+  async resolveCaloriesBurned(userId, workout) {
+    if (workout.caloriesBurned !== undefined && workout.caloriesBurned !== null) {
+      return { caloriesBurned: workout.caloriesBurned, caloriesEstimated: false };
+    }
+
+    const user = this.UserModel
+      ? await this.UserModel.findById(userId).select('weight').lean()
+      : null;
+
+    if (!user?.weight) {
+      logger.warn('Cannot estimate calories burned without user weight', { userId });
+      return { caloriesBurned: 0, caloriesEstimated: false };
+    }
+
+    return {
+      caloriesBurned: estimateCaloriesBurned(workout, user.weight),
+      caloriesEstimated: true
+    };
   }
 
+  /**
+   * Create a workout
+   * Exercises logged with setDetails get their sets, reps and weight derived from them.
+   */
   async create(workout) {
     try {
+      const exercises = workout.exercises.map(withDerivedSummary);
+      const calories = await this.resolveCaloriesBurned(workout.userId, { ...workout, exercises });
+
       const mongoWorkout = new this.WorkoutModel({
         userId: workout.userId,
         date: workout.date,
         type: workout.type,
-        exercises: workout.exercises,
+        exercises,
         duration: workout.duration,
-        caloriesBurned: workout.caloriesBurned || 0,
+        caloriesBurned: calories.caloriesBurned,
+        caloriesEstimated: calories.caloriesEstimated,
         notes: workout.notes || ''
       });
 
@@ -43,21 +130,150 @@ export class MongoWorkoutRepository {
     }
   }
 
-  async findByDate(userId, date) {
+  /**
+   * Workouts of one calendar day in the user's timezone
+   * @param {string} userId - User ID
+   * @param {Date|string} date - Day to search (its YYYY-MM-DD part)
+   * @param {string} timezone - IANA timezone that defines where the day starts and ends
+   * @returns {Promise<Array>} - Workouts of that day
+   */
+  async findByDate(userId, date, timezone = DEFAULT_TIMEZONE) {
     try {
-      const startOfDay = new Date(date);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(date);
-      endOfDay.setHours(23, 59, 59, 999);
+      const { start, end } = getDayRange(date, timezone);
 
       const workouts = await this.WorkoutModel.find({
         userId,
-        date: { $gte: startOfDay, $lte: endOfDay }
+        date: { $gte: start, $lte: end }
       }).lean();
 
       return workouts.map(w => this.mapToDomain(w));
     } catch (error) {
-      logger.error('Error finding workouts by date', { userId, date, error: error.message });
+      logger.error('Error finding workouts by date', { userId, date, timezone, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * All workouts of one type, oldest first (used to recalculate personal records)
+   * @param {string} userId - User ID
+   * @param {string} type - Workout type (strength, cardio, ...)
+   * @returns {Promise<Array>}
+   */
+  async findByType(userId, type) {
+    try {
+      const workouts = await this.WorkoutModel.find({ userId, type }).sort({ date: 1 }).lean();
+
+      return workouts.map(w => this.mapToDomain(w));
+    } catch (error) {
+      logger.error('Error finding workouts by type', { userId, type, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Aggregated training for a period: totals, by workout type, by day and most
+   * trained exercises. Days are calendar days in the given timezone.
+   *
+   * @param {string} userId - User ID
+   * @param {Date} startDate - First day of the period (inclusive)
+   * @param {Date} endDate - Last day of the period (inclusive)
+   * @param {string} timezone - IANA timezone used for day boundaries and grouping
+   * @param {Object} options
+   * @param {number} options.topExercises - How many exercises to return (default: 5)
+   * @returns {Promise<Object>} - { totals, byType, byDay, topExercises }
+   */
+  async aggregateStats(userId, startDate, endDate, timezone = DEFAULT_TIMEZONE, { topExercises = 5 } = {}) {
+    try {
+      const { start, end } = getPeriodRange(startDate, endDate, timezone);
+
+      const workoutTotals = {
+        workouts: { $sum: 1 },
+        duration: { $sum: '$duration' },
+        calories: { $sum: '$caloriesBurned' },
+        volume: { $sum: '$volume' }
+      };
+
+      // aggregate() no castea tipos como find(), el userId debe ir como ObjectId
+      const [result] = await this.WorkoutModel.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(userId),
+            date: { $gte: start, $lte: end }
+          }
+        },
+        {
+          $addFields: {
+            volume: {
+              $sum: { $map: { input: '$exercises', as: 'exercise', in: exerciseVolume('$$exercise') } }
+            }
+          }
+        },
+        {
+          $facet: {
+            totals: [{ $group: { _id: null, ...workoutTotals } }],
+            byType: [{ $group: { _id: '$type', ...workoutTotals } }, { $sort: { _id: 1 } }],
+            byDay: [
+              {
+                $group: {
+                  _id: { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } },
+                  ...workoutTotals
+                }
+              },
+              { $sort: { _id: 1 } }
+            ],
+            topExercises: [
+              { $unwind: '$exercises' },
+              {
+                // Ejercicios de la biblioteca por exerciseId, el resto por nombre
+                $group: {
+                  _id: { $ifNull: ['$exercises.exerciseId', { $toLower: '$exercises.name' }] },
+                  exerciseId: { $first: '$exercises.exerciseId' },
+                  name: { $first: '$exercises.name' },
+                  workouts: { $addToSet: '$_id' },
+                  sets: { $sum: '$exercises.sets' },
+                  volume: { $sum: exerciseVolume('$exercises') }
+                }
+              },
+              {
+                $project: {
+                  _id: 0,
+                  exerciseId: { $ifNull: ['$exerciseId', null] },
+                  name: 1,
+                  sessions: { $size: '$workouts' },
+                  sets: 1,
+                  volume: 1
+                }
+              },
+              { $sort: { sessions: -1, sets: -1, name: 1 } },
+              { $limit: topExercises }
+            ]
+          }
+        }
+      ]);
+
+      const mapGroup = ({ _id, ...totals }) => ({ key: _id, ...totals });
+
+      logger.debug('Workout stats aggregated', {
+        userId,
+        startDate: start,
+        endDate: end,
+        timezone,
+        workouts: result?.totals[0]?.workouts || 0
+      });
+
+      return {
+        totals: result?.totals[0] ? mapGroup(result.totals[0]) : null,
+        byType: (result?.byType || []).map(mapGroup),
+        byDay: (result?.byDay || []).map(mapGroup),
+        topExercises: result?.topExercises || []
+      };
+    } catch (error) {
+      logger.error('Error aggregating workout stats', {
+        userId,
+        startDate,
+        endDate,
+        error: error.message
+      });
       throw error;
     }
   }
@@ -192,11 +408,44 @@ export class MongoWorkoutRepository {
     }
   }
 
+  /**
+   * Update a workout
+   * Without caloriesBurned, an estimated value is recalculated when type, exercises
+   * or duration change. A value entered by the user is never replaced by an estimate.
+   * Exercise summaries are derived from setDetails, as in create.
+   */
   async update(id, userId, data) {
     try {
+      const changes = { ...data };
+
+      if (data.exercises) {
+        changes.exercises = data.exercises.map(withDerivedSummary);
+      }
+
+      if (data.caloriesBurned !== undefined && data.caloriesBurned !== null) {
+        changes.caloriesEstimated = false;
+      } else if (ESTIMATION_FIELDS.some((field) => data[field] !== undefined)) {
+        const current = await this.WorkoutModel.findOne({ _id: id, userId }).lean();
+
+        if (!current) {
+          throw new NotFoundError('Workout', id);
+        }
+
+        if (current.caloriesEstimated) {
+          Object.assign(
+            changes,
+            await this.resolveCaloriesBurned(userId, {
+              type: data.type ?? current.type,
+              exercises: changes.exercises ?? current.exercises,
+              duration: data.duration ?? current.duration
+            })
+          );
+        }
+      }
+
       const workout = await this.WorkoutModel.findOneAndUpdate(
         { _id: id, userId },
-        { ...data, updatedAt: new Date() },
+        { ...changes, updatedAt: new Date() },
         { new: true, runValidators: true }
       ).lean();
 
@@ -239,6 +488,7 @@ export class MongoWorkoutRepository {
       exercises: mongoWorkout.exercises,
       duration: mongoWorkout.duration,
       caloriesBurned: mongoWorkout.caloriesBurned,
+      caloriesEstimated: mongoWorkout.caloriesEstimated ?? false,
       notes: mongoWorkout.notes,
       createdAt: mongoWorkout.createdAt,
       updatedAt: mongoWorkout.updatedAt,
@@ -250,6 +500,7 @@ export class MongoWorkoutRepository {
         exercises: mongoWorkout.exercises,
         duration: mongoWorkout.duration,
         caloriesBurned: mongoWorkout.caloriesBurned,
+        caloriesEstimated: mongoWorkout.caloriesEstimated ?? false,
         notes: mongoWorkout.notes,
         createdAt: mongoWorkout.createdAt,
         updatedAt: mongoWorkout.updatedAt
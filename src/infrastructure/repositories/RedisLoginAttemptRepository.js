@@ -0,0 +1,102 @@
+import logger from '../../shared/logger/logger.js';
+
+// Add an attempt and return the previous state, in one step so parallel attempts
+// can't read the same count. A record whose lockout is over starts over.
+// KEYS[1] = attempts key, ARGV[1] = attempt time (ms), ARGV[2] = expiration (ms)
+const RECORD_ATTEMPT_SCRIPT = `
+local previous = redis.call('HMGET', KEYS[1], 'failedAttempts', 'lastFailedAt', 'lockedUntil')
+local lockedUntil = tonumber(previous[3])
+if lockedUntil and lockedUntil <= tonumber(ARGV[1]) then
+  redis.call('DEL', KEYS[1])
+  previous = {}
+  lockedUntil = nil
+end
+redis.call('HINCRBY', KEYS[1], 'failedAttempts', 1)
+redis.call('HSET', KEYS[1], 'lastFailedAt', ARGV[1])
+redis.call('PEXPIREAT', KEYS[1], math.max(tonumber(ARGV[2]), lockedUntil or 0))
+return previous
+`;
+
+/**
+ * Failed login attempts stored in Redis, one hash per account and scope (password / twoFactor):
+ *
+ * - login:attempts:<scope>:<userId>   { failedAttempts, lastFailedAt, lockedUntil } (times in ms)
+ *
+ * The key expires when the failures should be forgotten (extended on each attempt).
+ */
+export class RedisLoginAttemptRepository {
+  /**
+   * @param {Object} redisClient - Connected node-redis client
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+  }
+
+  _key(userId, scope) {
+    return `login:attempts:${scope}:${userId}`;
+  }
+
+  async findByUser(userId, scope) {
+    try {
+      const record = await this.redis.hGetAll(this._key(userId, scope));
+
+      return record.failedAttempts ? this.mapToDomain(record) : null;
+    } catch (error) {
+      logger.error('Error finding login attempts in Redis', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  async recordAttempt(userId, scope, { at, expiresAt }) {
+    try {
+      const [failedAttempts, lastFailedAt, lockedUntil] = await this.redis.eval(
+        RECORD_ATTEMPT_SCRIPT,
+        {
+          keys: [this._key(userId, scope)],
+          arguments: [String(new Date(at).getTime()), String(new Date(expiresAt).getTime())]
+        }
+      );
+
+      return failedAttempts
+        ? this.mapToDomain({ failedAttempts, lastFailedAt, lockedUntil })
+        : null;
+    } catch (error) {
+      logger.error('Error recording login attempt in Redis', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  async lock(userId, scope, lockedUntil) {
+    try {
+      const key = this._key(userId, scope);
+      const lockedUntilMs = new Date(lockedUntil).getTime();
+
+      await this.redis
+        .multi()
+        .hSet(key, 'lockedUntil', String(lockedUntilMs))
+        .pExpireAt(key, lockedUntilMs)
+        .exec();
+      logger.warn('Account locked after failed login attempts', { userId, scope, lockedUntil });
+    } catch (error) {
+      logger.error('Error locking account in Redis', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  async clear(userId, scope) {
+    try {
+      await this.redis.del(this._key(userId, scope));
+    } catch (error) {
+      logger.error('Error clearing login attempts in Redis', { userId, scope, error: error.message });
+      throw error;
+    }
+  }
+
+  mapToDomain(record) {
+    return {
+      failedAttempts: Number(record.failedAttempts),
+      lastFailedAt: record.lastFailedAt ? new Date(Number(record.lastFailedAt)) : null,
+      lockedUntil: record.lockedUntil ? new Date(Number(record.lockedUntil)) : null
+    };
+  }
+}
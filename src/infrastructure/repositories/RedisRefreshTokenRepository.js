@@ -0,0 +1,108 @@
+import logger from '../../shared/logger/logger.js';
+
+/**
+ * Refresh token store backed by Redis. Keys:
+ *
+ * - refresh:token:<hash>     { userId, familyId, expiresAt }, expires with the token
+ * - refresh:rotated:<hash>   set (NX) when the token is rotated
+ * - refresh:revoked:<family> set when the family is revoked
+ * - refresh:user:<userId>    set with the user's families (to revoke them all)
+ *
+ * Family and user keys live as long as the longest refresh token (ttlSeconds).
+ */
+export class RedisRefreshTokenRepository {
+  /**
+   * @param {Object} redisClient - Connected node-redis client
+   * @param {Object} options - { ttlSeconds } refresh token lifetime
+   */
+  constructor(redisClient, { ttlSeconds }) {
+    this.redis = redisClient;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  async save({ tokenHash, familyId, userId, expiresAt }) {
+    try {
+      const ttl = Math.max(1, Math.ceil((new Date(expiresAt) - Date.now()) / 1000));
+      const userKey = `refresh:user:${userId}`;
+
+      await this.redis
+        .multi()
+        .set(`refresh:token:${tokenHash}`, JSON.stringify({ userId, familyId, expiresAt }), { EX: ttl })
+        .sAdd(userKey, familyId)
+        .expire(userKey, this.ttlSeconds)
+        .exec();
+    } catch (error) {
+      logger.error('Error saving refresh token in Redis', { userId, familyId, error: error.message });
+      throw error;
+    }
+  }
+
+  async findByHash(tokenHash) {
+    try {
+      const [token, rotated] = await this.redis.mGet([
+        `refresh:token:${tokenHash}`,
+        `refresh:rotated:${tokenHash}`
+      ]);
+
+      if (!token) {
+        return null;
+      }
+
+      const { userId, familyId, expiresAt } = JSON.parse(token);
+      const revoked = await this.redis.exists(`refresh:revoked:${familyId}`);
+
+      return {
+        userId,
+        familyId,
+        expiresAt: new Date(expiresAt),
+        rotated: Boolean(rotated),
+        revoked: revoked > 0
+      };
+    } catch (error) {
+      logger.error('Error finding refresh token in Redis', { error: error.message });
+      throw error;
+    }
+  }
+
+  async markRotated(tokenHash) {
+    try {
+      const result = await this.redis.set(`refresh:rotated:${tokenHash}`, '1', {
+        NX: true,
+        EX: this.ttlSeconds
+      });
+
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Error rotating refresh token in Redis', { error: error.message });
+      throw error;
+    }
+  }
+
+  async revokeFamily(familyId) {
+    try {
+      await this.redis.set(`refresh:revoked:${familyId}`, '1', { EX: this.ttlSeconds });
+      logger.info('Refresh token family revoked', { familyId });
+    } catch (error) {
+      logger.error('Error revoking refresh token family in Redis', { familyId, error: error.message });
+      throw error;
+    }
+  }
+
+  async revokeAllForUser(userId) {
+    try {
+      const userKey = `refresh:user:${userId}`;
+      const families = await this.redis.sMembers(userKey);
+
+      const multi = this.redis.multi();
+      families.forEach((familyId) => {
+        multi.set(`refresh:revoked:${familyId}`, '1', { EX: this.ttlSeconds });
+      });
+      await multi.del(userKey).exec();
+
+      logger.info('All refresh tokens revoked', { userId, families: families.length });
+    } catch (error) {
+      logger.error('Error revoking refresh tokens in Redis', { userId, error: error.message });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,55 @@
+import logger from '../../shared/logger/logger.js';
+
+/**
+ * Access token revocation list backed by Redis. Keys:
+ *
+ * - revoked:jti:<jti>       set when a single token is revoked
+ * - revoked:user:<userId>   unix time (ms); tokens issued up to it are revoked
+ *
+ * Keys expire when the last token they can affect would have expired anyway.
+ */
+export class RedisTokenRevocationRepository {
+  /**
+   * @param {Object} redisClient - Connected node-redis client
+   */
+  constructor(redisClient) {
+    this.redis = redisClient;
+  }
+
+  async revokeToken(jti, ttlSeconds) {
+    try {
+      await this.redis.set(`revoked:jti:${jti}`, '1', { EX: ttlSeconds });
+    } catch (error) {
+      logger.error('Error revoking access token in Redis', { jti, error: error.message });
+      throw error;
+    }
+  }
+
+  async revokeUser(userId, revokedAt, ttlSeconds) {
+    try {
+      await this.redis.set(`revoked:user:${userId}`, String(revokedAt), { EX: ttlSeconds });
+      logger.info('All access tokens revoked', { userId });
+    } catch (error) {
+      logger.error('Error revoking access tokens in Redis', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} token - { jti, userId, issuedAt } (issuedAt in ms)
+   * @returns {Promise<boolean>}
+   */
+  async isRevoked({ jti, userId, issuedAt }) {
+    try {
+      const [tokenRevoked, userRevokedAt] = await this.redis.mGet([
+        `revoked:jti:${jti}`,
+        `revoked:user:${userId}`
+      ]);
+
+      return Boolean(tokenRevoked) || (userRevokedAt !== null && issuedAt <= Number(userRevokedAt));
+    } catch (error) {
+      logger.error('Error checking access token revocation in Redis', { jti, error: error.message });
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,40 @@
+import { jest } from '@jest/globals';
+import { InMemoryTokenRevocationRepository } from '../InMemoryTokenRevocationRepository.js';
+
+describe('InMemoryTokenRevocationRepository', () => {
+  const token = { jti: 'token-1', userId: 'user-123', issuedAt: 1700000000123 };
+  let tokenRevocationRepository;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-12-04T15:00:00.000Z') });
+    tokenRevocationRepository = new InMemoryTokenRevocationRepository();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should revoke a single token until it expires', async () => {
+    // Act
+    await tokenRevocationRepository.revokeToken('token-1', 600);
+
+    // Assert
+    expect(await tokenRevocationRepository.isRevoked(token)).toBe(true);
+    expect(await tokenRevocationRepository.isRevoked({ ...token, jti: 'token-2' })).toBe(false);
+
+    jest.advanceTimersByTime(600 * 1000);
+    expect(await tokenRevocationRepository.isRevoked(token)).toBe(false);
+  });
+
+  it('should revoke the tokens of a user issued up to the revocation', async () => {
+    // Act
+    await tokenRevocationRepository.revokeUser('user-123', 1700000000123, 86400);
+
+    // Assert
+    expect(await tokenRevocationRepository.isRevoked(token)).toBe(true);
+    expect(await tokenRevocationRepository.isRevoked({ ...token, issuedAt: 1700000000124 })).toBe(
+      false
+    );
+    expect(await tokenRevocationRepository.isRevoked({ ...token, userId: 'user-456' })).toBe(false);
+  });
+});
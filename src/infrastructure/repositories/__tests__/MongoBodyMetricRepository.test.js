@@ -0,0 +1,191 @@
+import { jest } from '@jest/globals';
+import { MongoBodyMetricRepository } from '../MongoBodyMetricRepository.js';
+import { NotFoundError } from '../../../shared/errors/AppError.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoBodyMetricRepository', () => {
+  let bodyMetricRepository;
+  let mockBodyMetricModel;
+  let mockMetric;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockBodyMetricModel = jest.fn();
+    mockBodyMetricModel.findById = jest.fn();
+    mockBodyMetricModel.find = jest.fn();
+    mockBodyMetricModel.findOne = jest.fn();
+    mockBodyMetricModel.findOneAndUpdate = jest.fn();
+    mockBodyMetricModel.findOneAndDelete = jest.fn();
+
+    mockMetric = {
+      _id: 'metric-123',
+      userId: 'user-123',
+      date: new Date('2025-11-05T07:30:00Z'),
+      weight: 78.4,
+      waist: 84,
+      notes: '',
+      createdAt: new Date('2025-11-05'),
+      updatedAt: new Date('2025-11-05'),
+    };
+
+    bodyMetricRepository = new MongoBodyMetricRepository(mockBodyMetricModel);
+  });
+
+  describe('create', () => {
+    it('should save the measurement with the missing fields as null', async () => {
+      // Arrange
+      const mockSave = jest.fn().mockResolvedValue(undefined);
+      mockBodyMetricModel.mockImplementation((data) => ({ ...data, _id: 'metric-123', save: mockSave }));
+
+      // Act
+      const result = await bodyMetricRepository.create({
+        userId: 'user-123',
+        date: mockMetric.date,
+        weight: 78.4,
+      });
+
+      // Assert
+      expect(mockBodyMetricModel).toHaveBeenCalledWith(
+        expect.objectContaining({ weight: 78.4, bodyFat: null, waist: null, notes: '' })
+      );
+      expect(mockSave).toHaveBeenCalled();
+      expect(result.id).toBe('metric-123');
+      expect(result.toJSON()).toEqual(
+        expect.objectContaining({ weight: 78.4, hips: null, thighs: null })
+      );
+    });
+  });
+
+  describe('findById', () => {
+    it('should throw NotFoundError when the measurement does not exist', async () => {
+      // Arrange
+      mockBodyMetricModel.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act & Assert
+      await expect(bodyMetricRepository.findById('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('findByUser', () => {
+    let chain;
+
+    beforeEach(() => {
+      chain = {
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([mockMetric]),
+      };
+      mockBodyMetricModel.find.mockReturnValue(chain);
+    });
+
+    it('should return the whole history oldest first without dates', async () => {
+      // Act
+      const result = await bodyMetricRepository.findByUser('user-123');
+
+      // Assert
+      expect(mockBodyMetricModel.find).toHaveBeenCalledWith({ userId: 'user-123' });
+      expect(chain.sort).toHaveBeenCalledWith({ date: 1 });
+      expect(result[0].weight).toBe(78.4);
+    });
+
+    it('should filter by whole days in the user timezone', async () => {
+      // Act
+      await bodyMetricRepository.findByUser('user-123', {
+        startDate: '2025-11-01',
+        endDate: '2025-11-30',
+        timezone: 'America/Santiago',
+      });
+
+      // Assert (Santiago está en UTC-3 en noviembre)
+      expect(mockBodyMetricModel.find).toHaveBeenCalledWith({
+        userId: 'user-123',
+        date: {
+          $gte: new Date('2025-11-01T03:00:00.000Z'),
+          $lte: new Date('2025-12-01T02:59:59.999Z'),
+        },
+      });
+    });
+  });
+
+  describe('findLatestWeight', () => {
+    it('should return the most recent measurement with a weight', async () => {
+      // Arrange
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(mockMetric),
+      };
+      mockBodyMetricModel.findOne.mockReturnValue(chain);
+
+      // Act
+      const result = await bodyMetricRepository.findLatestWeight('user-123');
+
+      // Assert
+      expect(mockBodyMetricModel.findOne).toHaveBeenCalledWith({
+        userId: 'user-123',
+        weight: { $ne: null },
+      });
+      expect(chain.sort).toHaveBeenCalledWith({ date: -1 });
+      expect(result.weight).toBe(78.4);
+    });
+
+    it('should return null when the user never logged a weight', async () => {
+      // Arrange
+      mockBodyMetricModel.findOne.mockReturnValue({
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act & Assert
+      await expect(bodyMetricRepository.findLatestWeight('user-123')).resolves.toBeNull();
+    });
+  });
+
+  describe('update', () => {
+    it('should only update measurements owned by the user', async () => {
+      // Arrange
+      mockBodyMetricModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act & Assert
+      await expect(
+        bodyMetricRepository.update('metric-123', 'other-user', { weight: 80 })
+      ).rejects.toThrow(NotFoundError);
+      expect(mockBodyMetricModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'metric-123', userId: 'other-user' },
+        expect.objectContaining({ weight: 80 }),
+        { new: true, runValidators: true }
+      );
+    });
+  });
+
+  describe('delete', () => {
+    it('should delete and return the measurement', async () => {
+      // Arrange
+      mockBodyMetricModel.findOneAndDelete.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockMetric),
+      });
+
+      // Act
+      const result = await bodyMetricRepository.delete('metric-123', 'user-123');
+
+      // Assert
+      expect(mockBodyMetricModel.findOneAndDelete).toHaveBeenCalledWith({
+        _id: 'metric-123',
+        userId: 'user-123',
+      });
+      expect(result.id).toBe('metric-123');
+    });
+  });
+});
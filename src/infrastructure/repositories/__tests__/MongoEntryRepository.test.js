@@ -28,6 +28,8 @@ describe('MongoEntryRepository', () => {
     mockEntryModel.findOneAndUpdate = jest.fn();
     mockEntryModel.findOneAndDelete = jest.fn();
     mockEntryModel.countDocuments = jest.fn();
+    mockEntryModel.aggregate = jest.fn();
+    mockEntryModel.insertMany = jest.fn();
 
     // Mock entry data
     mockEntry = {
@@ -119,6 +121,40 @@ describe('MongoEntryRepository', () => {
     });
   });
 
+  describe('createMany', () => {
+    it('should insert all entries at once with computed totals', async () => {
+      // Arrange
+      const foods = [{ name: 'Avena', calories: 380, protein: 13, carbs: 67, fat: 7, quantity: 50 }];
+      mockEntryModel.insertMany.mockImplementation(async (docs) =>
+        docs.map((doc, i) => ({ ...doc, _id: `entry-${i}` }))
+      );
+
+      // Act
+      const result = await entryRepository.createMany([
+        { userId: 'user-123', date: new Date('2025-11-06'), mealType: 'breakfast', foods },
+        { userId: 'user-123', date: new Date('2025-11-06'), mealType: 'snack', foods, notes: 'x' },
+      ]);
+
+      // Assert
+      expect(mockEntryModel.insertMany).toHaveBeenCalledTimes(1);
+      const [docs] = mockEntryModel.insertMany.mock.calls[0];
+      expect(docs).toHaveLength(2);
+      expect(docs[0]).toEqual(
+        expect.objectContaining({ notes: '', totalCalories: 190, totalProtein: 6.5 })
+      );
+      expect(result.map((e) => e.id)).toEqual(['entry-0', 'entry-1']);
+    });
+
+    it('should not hit the database for an empty list', async () => {
+      // Act
+      const result = await entryRepository.createMany([]);
+
+      // Assert
+      expect(result).toEqual([]);
+      expect(mockEntryModel.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
   describe('findById', () => {
     it('should find entry by ID successfully', async () => {
       // Arrange
@@ -171,6 +207,21 @@ describe('MongoEntryRepository', () => {
       expect(result[0].id).toBe('entry-123');
     });
 
+    it('should use the local day boundaries of the given timezone', async () => {
+      // Arrange
+      mockEntryModel.find.mockReturnValue({
+        lean: jest.fn().mockResolvedValue([]),
+      });
+
+      // Act
+      await entryRepository.findByDate('user-123', new Date('2025-11-05'), 'America/Santiago');
+
+      // Assert
+      const [filter] = mockEntryModel.find.mock.calls[0];
+      expect(filter.date.$gte).toEqual(new Date('2025-11-05T03:00:00.000Z'));
+      expect(filter.date.$lte).toEqual(new Date('2025-11-06T02:59:59.999Z'));
+    });
+
     it('should return empty array when no entries found', async () => {
       // Arrange
       mockEntryModel.find.mockReturnValue({
@@ -380,6 +431,80 @@ describe('MongoEntryRepository', () => {
     });
   });
 
+  describe('aggregatePeriodStats', () => {
+    const userId = '507f1f77bcf86cd799439011';
+
+    it('should group entries by day and by meal type', async () => {
+      // Arrange
+      mockEntryModel.aggregate.mockResolvedValue([
+        {
+          byDay: [
+            { _id: '2025-11-01', entries: 2, calories: 900, protein: 40, carbs: 100, fat: 30 },
+            { _id: '2025-11-02', entries: 1, calories: 500, protein: 25, carbs: 60, fat: 15 },
+          ],
+          byMealType: [
+            { _id: 'breakfast', entries: 2, calories: 800, protein: 35, carbs: 90, fat: 25 },
+            { _id: 'lunch', entries: 1, calories: 600, protein: 30, carbs: 70, fat: 20 },
+          ],
+        },
+      ]);
+
+      // Act
+      const result = await entryRepository.aggregatePeriodStats(
+        userId,
+        new Date('2025-11-01'),
+        new Date('2025-11-07')
+      );
+
+      // Assert
+      const [pipeline] = mockEntryModel.aggregate.mock.calls[0];
+      const { $match } = pipeline[0];
+      expect($match.userId.toString()).toBe(userId);
+      expect($match.date.$gte).toEqual(new Date('2025-11-01T00:00:00.000Z'));
+      expect($match.date.$lte).toEqual(new Date('2025-11-07T23:59:59.999Z'));
+      expect(pipeline[1]).toHaveProperty('$facet.byDay');
+      expect(pipeline[1]).toHaveProperty('$facet.byMealType');
+
+      expect(result.byDay).toEqual([
+        { key: '2025-11-01', entries: 2, calories: 900, protein: 40, carbs: 100, fat: 30 },
+        { key: '2025-11-02', entries: 1, calories: 500, protein: 25, carbs: 60, fat: 15 },
+      ]);
+      expect(result.byMealType[0]).toEqual({
+        key: 'breakfast',
+        entries: 2,
+        calories: 800,
+        protein: 35,
+        carbs: 90,
+        fat: 25,
+      });
+    });
+
+    it('should return empty groups when there are no entries', async () => {
+      // Arrange
+      mockEntryModel.aggregate.mockResolvedValue([{ byDay: [], byMealType: [] }]);
+
+      // Act
+      const result = await entryRepository.aggregatePeriodStats(
+        userId,
+        new Date('2025-11-01'),
+        new Date('2025-11-07')
+      );
+
+      // Assert
+      expect(result).toEqual({ byDay: [], byMealType: [] });
+    });
+
+    it('should throw error when aggregation fails', async () => {
+      // Arrange
+      mockEntryModel.aggregate.mockRejectedValue(new Error('Aggregation error'));
+
+      // Act & Assert
+      await expect(
+        entryRepository.aggregatePeriodStats(userId, new Date('2025-11-01'), new Date('2025-11-07'))
+      ).rejects.toThrow('Aggregation error');
+    });
+  });
+
   describe('mapToDomain', () => {
     it('should map MongoDB entry to domain entry correctly', () => {
       // Act
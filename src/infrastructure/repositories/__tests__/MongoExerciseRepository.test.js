@@ -0,0 +1,217 @@
+import { jest } from '@jest/globals';
+import { MongoExerciseRepository } from '../MongoExerciseRepository.js';
+import { ConflictError, NotFoundError } from '../../../shared/errors/AppError.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoExerciseRepository', () => {
+  let exerciseRepository;
+  let mockExerciseModel;
+  let mockExercise;
+
+  // Simula la cadena find().sort().skip().limit().lean()
+  const mockFindChain = (result) => {
+    const chain = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(result),
+    };
+    mockExerciseModel.find.mockReturnValue(chain);
+    return chain;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockExerciseModel = jest.fn();
+    mockExerciseModel.findById = jest.fn();
+    mockExerciseModel.find = jest.fn();
+    mockExerciseModel.findOneAndUpdate = jest.fn();
+    mockExerciseModel.findOneAndDelete = jest.fn();
+    mockExerciseModel.countDocuments = jest.fn();
+
+    mockExercise = {
+      _id: 'exercise-123',
+      name: 'Bench Press',
+      aliases: ['bench', 'Press banca'],
+      searchTerms: ['bench press', 'bench', 'press banca'],
+      primaryMuscles: ['chest'],
+      secondaryMuscles: ['triceps', 'shoulders'],
+      equipment: 'barbell',
+      category: 'strength',
+      createdAt: new Date('2025-11-05'),
+      updatedAt: new Date('2025-11-05'),
+    };
+
+    exerciseRepository = new MongoExerciseRepository(mockExerciseModel);
+  });
+
+  describe('create', () => {
+    it('should store normalized search terms', async () => {
+      // Arrange
+      const mockSave = jest.fn().mockResolvedValue(undefined);
+      mockExerciseModel.mockImplementation(() => ({
+        save: mockSave,
+        toObject: () => mockExercise,
+      }));
+
+      // Act
+      const result = await exerciseRepository.create({
+        name: 'Bench Press',
+        aliases: ['bench', 'Press banca'],
+        primaryMuscles: ['chest'],
+        secondaryMuscles: ['triceps', 'shoulders'],
+        equipment: 'barbell',
+        category: 'strength',
+      });
+
+      // Assert
+      expect(mockExerciseModel).toHaveBeenCalledWith(
+        expect.objectContaining({ searchTerms: ['bench press', 'bench', 'press banca'] })
+      );
+      expect(mockSave).toHaveBeenCalled();
+      expect(result.id).toBe('exercise-123');
+      expect(result.toJSON()).not.toHaveProperty('searchTerms');
+    });
+
+    it('should throw ConflictError when the name already exists', async () => {
+      // Arrange
+      const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      mockExerciseModel.mockImplementation(() => ({
+        save: jest.fn().mockRejectedValue(duplicate),
+      }));
+
+      // Act & Assert
+      await expect(
+        exerciseRepository.create({ name: 'Bench Press', primaryMuscles: ['chest'], category: 'strength' })
+      ).rejects.toThrow(ConflictError);
+    });
+  });
+
+  describe('findById', () => {
+    it('should throw NotFoundError when exercise does not exist', async () => {
+      // Arrange
+      mockExerciseModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act & Assert
+      await expect(exerciseRepository.findById('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('findByNames', () => {
+    it('should look up normalized names among search terms', async () => {
+      // Arrange
+      mockExerciseModel.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([mockExercise]) });
+
+      // Act
+      const result = await exerciseRepository.findByNames(['Press  Banca', 'press banca', 'Sentadilla']);
+
+      // Assert
+      expect(mockExerciseModel.find).toHaveBeenCalledWith({
+        searchTerms: { $in: ['press banca', 'sentadilla'] },
+      });
+      expect(result[0].matches('Press  Banca')).toBe(true);
+    });
+
+    it('should not query when there are no names', async () => {
+      // Act
+      const result = await exerciseRepository.findByNames(['', '  ']);
+
+      // Assert
+      expect(mockExerciseModel.find).not.toHaveBeenCalled();
+      expect(result).toEqual([]);
+    });
+  });
+
+  describe('search', () => {
+    it('should combine text, muscle, equipment and category filters', async () => {
+      // Arrange
+      const chain = mockFindChain([mockExercise]);
+      mockExerciseModel.countDocuments.mockResolvedValue(21);
+
+      // Act
+      const result = await exerciseRepository.search({
+        query: 'Prés',
+        muscle: 'chest',
+        equipment: 'barbell',
+        category: 'strength',
+        page: 2,
+        limit: 10,
+      });
+
+      // Assert
+      const [filter] = mockExerciseModel.find.mock.calls[0];
+      expect(filter.searchTerms.test('press banca')).toBe(true);
+      expect(filter.$or).toEqual([{ primaryMuscles: 'chest' }, { secondaryMuscles: 'chest' }]);
+      expect(filter.equipment).toBe('barbell');
+      expect(filter.category).toBe('strength');
+      expect(chain.sort).toHaveBeenCalledWith({ name: 1 });
+      expect(chain.skip).toHaveBeenCalledWith(10);
+      expect(result.items).toHaveLength(1);
+      expect(result.pagination.totalPages).toBe(3);
+    });
+
+    it('should list everything when there are no filters', async () => {
+      // Arrange
+      mockFindChain([]);
+      mockExerciseModel.countDocuments.mockResolvedValue(0);
+
+      // Act
+      await exerciseRepository.search();
+
+      // Assert
+      expect(mockExerciseModel.find).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe('update', () => {
+    it('should recalculate search terms when aliases change', async () => {
+      // Arrange
+      mockExerciseModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(mockExercise) });
+      mockExerciseModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockExercise, aliases: ['Press plano'] }),
+      });
+
+      // Act
+      await exerciseRepository.update('exercise-123', { aliases: ['Press plano'] });
+
+      // Assert
+      const [, changes] = mockExerciseModel.findOneAndUpdate.mock.calls[0];
+      expect(changes.searchTerms).toEqual(['bench press', 'press plano']);
+    });
+
+    it('should not touch search terms for other fields', async () => {
+      // Arrange
+      mockExerciseModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockExercise),
+      });
+
+      // Act
+      await exerciseRepository.update('exercise-123', { equipment: 'smith_machine' });
+
+      // Assert
+      expect(mockExerciseModel.findById).not.toHaveBeenCalled();
+      const [, changes] = mockExerciseModel.findOneAndUpdate.mock.calls[0];
+      expect(changes).not.toHaveProperty('searchTerms');
+    });
+  });
+
+  describe('delete', () => {
+    it('should throw NotFoundError when exercise does not exist', async () => {
+      // Arrange
+      mockExerciseModel.findOneAndDelete.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act & Assert
+      await expect(exerciseRepository.delete('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+import { MongoFoodRepository } from '../MongoFoodRepository.js';
+import { NotFoundError } from '../../../shared/errors/AppError.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoFoodRepository', () => {
+  let foodRepository;
+  let mockFoodModel;
+  let mockFood;
+
+  // Simula la cadena find().sort().skip().limit().lean()
+  const mockFindChain = (result) => {
+    const chain = {
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      lean: jest.fn().mockResolvedValue(result),
+    };
+    mockFoodModel.find.mockReturnValue(chain);
+    return chain;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFoodModel = jest.fn();
+    mockFoodModel.findById = jest.fn();
+    mockFoodModel.find = jest.fn();
+    mockFoodModel.findOneAndUpdate = jest.fn();
+    mockFoodModel.findOneAndDelete = jest.fn();
+    mockFoodModel.countDocuments = jest.fn();
+
+    mockFood = {
+      _id: 'food-123',
+      userId: 'user-123',
+      name: 'Pechuga de pollo',
+      brand: '',
+      calories: 165,
+      protein: 31,
+      carbs: 0,
+      fat: 3.6,
+      servingSize: 150,
+      createdAt: new Date('2025-11-05'),
+      updatedAt: new Date('2025-11-05'),
+    };
+
+    foodRepository = new MongoFoodRepository(mockFoodModel);
+  });
+
+  describe('create', () => {
+    it('should create food with default brand and serving size', async () => {
+      // Arrange
+      const mockSave = jest.fn().mockResolvedValue(undefined);
+      mockFoodModel.mockImplementation(() => ({ ...mockFood, save: mockSave }));
+
+      // Act
+      const result = await foodRepository.create({
+        userId: 'user-123',
+        name: 'Pechuga de pollo',
+        calories: 165,
+        protein: 31,
+        carbs: 0,
+        fat: 3.6,
+      });
+
+      // Assert
+      expect(mockFoodModel).toHaveBeenCalledWith(
+        expect.objectContaining({ brand: '', servingSize: 100 })
+      );
+      expect(mockSave).toHaveBeenCalled();
+      expect(result.id).toBe('food-123');
+    });
+  });
+
+  describe('findById', () => {
+    it('should throw NotFoundError when food does not exist', async () => {
+      // Arrange
+      mockFoodModel.findById.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act & Assert
+      await expect(foodRepository.findById('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('findByIds', () => {
+    it('should query all ids at once', async () => {
+      // Arrange
+      mockFoodModel.find.mockReturnValue({ lean: jest.fn().mockResolvedValue([mockFood]) });
+
+      // Act
+      const result = await foodRepository.findByIds(['food-123', 'food-456']);
+
+      // Assert
+      expect(mockFoodModel.find).toHaveBeenCalledWith({ _id: { $in: ['food-123', 'food-456'] } });
+      expect(result).toHaveLength(1);
+      expect(result[0].name).toBe('Pechuga de pollo');
+    });
+  });
+
+  describe('search', () => {
+    it('should search by name or brand with escaped, case-insensitive pattern', async () => {
+      // Arrange
+      const chain = mockFindChain([mockFood]);
+      mockFoodModel.countDocuments.mockResolvedValue(21);
+
+      // Act
+      const result = await foodRepository.search({ query: 'pollo (100g)', page: 2, limit: 10 });
+
+      // Assert
+      const [filter] = mockFoodModel.find.mock.calls[0];
+      expect(filter.$or).toHaveLength(2);
+      expect(filter.$or[0].name.test('Pollo (100g) asado')).toBe(true);
+      expect(filter.$or[0].name.test('pollo 100g')).toBe(false);
+      expect(chain.skip).toHaveBeenCalledWith(10);
+      expect(result.items).toHaveLength(1);
+      expect(result.pagination).toEqual({
+        currentPage: 2,
+        totalPages: 3,
+        totalItems: 21,
+        itemsPerPage: 10,
+        hasNextPage: true,
+        hasPreviousPage: true,
+      });
+    });
+
+    it('should list everything when query is empty', async () => {
+      // Arrange
+      mockFindChain([]);
+      mockFoodModel.countDocuments.mockResolvedValue(0);
+
+      // Act
+      await foodRepository.search();
+
+      // Assert
+      expect(mockFoodModel.find).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe('update', () => {
+    it('should only update foods owned by the user', async () => {
+      // Arrange
+      mockFoodModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockFood, calories: 170 }),
+      });
+
+      // Act
+      const result = await foodRepository.update('food-123', 'user-123', { calories: 170 });
+
+      // Assert
+      expect(mockFoodModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'food-123', userId: 'user-123' },
+        expect.objectContaining({ calories: 170 }),
+        { new: true, runValidators: true }
+      );
+      expect(result.calories).toBe(170);
+    });
+
+    it('should throw NotFoundError when food does not exist', async () => {
+      // Arrange
+      mockFoodModel.findOneAndUpdate.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act & Assert
+      await expect(foodRepository.update('missing', 'user-123', {})).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('delete', () => {
+    it('should throw NotFoundError when food does not exist', async () => {
+      // Arrange
+      mockFoodModel.findOneAndDelete.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act & Assert
+      await expect(foodRepository.delete('missing', 'user-123')).rejects.toThrow(NotFoundError);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import { MongoLoginAttemptRepository } from '../MongoLoginAttemptRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoLoginAttemptRepository', () => {
+  let loginAttemptRepository;
+  let mockLoginAttemptModel;
+
+  const at = new Date('2025-12-04T15:00:00.000Z');
+  const expiresAt = new Date('2025-12-04T15:15:00.000Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockLoginAttemptModel = {
+      findOne: jest.fn(),
+      findOneAndUpdate: jest.fn(),
+      updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+      deleteOne: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+    };
+
+    loginAttemptRepository = new MongoLoginAttemptRepository(mockLoginAttemptModel);
+  });
+
+  describe('findByUser', () => {
+    it('should return null without recent failures', async () => {
+      // Arrange
+      mockLoginAttemptModel.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act
+      const result = await loginAttemptRepository.findByUser('user-123', 'password');
+
+      // Assert
+      expect(mockLoginAttemptModel.findOne).toHaveBeenCalledWith({
+        userId: 'user-123',
+        scope: 'password',
+        expiresAt: { $gt: expect.any(Date) },
+      });
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('recordAttempt', () => {
+    it('should increment the attempts in one update and return the previous record', async () => {
+      // Arrange
+      mockLoginAttemptModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          userId: 'user-123',
+          scope: 'password',
+          failedAttempts: 2,
+          lastFailedAt: new Date('2025-12-04T14:59:00.000Z'),
+          lockedUntil: null,
+          expiresAt: new Date('2025-12-04T15:14:00.000Z'),
+        }),
+      });
+
+      // Act
+      const result = await loginAttemptRepository.recordAttempt('user-123', 'password', {
+        at,
+        expiresAt,
+      });
+
+      // Assert
+      expect(mockLoginAttemptModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      const [filter, pipeline, options] = mockLoginAttemptModel.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ userId: 'user-123', scope: 'password' });
+      expect(pipeline[0].$set).toEqual(
+        expect.objectContaining({ lastFailedAt: at, failedAttempts: expect.any(Object) })
+      );
+      expect(options).toEqual({ new: false, upsert: true });
+      expect(mockLoginAttemptModel.deleteOne).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        failedAttempts: 2,
+        lastFailedAt: new Date('2025-12-04T14:59:00.000Z'),
+        lockedUntil: null,
+      });
+    });
+
+    it('should return null for a new record', async () => {
+      // Arrange
+      mockLoginAttemptModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act
+      const result = await loginAttemptRepository.recordAttempt('user-123', 'password', {
+        at,
+        expiresAt,
+      });
+
+      // Assert
+      expect(result).toBeNull();
+    });
+
+    it('should ignore a previous record whose lockout is over', async () => {
+      // Arrange
+      mockLoginAttemptModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          failedAttempts: 7,
+          lastFailedAt: new Date('2025-12-04T14:50:00.000Z'),
+          lockedUntil: new Date('2025-12-04T14:55:00.000Z'),
+          expiresAt: new Date('2025-12-04T15:05:00.000Z'),
+        }),
+      });
+
+      // Act
+      const result = await loginAttemptRepository.recordAttempt('user-123', 'password', {
+        at,
+        expiresAt,
+      });
+
+      // Assert
+      expect(result).toBeNull();
+    });
+
+    it('should retry once when a parallel attempt created the record first', async () => {
+      // Arrange
+      const duplicateKey = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      mockLoginAttemptModel.findOneAndUpdate
+        .mockReturnValueOnce({ lean: jest.fn().mockRejectedValue(duplicateKey) })
+        .mockReturnValueOnce({
+          lean: jest.fn().mockResolvedValue({
+            failedAttempts: 1,
+            lastFailedAt: at,
+            lockedUntil: null,
+            expiresAt,
+          }),
+        });
+
+      // Act
+      const result = await loginAttemptRepository.recordAttempt('user-123', 'twoFactor', {
+        at,
+        expiresAt,
+      });
+
+      // Assert
+      expect(mockLoginAttemptModel.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(result).toEqual({ failedAttempts: 1, lastFailedAt: at, lockedUntil: null });
+    });
+
+    it('should rethrow other errors', async () => {
+      // Arrange
+      mockLoginAttemptModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockRejectedValue(new Error('Database error')),
+      });
+
+      // Act & Assert
+      await expect(
+        loginAttemptRepository.recordAttempt('user-123', 'password', { at, expiresAt })
+      ).rejects.toThrow('Database error');
+      expect(mockLoginAttemptModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('lock', () => {
+    it('should keep the failures until the lockout ends', async () => {
+      // Act
+      await loginAttemptRepository.lock('user-123', 'password', expiresAt);
+
+      // Assert
+      expect(mockLoginAttemptModel.updateOne).toHaveBeenCalledWith(
+        { userId: 'user-123', scope: 'password' },
+        { $set: { lockedUntil: expiresAt, expiresAt } }
+      );
+    });
+  });
+
+  describe('clear', () => {
+    it('should delete the failures of the user', async () => {
+      // Act
+      await loginAttemptRepository.clear('user-123', 'twoFactor');
+
+      // Assert
+      expect(mockLoginAttemptModel.deleteOne).toHaveBeenCalledWith({
+        userId: 'user-123',
+        scope: 'twoFactor',
+      });
+    });
+  });
+});
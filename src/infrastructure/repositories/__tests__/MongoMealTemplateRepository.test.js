@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import { MongoMealTemplateRepository } from '../MongoMealTemplateRepository.js';
+import { NotFoundError } from '../../../shared/errors/AppError.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoMealTemplateRepository', () => {
+  let templateRepository;
+  let mockTemplateModel;
+  let mockTemplate;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockTemplateModel = jest.fn();
+    mockTemplateModel.findById = jest.fn();
+    mockTemplateModel.find = jest.fn();
+    mockTemplateModel.findOneAndUpdate = jest.fn();
+    mockTemplateModel.findOneAndDelete = jest.fn();
+
+    mockTemplate = {
+      _id: 'template-123',
+      userId: 'user-123',
+      name: 'Batido post-entreno',
+      defaultMealType: 'snack',
+      foods: [
+        { name: 'Proteína whey', calories: 400, protein: 80, carbs: 8, fat: 6, quantity: 30 },
+        { name: 'Plátano', calories: 89, protein: 1.1, carbs: 23, fat: 0.3, quantity: 120 },
+      ],
+      notes: '',
+      createdAt: new Date('2025-11-05'),
+      updatedAt: new Date('2025-11-05'),
+    };
+
+    templateRepository = new MongoMealTemplateRepository(mockTemplateModel);
+  });
+
+  describe('create', () => {
+    it('should create template and compute totals from its foods', async () => {
+      // Arrange
+      const mockSave = jest.fn().mockResolvedValue(undefined);
+      mockTemplateModel.mockImplementation(() => ({ ...mockTemplate, save: mockSave }));
+
+      // Act
+      const result = await templateRepository.create({
+        userId: 'user-123',
+        name: 'Batido post-entreno',
+        defaultMealType: 'snack',
+        foods: mockTemplate.foods,
+      });
+
+      // Assert
+      expect(mockTemplateModel).toHaveBeenCalledWith(expect.objectContaining({ notes: '' }));
+      expect(mockSave).toHaveBeenCalled();
+      expect(result.id).toBe('template-123');
+      // 400 * 0.3 + 89 * 1.2
+      expect(result.totalCalories).toBe(226.8);
+      expect(result.toJSON().totalProtein).toBe(25.32);
+    });
+  });
+
+  describe('findById', () => {
+    it('should return the template when found', async () => {
+      // Arrange
+      mockTemplateModel.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockTemplate),
+      });
+
+      // Act
+      const result = await templateRepository.findById('template-123');
+
+      // Assert
+      expect(result.userId).toBe('user-123');
+      expect(result.defaultMealType).toBe('snack');
+    });
+
+    it('should throw NotFoundError when template does not exist', async () => {
+      // Arrange
+      mockTemplateModel.findById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act & Assert
+      await expect(templateRepository.findById('missing')).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('findByUser', () => {
+    it('should list templates sorted by name, optionally filtered by meal type', async () => {
+      // Arrange
+      const chain = {
+        sort: jest.fn().mockReturnThis(),
+        lean: jest.fn().mockResolvedValue([mockTemplate]),
+      };
+      mockTemplateModel.find.mockReturnValue(chain);
+
+      // Act
+      const result = await templateRepository.findByUser('user-123', { mealType: 'snack' });
+
+      // Assert
+      expect(mockTemplateModel.find).toHaveBeenCalledWith({
+        userId: 'user-123',
+        defaultMealType: 'snack',
+      });
+      expect(chain.sort).toHaveBeenCalledWith({ name: 1 });
+      expect(result).toHaveLength(1);
+    });
+  });
+
+  describe('update', () => {
+    it('should only update templates owned by the user', async () => {
+      // Arrange
+      mockTemplateModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockTemplate, name: 'Batido grande' }),
+      });
+
+      // Act
+      const result = await templateRepository.update('template-123', 'user-123', {
+        name: 'Batido grande',
+      });
+
+      // Assert
+      expect(mockTemplateModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'template-123', userId: 'user-123' },
+        expect.objectContaining({ name: 'Batido grande' }),
+        { new: true, runValidators: true }
+      );
+      expect(result.name).toBe('Batido grande');
+    });
+
+    it('should throw NotFoundError when template does not belong to the user', async () => {
+      // Arrange
+      mockTemplateModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act & Assert
+      await expect(
+        templateRepository.update('template-123', 'other-user', { name: 'x' })
+      ).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('delete', () => {
+    it('should delete and return the template', async () => {
+      // Arrange
+      mockTemplateModel.findOneAndDelete.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockTemplate),
+      });
+
+      // Act
+      const result = await templateRepository.delete('template-123', 'user-123');
+
+      // Assert
+      expect(mockTemplateModel.findOneAndDelete).toHaveBeenCalledWith({
+        _id: 'template-123',
+        userId: 'user-123',
+      });
+      expect(result.id).toBe('template-123');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { MongoPasswordResetTokenRepository } from '../MongoPasswordResetTokenRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoPasswordResetTokenRepository', () => {
+  let passwordResetTokenRepository;
+  let mockPasswordResetTokenModel;
+  let mockToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockPasswordResetTokenModel = jest.fn();
+    mockPasswordResetTokenModel.findOneAndUpdate = jest.fn();
+    mockPasswordResetTokenModel.updateMany = jest.fn();
+
+    mockToken = {
+      _id: 'token-123',
+      userId: 'user-123',
+      tokenHash: 'hashed-token',
+      expiresAt: new Date('2025-12-04T15:30:00Z'),
+      usedAt: null,
+      createdAt: new Date('2025-12-04T15:00:00Z'),
+    };
+
+    passwordResetTokenRepository = new MongoPasswordResetTokenRepository(mockPasswordResetTokenModel);
+  });
+
+  describe('create', () => {
+    it('should save the token without exposing its hash', async () => {
+      // Arrange
+      const mockSave = jest.fn().mockResolvedValue(undefined);
+      mockPasswordResetTokenModel.mockImplementation((data) => ({
+        ...mockToken,
+        ...data,
+        save: mockSave,
+      }));
+
+      // Act
+      const result = await passwordResetTokenRepository.create({
+        userId: 'user-123',
+        tokenHash: 'hashed-token',
+        expiresAt: mockToken.expiresAt,
+      });
+
+      // Assert
+      expect(mockPasswordResetTokenModel).toHaveBeenCalledWith({
+        userId: 'user-123',
+        tokenHash: 'hashed-token',
+        expiresAt: mockToken.expiresAt,
+      });
+      expect(mockSave).toHaveBeenCalled();
+      expect(result.id).toBe('token-123');
+      expect(result).not.toHaveProperty('tokenHash');
+    });
+  });
+
+  describe('consume', () => {
+    it('should mark a valid token as used in a single update', async () => {
+      // Arrange
+      mockPasswordResetTokenModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockToken, usedAt: new Date() }),
+      });
+
+      // Act
+      const result = await passwordResetTokenRepository.consume('hashed-token');
+
+      // Assert
+      expect(mockPasswordResetTokenModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: 'hashed-token', usedAt: null, expiresAt: { $gt: expect.any(Date) } },
+        { usedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(result.userId).toBe('user-123');
+      expect(result.usedAt).toBeInstanceOf(Date);
+    });
+
+    it('should return the user id as a string', async () => {
+      // Arrange
+      const userId = new mongoose.Types.ObjectId();
+      mockPasswordResetTokenModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockToken, userId, usedAt: new Date() }),
+      });
+
+      // Act
+      const result = await passwordResetTokenRepository.consume('hashed-token');
+
+      // Assert
+      expect(result.userId).toBe(userId.toString());
+    });
+
+    it('should return null when the token is used, expired or unknown', async () => {
+      // Arrange
+      mockPasswordResetTokenModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act
+      const result = await passwordResetTokenRepository.consume('hashed-token');
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('invalidateForUser', () => {
+    it('should mark the pending tokens of the user as used', async () => {
+      // Arrange
+      mockPasswordResetTokenModel.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      // Act
+      const result = await passwordResetTokenRepository.invalidateForUser('user-123');
+
+      // Assert
+      expect(mockPasswordResetTokenModel.updateMany).toHaveBeenCalledWith(
+        { userId: 'user-123', usedAt: null },
+        { usedAt: expect.any(Date) }
+      );
+      expect(result).toBe(2);
+    });
+  });
+});
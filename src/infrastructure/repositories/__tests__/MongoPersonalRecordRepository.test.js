@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import { MongoPersonalRecordRepository } from '../MongoPersonalRecordRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoPersonalRecordRepository', () => {
+  let personalRecordRepository;
+  let mockPersonalRecordModel;
+  let mockRecord;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockPersonalRecordModel = {
+      find: jest.fn(),
+      bulkWrite: jest.fn().mockResolvedValue({}),
+      deleteMany: jest.fn().mockResolvedValue({ deletedCount: 0 }),
+    };
+
+    mockRecord = {
+      _id: 'record-123',
+      userId: 'user-123',
+      key: 'name:sentadilla',
+      exerciseId: null,
+      name: 'Sentadilla',
+      maxWeight: { weight: 120, reps: 3, date: new Date('2025-11-05'), workoutId: 'workout-1' },
+      repsByWeight: [{ weight: 120, reps: 3, date: new Date('2025-11-05'), workoutId: 'workout-1' }],
+      estimatedOneRepMax: { epley: null, brzycki: null },
+      bestVolume: null,
+      updatedAt: new Date('2025-11-05'),
+    };
+
+    personalRecordRepository = new MongoPersonalRecordRepository(mockPersonalRecordModel);
+  });
+
+  describe('findByUser', () => {
+    it('should return the records sorted by exercise name', async () => {
+      // Arrange
+      const sort = jest.fn().mockReturnValue({ lean: jest.fn().mockResolvedValue([mockRecord]) });
+      mockPersonalRecordModel.find.mockReturnValue({ sort });
+
+      // Act
+      const result = await personalRecordRepository.findByUser('user-123');
+
+      // Assert
+      expect(mockPersonalRecordModel.find).toHaveBeenCalledWith({ userId: 'user-123' });
+      expect(sort).toHaveBeenCalledWith({ name: 1 });
+      expect(result[0].toJSON()).toEqual(
+        expect.objectContaining({ id: 'record-123', key: 'name:sentadilla', name: 'Sentadilla' })
+      );
+    });
+  });
+
+  describe('saveMany', () => {
+    it('should upsert one document per exercise key', async () => {
+      // Act
+      await personalRecordRepository.saveMany('user-123', [{ ...mockRecord, _id: undefined }]);
+
+      // Assert
+      const [operations] = mockPersonalRecordModel.bulkWrite.mock.calls[0];
+      expect(operations).toHaveLength(1);
+      expect(operations[0].updateOne.filter).toEqual({ userId: 'user-123', key: 'name:sentadilla' });
+      expect(operations[0].updateOne.upsert).toBe(true);
+      expect(operations[0].updateOne.update.$set).toEqual(
+        expect.objectContaining({ name: 'Sentadilla', maxWeight: mockRecord.maxWeight })
+      );
+      expect(operations[0].updateOne.update.$set).not.toHaveProperty('userId');
+    });
+
+    it('should do nothing without records', async () => {
+      // Act
+      await personalRecordRepository.saveMany('user-123', []);
+
+      // Assert
+      expect(mockPersonalRecordModel.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('replaceAll', () => {
+    it('should remove records of exercises that are no longer present', async () => {
+      // Act
+      await personalRecordRepository.replaceAll('user-123', [mockRecord]);
+
+      // Assert
+      expect(mockPersonalRecordModel.deleteMany).toHaveBeenCalledWith({
+        userId: 'user-123',
+        key: { $nin: ['name:sentadilla'] },
+      });
+      expect(mockPersonalRecordModel.bulkWrite).toHaveBeenCalled();
+    });
+  });
+});
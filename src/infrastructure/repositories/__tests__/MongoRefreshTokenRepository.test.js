@@ -0,0 +1,153 @@
+import { jest } from '@jest/globals';
+import { MongoRefreshTokenRepository } from '../MongoRefreshTokenRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoRefreshTokenRepository', () => {
+  let refreshTokenRepository;
+  let mockRefreshTokenModel;
+  let mockToken;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockRefreshTokenModel = jest.fn();
+    mockRefreshTokenModel.findOne = jest.fn();
+    mockRefreshTokenModel.findOneAndUpdate = jest.fn();
+    mockRefreshTokenModel.updateMany = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+
+    mockToken = {
+      _id: 'token-123',
+      tokenHash: 'hashed-token',
+      familyId: 'family-1',
+      userId: 'user-123',
+      expiresAt: new Date('2025-12-11T15:00:00Z'),
+      rotatedAt: null,
+      revokedAt: null,
+    };
+
+    refreshTokenRepository = new MongoRefreshTokenRepository(mockRefreshTokenModel);
+  });
+
+  describe('save', () => {
+    it('should store the token hash with its family', async () => {
+      // Arrange
+      const mockSave = jest.fn().mockResolvedValue(undefined);
+      mockRefreshTokenModel.mockImplementation((data) => ({ ...data, save: mockSave }));
+
+      // Act
+      await refreshTokenRepository.save({
+        tokenHash: 'hashed-token',
+        familyId: 'family-1',
+        userId: 'user-123',
+        expiresAt: mockToken.expiresAt,
+      });
+
+      // Assert
+      expect(mockRefreshTokenModel).toHaveBeenCalledWith({
+        tokenHash: 'hashed-token',
+        familyId: 'family-1',
+        userId: 'user-123',
+        expiresAt: mockToken.expiresAt,
+      });
+      expect(mockSave).toHaveBeenCalled();
+    });
+  });
+
+  describe('findByHash', () => {
+    it('should return the rotation and revocation state', async () => {
+      // Arrange
+      mockRefreshTokenModel.findOne.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockToken, rotatedAt: new Date() }),
+      });
+
+      // Act
+      const result = await refreshTokenRepository.findByHash('hashed-token');
+
+      // Assert
+      expect(mockRefreshTokenModel.findOne).toHaveBeenCalledWith({ tokenHash: 'hashed-token' });
+      expect(result).toEqual({
+        userId: 'user-123',
+        familyId: 'family-1',
+        expiresAt: mockToken.expiresAt,
+        rotated: true,
+        revoked: false,
+      });
+    });
+
+    it('should return null for unknown tokens', async () => {
+      // Arrange
+      mockRefreshTokenModel.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act
+      const result = await refreshTokenRepository.findByHash('unknown');
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('markRotated', () => {
+    it('should only rotate active tokens', async () => {
+      // Arrange
+      mockRefreshTokenModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockToken),
+      });
+
+      // Act
+      const result = await refreshTokenRepository.markRotated('hashed-token');
+
+      // Assert
+      expect(mockRefreshTokenModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { tokenHash: 'hashed-token', rotatedAt: null, revokedAt: null },
+        { rotatedAt: expect.any(Date) }
+      );
+      expect(result).toBe(true);
+    });
+
+    it('should return false when the token was already rotated', async () => {
+      // Arrange
+      mockRefreshTokenModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(null),
+      });
+
+      // Act
+      const result = await refreshTokenRepository.markRotated('hashed-token');
+
+      // Assert
+      expect(result).toBe(false);
+    });
+  });
+
+  describe('revocation', () => {
+    it('should revoke every token of a family', async () => {
+      // Act
+      await refreshTokenRepository.revokeFamily('family-1');
+
+      // Assert
+      expect(mockRefreshTokenModel.updateMany).toHaveBeenCalledWith(
+        { familyId: 'family-1', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+
+    it('should revoke every token of a user', async () => {
+      // Act
+      await refreshTokenRepository.revokeAllForUser('user-123');
+
+      // Assert
+      expect(mockRefreshTokenModel.updateMany).toHaveBeenCalledWith(
+        { userId: 'user-123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+    });
+  });
+});
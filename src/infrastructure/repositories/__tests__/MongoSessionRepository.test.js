@@ -0,0 +1,180 @@
+import { jest } from '@jest/globals';
+import { MongoSessionRepository } from '../MongoSessionRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MongoSessionRepository', () => {
+  let sessionRepository;
+  let mockSessionModel;
+  let mockSession;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockSessionModel = jest.fn();
+    mockSessionModel.findOne = jest.fn();
+    mockSessionModel.find = jest.fn();
+    mockSessionModel.updateOne = jest.fn().mockResolvedValue({ modifiedCount: 1 });
+    mockSessionModel.findOneAndUpdate = jest.fn();
+    mockSessionModel.updateMany = jest.fn();
+
+    mockSession = {
+      _id: 'session-1',
+      userId: 'user-123',
+      userAgent: 'Mozilla/5.0 (iPhone)',
+      ip: '203.0.113.25',
+      createdAt: new Date('2025-12-04T15:00:00Z'),
+      lastUsedAt: new Date('2025-12-04T16:00:00Z'),
+      expiresAt: new Date('2025-12-11T16:00:00Z'),
+      revokedAt: null,
+    };
+
+    sessionRepository = new MongoSessionRepository(mockSessionModel);
+  });
+
+  describe('create', () => {
+    it('should save the session with a truncated user agent', async () => {
+      // Arrange
+      const mockSave = jest.fn().mockResolvedValue(undefined);
+      mockSessionModel.mockImplementation((data) => ({ ...mockSession, ...data, save: mockSave }));
+
+      // Act
+      const result = await sessionRepository.create({
+        userId: 'user-123',
+        userAgent: 'x'.repeat(1000),
+        ip: '203.0.113.25',
+        expiresAt: mockSession.expiresAt,
+      });
+
+      // Assert
+      expect(mockSessionModel).toHaveBeenCalledWith({
+        userId: 'user-123',
+        userAgent: 'x'.repeat(512),
+        ip: '203.0.113.25',
+        expiresAt: mockSession.expiresAt,
+      });
+      expect(mockSave).toHaveBeenCalled();
+      expect(result.id).toBe('session-1');
+    });
+  });
+
+  describe('findActiveById', () => {
+    it('should only find sessions that are neither revoked nor expired', async () => {
+      // Arrange
+      mockSessionModel.findOne.mockReturnValue({ lean: jest.fn().mockResolvedValue(mockSession) });
+
+      // Act
+      const result = await sessionRepository.findActiveById('session-1');
+
+      // Assert
+      expect(mockSessionModel.findOne).toHaveBeenCalledWith({
+        _id: 'session-1',
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) },
+      });
+      expect(result.toJSON()).toEqual({
+        id: 'session-1',
+        userAgent: 'Mozilla/5.0 (iPhone)',
+        ip: '203.0.113.25',
+        createdAt: mockSession.createdAt,
+        lastUsedAt: mockSession.lastUsedAt,
+        expiresAt: mockSession.expiresAt,
+      });
+    });
+  });
+
+  describe('findActiveByUser', () => {
+    it('should sort the sessions by last use', async () => {
+      // Arrange
+      const mockSort = jest.fn().mockReturnThis();
+      mockSessionModel.find.mockReturnValue({
+        sort: mockSort,
+        lean: jest.fn().mockResolvedValue([mockSession]),
+      });
+
+      // Act
+      const result = await sessionRepository.findActiveByUser('user-123');
+
+      // Assert
+      expect(mockSessionModel.find).toHaveBeenCalledWith({
+        userId: 'user-123',
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) },
+      });
+      expect(mockSort).toHaveBeenCalledWith({ lastUsedAt: -1 });
+      expect(result).toHaveLength(1);
+    });
+  });
+
+  describe('touch', () => {
+    it('should update the last use and extend the expiration on refresh', async () => {
+      // Arrange
+      const expiresAt = new Date('2025-12-12T00:00:00Z');
+
+      // Act
+      await sessionRepository.touch('session-1', expiresAt);
+
+      // Assert
+      expect(mockSessionModel.updateOne).toHaveBeenCalledWith(
+        { _id: 'session-1' },
+        { lastUsedAt: expect.any(Date), expiresAt }
+      );
+    });
+  });
+
+  describe('revoke', () => {
+    it('should only revoke active sessions of the given user', async () => {
+      // Arrange
+      mockSessionModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockSession, revokedAt: new Date() }),
+      });
+
+      // Act
+      const result = await sessionRepository.revoke('session-1', 'user-123');
+
+      // Assert
+      expect(mockSessionModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'session-1', revokedAt: null, userId: 'user-123' },
+        { revokedAt: expect.any(Date) },
+        { new: true }
+      );
+      expect(result.revokedAt).toBeInstanceOf(Date);
+    });
+
+    it('should return null when the session is not active', async () => {
+      // Arrange
+      mockSessionModel.findOneAndUpdate.mockReturnValue({ lean: jest.fn().mockResolvedValue(null) });
+
+      // Act
+      const result = await sessionRepository.revoke('session-1', 'other-user');
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('revokeAllForUser', () => {
+    it('should revoke every active session of the user', async () => {
+      // Arrange
+      mockSessionModel.updateMany.mockResolvedValue({ modifiedCount: 3 });
+
+      // Act
+      const result = await sessionRepository.revokeAllForUser('user-123');
+
+      // Assert
+      expect(mockSessionModel.updateMany).toHaveBeenCalledWith(
+        { userId: 'user-123', revokedAt: null },
+        { revokedAt: expect.any(Date) }
+      );
+      expect(result).toBe(3);
+    });
+  });
+});
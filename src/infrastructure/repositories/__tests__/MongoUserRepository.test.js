@@ -27,6 +27,7 @@ describe('MongoUserRepository', () => {
     mockUserModel.findOne = jest.fn();
     mockUserModel.findByIdAndUpdate = jest.fn();
     mockUserModel.findByIdAndDelete = jest.fn();
+    mockUserModel.updateOne = jest.fn();
 
     // Mock user data
     mockUser = {
@@ -136,6 +137,81 @@ describe('MongoUserRepository', () => {
     });
   });
 
+  describe('findByIdWithPassword', () => {
+    it('should include the password hash', async () => {
+      // Arrange
+      const select = jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockUser, passwordHash: 'hashed-password' }),
+      });
+      mockUserModel.findById.mockReturnValue({ select });
+
+      // Act
+      const result = await userRepository.findByIdWithPassword('user-123');
+
+      // Assert
+      expect(select).toHaveBeenCalledWith('+passwordHash');
+      expect(result.passwordHash).toBe('hashed-password');
+    });
+  });
+
+  describe('two-factor', () => {
+    it('should include the two-factor secrets', async () => {
+      // Arrange
+      const select = jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          ...mockUser,
+          twoFactor: { enabled: true, secret: 'JBSWY3DPEHPK3PXP', recoveryCodes: ['hash-1'] },
+        }),
+      });
+      mockUserModel.findById.mockReturnValue({ select });
+
+      // Act
+      const result = await userRepository.findByIdWithTwoFactor('user-123');
+
+      // Assert
+      expect(select).toHaveBeenCalledWith(
+        '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep'
+      );
+      expect(result.twoFactor).toEqual(
+        expect.objectContaining({ enabled: true, secret: 'JBSWY3DPEHPK3PXP', recoveryCodes: ['hash-1'] })
+      );
+      expect(result.toJSON().twoFactorEnabled).toBe(true);
+    });
+
+    it('should only record time steps newer than the last one used', async () => {
+      // Arrange
+      mockUserModel.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+      // Act
+      const used = await userRepository.useTwoFactorStep('user-123', 57000);
+
+      // Assert
+      expect(mockUserModel.updateOne).toHaveBeenCalledWith(
+        {
+          _id: 'user-123',
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: 57000 } }],
+        },
+        { $set: { 'twoFactor.lastUsedStep': 57000 } }
+      );
+      expect(used).toBe(false);
+    });
+
+    it('should remove a recovery code when it is used', async () => {
+      // Arrange
+      mockUserModel.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+      // Act
+      const consumed = await userRepository.consumeRecoveryCode('user-123', 'hash-1');
+
+      // Assert
+      expect(mockUserModel.updateOne).toHaveBeenCalledWith(
+        { _id: 'user-123', 'twoFactor.recoveryCodes': 'hash-1' },
+        { $pull: { 'twoFactor.recoveryCodes': 'hash-1' } }
+      );
+      expect(consumed).toBe(true);
+    });
+  });
+
   describe('findByEmail', () => {
     it('should find user by email successfully', async () => {
       // Arrange
@@ -296,6 +372,21 @@ describe('MongoUserRepository', () => {
       expect(json).not.toHaveProperty('passwordHash');
     });
 
+    it('should include BMR and TDEE when sex is known', () => {
+      // Act
+      const result = userRepository.mapToDomain({
+        ...mockUser,
+        sex: 'male',
+        activityLevel: 'moderate',
+      });
+      const json = result.toJSON();
+
+      // Assert
+      expect(json.sex).toBe('male');
+      expect(json.bmr.mifflinStJeor).toEqual(expect.any(Number));
+      expect(json.tdee).toBe(result.calculateTDEE());
+    });
+
     it('should return null BMI when weight or height is missing', () => {
       // Arrange
       const userWithoutWeight = { ...mockUser, weight: null };
@@ -76,6 +76,7 @@ describe('MongoWorkoutRepository', () => {
         exercises: workoutData.exercises,
         duration: workoutData.duration,
         caloriesBurned: workoutData.caloriesBurned,
+        caloriesEstimated: false,
         notes: workoutData.notes,
       });
       expect(mockSave).toHaveBeenCalled();
@@ -328,6 +329,213 @@ describe('MongoWorkoutRepository', () => {
     });
   });
 
+  describe('calories burned estimation', () => {
+    let mockUserModel;
+
+    // Simula User.findById().select().lean()
+    const mockUserWeight = (weight) => {
+      mockUserModel.findById.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue(weight ? { _id: 'user-123', weight } : null),
+        }),
+      });
+    };
+
+    beforeEach(() => {
+      mockUserModel = { findById: jest.fn() };
+      mockUserWeight(70);
+      workoutRepository = new MongoWorkoutRepository(mockWorkoutModel, mockUserModel);
+      mockWorkoutModel.mockImplementation((data) => ({
+        ...data,
+        _id: 'workout-123',
+        save: jest.fn().mockResolvedValue(undefined),
+      }));
+    });
+
+    it('should estimate calories with METs when they are omitted', async () => {
+      // Act: 30 minutos corriendo (9.8 MET) con 70 kg
+      const result = await workoutRepository.create({
+        userId: 'user-123',
+        date: new Date('2025-11-05'),
+        type: 'cardio',
+        exercises: [{ name: 'Correr', sets: 1, reps: 1 }],
+        duration: 1800,
+      });
+
+      // Assert
+      expect(mockUserModel.findById).toHaveBeenCalledWith('user-123');
+      expect(result.caloriesBurned).toBe(343);
+      expect(result.toJSON().caloriesEstimated).toBe(true);
+    });
+
+    it('should keep calories sent by the client', async () => {
+      // Act
+      const result = await workoutRepository.create({
+        userId: 'user-123',
+        date: new Date('2025-11-05'),
+        type: 'cardio',
+        exercises: [{ name: 'Correr', sets: 1, reps: 1 }],
+        duration: 1800,
+        caloriesBurned: 0,
+      });
+
+      // Assert
+      expect(mockUserModel.findById).not.toHaveBeenCalled();
+      expect(result.caloriesBurned).toBe(0);
+      expect(result.caloriesEstimated).toBe(false);
+    });
+
+    it('should not estimate when the user weight is unknown', async () => {
+      // Arrange
+      mockUserWeight(null);
+
+      // Act
+      const result = await workoutRepository.create({
+        userId: 'user-123',
+        date: new Date('2025-11-05'),
+        type: 'strength',
+        exercises: [{ name: 'Bench Press', sets: 3, reps: 10 }],
+        duration: 3600,
+      });
+
+      // Assert
+      expect(result.caloriesBurned).toBe(0);
+      expect(result.caloriesEstimated).toBe(false);
+    });
+
+    it('should derive the exercise summary from setDetails', async () => {
+      // Act
+      const result = await workoutRepository.create({
+        userId: 'user-123',
+        date: new Date('2025-11-05'),
+        type: 'strength',
+        exercises: [
+          {
+            name: 'Sentadilla',
+            setDetails: [
+              { reps: 10, weight: 60, setType: 'warmup', completed: true },
+              { reps: 5, weight: 100, setType: 'working', completed: true },
+              { reps: 3, weight: 110, setType: 'working', completed: true },
+            ],
+          },
+        ],
+        duration: 3600,
+        caloriesBurned: 300,
+      });
+
+      // Assert
+      expect(result.exercises[0]).toEqual(expect.objectContaining({ sets: 2, reps: 4, weight: 110 }));
+      expect(result.exercises[0].setDetails).toHaveLength(3);
+    });
+
+    it('should re-estimate on update when the duration of an estimated workout changes', async () => {
+      // Arrange
+      mockWorkoutModel.findOne = jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockWorkout, caloriesEstimated: true }),
+      });
+      mockWorkoutModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockWorkout),
+      });
+
+      // Act: 30 minutos de fuerza (5 MET) con 70 kg
+      await workoutRepository.update('workout-123', 'user-123', { duration: 1800 });
+
+      // Assert
+      expect(mockWorkoutModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'workout-123', userId: 'user-123' },
+        expect.objectContaining({ duration: 1800, caloriesBurned: 175, caloriesEstimated: true }),
+        { new: true, runValidators: true }
+      );
+    });
+
+    it('should not replace calories entered by the user on update', async () => {
+      // Arrange
+      mockWorkoutModel.findOne = jest.fn().mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ ...mockWorkout, caloriesEstimated: false }),
+      });
+      mockWorkoutModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockWorkout),
+      });
+
+      // Act
+      await workoutRepository.update('workout-123', 'user-123', { duration: 1800 });
+
+      // Assert
+      const [, changes] = mockWorkoutModel.findOneAndUpdate.mock.calls[0];
+      expect(changes).not.toHaveProperty('caloriesBurned');
+      expect(mockUserModel.findById).not.toHaveBeenCalled();
+    });
+
+    it('should mark calories sent on update as user-provided', async () => {
+      // Arrange
+      mockWorkoutModel.findOneAndUpdate.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(mockWorkout),
+      });
+
+      // Act
+      await workoutRepository.update('workout-123', 'user-123', { caloriesBurned: 420 });
+
+      // Assert
+      expect(mockWorkoutModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'workout-123', userId: 'user-123' },
+        expect.objectContaining({ caloriesBurned: 420, caloriesEstimated: false }),
+        { new: true, runValidators: true }
+      );
+    });
+  });
+
+  describe('aggregateStats', () => {
+    const userId = '507f1f77bcf86cd799439011';
+
+    it('should aggregate totals, types, days and top exercises', async () => {
+      // Arrange
+      mockWorkoutModel.aggregate = jest.fn().mockResolvedValue([
+        {
+          totals: [{ _id: null, workouts: 2, duration: 5400, calories: 700, volume: 8000 }],
+          byType: [{ _id: 'strength', workouts: 2, duration: 5400, calories: 700, volume: 8000 }],
+          byDay: [{ _id: '2025-11-03', workouts: 2, duration: 5400, calories: 700, volume: 8000 }],
+          topExercises: [{ exerciseId: null, name: 'Sentadilla', sessions: 2, sets: 8, volume: 6400 }],
+        },
+      ]);
+
+      // Act
+      const result = await workoutRepository.aggregateStats(
+        userId,
+        new Date('2025-11-03'),
+        new Date('2025-11-09')
+      );
+
+      // Assert
+      const [pipeline] = mockWorkoutModel.aggregate.mock.calls[0];
+      expect(pipeline[0].$match.userId.toString()).toBe(userId);
+      expect(pipeline[0].$match.date.$gte).toEqual(new Date('2025-11-03T00:00:00.000Z'));
+      expect(pipeline[0].$match.date.$lte).toEqual(new Date('2025-11-09T23:59:59.999Z'));
+      expect(pipeline[1]).toHaveProperty('$addFields.volume');
+      expect(Object.keys(pipeline[2].$facet)).toEqual(['totals', 'byType', 'byDay', 'topExercises']);
+      expect(pipeline[2].$facet.topExercises).toContainEqual({ $limit: 5 });
+
+      expect(result).toEqual({
+        totals: { key: null, workouts: 2, duration: 5400, calories: 700, volume: 8000 },
+        byType: [{ key: 'strength', workouts: 2, duration: 5400, calories: 700, volume: 8000 }],
+        byDay: [{ key: '2025-11-03', workouts: 2, duration: 5400, calories: 700, volume: 8000 }],
+        topExercises: [{ exerciseId: null, name: 'Sentadilla', sessions: 2, sets: 8, volume: 6400 }],
+      });
+    });
+
+    it('should return empty results when there are no workouts', async () => {
+      // Arrange
+      mockWorkoutModel.aggregate = jest.fn().mockResolvedValue([
+        { totals: [], byType: [], byDay: [], topExercises: [] },
+      ]);
+
+      // Act
+      const result = await workoutRepository.aggregateStats(userId, new Date('2025-11-03'), new Date('2025-11-09'));
+
+      // Assert
+      expect(result).toEqual({ totals: null, byType: [], byDay: [], topExercises: [] });
+    });
+  });
+
   describe('update', () => {
     it('should update workout successfully', async () => {
       // Arrange
@@ -0,0 +1,137 @@
+import { jest } from '@jest/globals';
+import { RedisLoginAttemptRepository } from '../RedisLoginAttemptRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('RedisLoginAttemptRepository', () => {
+  let loginAttemptRepository;
+  let mockRedis;
+  let mockMulti;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockMulti = {
+      hSet: jest.fn().mockReturnThis(),
+      pExpireAt: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+
+    mockRedis = {
+      multi: jest.fn().mockReturnValue(mockMulti),
+      eval: jest.fn().mockResolvedValue([null, null, null]),
+      hGetAll: jest.fn().mockResolvedValue({}),
+      del: jest.fn().mockResolvedValue(1),
+    };
+
+    loginAttemptRepository = new RedisLoginAttemptRepository(mockRedis);
+  });
+
+  describe('findByUser', () => {
+    it('should return null without recent failures', async () => {
+      // Act
+      const result = await loginAttemptRepository.findByUser('user-123', 'password');
+
+      // Assert
+      expect(mockRedis.hGetAll).toHaveBeenCalledWith('login:attempts:password:user-123');
+      expect(result).toBeNull();
+    });
+
+    it('should parse the stored failures', async () => {
+      // Arrange
+      mockRedis.hGetAll.mockResolvedValue({
+        failedAttempts: '5',
+        lastFailedAt: String(Date.parse('2025-12-04T15:00:00.000Z')),
+        lockedUntil: String(Date.parse('2025-12-04T15:15:00.000Z')),
+      });
+
+      // Act
+      const result = await loginAttemptRepository.findByUser('user-123', 'twoFactor');
+
+      // Assert
+      expect(mockRedis.hGetAll).toHaveBeenCalledWith('login:attempts:twoFactor:user-123');
+      expect(result).toEqual({
+        failedAttempts: 5,
+        lastFailedAt: new Date('2025-12-04T15:00:00.000Z'),
+        lockedUntil: new Date('2025-12-04T15:15:00.000Z'),
+      });
+    });
+  });
+
+  describe('recordAttempt', () => {
+    const at = new Date('2025-12-04T15:00:00.000Z');
+    const expiresAt = new Date('2025-12-04T15:15:00.000Z');
+
+    it('should increment the attempts in one script and return the previous record', async () => {
+      // Arrange
+      mockRedis.eval.mockResolvedValue(['2', String(Date.parse('2025-12-04T14:59:00.000Z')), null]);
+
+      // Act
+      const result = await loginAttemptRepository.recordAttempt('user-123', 'password', {
+        at,
+        expiresAt,
+      });
+
+      // Assert
+      expect(mockRedis.eval).toHaveBeenCalledWith(expect.stringContaining('HINCRBY'), {
+        keys: ['login:attempts:password:user-123'],
+        arguments: [String(at.getTime()), String(expiresAt.getTime())],
+      });
+      expect(result).toEqual({
+        failedAttempts: 2,
+        lastFailedAt: new Date('2025-12-04T14:59:00.000Z'),
+        lockedUntil: null,
+      });
+    });
+
+    it('should return null for a new record', async () => {
+      // Act
+      const result = await loginAttemptRepository.recordAttempt('user-123', 'password', {
+        at,
+        expiresAt,
+      });
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('lock', () => {
+    it('should store the end of the lockout and expire the key then', async () => {
+      // Arrange
+      const lockedUntil = new Date('2025-12-04T15:15:00.000Z');
+
+      // Act
+      await loginAttemptRepository.lock('user-123', 'password', lockedUntil);
+
+      // Assert
+      expect(mockMulti.hSet).toHaveBeenCalledWith(
+        'login:attempts:password:user-123',
+        'lockedUntil',
+        String(lockedUntil.getTime())
+      );
+      expect(mockMulti.pExpireAt).toHaveBeenCalledWith(
+        'login:attempts:password:user-123',
+        lockedUntil.getTime()
+      );
+    });
+  });
+
+  describe('clear', () => {
+    it('should delete the key', async () => {
+      // Act
+      await loginAttemptRepository.clear('user-123', 'twoFactor');
+
+      // Assert
+      expect(mockRedis.del).toHaveBeenCalledWith('login:attempts:twoFactor:user-123');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+import { jest } from '@jest/globals';
+import { RedisRefreshTokenRepository } from '../RedisRefreshTokenRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('RedisRefreshTokenRepository', () => {
+  const ttlSeconds = 7 * 24 * 60 * 60;
+  let refreshTokenRepository;
+  let mockRedis;
+  let mockMulti;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockMulti = {
+      set: jest.fn().mockReturnThis(),
+      sAdd: jest.fn().mockReturnThis(),
+      expire: jest.fn().mockReturnThis(),
+      del: jest.fn().mockReturnThis(),
+      exec: jest.fn().mockResolvedValue([]),
+    };
+
+    mockRedis = {
+      multi: jest.fn().mockReturnValue(mockMulti),
+      mGet: jest.fn(),
+      exists: jest.fn().mockResolvedValue(0),
+      set: jest.fn(),
+      sMembers: jest.fn(),
+    };
+
+    refreshTokenRepository = new RedisRefreshTokenRepository(mockRedis, { ttlSeconds });
+  });
+
+  describe('save', () => {
+    it('should store the token until it expires and register its family for the user', async () => {
+      // Arrange
+      const expiresAt = new Date(Date.now() + 3600 * 1000);
+
+      // Act
+      await refreshTokenRepository.save({
+        tokenHash: 'hashed-token',
+        familyId: 'family-1',
+        userId: 'user-123',
+        expiresAt,
+      });
+
+      // Assert
+      expect(mockMulti.set).toHaveBeenCalledWith(
+        'refresh:token:hashed-token',
+        JSON.stringify({ userId: 'user-123', familyId: 'family-1', expiresAt }),
+        { EX: 3600 }
+      );
+      expect(mockMulti.sAdd).toHaveBeenCalledWith('refresh:user:user-123', 'family-1');
+      expect(mockMulti.expire).toHaveBeenCalledWith('refresh:user:user-123', ttlSeconds);
+      expect(mockMulti.exec).toHaveBeenCalled();
+    });
+  });
+
+  describe('findByHash', () => {
+    it('should combine the token with its rotation and family revocation state', async () => {
+      // Arrange
+      mockRedis.mGet.mockResolvedValue([
+        JSON.stringify({
+          userId: 'user-123',
+          familyId: 'family-1',
+          expiresAt: '2025-12-11T15:00:00.000Z',
+        }),
+        '1',
+      ]);
+      mockRedis.exists.mockResolvedValue(1);
+
+      // Act
+      const result = await refreshTokenRepository.findByHash('hashed-token');
+
+      // Assert
+      expect(mockRedis.mGet).toHaveBeenCalledWith([
+        'refresh:token:hashed-token',
+        'refresh:rotated:hashed-token',
+      ]);
+      expect(mockRedis.exists).toHaveBeenCalledWith('refresh:revoked:family-1');
+      expect(result).toEqual({
+        userId: 'user-123',
+        familyId: 'family-1',
+        expiresAt: new Date('2025-12-11T15:00:00.000Z'),
+        rotated: true,
+        revoked: true,
+      });
+    });
+
+    it('should return null for unknown or expired tokens', async () => {
+      // Arrange
+      mockRedis.mGet.mockResolvedValue([null, null]);
+
+      // Act
+      const result = await refreshTokenRepository.findByHash('unknown');
+
+      // Assert
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('markRotated', () => {
+    it('should set the rotation marker only once', async () => {
+      // Arrange
+      mockRedis.set.mockResolvedValueOnce('OK').mockResolvedValueOnce(null);
+
+      // Act
+      const first = await refreshTokenRepository.markRotated('hashed-token');
+      const second = await refreshTokenRepository.markRotated('hashed-token');
+
+      // Assert
+      expect(mockRedis.set).toHaveBeenCalledWith('refresh:rotated:hashed-token', '1', {
+        NX: true,
+        EX: ttlSeconds,
+      });
+      expect(first).toBe(true);
+      expect(second).toBe(false);
+    });
+  });
+
+  describe('revocation', () => {
+    it('should mark a family as revoked', async () => {
+      // Act
+      await refreshTokenRepository.revokeFamily('family-1');
+
+      // Assert
+      expect(mockRedis.set).toHaveBeenCalledWith('refresh:revoked:family-1', '1', { EX: ttlSeconds });
+    });
+
+    it('should revoke every family of the user', async () => {
+      // Arrange
+      mockRedis.sMembers.mockResolvedValue(['family-1', 'family-2']);
+
+      // Act
+      await refreshTokenRepository.revokeAllForUser('user-123');
+
+      // Assert
+      expect(mockMulti.set).toHaveBeenCalledWith('refresh:revoked:family-1', '1', { EX: ttlSeconds });
+      expect(mockMulti.set).toHaveBeenCalledWith('refresh:revoked:family-2', '1', { EX: ttlSeconds });
+      expect(mockMulti.del).toHaveBeenCalledWith('refresh:user:user-123');
+      expect(mockMulti.exec).toHaveBeenCalled();
+    });
+  });
+});
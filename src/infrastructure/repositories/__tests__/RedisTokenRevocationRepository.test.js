@@ -0,0 +1,82 @@
+import { jest } from '@jest/globals';
+import { RedisTokenRevocationRepository } from '../RedisTokenRevocationRepository.js';
+
+// Mock del logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('RedisTokenRevocationRepository', () => {
+  let tokenRevocationRepository;
+  let mockRedis;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockRedis = {
+      set: jest.fn().mockResolvedValue('OK'),
+      mGet: jest.fn().mockResolvedValue([null, null]),
+    };
+
+    tokenRevocationRepository = new RedisTokenRevocationRepository(mockRedis);
+  });
+
+  describe('revokeToken', () => {
+    it('should store the jti until the token expires', async () => {
+      // Act
+      await tokenRevocationRepository.revokeToken('token-1', 600);
+
+      // Assert
+      expect(mockRedis.set).toHaveBeenCalledWith('revoked:jti:token-1', '1', { EX: 600 });
+    });
+  });
+
+  describe('revokeUser', () => {
+    it('should store the revocation time of the user', async () => {
+      // Act
+      await tokenRevocationRepository.revokeUser('user-123', 1700000000123, 86400);
+
+      // Assert
+      expect(mockRedis.set).toHaveBeenCalledWith('revoked:user:user-123', '1700000000123', {
+        EX: 86400,
+      });
+    });
+  });
+
+  describe('isRevoked', () => {
+    const token = { jti: 'token-1', userId: 'user-123', issuedAt: 1700000000123 };
+
+    it('should return false for tokens not in the list', async () => {
+      // Act
+      const revoked = await tokenRevocationRepository.isRevoked(token);
+
+      // Assert
+      expect(mockRedis.mGet).toHaveBeenCalledWith(['revoked:jti:token-1', 'revoked:user:user-123']);
+      expect(revoked).toBe(false);
+    });
+
+    it('should return true for revoked tokens', async () => {
+      // Arrange
+      mockRedis.mGet.mockResolvedValue(['1', null]);
+
+      // Act & Assert
+      expect(await tokenRevocationRepository.isRevoked(token)).toBe(true);
+    });
+
+    it('should only revoke the tokens issued up to the revocation of the user', async () => {
+      // Arrange
+      mockRedis.mGet.mockResolvedValue([null, '1700000000123']);
+
+      // Act & Assert
+      expect(await tokenRevocationRepository.isRevoked(token)).toBe(true);
+      expect(await tokenRevocationRepository.isRevoked({ ...token, issuedAt: 1700000000124 })).toBe(
+        false
+      );
+    });
+  });
+});
@@ -1,13 +1,44 @@
 import logger from '../../shared/logger/logger.js';
+import config from '../../config.js';
+import { TokenRevocationService } from '../../application/services/TokenRevocationService.js';
+import {
+  LoginAttemptService,
+  LOGIN_ATTEMPT_SCOPES
+} from '../../application/services/LoginAttemptService.js';
 
 /**
  * Controller for admin-only operations
  * Requires admin role for all endpoints
  */
 export class AdminController {
-  constructor(userRepository, cacheService = null) {
+  constructor(
+    userRepository,
+    cacheService = null,
+    { tokenRevocationRepository = null, loginAttemptRepository = null } = {}
+  ) {
     this.userRepository = userRepository;
     this.cacheService = cacheService;
+    this.tokenRevocationService = tokenRevocationRepository
+      ? new TokenRevocationService(tokenRevocationRepository)
+      : null;
+    this.loginAttemptService = loginAttemptRepository
+      ? new LoginAttemptService(loginAttemptRepository, config.loginLockout)
+      : null;
+  }
+
+  // Without a login attempt repository there is no lockout to read or clear
+  sendLockoutUnavailable(res) {
+    return res.status(503).json({
+      success: false,
+      error: { message: 'Login lockout is not configured' }
+    });
+  }
+
+  // Cut the user's outstanding access tokens so the change applies immediately
+  async revokeUserTokens(userId) {
+    if (this.tokenRevocationService) {
+      await this.tokenRevocationService.revokeAllForUser(userId);
+    }
   }
 
   /**
@@ -134,6 +165,7 @@ export class AdminController {
 
       // Eliminar usuario
       await this.userRepository.delete(id);
+      await this.revokeUserTokens(id);
 
       // Invalidar caché si está disponible
       if (this.cacheService) {
@@ -171,6 +203,178 @@ export class AdminController {
     }
   };
 
+  /**
+   * Change the role of a user
+   * PATCH /api/v1/admin/users/:id/role
+   * Role required: admin
+   */
+  updateUserRole = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { role } = req.body;
+
+      // Prevenir que el admin se quite el rol a sí mismo
+      if (id === req.user.id) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'Cannot change your own role' }
+        });
+      }
+
+      const user = await this.userRepository.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'User not found' }
+        });
+      }
+
+      const updatedUser = await this.userRepository.update(id, { role });
+
+      // Los tokens vigentes llevan el rol anterior: el usuario obtiene uno nuevo con refresh
+      await this.revokeUserTokens(id);
+
+      if (this.cacheService) {
+        await this.cacheService.invalidate(`user:${id}`);
+        await this.cacheService.invalidate('users:*');
+      }
+
+      logger.info('Admin changed user role', {
+        adminId: req.user.id,
+        targetUserId: id,
+        previousRole: user.role,
+        role,
+        requestId: req.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User role updated successfully',
+        data: updatedUser.toJSON()
+      });
+    } catch (error) {
+      logger.error('Admin update user role error', {
+        error: error.message,
+        stack: error.stack,
+        adminId: req.user?.id,
+        targetUserId: req.params.id,
+        requestId: req.id
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: 'Failed to update user role' }
+      });
+    }
+  };
+
+  /**
+   * Get the failed login attempts and lockout status of a user
+   * GET /api/v1/admin/users/:id/lockout
+   * Role required: admin
+   */
+  getUserLockout = async (req, res) => {
+    if (!this.loginAttemptService) {
+      return this.sendLockoutUnavailable(res);
+    }
+
+    try {
+      const { id } = req.params;
+
+      const user = await this.userRepository.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'User not found' }
+        });
+      }
+
+      const [password, twoFactor] = await Promise.all([
+        this.loginAttemptService.getStatus(id, LOGIN_ATTEMPT_SCOPES.PASSWORD),
+        this.loginAttemptService.getStatus(id, LOGIN_ATTEMPT_SCOPES.TWO_FACTOR)
+      ]);
+      const { failedAttempts, lastFailedAt, locked, lockedUntil, retryAfterSeconds } = password;
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          userId: id,
+          failedAttempts,
+          lastFailedAt,
+          locked,
+          lockedUntil,
+          retryAfterSeconds,
+          twoFactor: {
+            failedAttempts: twoFactor.failedAttempts,
+            lastFailedAt: twoFactor.lastFailedAt,
+            locked: twoFactor.locked,
+            lockedUntil: twoFactor.lockedUntil,
+            retryAfterSeconds: twoFactor.retryAfterSeconds
+          }
+        }
+      });
+    } catch (error) {
+      logger.error('Admin get user lockout error', {
+        error: error.message,
+        stack: error.stack,
+        adminId: req.user?.id,
+        targetUserId: req.params.id,
+        requestId: req.id
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: 'Failed to get lockout status' }
+      });
+    }
+  };
+
+  /**
+   * Clear the failed login attempts of a user (password and two-factor codes), lifting any lockout
+   * DELETE /api/v1/admin/users/:id/lockout
+   * Role required: admin
+   */
+  unlockUser = async (req, res) => {
+    if (!this.loginAttemptService) {
+      return this.sendLockoutUnavailable(res);
+    }
+
+    try {
+      const { id } = req.params;
+
+      const user = await this.userRepository.findById(id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'User not found' }
+        });
+      }
+
+      await this.loginAttemptService.unlock(id);
+
+      logger.info('Admin unlocked user', {
+        adminId: req.user.id,
+        targetUserId: id,
+        requestId: req.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'User unlocked successfully'
+      });
+    } catch (error) {
+      logger.error('Admin unlock user error', {
+        error: error.message,
+        stack: error.stack,
+        adminId: req.user?.id,
+        targetUserId: req.params.id,
+        requestId: req.id
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: 'Failed to unlock user' }
+      });
+    }
+  };
+
   /**
    * Get system statistics
    * GET /api/v1/admin/stats
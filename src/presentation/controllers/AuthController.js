@@ -1,12 +1,61 @@
 import bcrypt from 'bcrypt';
+import { randomUUID } from 'crypto';
 import jwt from 'jsonwebtoken';
 import logger from '../../shared/logger/logger.js';
 import config from '../../config.js';
+import { UnauthorizedError } from '../../shared/errors/AppError.js';
+import { PasswordResetService } from '../../application/services/PasswordResetService.js';
+import {
+  RefreshTokenService,
+  REFRESH_TOKEN_TTL_SECONDS,
+} from '../../application/services/RefreshTokenService.js';
+import { SessionService } from '../../application/services/SessionService.js';
+import {
+  LoginAttemptService,
+  LOGIN_ATTEMPT_SCOPES,
+} from '../../application/services/LoginAttemptService.js';
+import {
+  TokenRevocationService,
+  ACCESS_TOKEN_TTL_SECONDS,
+} from '../../application/services/TokenRevocationService.js';
+import {
+  TwoFactorService,
+  MFA_TOKEN_PURPOSE,
+  MFA_TOKEN_TTL_SECONDS,
+} from '../../application/services/TwoFactorService.js';
 
 export class AuthController {
-  constructor(userRepository, cacheService = null) {
+  constructor(
+    userRepository,
+    cacheService = null,
+    {
+      sessionRepository = null,
+      refreshTokenRepository = null,
+      passwordResetTokenRepository = null,
+      tokenRevocationRepository = null,
+      loginAttemptRepository = null,
+      mailService = null,
+    } = {}
+  ) {
     this.userRepository = userRepository;
     this.cacheService = cacheService;
+    this.sessionService = new SessionService(
+      sessionRepository,
+      new RefreshTokenService(refreshTokenRepository)
+    );
+    this.tokenRevocationService = tokenRevocationRepository
+      ? new TokenRevocationService(tokenRevocationRepository)
+      : null;
+    this.loginAttemptService = loginAttemptRepository
+      ? new LoginAttemptService(loginAttemptRepository, config.loginLockout)
+      : null;
+    this.twoFactorService = new TwoFactorService(userRepository, config.twoFactor);
+    this.passwordResetService = new PasswordResetService(
+      userRepository,
+      passwordResetTokenRepository,
+      mailService,
+      config.passwordReset
+    );
   }
 
   // Método auxiliar para obtener JWT secret de forma segura
@@ -21,9 +70,136 @@ export class AuthController {
     return secret;
   }
 
+  // Access token de la sesión; el jti permite revocarlo antes de que venza y iatMs
+  // compararlo con las revocaciones de todo el usuario (iat es en segundos)
+  _signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        sid: sessionId,
+        jti: randomUUID(),
+        iatMs: Date.now(),
+      },
+      this._getJwtSecret(),
+      { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  // Token "mfa pending": solo sirve para completar el login con el segundo paso.
+  // El jti permite invalidarlo una vez usado.
+  _signMfaToken(user) {
+    return jwt.sign(
+      { id: user.id, purpose: MFA_TOKEN_PURPOSE, jti: randomUUID(), iatMs: Date.now() },
+      this._getJwtSecret(),
+      { expiresIn: MFA_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  _verifyMfaToken(mfaToken) {
+    let decoded;
+    try {
+      decoded = jwt.verify(mfaToken, this._getJwtSecret());
+    } catch {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+
+    if (decoded.purpose !== MFA_TOKEN_PURPOSE) {
+      throw new UnauthorizedError('Invalid or expired MFA token');
+    }
+    return decoded;
+  }
+
+  // Los códigos 2FA incorrectos tienen la misma espera y bloqueo que la contraseña, con su
+  // propio contador: pedir mfaTokens nuevos no da intentos ilimitados. Se reserva antes de
+  // comprobar el código.
+  async _reserveTwoFactorAttempt(userId) {
+    return this.loginAttemptService
+      ? this.loginAttemptService.reserveAttempt(userId, LOGIN_ATTEMPT_SCOPES.TWO_FACTOR)
+      : null;
+  }
+
+  // Quien llega al segundo paso ya sabe la contraseña, no hace falta ocultar el bloqueo
+  _sendTooManyTwoFactorAttempts(res, attempt) {
+    res.set('Retry-After', String(attempt.retryAfterSeconds));
+    return res.status(429).json({
+      success: false,
+      error: {
+        message: `Too many failed attempts. Try again in ${attempt.retryAfterSeconds} seconds`,
+      },
+    });
+  }
+
+  // Segundo paso correcto: el mfaToken queda usado y se olvidan los códigos fallidos
+  async _completeTwoFactorStep(userId, mfaClaims, attempt) {
+    if (this.tokenRevocationService) {
+      await this.tokenRevocationService.revokeToken(mfaClaims);
+    }
+    if (attempt) {
+      await this.loginAttemptService.reset(userId, LOGIN_ATTEMPT_SCOPES.TWO_FACTOR);
+    }
+  }
+
+  // Abrir la sesión (refresh token en la cookie) y devolver el access token
+  async _startSession(req, res, user) {
+    // Cada inicio de sesión crea una sesión con su familia de refresh tokens
+    const { sessionId, refreshToken } = await this.sessionService.start(
+      user.id,
+      this._getClientInfo(req)
+    );
+
+    this._setRefreshTokenCookie(res, refreshToken);
+
+    return this._signAccessToken(user, sessionId);
+  }
+
+  // Revocar el access token enviado en el header (si viene y es válido)
+  async _revokeAccessToken(req) {
+    const authHeader = req.headers?.authorization;
+    if (!this.tokenRevocationService || !authHeader?.startsWith('Bearer ')) {
+      return;
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(authHeader.substring(7), this._getJwtSecret());
+    } catch {
+      return;
+    }
+
+    await this.tokenRevocationService.revokeToken(decoded);
+  }
+
+  // Enviar refreshToken en httpOnly cookie (más seguro)
+  _setRefreshTokenCookie(res, refreshToken) {
+    res.cookie('refreshToken', refreshToken, {
+      httpOnly: true, // No accesible desde JavaScript
+      secure: config.isProduction, // Solo HTTPS en producción
+      sameSite: 'strict', // Protección CSRF
+      maxAge: REFRESH_TOKEN_TTL_SECONDS * 1000, // 7 días
+    });
+  }
+
+  // Datos del dispositivo que se guardan con la sesión
+  _getClientInfo(req) {
+    return {
+      userAgent: req.headers?.['user-agent'] || null,
+      ip: req.ip || null,
+    };
+  }
+
+  _clearRefreshTokenCookie(res) {
+    res.clearCookie('refreshToken', {
+      httpOnly: true,
+      secure: config.isProduction,
+      sameSite: 'strict',
+    });
+  }
+
   register = async (req, res) => {
     try {
-      const { email, name, password, weight, height, age } = req.body;
+      const { email, name, password, weight, height, age, sex, activityLevel, timezone } = req.body;
 
       // Validación de campos requeridos
       if (!email || !name || !password || !weight || !height || !age) {
@@ -75,6 +251,9 @@ export class AuthController {
         weight: parseFloat(weight),
         height: parseFloat(height),
         age: parseInt(age),
+        sex,
+        activityLevel,
+        timezone,
       });
 
       // Log sin datos sensibles
@@ -90,20 +269,7 @@ export class AuthController {
       }
 
       // Generar tokens para login automático después del registro
-      const jwtSecret = this._getJwtSecret();
-      const accessToken = jwt.sign({ id: user.id, email: user.email, role: user.role }, jwtSecret, {
-        expiresIn: '24h',
-      });
-
-      const refreshToken = jwt.sign({ id: user.id }, jwtSecret, { expiresIn: '7d' });
-
-      // Enviar refreshToken en httpOnly cookie (más seguro)
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true, // No accesible desde JavaScript
-        secure: config.isProduction, // Solo HTTPS en producción
-        sameSite: 'strict', // Protección CSRF
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 días
-      });
+      const accessToken = await this._startSession(req, res, user);
 
       return res.status(201).json({
         success: true,
@@ -146,30 +312,72 @@ export class AuthController {
         });
       }
 
+      // Espera exponencial entre intentos fallidos y bloqueo temporal de la cuenta.
+      // El intento se reserva antes de comprobar la contraseña (los intentos en paralelo
+      // no pasan con el mismo estado) y se responde igual que a un email desconocido
+      // para no revelar qué cuentas existen.
+      const attempt = this.loginAttemptService
+        ? await this.loginAttemptService.reserveAttempt(user.id)
+        : null;
+      if (attempt && !attempt.allowed) {
+        logger.warn('Login rejected by account backoff', {
+          userId: user.id,
+          failedAttempts: attempt.failedAttempts,
+          locked: attempt.locked,
+          requestId: req.id,
+        });
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Invalid credentials' },
+        });
+      }
+
       // Verificar password
       const isValid = await bcrypt.compare(password, user.passwordHash);
       if (!isValid) {
+        if (attempt) {
+          logger.warn('Failed login attempt', {
+            userId: user.id,
+            failedAttempts: attempt.failedAttempts,
+            requestId: req.id,
+          });
+        }
+
         return res.status(401).json({
           success: false,
           error: { message: 'Invalid credentials' },
         });
       }
 
-      // Generar tokens
-      const jwtSecret = this._getJwtSecret();
-      const accessToken = jwt.sign({ id: user.id, email: user.email, role: user.role }, jwtSecret, {
-        expiresIn: '24h',
-      });
+      if (attempt) {
+        await this.loginAttemptService.reset(user.id);
+      }
 
-      const refreshToken = jwt.sign({ id: user.id }, jwtSecret, { expiresIn: '7d' });
+      // Con 2FA activo (u obligatorio y sin activar) los tokens se emiten después del segundo paso.
+      // Los códigos tienen su propio contador, que acertar la contraseña no reinicia.
+      const enrollmentRequired = !user.twoFactor?.enabled && this.twoFactorService.isRequired(user);
+      if (user.twoFactor?.enabled || enrollmentRequired) {
+        logger.info('User login pending two-factor authentication', {
+          userId: user.id,
+          enrollmentRequired,
+          requestId: req.id,
+        });
 
-      // Enviar refreshToken en httpOnly cookie (más seguro)
-      res.cookie('refreshToken', refreshToken, {
-        httpOnly: true, // No accesible desde JavaScript
-        secure: config.isProduction, // Solo HTTPS en producción
-        sameSite: 'strict', // Protección CSRF
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 días
-      });
+        return res.status(200).json({
+          success: true,
+          message: enrollmentRequired
+            ? 'Two-factor authentication must be enabled for this account'
+            : 'Two-factor authentication required',
+          data: {
+            mfaRequired: true,
+            enrollmentRequired,
+            mfaToken: this._signMfaToken(user),
+          },
+        });
+      }
+
+      // Generar tokens
+      const accessToken = await this._startSession(req, res, user);
 
       logger.info('User login', {
         userId: user.id,
@@ -210,11 +418,15 @@ export class AuthController {
         });
       }
 
-      const jwtSecret = this._getJwtSecret();
-      const decoded = jwt.verify(refreshToken, jwtSecret);
+      // Rota el token: el recibido deja de servir y se entrega uno nuevo de la misma sesión
+      const {
+        userId,
+        sessionId,
+        refreshToken: newRefreshToken,
+      } = await this.sessionService.refresh(refreshToken);
 
       // Buscar usuario para incluir role y email en el nuevo token
-      const user = await this.userRepository.findById(decoded.id);
+      const user = await this.userRepository.findById(userId);
       if (!user) {
         return res.status(401).json({
           success: false,
@@ -223,21 +435,9 @@ export class AuthController {
       }
 
       // Generar nuevo accessToken con toda la info necesaria
-      const newAccessToken = jwt.sign(
-        { id: user.id, email: user.email, role: user.role },
-        jwtSecret,
-        { expiresIn: '24h' }
-      );
+      const newAccessToken = this._signAccessToken(user, sessionId);
 
-      // Opcionalmente, rotar el refreshToken (mejor práctica)
-      const newRefreshToken = jwt.sign({ id: user.id }, jwtSecret, { expiresIn: '7d' });
-
-      res.cookie('refreshToken', newRefreshToken, {
-        httpOnly: true,
-        secure: config.isProduction,
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000,
-      });
+      this._setRefreshTokenCookie(res, newRefreshToken);
 
       logger.info('Token refreshed', {
         userId: user.id,
@@ -255,21 +455,27 @@ export class AuthController {
         stack: error.stack,
         requestId: req.id,
       });
+      this._clearRefreshTokenCookie(res);
       return res.status(401).json({
         success: false,
-        error: { message: 'Invalid or expired refresh token' },
+        error: {
+          message:
+            error instanceof UnauthorizedError ? error.message : 'Invalid or expired refresh token',
+        },
       });
     }
   };
 
   logout = async (req, res) => {
     try {
-      // Limpiar la cookie del refreshToken
-      res.clearCookie('refreshToken', {
-        httpOnly: true,
-        secure: config.isProduction,
-        sameSite: 'strict',
-      });
+      // Revocar la sesión en el servidor, no solo borrar la cookie
+      const refreshToken = req.cookies?.refreshToken;
+      if (refreshToken) {
+        await this.sessionService.end(refreshToken);
+      }
+      await this._revokeAccessToken(req);
+
+      this._clearRefreshTokenCookie(res);
 
       logger.info('User logout', {
         userId: req.user?.id,
@@ -305,15 +511,16 @@ export class AuthController {
       }
 
       // Intentar obtener del caché si está disponible
-      let user = null;
+      // Se cachea el JSON ya serializado (con BMI/BMR/TDEE): los métodos no sobreviven a Redis
+      let userData = null;
       const cacheKey = `user:${userId}`;
 
       if (this.cacheService) {
-        user = await this.cacheService.get(cacheKey);
+        userData = await this.cacheService.get(cacheKey);
       }
 
-      if (!user) {
-        user = await this.userRepository.findById(userId);
+      if (!userData) {
+        const user = await this.userRepository.findById(userId);
 
         // Verificar si el usuario existe
         if (!user) {
@@ -323,15 +530,17 @@ export class AuthController {
           });
         }
 
+        userData = user.toJSON();
+
         // Guardar en caché si está disponible
         if (this.cacheService) {
-          await this.cacheService.set(cacheKey, user, 3600); // 1 hora
+          await this.cacheService.set(cacheKey, userData, 3600); // 1 hora
         }
       }
 
       return res.status(200).json({
         success: true,
-        data: user.toJSON(),
+        data: userData,
       });
     } catch (error) {
       logger.error('Get user error', {
@@ -345,4 +554,422 @@ export class AuthController {
       });
     }
   };
+
+  /**
+   * PATCH /api/v1/auth/me - Actualizar el perfil del usuario autenticado
+   * Body: email, name, weight, height, age, sex, activityLevel, timezone (todos opcionales)
+   * Para cambiar el email hay que enviar también currentPassword.
+   *
+   * Ejemplo:
+   * { "weight": 72.5, "activityLevel": "active" }
+   */
+  updateMe = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Unauthorized' },
+        });
+      }
+
+      const { currentPassword, ...changes } = req.body;
+
+      if (changes.email) {
+        const user = await this.userRepository.findByIdWithPassword(userId);
+
+        if (changes.email === user.email) {
+          delete changes.email;
+        } else {
+          // Cambiar el email cambia con qué se inicia sesión: se confirma la contraseña
+          const isValid = currentPassword && (await bcrypt.compare(currentPassword, user.passwordHash));
+          if (!isValid) {
+            logger.warn('Email change with invalid password', {
+              userId,
+              requestId: req.id,
+            });
+            return res.status(401).json({
+              success: false,
+              error: { message: 'Current password is incorrect' },
+            });
+          }
+
+          const existingUser = await this.userRepository.findByEmail(changes.email);
+          if (existingUser) {
+            return res.status(409).json({
+              success: false,
+              error: { message: 'Email is already in use' },
+            });
+          }
+        }
+      }
+
+      const user = await this.userRepository.update(userId, changes);
+
+      if (this.cacheService) {
+        await this.cacheService.invalidate(`user:${userId}`);
+        await this.cacheService.invalidate('users:*');
+
+        // Peso, altura, edad y sexo cambian el BMR de los balances energéticos
+        if (['weight', 'height', 'age', 'sex'].some((field) => field in changes)) {
+          await this.cacheService.invalidate(`stats:${userId}:*:energy:*`);
+        }
+      }
+
+      logger.info('User profile updated', {
+        userId,
+        fields: Object.keys(changes),
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Profile updated successfully',
+        data: user.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Update user error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/auth/password - Cambiar la contraseña del usuario autenticado
+   * Body: currentPassword, newPassword
+   * Cierra las demás sesiones del usuario; la sesión actual sigue activa.
+   *
+   * Ejemplo:
+   * { "currentPassword": "Password123", "newPassword": "NewPassword456" }
+   */
+  changePassword = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+
+      if (!userId) {
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Unauthorized' },
+        });
+      }
+
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await this.userRepository.findByIdWithPassword(userId);
+      const isValid = await bcrypt.compare(currentPassword, user.passwordHash);
+      if (!isValid) {
+        logger.warn('Password change with invalid password', {
+          userId,
+          requestId: req.id,
+        });
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Current password is incorrect' },
+        });
+      }
+
+      const passwordHash = await bcrypt.hash(newPassword, 10);
+      await this.userRepository.update(userId, { passwordHash, passwordChangedAt: new Date() });
+
+      // Quien tenga la contraseña anterior pierde acceso; esta sesión sigue activa
+      await this.sessionService.revokeOthers(userId, req.user.sessionId);
+
+      logger.info('Password changed', {
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Password changed successfully',
+      });
+    } catch (error) {
+      logger.error('Change password error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/auth/password/reset - Pedir un enlace de recuperación de contraseña
+   * Body: email
+   * Responde lo mismo exista o no la cuenta, para no revelar qué emails están registrados.
+   *
+   * Ejemplo:
+   * { "email": "usuario@example.com" }
+   */
+  requestPasswordReset = async (req, res) => {
+    try {
+      await this.passwordResetService.requestReset(req.body.email);
+
+      logger.info('Password reset requested', {
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'If the email is registered, a password reset link has been sent',
+      });
+    } catch (error) {
+      logger.error('Request password reset error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/auth/password/reset/confirm - Elegir una nueva contraseña con el token del correo
+   * Body: token, newPassword
+   * El token es de un solo uso; se cierran todas las sesiones del usuario.
+   *
+   * Ejemplo:
+   * { "token": "9f86d081884c7d65...", "newPassword": "NewPassword456" }
+   */
+  confirmPasswordReset = async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      const userId = await this.passwordResetService.confirmReset(token, newPassword);
+
+      // Cerrar todas las sesiones y cortar los access tokens que sigan vigentes
+      await this.sessionService.revokeAll(userId);
+      if (this.tokenRevocationService) {
+        await this.tokenRevocationService.revokeAllForUser(userId);
+      }
+      this._clearRefreshTokenCookie(res);
+
+      logger.info('Password reset completed', {
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Password reset successfully. Please login with your new password.',
+      });
+    } catch (error) {
+      logger.error('Confirm password reset error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+  /**
+   * POST /api/v1/auth/2fa/setup - Empezar el alta de 2FA
+   * Devuelve el secreto y la URI otpauth para registrar la cuenta en la app
+   */
+  setupTwoFactor = async (req, res) => {
+    try {
+      const data = await this.twoFactorService.beginEnrollment(req.user.id);
+
+      return res.status(200).json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      logger.error('Setup two-factor error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/auth/2fa/confirm - Activar 2FA con un código de la app
+   * Body: code, mfaToken (alta obligatoria desde el login)
+   */
+  confirmTwoFactor = async (req, res) => {
+    try {
+      const userId = req.user.id;
+
+      // Alta obligatoria desde el login: el código cuenta como un segundo paso más
+      const attempt = req.user.mfaPending ? await this._reserveTwoFactorAttempt(userId) : null;
+      if (attempt && !attempt.allowed) {
+        return this._sendTooManyTwoFactorAttempts(res, attempt);
+      }
+
+      const recoveryCodes = await this.twoFactorService.confirmEnrollment(userId, req.body.code);
+
+      logger.info('Two-factor enrollment confirmed', {
+        userId,
+        requestId: req.id,
+      });
+
+      // Con 2FA ya activo se completa el login que quedó pendiente
+      if (req.user.mfaPending) {
+        await this._completeTwoFactorStep(userId, req.user.mfaClaims, attempt);
+
+        const user = await this.userRepository.findById(userId);
+        const accessToken = await this._startSession(req, res, user);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Two-factor authentication enabled',
+          data: {
+            recoveryCodes,
+            user: user.toJSON(),
+            accessToken,
+          },
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes },
+      });
+    } catch (error) {
+      logger.error('Confirm two-factor error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/auth/2fa/verify - Segundo paso del login
+   * Body: mfaToken y code (o recoveryCode)
+   */
+  verifyTwoFactor = async (req, res) => {
+    try {
+      const { mfaToken, code, recoveryCode } = req.body;
+      const decoded = this._verifyMfaToken(mfaToken);
+      const userId = decoded.id;
+
+      // El mfaToken es de un solo uso
+      if (this.tokenRevocationService && (await this.tokenRevocationService.isRevoked(decoded))) {
+        throw new UnauthorizedError('Invalid or expired MFA token');
+      }
+
+      const attempt = await this._reserveTwoFactorAttempt(userId);
+      if (attempt && !attempt.allowed) {
+        return this._sendTooManyTwoFactorAttempts(res, attempt);
+      }
+
+      const isValid = await this.twoFactorService.verify(userId, { code, recoveryCode });
+      if (!isValid) {
+        if (attempt) {
+          logger.warn('Failed two-factor attempt', {
+            userId,
+            failedAttempts: attempt.failedAttempts,
+            requestId: req.id,
+          });
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Invalid two-factor code' },
+        });
+      }
+
+      await this._completeTwoFactorStep(userId, decoded, attempt);
+
+      const user = await this.userRepository.findById(userId);
+      const accessToken = await this._startSession(req, res, user);
+
+      logger.info('User login', {
+        userId,
+        email: user.email,
+        twoFactor: recoveryCode ? 'recovery-code' : 'totp',
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+          user: user.toJSON(),
+          accessToken,
+        },
+      });
+    } catch (error) {
+      logger.error('Verify two-factor error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/auth/2fa/disable - Desactivar 2FA
+   * Body: code (o recoveryCode)
+   */
+  disableTwoFactor = async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const { code, recoveryCode } = req.body;
+
+      const user = await this.userRepository.findById(userId);
+      if (this.twoFactorService.isRequired(user)) {
+        return res.status(403).json({
+          success: false,
+          error: { message: 'Two-factor authentication is required for this account' },
+        });
+      }
+
+      const isValid = await this.twoFactorService.verify(userId, { code, recoveryCode });
+      if (!isValid) {
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Invalid two-factor code' },
+        });
+      }
+
+      await this.twoFactorService.disable(userId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Two-factor authentication disabled',
+      });
+    } catch (error) {
+      logger.error('Disable two-factor error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
 }
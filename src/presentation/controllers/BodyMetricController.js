@@ -0,0 +1,301 @@
+import logger from '../../shared/logger/logger.js';
+import { DEFAULT_TIMEZONE, addDays, getLocalDayKey } from '../../domain/services/DayBoundaries.js';
+import { parseStatsPeriod } from '../../domain/services/StatsPeriod.js';
+import { BODY_METRICS, DEFAULT_TREND_WINDOW, calculateTrend } from '../../domain/services/BodyMetricTrend.js';
+
+// Solo las medidas enviadas (en una actualización, null borra la medida)
+const pickMeasurements = (body) =>
+  Object.fromEntries(BODY_METRICS.filter((field) => field in body).map((field) => [field, body[field]]));
+
+/**
+ * Controller del historial de peso y medidas corporales
+ * El último peso registrado se copia a User.weight para que BMI, BMR y TDEE
+ * usen siempre el peso actual
+ */
+export class BodyMetricController {
+  constructor(bodyMetricRepository, cacheService = null, { userRepository = null } = {}) {
+    this.bodyMetricRepository = bodyMetricRepository;
+    this.cacheService = cacheService;
+    this.userRepository = userRepository;
+  }
+
+  /**
+   * Copia el peso de la medición más reciente al perfil del usuario.
+   * Un peso cargado con fecha anterior al último no cambia el perfil; al borrar el
+   * último se vuelve al anterior. Si no queda ninguno, el perfil conserva su peso.
+   *
+   * Un fallo aquí no debe perder la medición ya guardada: se registra y se sigue.
+   * @returns {Promise<number|null>} - Peso actual del perfil, o null si no cambió
+   */
+  async syncUserWeight(userId, requestId) {
+    if (!this.userRepository) {
+      return null;
+    }
+
+    try {
+      const latest = await this.bodyMetricRepository.findLatestWeight(userId);
+      const user = latest && (await this.userRepository.findById(userId));
+
+      if (!user || user.weight === latest.weight) {
+        return null;
+      }
+
+      await this.userRepository.update(userId, { weight: latest.weight });
+
+      if (this.cacheService) {
+        // Perfil cacheado (BMI/BMR/TDEE) y balances energéticos calculados con el peso anterior
+        await this.cacheService.invalidate(`user:${userId}`);
+        await this.cacheService.invalidate(`stats:${userId}:*:energy:*`);
+      }
+
+      logger.info('User weight updated from body metrics', {
+        userId,
+        previousWeight: user.weight,
+        weight: latest.weight,
+        requestId,
+      });
+
+      return latest.weight;
+    } catch (error) {
+      logger.error('User weight sync error', {
+        userId,
+        error: error.message,
+        stack: error.stack,
+        requestId,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * POST /api/v1/body-metrics - Registrar peso y/o medidas
+   * Body: date, weight, bodyFat, waist, hips, chest, arms, thighs (al menos una), notes
+   *
+   * Ejemplo:
+   * { "date": "2025-11-05T07:30:00Z", "weight": 78.4, "waist": 84 }
+   */
+  createMetric = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { date, notes } = req.body;
+
+      const metric = await this.bodyMetricRepository.create({
+        userId,
+        date: new Date(date),
+        ...pickMeasurements(req.body),
+        notes,
+      });
+
+      if (metric.weight !== null) {
+        await this.syncUserWeight(userId, req.id);
+      }
+
+      logger.info('Body metric created', {
+        userId,
+        bodyMetricId: metric.id,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Body metric created successfully',
+        data: metric.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Body metric creation error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * GET /api/v1/body-metrics - Historial de mediciones (de la más antigua a la más reciente)
+   * Parámetros de consulta: startDate y endDate (opcionales, juntos), tz
+   */
+  getMetrics = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { startDate, endDate } = req.query;
+
+      const metrics = await this.bodyMetricRepository.findByUser(userId, {
+        startDate,
+        endDate,
+        timezone: req.timezone || DEFAULT_TIMEZONE,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: metrics.map((m) => m.toJSON()),
+      });
+    } catch (error) {
+      logger.error('Get body metrics error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  getMetricById = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // checkResourceOwnership ya cargó la medición en req.bodymetric
+      const metric = req.bodymetric || (await this.bodyMetricRepository.findById(id));
+
+      return res.status(200).json({
+        success: true,
+        data: metric.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Get body metric error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  updateMetric = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+      const { date, notes } = req.body;
+
+      const metric = await this.bodyMetricRepository.update(id, userId, {
+        date: date && new Date(date),
+        ...pickMeasurements(req.body),
+        notes,
+      });
+
+      // Cambiar el peso o la fecha puede cambiar cuál es el último peso
+      if ('weight' in req.body || date) {
+        await this.syncUserWeight(userId, req.id);
+      }
+
+      logger.info('Body metric updated', {
+        bodyMetricId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Body metric updated successfully',
+        data: metric.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Update body metric error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  deleteMetric = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const metric = await this.bodyMetricRepository.delete(id, userId);
+
+      if (metric.weight !== null) {
+        await this.syncUserWeight(userId, req.id);
+      }
+
+      logger.info('Body metric deleted', {
+        bodyMetricId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Body metric deleted successfully',
+        data: metric.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Delete body metric error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * GET /api/v1/body-metrics/trend - Tendencia de una medida
+   * Parámetros de consulta: startDate, endDate, metric (default weight), window (default 7), tz
+   *
+   * La media móvil de los primeros días usa también las mediciones de los `window - 1`
+   * días anteriores al período.
+   *
+   * Ejemplo:
+   * GET /api/v1/body-metrics/trend?startDate=2025-10-01&endDate=2025-11-30&metric=waist
+   */
+  getTrend = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { startDate, endDate, metric = 'weight', window = DEFAULT_TREND_WINDOW } = req.query;
+
+      const { start, end } = parseStatsPeriod(startDate, endDate);
+
+      const timezone = req.timezone || DEFAULT_TIMEZONE;
+      const metrics = await this.bodyMetricRepository.findByUser(userId, {
+        startDate: addDays(start, -(window - 1)),
+        endDate: end,
+        timezone,
+      });
+
+      const trend = calculateTrend(
+        metrics.map((m) => ({ date: getLocalDayKey(m.date, timezone), value: m[metric] })),
+        { window, from: start }
+      );
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          metric,
+          startDate: start,
+          endDate: end,
+          timezone,
+          window,
+          ...trend,
+        },
+      });
+    } catch (error) {
+      logger.error('Get body metric trend error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
@@ -0,0 +1,92 @@
+import logger from '../../shared/logger/logger.js';
+import { DEFAULT_TIMEZONE } from '../../domain/services/DayBoundaries.js';
+import { PERIOD_CACHE_TTL, parseStatsPeriod } from '../../domain/services/StatsPeriod.js';
+import { EnergyBalanceService } from '../../application/services/EnergyBalanceService.js';
+
+/**
+ * Controller del balance energético: junta las comidas (entries) y los
+ * entrenamientos (workouts) del usuario día por día
+ */
+export class EnergyBalanceController {
+  constructor(entryRepository, workoutRepository, userRepository, cacheService = null) {
+    this.energyBalanceService = new EnergyBalanceService(entryRepository, workoutRepository, userRepository);
+    this.cacheService = cacheService;
+  }
+
+  /**
+   * GET /api/v1/energy-balance - Balance energético de un rango de fechas
+   * Parámetros de consulta: startDate, endDate, tz
+   *
+   * Por día: calorías consumidas, gastadas (entrenamientos + BMR), balance neto y
+   * acumulados del período. Rangos de hasta 7 días se cachean como "weekly" y los
+   * mayores como "monthly" (las comidas y los entrenamientos limpian ambas claves).
+   *
+   * Ejemplo:
+   * GET /api/v1/energy-balance?startDate=2025-11-01&endDate=2025-11-30
+   */
+  getEnergyBalance = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { startDate, endDate } = req.query;
+
+      const { start, end, daysInPeriod, period } = parseStatsPeriod(startDate, endDate);
+
+      const timezone = req.timezone || DEFAULT_TIMEZONE;
+      const cacheKey = `stats:${userId}:${period}:energy:${start}:${end}:${timezone}`;
+
+      if (this.cacheService) {
+        const cachedBalance = await this.cacheService.get(cacheKey);
+        if (cachedBalance) {
+          logger.debug('Energy balance cache hit', {
+            userId,
+            startDate: start,
+            endDate: end,
+            requestId: req.id,
+          });
+          return res.status(200).json({
+            success: true,
+            data: cachedBalance,
+            cached: true,
+          });
+        }
+      }
+
+      const { bmr, totals, days } = await this.energyBalanceService.calculate(
+        userId,
+        start,
+        end,
+        timezone
+      );
+
+      const data = {
+        startDate: start,
+        endDate: end,
+        timezone,
+        daysInPeriod,
+        bmr,
+        totals,
+        days,
+      };
+
+      if (this.cacheService) {
+        await this.cacheService.set(cacheKey, data, PERIOD_CACHE_TTL[period]);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data,
+        cached: false,
+      });
+    } catch (error) {
+      logger.error('Get energy balance error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
@@ -1,9 +1,44 @@
 import logger from '../../shared/logger/logger.js';
+import { FoodResolver } from '../../application/services/FoodResolver.js';
+import { sumMicronutrients } from '../../domain/services/MacroCalculator.js';
+import {
+  DEFAULT_TIMEZONE,
+  getLocalDayKey,
+  getStartOfDay,
+  toDayKey,
+} from '../../domain/services/DayBoundaries.js';
+import { PERIOD_CACHE_TTL, parseStatsPeriod } from '../../domain/services/StatsPeriod.js';
+
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+const EMPTY_GROUP = { entries: 0, calories: 0, protein: 0, carbs: 0, fat: 0 };
+
+// Misma hora local que `date`, pero en el día `targetDate`; nunca en el futuro
+const moveToDay = (date, targetDate, timezone) => {
+  const source = new Date(date);
+  const timeOfDay = source - getStartOfDay(getLocalDayKey(source, timezone), timezone);
+  const targetDay = getStartOfDay(toDayKey(targetDate), timezone).getTime();
+  return new Date(Math.min(targetDay + timeOfDay, Date.now()));
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const roundMacros = ({ calories, protein, carbs, fat }) => ({
+  calories: round(calories),
+  protein: round(protein),
+  carbs: round(carbs),
+  fat: round(fat),
+});
 
 export class EntryController {
-  constructor(entryRepository, cacheService = null) {
+  constructor(
+    entryRepository,
+    cacheService = null,
+    { foodRepository = null, nutritionGoalRepository = null } = {}
+  ) {
     this.entryRepository = entryRepository;
     this.cacheService = cacheService;
+    this.foodResolver = new FoodResolver(foodRepository);
+    this.nutritionGoalRepository = nutritionGoalRepository;
   }
 
   // method cache server implement
@@ -24,7 +59,7 @@ export class EntryController {
         userId,
         date: new Date(date),
         mealType,
-        foods,
+        foods: await this.foodResolver.resolve(foods),
         notes,
       });
 
@@ -50,7 +85,7 @@ export class EntryController {
         stack: error.stack,
         requestId: req.id,
       });
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: { message: error.message },
       });
@@ -69,7 +104,11 @@ export class EntryController {
         });
       }
 
-      const entries = await this.entryRepository.findByDate(userId, new Date(date));
+      const entries = await this.entryRepository.findByDate(
+        userId,
+        new Date(date),
+        req.timezone || DEFAULT_TIMEZONE
+      );
 
       return res.status(200).json({
         success: true,
@@ -118,7 +157,7 @@ export class EntryController {
 
       const entry = await this.entryRepository.update(id, userId, {
         mealType,
-        foods,
+        foods: foods && (await this.foodResolver.resolve(foods)),
         notes,
       });
 
@@ -144,7 +183,7 @@ export class EntryController {
         stack: error.stack,
         requestId: req.id,
       });
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: { message: error.message },
       });
@@ -187,6 +226,125 @@ export class EntryController {
     }
   };
 
+  /**
+   * POST /api/v1/entries/:id/copy - Copiar una comida a otra fecha
+   * Body: targetDate, mealType (opcional, por defecto el de la comida original)
+   */
+  copyEntry = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { id } = req.params;
+      const { targetDate, mealType } = req.body;
+
+      // checkResourceOwnership ya cargó la comida en req.entry
+      const source = req.entry || (await this.entryRepository.findById(id));
+
+      const created = await this._copyEntries(userId, [source], targetDate, {
+        mealType,
+        timezone: req.timezone,
+      });
+
+      logger.info('Entry copied', {
+        userId,
+        sourceEntryId: id,
+        entryId: created[0].id,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Entry copied successfully',
+        data: created.map((e) => e.toJSON()),
+      });
+    } catch (error) {
+      logger.error('Copy entry error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/entries/copy - Copiar un día completo o un tipo de comida a otra fecha
+   * Body: sourceDate, targetDate, mealType (opcional, si se omite se copia todo el día)
+   *
+   * Ejemplo (repetir el desayuno de ayer):
+   * { "sourceDate": "2025-11-04", "targetDate": "2025-11-05", "mealType": "breakfast" }
+   */
+  copyEntries = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { sourceDate, targetDate, mealType } = req.body;
+
+      const timezone = req.timezone || DEFAULT_TIMEZONE;
+      const dayEntries = await this.entryRepository.findByDate(userId, new Date(sourceDate), timezone);
+      const sources = mealType ? dayEntries.filter((e) => e.mealType === mealType) : dayEntries;
+
+      if (sources.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'No entries found to copy' },
+        });
+      }
+
+      const created = await this._copyEntries(userId, sources, targetDate, { timezone });
+
+      logger.info('Entries copied', {
+        userId,
+        sourceDate: toDayKey(sourceDate),
+        targetDate: toDayKey(targetDate),
+        mealType: mealType || 'all',
+        count: created.length,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: `${created.length} entries copied successfully`,
+        data: created.map((e) => e.toJSON()),
+      });
+    } catch (error) {
+      logger.error('Copy entries error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  // Crea las copias en bloque e invalida la caché una sola vez
+  async _copyEntries(
+    userId,
+    sources,
+    targetDate,
+    { mealType = null, timezone = DEFAULT_TIMEZONE } = {}
+  ) {
+    const created = await this.entryRepository.createMany(
+      sources.map((source) => ({
+        userId,
+        date: moveToDay(source.date, targetDate, timezone),
+        mealType: mealType || source.mealType,
+        foods: source.foods,
+        notes: source.notes,
+      }))
+    );
+
+    if (this.cacheService) {
+      await this.cacheService.invalidateEntryCache(userId);
+    }
+
+    return created;
+  }
+
   getDailyStats = async (req, res) => {
     try {
       const userId = req.user?.id;
@@ -199,8 +357,12 @@ export class EntryController {
         });
       }
 
-      // Intentar obtener desde caché primero
-      const cacheKey = `stats:daily:${userId}:${date}`;
+      const day = toDayKey(date);
+      const timezone = req.timezone || DEFAULT_TIMEZONE;
+
+      // Intentar obtener desde caché primero (invalidateEntryCache limpia stats:<userId>:daily:*)
+      // La zona horaria es parte de la clave: el mismo día tiene otras comidas en otra zona
+      const cacheKey = `stats:${userId}:daily:${day}:${timezone}`;
 
       if (this.cacheService) {
         const cachedStats = await this.cacheService.get(cacheKey);
@@ -219,15 +381,18 @@ export class EntryController {
       }
 
       // Cache miss - calcular estadísticas
-      const entries = await this.entryRepository.findByDate(userId, new Date(date));
+      const entries = await this.entryRepository.findByDate(userId, new Date(date), timezone);
 
       const stats = {
-        date,
+        date: day,
+        timezone,
         totalEntries: entries.length,
         totalCalories: entries.reduce((sum, e) => sum + e.totalCalories, 0),
         totalProtein: entries.reduce((sum, e) => sum + e.totalProtein, 0),
         totalCarbs: entries.reduce((sum, e) => sum + e.totalCarbs, 0),
         totalFat: entries.reduce((sum, e) => sum + e.totalFat, 0),
+        // Solo los micronutrientes informados en alguna comida del día
+        totalMicronutrients: sumMicronutrients(entries.map((e) => e.totalMicronutrients)),
         byMealType: {
           breakfast: entries.filter((e) => e.mealType === 'breakfast').length,
           lunch: entries.filter((e) => e.mealType === 'lunch').length,
@@ -236,6 +401,21 @@ export class EntryController {
         },
       };
 
+      // Progreso contra el objetivo que estaba vigente ese día
+      const goal = this.nutritionGoalRepository
+        ? await this.nutritionGoalRepository.findEffective(userId, new Date(`${day}T00:00:00.000Z`))
+        : null;
+
+      stats.goal = goal ? goal.toJSON() : null;
+      stats.progress = goal
+        ? goal.evaluate({
+            calories: stats.totalCalories,
+            protein: stats.totalProtein,
+            carbs: stats.totalCarbs,
+            fat: stats.totalFat,
+          })
+        : null;
+
       // Guardar estadísticas en caché por 5 minutos (no cambian tan seguido)
       if (this.cacheService) {
         await this.cacheService.set(cacheKey, stats, 300);
@@ -270,11 +450,112 @@ export class EntryController {
     }
   };
 
+  /**
+   * GET /api/v1/entries/stats/period - Estadísticas de un rango de fechas
+   * Parámetros de consulta: startDate, endDate
+   *
+   * Devuelve totales por día, promedios del período (sobre los días con registros),
+   * días con mínimo y máximo de calorías y desglose por tipo de comida.
+   * Rangos de hasta 7 días se cachean como "weekly", los mayores como "monthly".
+   *
+   * Ejemplo:
+   * GET /api/v1/entries/stats/period?startDate=2025-11-01&endDate=2025-11-07
+   */
   getPeriodStats = async (req, res) => {
     try {
+      const userId = req.user?.id;
+      const { startDate, endDate } = req.query;
+
+      const { start, end, daysInPeriod, period } = parseStatsPeriod(startDate, endDate);
+
+      // Las claves stats:<userId>:weekly|monthly:* se limpian en invalidateEntryCache
+      const timezone = req.timezone || DEFAULT_TIMEZONE;
+      const cacheKey = `stats:${userId}:${period}:${start}:${end}:${timezone}`;
+
+      if (this.cacheService) {
+        const cachedStats = await this.cacheService.get(cacheKey);
+        if (cachedStats) {
+          logger.debug('Period stats cache hit', {
+            userId,
+            startDate: start,
+            endDate: end,
+            requestId: req.id,
+          });
+          return res.status(200).json({
+            success: true,
+            data: cachedStats,
+            cached: true,
+          });
+        }
+      }
+
+      const { byDay, byMealType } = await this.entryRepository.aggregatePeriodStats(
+        userId,
+        new Date(start),
+        new Date(end),
+        timezone
+      );
+
+      const days = byDay.map((day) => ({
+        date: day.key,
+        entries: day.entries,
+        ...roundMacros(day),
+      }));
+      const totals = days.reduce(
+        (sum, day) => ({
+          calories: sum.calories + day.calories,
+          protein: sum.protein + day.protein,
+          carbs: sum.carbs + day.carbs,
+          fat: sum.fat + day.fat,
+        }),
+        { calories: 0, protein: 0, carbs: 0, fat: 0 }
+      );
+      const daysLogged = days.length;
+
+      const byCalories = [...days].sort((a, b) => a.calories - b.calories);
+
+      const stats = {
+        startDate: start,
+        endDate: end,
+        timezone,
+        daysInPeriod,
+        daysLogged,
+        totalEntries: days.reduce((sum, day) => sum + day.entries, 0),
+        totals: roundMacros(totals),
+        averages: roundMacros({
+          calories: daysLogged ? totals.calories / daysLogged : 0,
+          protein: daysLogged ? totals.protein / daysLogged : 0,
+          carbs: daysLogged ? totals.carbs / daysLogged : 0,
+          fat: daysLogged ? totals.fat / daysLogged : 0,
+        }),
+        minDay: byCalories[0] || null,
+        maxDay: byCalories[byCalories.length - 1] || null,
+        days,
+        byMealType: MEAL_TYPES.reduce((acc, mealType) => {
+          const group = byMealType.find((g) => g.key === mealType) || EMPTY_GROUP;
+          acc[mealType] = {
+            entries: group.entries,
+            ...roundMacros(group),
+            averageCalories: daysLogged ? round(group.calories / daysLogged) : 0,
+          };
+          return acc;
+        }, {}),
+      };
+
+      if (this.cacheService) {
+        await this.cacheService.set(cacheKey, stats, PERIOD_CACHE_TTL[period]);
+        logger.debug('Period stats cached', {
+          userId,
+          startDate: start,
+          endDate: end,
+          requestId: req.id,
+        });
+      }
+
       return res.status(200).json({
         success: true,
-        message: 'Period stats functionality coming soon',
+        data: stats,
+        cached: false,
       });
     } catch (error) {
       logger.error('Get period stats error', {
@@ -282,7 +563,7 @@ export class EntryController {
         stack: error.stack,
         requestId: req.id,
       });
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: { message: error.message },
       });
@@ -0,0 +1,175 @@
+import logger from '../../shared/logger/logger.js';
+
+/**
+ * Controller de la biblioteca de ejercicios
+ * Cualquier usuario autenticado puede buscar ejercicios; solo los admins
+ * pueden agregarlos, editarlos o eliminarlos
+ */
+export class ExerciseController {
+  constructor(exerciseRepository) {
+    this.exerciseRepository = exerciseRepository;
+  }
+
+  /**
+   * GET /api/v1/exercises - Buscar en la biblioteca
+   * Parámetros de consulta: q, muscle, equipment, category, page, limit
+   *
+   * Ejemplo:
+   * GET /api/v1/exercises?q=press&muscle=chest&equipment=dumbbell
+   */
+  searchExercises = async (req, res) => {
+    try {
+      const { q, muscle, equipment, category, page, limit } = req.query;
+
+      const result = await this.exerciseRepository.search({
+        query: q || '',
+        muscle,
+        equipment,
+        category,
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 20,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          items: result.items.map((e) => e.toJSON()),
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      logger.error('Search exercises error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  getExerciseById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const exercise = await this.exerciseRepository.findById(id);
+
+      return res.status(200).json({
+        success: true,
+        data: exercise.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Get exercise error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  createExercise = async (req, res) => {
+    try {
+      const { name, aliases, primaryMuscles, secondaryMuscles, equipment, category } = req.body;
+
+      const exercise = await this.exerciseRepository.create({
+        name,
+        aliases,
+        primaryMuscles,
+        secondaryMuscles,
+        equipment,
+        category,
+      });
+
+      logger.info('Exercise created', {
+        exerciseId: exercise.id,
+        adminId: req.user?.id,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Exercise created successfully',
+        data: exercise.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Exercise creation error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  updateExercise = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const exercise = await this.exerciseRepository.update(id, req.body);
+
+      logger.info('Exercise updated', {
+        exerciseId: id,
+        adminId: req.user?.id,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Exercise updated successfully',
+        data: exercise.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Update exercise error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * DELETE /api/v1/exercises/:id - Eliminar ejercicio
+   * Los entrenamientos que lo referencian conservan el `exerciseId` y su nombre
+   */
+  deleteExercise = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const exercise = await this.exerciseRepository.delete(id);
+
+      logger.info('Exercise deleted', {
+        exerciseId: id,
+        adminId: req.user?.id,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Exercise deleted successfully',
+        data: exercise.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Delete exercise error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
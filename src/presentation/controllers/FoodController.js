@@ -0,0 +1,173 @@
+import logger from '../../shared/logger/logger.js';
+
+/**
+ * Controller del catálogo compartido de alimentos
+ * Cualquier usuario autenticado puede buscar y usar los alimentos,
+ * pero solo quien los creó puede editarlos o eliminarlos
+ */
+export class FoodController {
+  constructor(foodRepository) {
+    this.foodRepository = foodRepository;
+  }
+
+  createFood = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { name, brand, calories, protein, carbs, fat, servingSize } = req.body;
+
+      const food = await this.foodRepository.create({
+        userId,
+        name,
+        brand,
+        calories,
+        protein,
+        carbs,
+        fat,
+        servingSize,
+      });
+
+      logger.info('Food created', {
+        userId,
+        foodId: food.id,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Food created successfully',
+        data: food.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Food creation error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * GET /api/v1/foods - Buscar en el catálogo
+   * Parámetros de consulta: q, page, limit
+   *
+   * Ejemplo:
+   * GET /api/v1/foods?q=pollo&limit=10
+   */
+  searchFoods = async (req, res) => {
+    try {
+      const { q, page, limit } = req.query;
+
+      const result = await this.foodRepository.search({
+        query: q || '',
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 20,
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          items: result.items.map((f) => f.toJSON()),
+          pagination: result.pagination,
+        },
+      });
+    } catch (error) {
+      logger.error('Search foods error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  getFoodById = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const food = await this.foodRepository.findById(id);
+
+      return res.status(200).json({
+        success: true,
+        data: food.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Get food error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  updateFood = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const food = await this.foodRepository.update(id, userId, req.body);
+
+      logger.info('Food updated', {
+        foodId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Food updated successfully',
+        data: food.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Update food error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  deleteFood = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const food = await this.foodRepository.delete(id, userId);
+
+      logger.info('Food deleted', {
+        foodId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Food deleted successfully',
+        data: food.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Delete food error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
@@ -0,0 +1,243 @@
+import logger from '../../shared/logger/logger.js';
+import { FoodResolver } from '../../application/services/FoodResolver.js';
+import { DEFAULT_QUANTITY } from '../../domain/services/MacroCalculator.js';
+
+// Mínimo que acepta foodItemSchema para quantity
+const MIN_QUANTITY = 0.1;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Alimentos de la plantilla con la cantidad multiplicada por `scale`
+const scaleFoods = (foods, scale) =>
+  foods.map((food) => ({
+    ...food,
+    quantity: Math.max(round((food.quantity ?? DEFAULT_QUANTITY) * scale), MIN_QUANTITY),
+  }));
+
+/**
+ * Controller de comidas guardadas (plantillas)
+ * Los alimentos del catálogo se copian al guardar la plantilla, igual que en una Entry,
+ * y la plantilla se registra como una comida nueva con POST /:id/log
+ */
+export class MealTemplateController {
+  constructor(
+    mealTemplateRepository,
+    cacheService = null,
+    { entryRepository = null, foodRepository = null } = {}
+  ) {
+    this.mealTemplateRepository = mealTemplateRepository;
+    this.cacheService = cacheService;
+    this.entryRepository = entryRepository;
+    this.foodResolver = new FoodResolver(foodRepository);
+  }
+
+  createTemplate = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { name, defaultMealType, foods, notes } = req.body;
+
+      const template = await this.mealTemplateRepository.create({
+        userId,
+        name,
+        defaultMealType,
+        foods: await this.foodResolver.resolve(foods),
+        notes,
+      });
+
+      logger.info('Meal template created', {
+        userId,
+        templateId: template.id,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Meal template created successfully',
+        data: template.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Meal template creation error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * GET /api/v1/meal-templates - Comidas guardadas del usuario
+   * Parámetros de consulta: mealType (opcional)
+   */
+  getTemplates = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { mealType } = req.query;
+
+      const templates = await this.mealTemplateRepository.findByUser(userId, { mealType });
+
+      return res.status(200).json({
+        success: true,
+        data: templates.map((t) => t.toJSON()),
+      });
+    } catch (error) {
+      logger.error('Get meal templates error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  getTemplateById = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // checkResourceOwnership ya cargó la plantilla en req.mealtemplate
+      const template = req.mealtemplate || (await this.mealTemplateRepository.findById(id));
+
+      return res.status(200).json({
+        success: true,
+        data: template.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Get meal template error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  updateTemplate = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+      const { name, defaultMealType, foods, notes } = req.body;
+
+      const template = await this.mealTemplateRepository.update(id, userId, {
+        name,
+        defaultMealType,
+        foods: foods && (await this.foodResolver.resolve(foods)),
+        notes,
+      });
+
+      logger.info('Meal template updated', {
+        templateId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Meal template updated successfully',
+        data: template.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Update meal template error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  deleteTemplate = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const template = await this.mealTemplateRepository.delete(id, userId);
+
+      logger.info('Meal template deleted', {
+        templateId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Meal template deleted successfully',
+        data: template.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Delete meal template error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/meal-templates/:id/log - Registrar la plantilla como una comida
+   * Body: date, mealType (opcional), scale (opcional, multiplica las cantidades), notes (opcional)
+   *
+   * Ejemplo (media porción del batido como snack):
+   * { "date": "2025-11-05T18:30:00Z", "mealType": "snack", "scale": 0.5 }
+   */
+  logTemplate = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { id } = req.params;
+      const { date, mealType, scale = 1, notes } = req.body;
+
+      const template = req.mealtemplate || (await this.mealTemplateRepository.findById(id));
+
+      const entry = await this.entryRepository.create({
+        userId,
+        date: new Date(date),
+        mealType: mealType || template.defaultMealType,
+        foods: scaleFoods(template.foods, scale),
+        notes: notes ?? template.notes,
+      });
+
+      if (this.cacheService) {
+        await this.cacheService.invalidateEntryCache(userId);
+      }
+
+      logger.info('Meal template logged', {
+        userId,
+        templateId: id,
+        entryId: entry.id,
+        scale,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Meal template logged successfully',
+        data: entry.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Log meal template error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
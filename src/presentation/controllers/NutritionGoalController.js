@@ -0,0 +1,176 @@
+import logger from '../../shared/logger/logger.js';
+import { NutritionGoal } from '../../domain/value-objects/NutritionGoal.js';
+import { getLocalDayKey, toDayKey } from '../../domain/services/DayBoundaries.js';
+
+// effectiveFrom se guarda como la medianoche UTC del día calendario (igual que el día de
+// las estadísticas diarias)
+const startOfDay = (dayKey) => new Date(`${dayKey}T00:00:00.000Z`);
+
+/**
+ * Controller de objetivos nutricionales del usuario autenticado (/auth/me/goals)
+ * Cada cambio crea una nueva versión vigente desde effectiveFrom,
+ * sin modificar los objetivos con los que se evaluaron días anteriores.
+ */
+export class NutritionGoalController {
+  constructor(nutritionGoalRepository, cacheService = null, userRepository = null) {
+    this.nutritionGoalRepository = nutritionGoalRepository;
+    this.cacheService = cacheService;
+    this.userRepository = userRepository;
+  }
+
+  // Calorías sugeridas: el TDEE del usuario (null si faltan datos para calcularlo)
+  async _getSuggestedCalories(userId) {
+    if (!this.userRepository) return null;
+    const user = await this.userRepository.findById(userId);
+    return user?.calculateTDEE ? user.calculateTDEE() : null;
+  }
+
+  /**
+   * GET /api/v1/auth/me/goals - Objetivo vigente hoy, sugerencia (TDEE) e historial
+   * "Hoy" es el día local del usuario (req.timezone, ver resolveTimezone)
+   */
+  getGoals = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const today = getLocalDayKey(new Date(), req.timezone);
+
+      const [current, history, suggestedCalories] = await Promise.all([
+        this.nutritionGoalRepository.findEffective(userId, startOfDay(today)),
+        this.nutritionGoalRepository.findByUser(userId),
+        this._getSuggestedCalories(userId),
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          current: current ? current.toJSON() : null,
+          suggested: suggestedCalories ? { calories: suggestedCalories, source: 'tdee' } : null,
+          history: history.map((g) => g.toJSON()),
+        },
+      });
+    } catch (error) {
+      logger.error('Get nutrition goals error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * PUT /api/v1/auth/me/goals - Definir objetivo diario
+   * Body: calories (default TDEE), macroMode (grams|percentage), protein, carbs, fat,
+   * effectiveFrom (default hoy, en la zona horaria del usuario)
+   *
+   * Ejemplo:
+   * { "calories": 2200, "macroMode": "percentage", "protein": 30, "carbs": 40, "fat": 30 }
+   */
+  setGoal = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { calories, macroMode, protein, carbs, fat, effectiveFrom } = req.body;
+
+      const goalCalories = calories ?? (await this._getSuggestedCalories(userId));
+
+      if (!goalCalories) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message:
+              'Calorie goal is required (it cannot be suggested without sex, weight, height and age)',
+          },
+        });
+      }
+
+      let goal;
+      try {
+        goal = new NutritionGoal({
+          calories: goalCalories,
+          macroMode,
+          protein,
+          carbs,
+          fat,
+          effectiveFrom: startOfDay(
+            effectiveFrom ? toDayKey(effectiveFrom) : getLocalDayKey(new Date(), req.timezone)
+          ),
+        });
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: { message: validationError.message },
+        });
+      }
+
+      const saved = await this.nutritionGoalRepository.upsert(userId, goal);
+
+      // Las estadísticas diarias incluyen el progreso contra el objetivo
+      if (this.cacheService) {
+        await this.cacheService.invalidate(`stats:${userId}:daily:*`);
+      }
+
+      logger.info('Nutrition goal set', {
+        userId,
+        goalId: saved.id,
+        effectiveFrom: goal.effectiveFrom,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Nutrition goal saved successfully',
+        data: saved.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Set nutrition goal error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * DELETE /api/v1/auth/me/goals/:id - Eliminar una versión del objetivo
+   */
+  deleteGoal = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { id } = req.params;
+
+      await this.nutritionGoalRepository.delete(id, userId);
+
+      if (this.cacheService) {
+        await this.cacheService.invalidate(`stats:${userId}:daily:*`);
+      }
+
+      logger.info('Nutrition goal deleted', {
+        userId,
+        goalId: id,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Nutrition goal deleted successfully',
+      });
+    } catch (error) {
+      logger.error('Delete nutrition goal error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
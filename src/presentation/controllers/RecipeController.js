@@ -0,0 +1,236 @@
+import logger from '../../shared/logger/logger.js';
+import { FoodResolver } from '../../application/services/FoodResolver.js';
+import { ValidationError } from '../../shared/errors/AppError.js';
+
+/**
+ * Controller de recetas del usuario
+ * Una receta se registra en una comida como un único alimento sintetizado
+ * (valores por 100g del plato cocinado), copiado en el momento de registrarla
+ */
+export class RecipeController {
+  constructor(
+    recipeRepository,
+    cacheService = null,
+    { entryRepository = null, foodRepository = null } = {}
+  ) {
+    this.recipeRepository = recipeRepository;
+    this.cacheService = cacheService;
+    this.entryRepository = entryRepository;
+    this.foodResolver = new FoodResolver(foodRepository);
+  }
+
+  createRecipe = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { name, ingredients, cookedWeight, servings, notes } = req.body;
+
+      const recipe = await this.recipeRepository.create({
+        userId,
+        name,
+        ingredients: await this.foodResolver.resolve(ingredients),
+        cookedWeight,
+        servings,
+        notes,
+      });
+
+      logger.info('Recipe created', {
+        userId,
+        recipeId: recipe.id,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Recipe created successfully',
+        data: recipe.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Recipe creation error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  getRecipes = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const recipes = await this.recipeRepository.findByUser(userId);
+
+      return res.status(200).json({
+        success: true,
+        data: recipes.map((r) => r.toJSON()),
+      });
+    } catch (error) {
+      logger.error('Get recipes error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  getRecipeById = async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // checkResourceOwnership ya cargó la receta en req.recipe
+      const recipe = req.recipe || (await this.recipeRepository.findById(id));
+
+      return res.status(200).json({
+        success: true,
+        data: recipe.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Get recipe error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * PUT /api/v1/recipes/:id - Actualizar receta
+   * Las comidas ya registradas conservan el snapshot con el que se registraron
+   */
+  updateRecipe = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+      const { ingredients, ...fields } = req.body;
+
+      const recipe = await this.recipeRepository.update(id, userId, {
+        ...fields,
+        ...(ingredients && { ingredients: await this.foodResolver.resolve(ingredients) }),
+      });
+
+      logger.info('Recipe updated', {
+        recipeId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Recipe updated successfully',
+        data: recipe.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Update recipe error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  deleteRecipe = async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userId = req.user?.id;
+
+      const recipe = await this.recipeRepository.delete(id, userId);
+
+      logger.info('Recipe deleted', {
+        recipeId: id,
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Recipe deleted successfully',
+        data: recipe.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Delete recipe error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * POST /api/v1/recipes/:id/log - Registrar una receta como comida
+   * Body: date, mealType, servings o grams, notes (opcional)
+   *
+   * Ejemplo (1.5 porciones en el almuerzo):
+   * { "date": "2025-11-05T13:00:00Z", "mealType": "lunch", "servings": 1.5 }
+   */
+  logRecipe = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { id } = req.params;
+      const { date, mealType, servings, grams, notes } = req.body;
+
+      const recipe = req.recipe || (await this.recipeRepository.findById(id));
+
+      let food;
+      try {
+        food = recipe.toFoodItem({ servings, grams });
+      } catch (error) {
+        // Por ejemplo, una fracción de porción que queda por debajo de 0.1g
+        throw new ValidationError(error.message);
+      }
+
+      const entry = await this.entryRepository.create({
+        userId,
+        date: new Date(date),
+        mealType,
+        foods: [food.toJSON()],
+        notes,
+      });
+
+      if (this.cacheService) {
+        await this.cacheService.invalidateEntryCache(userId);
+      }
+
+      logger.info('Recipe logged', {
+        userId,
+        recipeId: id,
+        entryId: entry.id,
+        quantity: food.quantity,
+        requestId: req.id,
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Recipe logged successfully',
+        data: entry.toJSON(),
+      });
+    } catch (error) {
+      logger.error('Log recipe error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
@@ -0,0 +1,123 @@
+import logger from '../../shared/logger/logger.js';
+import config from '../../config.js';
+import { RefreshTokenService } from '../../application/services/RefreshTokenService.js';
+import { SessionService } from '../../application/services/SessionService.js';
+
+/**
+ * Controller de las sesiones del usuario autenticado (/auth/sessions)
+ * Permite ver dónde hay sesiones abiertas y cerrarlas a distancia.
+ */
+export class SessionController {
+  constructor(sessionRepository, cacheService = null, { refreshTokenRepository = null } = {}) {
+    this.cacheService = cacheService;
+    this.sessionService = new SessionService(
+      sessionRepository,
+      new RefreshTokenService(refreshTokenRepository)
+    );
+  }
+
+  /**
+   * GET /api/v1/auth/sessions - Sesiones activas, la más reciente primero
+   * La sesión del token usado se marca con current: true.
+   */
+  getSessions = async (req, res) => {
+    try {
+      const { id: userId, sessionId } = req.user;
+
+      const sessions = await this.sessionService.list(userId);
+
+      return res.status(200).json({
+        success: true,
+        data: sessions.map((session) => ({
+          ...session.toJSON(),
+          current: session.id.toString() === sessionId,
+        })),
+      });
+    } catch (error) {
+      logger.error('Get sessions error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * DELETE /api/v1/auth/sessions/:id - Cerrar una sesión (por ejemplo, de un teléfono perdido)
+   * Sus refresh tokens se revocan y sus access tokens dejan de ser aceptados.
+   */
+  revokeSession = async (req, res) => {
+    try {
+      const { id: userId, sessionId } = req.user;
+      const { id } = req.params;
+
+      await this.sessionService.revoke(userId, id);
+
+      if (id === sessionId) {
+        res.clearCookie('refreshToken', {
+          httpOnly: true,
+          secure: config.isProduction,
+          sameSite: 'strict',
+        });
+      }
+
+      logger.info('Session revoked by user', {
+        userId,
+        sessionId: id,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Session revoked successfully',
+      });
+    } catch (error) {
+      logger.error('Revoke session error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * DELETE /api/v1/auth/sessions - Cerrar todas las sesiones excepto la actual
+   */
+  revokeOtherSessions = async (req, res) => {
+    try {
+      const { id: userId, sessionId } = req.user;
+
+      const revoked = await this.sessionService.revokeOthers(userId, sessionId);
+
+      logger.info('Other sessions revoked', {
+        userId,
+        revoked,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Other sessions revoked successfully',
+        data: { revoked },
+      });
+    } catch (error) {
+      logger.error('Revoke other sessions error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
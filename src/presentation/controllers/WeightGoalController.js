@@ -0,0 +1,201 @@
+import logger from '../../shared/logger/logger.js';
+import { EnergyBalanceService } from '../../application/services/EnergyBalanceService.js';
+import { DEFAULT_TIMEZONE, addDays, getLocalDayKey, toDayKey } from '../../domain/services/DayBoundaries.js';
+import { calculateWeeklyRate, toDailySeries } from '../../domain/services/BodyMetricTrend.js';
+import { projectWeightGoal } from '../../domain/services/WeightProjection.js';
+
+// Días hacia atrás que se usan por defecto para la tendencia y el balance promedio
+const DEFAULT_PROJECTION_DAYS = 28;
+
+/**
+ * Controller del peso objetivo del usuario autenticado (/auth/me/weight-goal)
+ * El objetivo se guarda en el perfil; la proyección se calcula en cada consulta con
+ * los pesajes (body metrics) y el balance energético de los últimos días.
+ */
+export class WeightGoalController {
+  constructor(
+    userRepository,
+    cacheService = null,
+    { bodyMetricRepository = null, entryRepository = null, workoutRepository = null } = {}
+  ) {
+    this.userRepository = userRepository;
+    this.cacheService = cacheService;
+    this.bodyMetricRepository = bodyMetricRepository;
+    this.energyBalanceService = new EnergyBalanceService(
+      entryRepository,
+      workoutRepository,
+      userRepository
+    );
+  }
+
+  /**
+   * Objetivo del usuario con su proyección (null si no tiene objetivo)
+   * @param {Object} user - Usuario del repositorio
+   * @param {string} timezone - Zona horaria IANA
+   * @param {number} days - Días hacia atrás para la tendencia y el balance
+   */
+  async buildGoal(user, timezone, days) {
+    if (!user.goalWeight) {
+      return { goalWeight: null, goalDate: null, projection: null };
+    }
+
+    const today = getLocalDayKey(new Date(), timezone);
+    const start = addDays(today, -(days - 1));
+
+    const [metrics, balance] = await Promise.all([
+      this.bodyMetricRepository.findByUser(user.id, { startDate: start, endDate: today, timezone }),
+      this.energyBalanceService.calculate(user.id, start, today, timezone),
+    ]);
+
+    const weighIns = toDailySeries(
+      metrics.map((m) => ({ date: getLocalDayKey(m.date, timezone), value: m.weight }))
+    );
+    const goalDate = user.goalDate ? toDayKey(user.goalDate) : null;
+
+    return {
+      goalWeight: user.goalWeight,
+      goalDate,
+      projection: {
+        basedOn: {
+          startDate: start,
+          endDate: today,
+          days,
+          weighIns: weighIns.length,
+          daysLogged: balance.totals.daysLogged,
+        },
+        ...projectWeightGoal({
+          today,
+          currentWeight: user.weight,
+          goalWeight: user.goalWeight,
+          goalDate,
+          trendWeeklyRate: calculateWeeklyRate(weighIns),
+          averageNet: balance.totals.averageNet,
+        }),
+      },
+    };
+  }
+
+  /**
+   * GET /api/v1/auth/me/weight-goal - Peso objetivo y proyección
+   * Parámetros de consulta: days (7-90, default 28), tz
+   *
+   * Ejemplo:
+   * GET /api/v1/auth/me/weight-goal?days=42
+   */
+  getWeightGoal = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { days = DEFAULT_PROJECTION_DAYS } = req.query;
+
+      const user = await this.userRepository.findById(userId);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'User not found' },
+        });
+      }
+
+      const data = await this.buildGoal(user, req.timezone || DEFAULT_TIMEZONE, days);
+
+      return res.status(200).json({
+        success: true,
+        data,
+      });
+    } catch (error) {
+      logger.error('Get weight goal error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * PUT /api/v1/auth/me/weight-goal - Definir peso objetivo
+   * Body: goalWeight, goalDate (opcional)
+   *
+   * Ejemplo:
+   * { "goalWeight": 72, "goalDate": "2026-03-01" }
+   */
+  setWeightGoal = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { goalWeight, goalDate = null } = req.body;
+
+      const user = await this.userRepository.update(userId, { goalWeight, goalDate });
+
+      if (this.cacheService) {
+        await this.cacheService.invalidate(`user:${userId}`);
+      }
+
+      logger.info('Weight goal set', {
+        userId,
+        goalWeight,
+        goalDate,
+        requestId: req.id,
+      });
+
+      const data = await this.buildGoal(
+        user,
+        req.timezone || DEFAULT_TIMEZONE,
+        DEFAULT_PROJECTION_DAYS
+      );
+
+      return res.status(200).json({
+        success: true,
+        message: 'Weight goal set successfully',
+        data,
+      });
+    } catch (error) {
+      logger.error('Set weight goal error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * DELETE /api/v1/auth/me/weight-goal - Quitar el peso objetivo
+   */
+  deleteWeightGoal = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+
+      await this.userRepository.update(userId, { goalWeight: null, goalDate: null });
+
+      if (this.cacheService) {
+        await this.cacheService.invalidate(`user:${userId}`);
+      }
+
+      logger.info('Weight goal removed', {
+        userId,
+        requestId: req.id,
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Weight goal removed successfully',
+      });
+    } catch (error) {
+      logger.error('Delete weight goal error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+}
@@ -1,9 +1,59 @@
 import logger from '../../shared/logger/logger.js';
+import { DEFAULT_TIMEZONE, addDays, toDayKey } from '../../domain/services/DayBoundaries.js';
+import { PERIOD_CACHE_TTL, parseStatsPeriod } from '../../domain/services/StatsPeriod.js';
+import { EXERCISE_CATEGORIES } from '../../domain/entities/Exercise.js';
+import { ExerciseResolver } from '../../application/services/ExerciseResolver.js';
+import { PersonalRecordTracker } from '../../application/services/PersonalRecordTracker.js';
+
+const EMPTY_GROUP = { workouts: 0, duration: 0, calories: 0, volume: 0 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const roundTotals = ({ workouts, duration, calories, volume }) => ({
+  workouts,
+  duration,
+  calories: round(calories),
+  volume: round(volume),
+});
 
 export class WorkoutController {
-  constructor(workoutRepository, cacheService = null) {
+  constructor(
+    workoutRepository,
+    cacheService = null,
+    { exerciseRepository = null, personalRecordRepository = null } = {}
+  ) {
     this.workoutRepository = workoutRepository;
     this.cacheService = cacheService;
+    this.exerciseResolver = new ExerciseResolver(exerciseRepository);
+    this.recordTracker = personalRecordRepository
+      ? new PersonalRecordTracker(personalRecordRepository, workoutRepository)
+      : null;
+  }
+
+  /**
+   * Actualizar los récords personales después de guardar un entrenamiento.
+   * El entrenamiento ya quedó guardado, así que un error aquí solo se registra
+   * (los récords se corrigen en el siguiente recálculo).
+   *
+   * @param {Function} update - Operación sobre this.recordTracker
+   * @param {Object} context - Datos para el log
+   * @returns {Promise<Array>} - PRs nuevos (vacío si no hay tracker o falló)
+   */
+  async trackRecords(update, context) {
+    if (!this.recordTracker) {
+      return [];
+    }
+
+    try {
+      return (await update(this.recordTracker)) || [];
+    } catch (error) {
+      logger.error('Personal records update error', {
+        error: error.message,
+        stack: error.stack,
+        ...context,
+      });
+      return [];
+    }
   }
 
   createWorkout = async (req, res) => {
@@ -22,12 +72,17 @@ export class WorkoutController {
         userId,
         date: new Date(date),
         type,
-        exercises,
+        exercises: await this.exerciseResolver.resolve(exercises),
         duration,
         caloriesBurned,
         notes,
       });
 
+      const newPersonalRecords = await this.trackRecords(
+        (tracker) => tracker.recordWorkout(workout),
+        { userId, workoutId: workout.id, requestId: req.id }
+      );
+
       // Invalidar caché de listas de entrenamientos
       if (this.cacheService) {
         await this.cacheService.invalidateWorkoutCache(userId);
@@ -36,13 +91,14 @@ export class WorkoutController {
       logger.info('Workout created', {
         userId,
         workoutId: workout.id,
+        newPersonalRecords: newPersonalRecords.length,
         requestId: req.id,
       });
 
       return res.status(201).json({
         success: true,
         message: 'Workout created successfully',
-        data: workout.toJSON(),
+        data: { ...workout.toJSON(), newPersonalRecords },
       });
     } catch (error) {
       logger.error('Workout creation error', {
@@ -50,7 +106,7 @@ export class WorkoutController {
         stack: error.stack,
         requestId: req.id,
       });
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: { message: error.message },
       });
@@ -69,7 +125,11 @@ export class WorkoutController {
         });
       }
 
-      const workouts = await this.workoutRepository.findByDate(userId, new Date(date));
+      const workouts = await this.workoutRepository.findByDate(
+        userId,
+        new Date(date),
+        req.timezone || DEFAULT_TIMEZONE
+      );
 
       return res.status(200).json({
         success: true,
@@ -118,12 +178,18 @@ export class WorkoutController {
 
       const workout = await this.workoutRepository.update(id, userId, {
         type,
-        exercises,
+        exercises: exercises && (await this.exerciseResolver.resolve(exercises)),
         duration,
         caloriesBurned,
         notes,
       });
 
+      await this.trackRecords((tracker) => tracker.rebuild(userId), {
+        userId,
+        workoutId: id,
+        requestId: req.id,
+      });
+
       // Invalidar caché de este entrenamiento y listas relacionadas
       if (this.cacheService) {
         await this.cacheService.invalidateWorkoutCache(userId, id);
@@ -146,7 +212,7 @@ export class WorkoutController {
         stack: error.stack,
         requestId: req.id,
       });
-      return res.status(500).json({
+      return res.status(error.statusCode || 500).json({
         success: false,
         error: { message: error.message },
       });
@@ -160,6 +226,14 @@ export class WorkoutController {
 
       const workout = await this.workoutRepository.delete(id, userId);
 
+      if (workout.type === 'strength') {
+        await this.trackRecords((tracker) => tracker.rebuild(userId), {
+          userId,
+          workoutId: id,
+          requestId: req.id,
+        });
+      }
+
       // Invalidar caché de este entrenamiento y listas relacionadas
       if (this.cacheService) {
         await this.cacheService.invalidateWorkoutCache(userId, id);
@@ -189,6 +263,224 @@ export class WorkoutController {
     }
   };
 
+  /**
+   * Estadísticas de entrenamiento entre dos días (incluidos)
+   * @returns {Promise<Object>} - Totales, desglose por tipo, por día y ejercicios más entrenados
+   */
+  async buildStats(userId, start, end, timezone) {
+    const { totals, byType, byDay, topExercises } = await this.workoutRepository.aggregateStats(
+      userId,
+      new Date(start),
+      new Date(end),
+      timezone
+    );
+    const { workouts, duration, calories, volume } = roundTotals(totals || EMPTY_GROUP);
+
+    return {
+      totalWorkouts: workouts,
+      totalDuration: duration,
+      totalCalories: calories,
+      totalVolume: volume,
+      // Siempre todos los tipos, con 0 si no hubo sesiones
+      byType: EXERCISE_CATEGORIES.reduce((acc, type) => {
+        acc[type] = roundTotals(byType.find((g) => g.key === type) || EMPTY_GROUP);
+        return acc;
+      }, {}),
+      topExercises: topExercises.map((exercise) => ({ ...exercise, volume: round(exercise.volume) })),
+      days: byDay.map((day) => ({ date: day.key, ...roundTotals(day) })),
+    };
+  }
+
+  /**
+   * Responder con estadísticas desde caché o calculándolas
+   * @param {string} cacheKey - Clave en caché (la limpia invalidateWorkoutCache)
+   * @param {number} ttl - Segundos en caché
+   * @param {Function} compute - Calcula las estadísticas si no están en caché
+   */
+  async sendCachedStats(req, res, cacheKey, ttl, compute) {
+    if (this.cacheService) {
+      const cachedStats = await this.cacheService.get(cacheKey);
+      if (cachedStats) {
+        logger.debug('Workout stats cache hit', {
+          cacheKey,
+          requestId: req.id,
+        });
+        return res.status(200).json({
+          success: true,
+          data: cachedStats,
+          cached: true,
+        });
+      }
+    }
+
+    const stats = await compute();
+
+    if (this.cacheService) {
+      await this.cacheService.set(cacheKey, stats, ttl);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: stats,
+      cached: false,
+    });
+  }
+
+  /**
+   * Estadísticas de un rango de días; hasta 7 días se cachean como "weekly" y los
+   * rangos mayores como "monthly" (claves stats:<userId>:weekly|monthly:workouts:*)
+   */
+  async sendPeriodStats(req, res, start, end) {
+    const userId = req.user?.id;
+    const timezone = req.timezone || DEFAULT_TIMEZONE;
+    const { daysInPeriod, period } = parseStatsPeriod(start, end);
+    const cacheKey = `stats:${userId}:${period}:workouts:${start}:${end}:${timezone}`;
+
+    return this.sendCachedStats(req, res, cacheKey, PERIOD_CACHE_TTL[period], async () => {
+      const stats = await this.buildStats(userId, start, end, timezone);
+
+      return {
+        startDate: start,
+        endDate: end,
+        timezone,
+        daysInPeriod,
+        daysTrained: stats.days.length,
+        ...stats,
+      };
+    });
+  }
+
+  /**
+   * GET /api/v1/workouts/stats/daily - Estadísticas de entrenamiento de un día
+   * Parámetros de consulta: date, tz
+   *
+   * Ejemplo:
+   * GET /api/v1/workouts/stats/daily?date=2025-11-05
+   */
+  getDailyStats = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const { date } = req.query;
+
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'Date is required' },
+        });
+      }
+
+      const day = toDayKey(date);
+      const timezone = req.timezone || DEFAULT_TIMEZONE;
+      const cacheKey = `stats:${userId}:daily:workouts:${day}:${timezone}`;
+
+      return await this.sendCachedStats(req, res, cacheKey, 300, async () => {
+        const stats = await this.buildStats(userId, day, day, timezone);
+        // Un solo día: el desglose por día no aporta nada
+        delete stats.days;
+        return { date: day, timezone, ...stats };
+      });
+    } catch (error) {
+      logger.error('Get workout daily stats error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * GET /api/v1/workouts/stats/weekly - Estadísticas de la semana (lunes a domingo)
+   * que contiene `date`
+   *
+   * Ejemplo:
+   * GET /api/v1/workouts/stats/weekly?date=2025-11-05  -> 2025-11-03 a 2025-11-09
+   */
+  getWeeklyStats = async (req, res) => {
+    try {
+      const { date } = req.query;
+
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'Date is required' },
+        });
+      }
+
+      const day = toDayKey(date);
+      const weekday = new Date(`${day}T00:00:00.000Z`).getUTCDay();
+      const monday = addDays(day, -((weekday + 6) % 7));
+
+      return await this.sendPeriodStats(req, res, monday, addDays(monday, 6));
+    } catch (error) {
+      logger.error('Get workout weekly stats error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * GET /api/v1/workouts/stats/period - Estadísticas de un rango de fechas
+   * Parámetros de consulta: startDate, endDate, tz
+   *
+   * Ejemplo:
+   * GET /api/v1/workouts/stats/period?startDate=2025-11-01&endDate=2025-11-30
+   */
+  getPeriodStats = async (req, res) => {
+    try {
+      const { startDate, endDate } = req.query;
+
+      const { start, end } = parseStatsPeriod(startDate, endDate);
+
+      return await this.sendPeriodStats(req, res, start, end);
+    } catch (error) {
+      logger.error('Get workout period stats error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(error.statusCode || 500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
+  /**
+   * GET /api/v1/workouts/records - Récords personales del usuario
+   * Un elemento por ejercicio de fuerza, ordenados por nombre
+   */
+  getPersonalRecords = async (req, res) => {
+    try {
+      const userId = req.user?.id;
+      const records = this.recordTracker ? await this.recordTracker.getRecords(userId) : [];
+
+      return res.status(200).json({
+        success: true,
+        data: records.map((r) => r.toJSON()),
+      });
+    } catch (error) {
+      logger.error('Get personal records error', {
+        error: error.message,
+        stack: error.stack,
+        requestId: req.id,
+      });
+      return res.status(500).json({
+        success: false,
+        error: { message: error.message },
+      });
+    }
+  };
+
   /**
    * GET /api/v1/workouts/list/paginated - Paginación basada en cursor
    * Parámetros de consulta: limit, cursor, sortOrder
@@ -0,0 +1,242 @@
+import { jest } from '@jest/globals';
+import { AdminController } from '../AdminController.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('AdminController', () => {
+  let adminController;
+  let mockUserRepository;
+  let mockTokenRevocationRepository;
+  let mockLoginAttemptRepository;
+  let mockCacheService;
+  let mockReq;
+  let mockRes;
+
+  const user = {
+    id: 'user-456',
+    email: 'user@example.com',
+    role: 'usuario',
+    toJSON: () => ({ id: 'user-456', email: 'user@example.com', role: 'usuario' }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue(user),
+      update: jest.fn().mockResolvedValue({
+        ...user,
+        role: 'admin',
+        toJSON: () => ({ id: 'user-456', email: 'user@example.com', role: 'admin' }),
+      }),
+      delete: jest.fn().mockResolvedValue(true),
+    };
+
+    mockTokenRevocationRepository = {
+      revokeUser: jest.fn().mockResolvedValue(undefined),
+    };
+
+    mockLoginAttemptRepository = {
+      findByUser: jest.fn().mockResolvedValue(null),
+      clear: jest.fn().mockResolvedValue(undefined),
+    };
+
+    mockCacheService = {
+      invalidate: jest.fn().mockResolvedValue(0),
+      invalidateUser: jest.fn().mockResolvedValue(0),
+    };
+
+    mockReq = {
+      params: { id: 'user-456' },
+      body: {},
+      user: { id: 'admin-123', role: 'admin' },
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    adminController = new AdminController(mockUserRepository, mockCacheService, {
+      tokenRevocationRepository: mockTokenRevocationRepository,
+      loginAttemptRepository: mockLoginAttemptRepository,
+    });
+  });
+
+  describe('deleteUser', () => {
+    it('should delete the user and revoke their access tokens', async () => {
+      // Act
+      await adminController.deleteUser(mockReq, mockRes);
+
+      // Assert
+      expect(mockUserRepository.delete).toHaveBeenCalledWith('user-456');
+      expect(mockTokenRevocationRepository.revokeUser).toHaveBeenCalledWith(
+        'user-456',
+        expect.any(Number),
+        24 * 60 * 60
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('updateUserRole', () => {
+    beforeEach(() => {
+      mockReq.body = { role: 'admin' };
+    });
+
+    it('should change the role and revoke the access tokens carrying the previous one', async () => {
+      // Act
+      await adminController.updateUserRole(mockReq, mockRes);
+
+      // Assert
+      expect(mockUserRepository.update).toHaveBeenCalledWith('user-456', { role: 'admin' });
+      expect(mockTokenRevocationRepository.revokeUser).toHaveBeenCalledWith(
+        'user-456',
+        expect.any(Number),
+        24 * 60 * 60
+      );
+      expect(mockCacheService.invalidate).toHaveBeenCalledWith('user:user-456');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'User role updated successfully',
+        data: { id: 'user-456', email: 'user@example.com', role: 'admin' },
+      });
+    });
+
+    it('should not let admins change their own role', async () => {
+      // Arrange
+      mockReq.params.id = 'admin-123';
+
+      // Act
+      await adminController.updateUserRole(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+      expect(mockTokenRevocationRepository.revokeUser).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 when the user does not exist', async () => {
+      // Arrange
+      mockUserRepository.findById.mockResolvedValue(null);
+
+      // Act
+      await adminController.updateUserRole(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUserLockout', () => {
+    it('should return the failed attempts and lockout of the user', async () => {
+      // Arrange
+      const lastFailedAt = new Date(Date.now() - 60 * 1000);
+      const lockedUntil = new Date(Date.now() + 14 * 60 * 1000);
+      mockLoginAttemptRepository.findByUser.mockImplementation(async (userId, scope) =>
+        scope === 'password' ? { failedAttempts: 5, lastFailedAt, lockedUntil } : null
+      );
+
+      // Act
+      await adminController.getUserLockout(mockReq, mockRes);
+
+      // Assert
+      expect(mockLoginAttemptRepository.findByUser).toHaveBeenCalledWith('user-456', 'password');
+      expect(mockLoginAttemptRepository.findByUser).toHaveBeenCalledWith('user-456', 'twoFactor');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: {
+          userId: 'user-456',
+          failedAttempts: 5,
+          lastFailedAt,
+          locked: true,
+          lockedUntil,
+          retryAfterSeconds: 840,
+          twoFactor: {
+            failedAttempts: 0,
+            lastFailedAt: null,
+            locked: false,
+            lockedUntil: null,
+            retryAfterSeconds: 0,
+          },
+        },
+      });
+    });
+
+    it('should report unlocked accounts without failures', async () => {
+      // Act
+      await adminController.getUserLockout(mockReq, mockRes);
+
+      // Assert
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data).toEqual(expect.objectContaining({ failedAttempts: 0, locked: false }));
+    });
+
+    it('should return 503 without a login attempt repository', async () => {
+      // Arrange
+      adminController = new AdminController(mockUserRepository, mockCacheService);
+
+      // Act
+      await adminController.getUserLockout(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Login lockout is not configured' },
+      });
+    });
+  });
+
+  describe('unlockUser', () => {
+    it('should clear the failed password and two-factor attempts of the user', async () => {
+      // Act
+      await adminController.unlockUser(mockReq, mockRes);
+
+      // Assert
+      expect(mockLoginAttemptRepository.clear).toHaveBeenCalledWith('user-456', 'password');
+      expect(mockLoginAttemptRepository.clear).toHaveBeenCalledWith('user-456', 'twoFactor');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'User unlocked successfully',
+      });
+    });
+
+    it('should return 404 when the user does not exist', async () => {
+      // Arrange
+      mockUserRepository.findById.mockResolvedValue(null);
+
+      // Act
+      await adminController.unlockUser(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockLoginAttemptRepository.clear).not.toHaveBeenCalled();
+    });
+
+    it('should return 503 without a login attempt repository', async () => {
+      // Arrange
+      adminController = new AdminController(mockUserRepository, mockCacheService);
+
+      // Act
+      await adminController.unlockUser(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockUserRepository.findById).not.toHaveBeenCalled();
+    });
+  });
+});
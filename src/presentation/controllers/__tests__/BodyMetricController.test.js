@@ -0,0 +1,216 @@
+import { jest } from '@jest/globals';
+import { BodyMetricController } from '../BodyMetricController.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('BodyMetricController', () => {
+  let bodyMetricController;
+  let mockBodyMetricRepository;
+  let mockUserRepository;
+  let mockCacheService;
+  let mockReq;
+  let mockRes;
+
+  const buildMetric = (data) => ({
+    id: 'metric-123',
+    userId: 'user-123',
+    weight: null,
+    bodyFat: null,
+    waist: null,
+    ...data,
+    toJSON: jest.fn().mockReturnValue({ id: 'metric-123', ...data }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockBodyMetricRepository = {
+      create: jest.fn().mockResolvedValue(buildMetric({ weight: 78 })),
+      findById: jest.fn(),
+      findByUser: jest.fn().mockResolvedValue([]),
+      findLatestWeight: jest.fn().mockResolvedValue(buildMetric({ weight: 78 })),
+      update: jest.fn().mockResolvedValue(buildMetric({ weight: 78 })),
+      delete: jest.fn().mockResolvedValue(buildMetric({ weight: 78 })),
+    };
+
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue({ id: 'user-123', weight: 80 }),
+      update: jest.fn().mockResolvedValue({ id: 'user-123', weight: 78 }),
+    };
+
+    mockCacheService = {
+      invalidate: jest.fn().mockResolvedValue(0),
+    };
+
+    mockReq = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 'user-123' },
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    bodyMetricController = new BodyMetricController(mockBodyMetricRepository, mockCacheService, {
+      userRepository: mockUserRepository,
+    });
+  });
+
+  describe('createMetric', () => {
+    it('should save only the sent measurements and update the user weight', async () => {
+      // Arrange
+      mockReq.body = { date: new Date('2025-11-05T07:30:00Z'), weight: 78, notes: '' };
+
+      // Act
+      await bodyMetricController.createMetric(mockReq, mockRes);
+
+      // Assert
+      expect(mockBodyMetricRepository.create).toHaveBeenCalledWith({
+        userId: 'user-123',
+        date: new Date('2025-11-05T07:30:00Z'),
+        weight: 78,
+        notes: '',
+      });
+      expect(mockUserRepository.update).toHaveBeenCalledWith('user-123', { weight: 78 });
+      expect(mockCacheService.invalidate).toHaveBeenCalledWith('user:user-123');
+      expect(mockCacheService.invalidate).toHaveBeenCalledWith('stats:user-123:*:energy:*');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should not touch the user when the weigh-in is older than the latest one', async () => {
+      // Arrange
+      mockReq.body = { date: new Date('2025-10-01T07:30:00Z'), weight: 82 };
+      mockBodyMetricRepository.create.mockResolvedValue(buildMetric({ weight: 82 }));
+      mockBodyMetricRepository.findLatestWeight.mockResolvedValue(buildMetric({ weight: 80 }));
+
+      // Act
+      await bodyMetricController.createMetric(mockReq, mockRes);
+
+      // Assert
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should not look up the weight for measurements without one', async () => {
+      // Arrange
+      mockReq.body = { date: new Date('2025-11-05T07:30:00Z'), waist: 84 };
+      mockBodyMetricRepository.create.mockResolvedValue(buildMetric({ waist: 84 }));
+
+      // Act
+      await bodyMetricController.createMetric(mockReq, mockRes);
+
+      // Assert
+      expect(mockBodyMetricRepository.findLatestWeight).not.toHaveBeenCalled();
+      expect(mockUserRepository.update).not.toHaveBeenCalled();
+    });
+
+    it('should keep the measurement when the user weight cannot be updated', async () => {
+      // Arrange
+      mockReq.body = { date: new Date('2025-11-05T07:30:00Z'), weight: 78 };
+      mockUserRepository.update.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await bodyMetricController.createMetric(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('updateMetric', () => {
+    it('should pass null to clear a measurement and leave the weight alone', async () => {
+      // Arrange
+      mockReq.params = { id: 'metric-123' };
+      mockReq.body = { waist: null };
+
+      // Act
+      await bodyMetricController.updateMetric(mockReq, mockRes);
+
+      // Assert
+      expect(mockBodyMetricRepository.update).toHaveBeenCalledWith('metric-123', 'user-123', {
+        date: undefined,
+        waist: null,
+        notes: undefined,
+      });
+      expect(mockBodyMetricRepository.findLatestWeight).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('deleteMetric', () => {
+    it('should go back to the previous weigh-in after deleting the latest', async () => {
+      // Arrange
+      mockReq.params = { id: 'metric-123' };
+      mockBodyMetricRepository.delete.mockResolvedValue(buildMetric({ weight: 78 }));
+      mockBodyMetricRepository.findLatestWeight.mockResolvedValue(buildMetric({ weight: 79 }));
+      mockUserRepository.findById.mockResolvedValue({ id: 'user-123', weight: 78 });
+
+      // Act
+      await bodyMetricController.deleteMetric(mockReq, mockRes);
+
+      // Assert
+      expect(mockUserRepository.update).toHaveBeenCalledWith('user-123', { weight: 79 });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('getTrend', () => {
+    it('should load the window before the period and report only the period days', async () => {
+      // Arrange
+      mockReq.query = {
+        startDate: new Date('2025-11-01'),
+        endDate: new Date('2025-11-14'),
+        metric: 'weight',
+        window: 7,
+      };
+      mockReq.timezone = 'UTC';
+      mockBodyMetricRepository.findByUser.mockResolvedValue([
+        buildMetric({ date: new Date('2025-10-29T08:00:00Z'), weight: 81 }),
+        buildMetric({ date: new Date('2025-11-01T08:00:00Z'), weight: 80 }),
+        buildMetric({ date: new Date('2025-11-08T08:00:00Z'), weight: 79.5, waist: 84 }),
+        buildMetric({ date: new Date('2025-11-14T08:00:00Z'), waist: 83 }),
+      ]);
+
+      // Act
+      await bodyMetricController.getTrend(mockReq, mockRes);
+
+      // Assert
+      expect(mockBodyMetricRepository.findByUser).toHaveBeenCalledWith('user-123', {
+        startDate: '2025-10-26',
+        endDate: '2025-11-14',
+        timezone: 'UTC',
+      });
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.points).toEqual([
+        { date: '2025-11-01', value: 80, movingAverage: 80.5 },
+        { date: '2025-11-08', value: 79.5, movingAverage: 79.5 },
+      ]);
+      expect(data.change).toBe(-1);
+      expect(data.weeklyRate).toBe(-0.5);
+    });
+
+    it('should reject periods longer than 366 days', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2024-01-01', endDate: '2025-06-01' };
+
+      // Act
+      await bodyMetricController.getTrend(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockBodyMetricRepository.findByUser).not.toHaveBeenCalled();
+    });
+  });
+});
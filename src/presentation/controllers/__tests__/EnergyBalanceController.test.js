@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+import { EnergyBalanceController } from '../EnergyBalanceController.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('EnergyBalanceController', () => {
+  let energyBalanceController;
+  let mockEntryRepository;
+  let mockWorkoutRepository;
+  let mockUserRepository;
+  let mockCacheService;
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockEntryRepository = {
+      aggregatePeriodStats: jest.fn().mockResolvedValue({
+        byDay: [
+          { key: '2025-11-01', entries: 3, calories: 2000, protein: 0, carbs: 0, fat: 0 },
+          { key: '2025-11-02', entries: 4, calories: 2400, protein: 0, carbs: 0, fat: 0 },
+        ],
+        byMealType: [],
+      }),
+    };
+
+    mockWorkoutRepository = {
+      aggregateStats: jest.fn().mockResolvedValue({
+        totals: null,
+        byType: [],
+        byDay: [{ key: '2025-11-02', workouts: 1, duration: 3600, calories: 500, volume: 0 }],
+        topExercises: [],
+      }),
+    };
+
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue({ id: 'user-123', calculateBMR: () => 1800 }),
+    };
+
+    mockCacheService = {
+      get: jest.fn().mockResolvedValue(null),
+      set: jest.fn().mockResolvedValue(true),
+    };
+
+    mockReq = {
+      query: { startDate: '2025-11-01', endDate: '2025-11-03' },
+      user: { id: 'user-123' },
+      timezone: 'America/Santiago',
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    energyBalanceController = new EnergyBalanceController(
+      mockEntryRepository,
+      mockWorkoutRepository,
+      mockUserRepository,
+      mockCacheService
+    );
+  });
+
+  describe('getEnergyBalance', () => {
+    it('should combine entries, workouts and BMR per day', async () => {
+      // Act
+      await energyBalanceController.getEnergyBalance(mockReq, mockRes);
+
+      // Assert
+      expect(mockEntryRepository.aggregatePeriodStats).toHaveBeenCalledWith(
+        'user-123',
+        new Date('2025-11-01'),
+        new Date('2025-11-03'),
+        'America/Santiago'
+      );
+      expect(mockWorkoutRepository.aggregateStats).toHaveBeenCalledWith(
+        'user-123',
+        new Date('2025-11-01'),
+        new Date('2025-11-03'),
+        'America/Santiago'
+      );
+
+      const { data, cached } = mockRes.json.mock.calls[0][0];
+      expect(cached).toBe(false);
+      expect(data).toEqual(
+        expect.objectContaining({
+          startDate: '2025-11-01',
+          endDate: '2025-11-03',
+          daysInPeriod: 3,
+          bmr: 1800,
+        })
+      );
+      expect(data.days.map((day) => day.net)).toEqual([200, 100, null]);
+      expect(data.days[1].burned).toEqual({ workouts: 500, bmr: 1800, total: 2300 });
+      expect(data.days[2].cumulative).toEqual({ consumed: 4400, burned: 4100, net: 300 });
+      expect(data.totals).toEqual({ daysLogged: 2, consumed: 4400, burned: 4100, net: 300, averageNet: 150 });
+      expect(mockCacheService.set).toHaveBeenCalledWith(
+        'stats:user-123:weekly:energy:2025-11-01:2025-11-03:America/Santiago',
+        data,
+        3600
+      );
+    });
+
+    it('should return the balance from cache if available', async () => {
+      // Arrange
+      mockCacheService.get.mockResolvedValue({ daysInPeriod: 3 });
+
+      // Act
+      await energyBalanceController.getEnergyBalance(mockReq, mockRes);
+
+      // Assert
+      expect(mockEntryRepository.aggregatePeriodStats).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: { daysInPeriod: 3 },
+        cached: true,
+      });
+    });
+
+    it('should leave BMR out when the profile is incomplete', async () => {
+      // Arrange
+      mockUserRepository.findById.mockResolvedValue({ id: 'user-123', calculateBMR: () => null });
+
+      // Act
+      await energyBalanceController.getEnergyBalance(mockReq, mockRes);
+
+      // Assert
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.bmr).toBeNull();
+      expect(data.days[0].burned).toEqual({ workouts: 0, bmr: null, total: 0 });
+      expect(data.days[0].net).toBe(2000);
+    });
+
+    it('should return 400 when period exceeds the maximum', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2023-01-01', endDate: '2025-01-01' };
+
+      // Act
+      await energyBalanceController.getEnergyBalance(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Period cannot exceed 366 days' },
+      });
+    });
+
+    it('should return 400 when dates are missing', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01' };
+
+      // Act
+      await energyBalanceController.getEnergyBalance(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 500 when a repository fails', async () => {
+      // Arrange
+      mockWorkoutRepository.aggregateStats.mockRejectedValue(new Error('Aggregation error'));
+
+      // Act
+      await energyBalanceController.getEnergyBalance(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Aggregation error' },
+      });
+    });
+  });
+});
@@ -31,6 +31,8 @@ describe('EntryController', () => {
       delete: jest.fn(),
       findPaginated: jest.fn(),
       findByPage: jest.fn(),
+      aggregatePeriodStats: jest.fn(),
+      createMany: jest.fn(),
     };
 
     // Mock del CacheService
@@ -173,6 +175,116 @@ describe('EntryController', () => {
       expect(mockRes.status).toHaveBeenCalledWith(201);
       // No debe fallar sin cache service
     });
+
+    describe('with catalog foods', () => {
+      let mockFoodRepository;
+
+      beforeEach(() => {
+        mockFoodRepository = {
+          findByIds: jest.fn().mockResolvedValue([
+            {
+              id: 'food-1',
+              name: 'Pechuga de pollo',
+              calories: 165,
+              protein: 31,
+              carbs: 0,
+              fat: 3.6,
+              servingSize: 150,
+            },
+          ]),
+        };
+        entryController = new EntryController(mockEntryRepository, mockCacheService, {
+          foodRepository: mockFoodRepository,
+        });
+        mockEntryRepository.create.mockResolvedValue({
+          id: 'entry-123',
+          toJSON: jest.fn().mockReturnValue({ id: 'entry-123' }),
+        });
+      });
+
+      it('should resolve { foodId, quantity } items into food snapshots', async () => {
+        // Arrange
+        mockReq.body = {
+          ...validEntryData,
+          foods: [{ foodId: 'food-1', quantity: 200 }, validEntryData.foods[0]],
+        };
+
+        // Act
+        await entryController.createEntry(mockReq, mockRes);
+
+        // Assert
+        expect(mockFoodRepository.findByIds).toHaveBeenCalledWith(['food-1']);
+        expect(mockEntryRepository.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            foods: [
+              {
+                foodId: 'food-1',
+                name: 'Pechuga de pollo',
+                calories: 165,
+                protein: 31,
+                carbs: 0,
+                fat: 3.6,
+                quantity: 200,
+              },
+              validEntryData.foods[0],
+            ],
+          })
+        );
+        expect(mockRes.status).toHaveBeenCalledWith(201);
+      });
+
+      it('should default quantity to the catalog serving size', async () => {
+        // Arrange
+        mockReq.body = { ...validEntryData, foods: [{ foodId: 'food-1' }] };
+
+        // Act
+        await entryController.createEntry(mockReq, mockRes);
+
+        // Assert
+        const [created] = mockEntryRepository.create.mock.calls[0];
+        expect(created.foods[0].quantity).toBe(150);
+      });
+
+      it('should accept catalog quantities under 1g', async () => {
+        // Arrange
+        mockReq.body = { ...validEntryData, foods: [{ foodId: 'food-1', quantity: 0.5 }] };
+
+        // Act
+        await entryController.createEntry(mockReq, mockRes);
+
+        // Assert
+        const [created] = mockEntryRepository.create.mock.calls[0];
+        expect(created.foods[0].quantity).toBe(0.5);
+        expect(mockRes.status).toHaveBeenCalledWith(201);
+      });
+
+      it('should return 400 when the catalog values are out of range', async () => {
+        // Arrange
+        mockFoodRepository.findByIds.mockResolvedValue([
+          { id: 'food-1', name: 'Pechuga de pollo', calories: -1, protein: 31, carbs: 0, fat: 3.6 },
+        ]);
+        mockReq.body = { ...validEntryData, foods: [{ foodId: 'food-1', quantity: 100 }] };
+
+        // Act
+        await entryController.createEntry(mockReq, mockRes);
+
+        // Assert
+        expect(mockEntryRepository.create).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(400);
+      });
+
+      it('should return 404 when a catalog food does not exist', async () => {
+        // Arrange
+        mockReq.body = { ...validEntryData, foods: [{ foodId: 'missing-food', quantity: 100 }] };
+
+        // Act
+        await entryController.createEntry(mockReq, mockRes);
+
+        // Assert
+        expect(mockEntryRepository.create).not.toHaveBeenCalled();
+        expect(mockRes.status).toHaveBeenCalledWith(404);
+      });
+    });
   });
 
   describe('getEntriesByDate', () => {
@@ -203,7 +315,8 @@ describe('EntryController', () => {
       // Assert
       expect(mockEntryRepository.findByDate).toHaveBeenCalledWith(
         'user-123',
-        new Date('2025-11-05')
+        new Date('2025-11-05'),
+        'UTC'
       );
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
@@ -399,6 +512,132 @@ describe('EntryController', () => {
     });
   });
 
+  describe('copyEntry', () => {
+    const sourceEntry = {
+      id: 'entry-123',
+      userId: 'user-123',
+      date: new Date('2025-11-04T08:30:00.000Z'),
+      mealType: 'breakfast',
+      foods: [{ name: 'Avena', calories: 380, protein: 13, carbs: 67, fat: 7, quantity: 50 }],
+      notes: 'Desayuno',
+    };
+
+    beforeEach(() => {
+      mockEntryRepository.createMany.mockImplementation(async (entries) =>
+        entries.map((e, i) => ({ ...e, id: `copy-${i}`, toJSON: () => ({ ...e, id: `copy-${i}` }) }))
+      );
+    });
+
+    it('should copy the entry loaded by the ownership check to the target date', async () => {
+      // Arrange
+      mockReq.params = { id: 'entry-123' };
+      mockReq.entry = sourceEntry;
+      mockReq.body = { targetDate: new Date('2025-11-05') };
+
+      // Act
+      await entryController.copyEntry(mockReq, mockRes);
+
+      // Assert
+      expect(mockEntryRepository.findById).not.toHaveBeenCalled();
+      expect(mockEntryRepository.createMany).toHaveBeenCalledWith([
+        {
+          userId: 'user-123',
+          date: new Date('2025-11-05T08:30:00.000Z'),
+          mealType: 'breakfast',
+          foods: sourceEntry.foods,
+          notes: 'Desayuno',
+        },
+      ]);
+      expect(mockCacheService.invalidateEntryCache).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      const [{ data }] = mockRes.json.mock.calls[0];
+      expect(data).toHaveLength(1);
+      expect(data[0].id).toBe('copy-0');
+    });
+
+    it('should allow changing the meal type of the copy', async () => {
+      // Arrange
+      mockReq.params = { id: 'entry-123' };
+      mockReq.entry = sourceEntry;
+      mockReq.body = { targetDate: new Date('2025-11-05'), mealType: 'snack' };
+
+      // Act
+      await entryController.copyEntry(mockReq, mockRes);
+
+      // Assert
+      const [[copy]] = mockEntryRepository.createMany.mock.calls[0];
+      expect(copy.mealType).toBe('snack');
+    });
+  });
+
+  describe('copyEntries', () => {
+    const dayEntries = [
+      { id: 'e1', date: new Date('2025-11-04T08:00:00.000Z'), mealType: 'breakfast', foods: [], notes: '' },
+      { id: 'e2', date: new Date('2025-11-04T13:00:00.000Z'), mealType: 'lunch', foods: [], notes: '' },
+      { id: 'e3', date: new Date('2025-11-04T16:00:00.000Z'), mealType: 'snack', foods: [], notes: '' },
+    ];
+
+    beforeEach(() => {
+      mockEntryRepository.findByDate.mockResolvedValue(dayEntries);
+      mockEntryRepository.createMany.mockImplementation(async (entries) =>
+        entries.map((e) => ({ ...e, toJSON: () => e }))
+      );
+    });
+
+    it('should copy the whole day in one bulk insert and invalidate cache once', async () => {
+      // Arrange
+      mockReq.body = { sourceDate: new Date('2025-11-04'), targetDate: new Date('2025-11-05') };
+
+      // Act
+      await entryController.copyEntries(mockReq, mockRes);
+
+      // Assert
+      expect(mockEntryRepository.createMany).toHaveBeenCalledTimes(1);
+      const [copies] = mockEntryRepository.createMany.mock.calls[0];
+      expect(copies.map((c) => c.mealType)).toEqual(['breakfast', 'lunch', 'snack']);
+      expect(copies[1].date).toEqual(new Date('2025-11-05T13:00:00.000Z'));
+      expect(mockCacheService.invalidateEntryCache).toHaveBeenCalledTimes(1);
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({ message: '3 entries copied successfully' })
+      );
+    });
+
+    it('should copy only the requested meal type', async () => {
+      // Arrange
+      mockReq.body = {
+        sourceDate: new Date('2025-11-04'),
+        targetDate: new Date('2025-11-05'),
+        mealType: 'lunch',
+      };
+
+      // Act
+      await entryController.copyEntries(mockReq, mockRes);
+
+      // Assert
+      const [copies] = mockEntryRepository.createMany.mock.calls[0];
+      expect(copies).toHaveLength(1);
+      expect(copies[0].mealType).toBe('lunch');
+    });
+
+    it('should return 404 when there is nothing to copy', async () => {
+      // Arrange
+      mockReq.body = {
+        sourceDate: new Date('2025-11-04'),
+        targetDate: new Date('2025-11-05'),
+        mealType: 'dinner',
+      };
+
+      // Act
+      await entryController.copyEntries(mockReq, mockRes);
+
+      // Assert
+      expect(mockEntryRepository.createMany).not.toHaveBeenCalled();
+      expect(mockCacheService.invalidateEntryCache).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
   describe('getDailyStats', () => {
     it('should return stats from cache if available', async () => {
       // Arrange
@@ -416,7 +655,7 @@ describe('EntryController', () => {
       await entryController.getDailyStats(mockReq, mockRes);
 
       // Assert
-      expect(mockCacheService.get).toHaveBeenCalledWith('stats:daily:user-123:2025-11-05');
+      expect(mockCacheService.get).toHaveBeenCalledWith('stats:user-123:daily:2025-11-05:UTC');
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
@@ -456,10 +695,11 @@ describe('EntryController', () => {
       // Assert
       expect(mockEntryRepository.findByDate).toHaveBeenCalledWith(
         'user-123',
-        new Date('2025-11-05')
+        new Date('2025-11-05'),
+        'UTC'
       );
       expect(mockCacheService.set).toHaveBeenCalledWith(
-        'stats:daily:user-123:2025-11-05',
+        'stats:user-123:daily:2025-11-05:UTC',
         expect.objectContaining({
           date: '2025-11-05',
           totalEntries: 2,
@@ -481,6 +721,92 @@ describe('EntryController', () => {
       });
     });
 
+    it('should include progress against the goal active that day', async () => {
+      // Arrange
+      const mockGoalRepository = {
+        findEffective: jest.fn().mockResolvedValue({
+          toJSON: () => ({ id: 'goal-1', calories: 2000 }),
+          evaluate: jest.fn().mockReturnValue({
+            calories: { target: 2000, consumed: 2100, remaining: 0, percent: 105, over: true },
+          }),
+        }),
+      };
+      entryController = new EntryController(mockEntryRepository, mockCacheService, {
+        nutritionGoalRepository: mockGoalRepository,
+      });
+      mockReq.query = { date: '2025-11-05' };
+      mockCacheService.get.mockResolvedValue(null);
+      mockEntryRepository.findByDate.mockResolvedValue([
+        { mealType: 'dinner', totalCalories: 2100, totalProtein: 90, totalCarbs: 250, totalFat: 80 },
+      ]);
+
+      // Act
+      await entryController.getDailyStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockGoalRepository.findEffective).toHaveBeenCalledWith(
+        'user-123',
+        new Date('2025-11-05T00:00:00.000Z')
+      );
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: expect.objectContaining({
+          goal: { id: 'goal-1', calories: 2000 },
+          progress: {
+            calories: { target: 2000, consumed: 2100, remaining: 0, percent: 105, over: true },
+          },
+        }),
+        cached: false,
+      });
+    });
+
+    it('should sum micronutrients and tolerate entries without them', async () => {
+      // Arrange
+      mockReq.query = { date: '2025-11-05' };
+      mockCacheService.get.mockResolvedValue(null);
+      mockEntryRepository.findByDate.mockResolvedValue([
+        {
+          mealType: 'breakfast',
+          totalCalories: 300,
+          totalProtein: 10,
+          totalCarbs: 50,
+          totalFat: 5,
+          totalMicronutrients: { fiber: 6, sodium: 120 },
+        },
+        { mealType: 'lunch', totalCalories: 600, totalProtein: 40, totalCarbs: 60, totalFat: 20 },
+        {
+          mealType: 'dinner',
+          totalCalories: 500,
+          totalProtein: 30,
+          totalCarbs: 40,
+          totalFat: 15,
+          totalMicronutrients: { fiber: 4 },
+        },
+      ]);
+
+      // Act
+      await entryController.getDailyStats(mockReq, mockRes);
+
+      // Assert
+      const [{ data }] = mockRes.json.mock.calls[0];
+      expect(data.totalMicronutrients).toEqual({ fiber: 10, sodium: 120 });
+    });
+
+    it('should return null goal and progress when no goal repository is configured', async () => {
+      // Arrange
+      mockReq.query = { date: '2025-11-05' };
+      mockCacheService.get.mockResolvedValue(null);
+      mockEntryRepository.findByDate.mockResolvedValue([]);
+
+      // Act
+      await entryController.getDailyStats(mockReq, mockRes);
+
+      // Assert
+      const [{ data }] = mockRes.json.mock.calls[0];
+      expect(data.goal).toBeNull();
+      expect(data.progress).toBeNull();
+    });
+
     it('should return 400 when date is missing', async () => {
       // Arrange
       mockReq.query = {}; // Sin date
@@ -513,6 +839,139 @@ describe('EntryController', () => {
     });
   });
 
+  describe('getPeriodStats', () => {
+    const aggregated = {
+      byDay: [
+        { key: '2025-11-01', entries: 2, calories: 1800, protein: 120, carbs: 200, fat: 60 },
+        { key: '2025-11-03', entries: 3, calories: 2200, protein: 140, carbs: 240, fat: 70 },
+      ],
+      byMealType: [
+        { key: 'breakfast', entries: 2, calories: 900, protein: 50, carbs: 120, fat: 30 },
+        { key: 'dinner', entries: 3, calories: 3100, protein: 210, carbs: 320, fat: 100 },
+      ],
+    };
+
+    it('should return stats from cache if available', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01', endDate: '2025-11-07' };
+      const cachedStats = { startDate: '2025-11-01', endDate: '2025-11-07', daysLogged: 2 };
+      mockCacheService.get.mockResolvedValue(cachedStats);
+
+      // Act
+      await entryController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockCacheService.get).toHaveBeenCalledWith(
+        'stats:user-123:weekly:2025-11-01:2025-11-07:UTC'
+      );
+      expect(mockEntryRepository.aggregatePeriodStats).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: cachedStats,
+        cached: true,
+      });
+    });
+
+    it('should compute totals, averages and min/max days on cache miss', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01', endDate: '2025-11-07' };
+      mockCacheService.get.mockResolvedValue(null);
+      mockEntryRepository.aggregatePeriodStats.mockResolvedValue(aggregated);
+
+      // Act
+      await entryController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockEntryRepository.aggregatePeriodStats).toHaveBeenCalledWith(
+        'user-123',
+        new Date('2025-11-01'),
+        new Date('2025-11-07'),
+        'UTC'
+      );
+
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.daysInPeriod).toBe(7);
+      expect(data.daysLogged).toBe(2);
+      expect(data.totalEntries).toBe(5);
+      expect(data.totals).toEqual({ calories: 4000, protein: 260, carbs: 440, fat: 130 });
+      expect(data.averages).toEqual({ calories: 2000, protein: 130, carbs: 220, fat: 65 });
+      expect(data.minDay.date).toBe('2025-11-01');
+      expect(data.maxDay.date).toBe('2025-11-03');
+      expect(data.byMealType.breakfast).toEqual({
+        entries: 2,
+        calories: 900,
+        protein: 50,
+        carbs: 120,
+        fat: 30,
+        averageCalories: 450,
+      });
+      expect(data.byMealType.lunch.entries).toBe(0);
+
+      expect(mockCacheService.set).toHaveBeenCalledWith(
+        'stats:user-123:weekly:2025-11-01:2025-11-07:UTC',
+        data,
+        3600
+      );
+    });
+
+    it('should use the monthly cache key for periods longer than a week', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01', endDate: '2025-11-30' };
+      mockCacheService.get.mockResolvedValue(null);
+      mockEntryRepository.aggregatePeriodStats.mockResolvedValue({ byDay: [], byMealType: [] });
+
+      // Act
+      await entryController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockCacheService.set).toHaveBeenCalledWith(
+        'stats:user-123:monthly:2025-11-01:2025-11-30:UTC',
+        expect.objectContaining({ daysInPeriod: 30, daysLogged: 0, minDay: null, maxDay: null }),
+        7200
+      );
+    });
+
+    it('should return 400 when dates are missing', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01' };
+
+      // Act
+      await entryController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockEntryRepository.aggregatePeriodStats).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when period exceeds the maximum', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2023-01-01', endDate: '2025-01-01' };
+
+      // Act
+      await entryController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Period cannot exceed 366 days' },
+      });
+    });
+
+    it('should return 500 when error occurs', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01', endDate: '2025-11-07' };
+      mockCacheService.get.mockResolvedValue(null);
+      mockEntryRepository.aggregatePeriodStats.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await entryController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
   describe('getEntriesPaginated', () => {
     it('should return paginated entries successfully', async () => {
       // Arrange
@@ -0,0 +1,102 @@
+import { jest } from '@jest/globals';
+import { FoodController } from '../FoodController.js';
+import { NotFoundError } from '../../../shared/errors/AppError.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('FoodController', () => {
+  let foodController;
+  let mockFoodRepository;
+  let mockReq;
+  let mockRes;
+
+  const food = {
+    id: 'food-1',
+    toJSON: () => ({ id: 'food-1', name: 'Pechuga de pollo' }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockFoodRepository = {
+      update: jest.fn().mockResolvedValue(food),
+      delete: jest.fn().mockResolvedValue(food),
+    };
+
+    mockReq = {
+      body: {},
+      params: { id: 'food-1' },
+      user: { id: 'user-123' },
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    foodController = new FoodController(mockFoodRepository);
+  });
+
+  describe('updateFood', () => {
+    it('should update a food of the user', async () => {
+      // Arrange
+      mockReq.body = { calories: 170 };
+
+      // Act
+      await foodController.updateFood(mockReq, mockRes);
+
+      // Assert
+      expect(mockFoodRepository.update).toHaveBeenCalledWith('food-1', 'user-123', { calories: 170 });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return 404 when the food does not exist or belongs to another user', async () => {
+      // Arrange
+      mockFoodRepository.update.mockRejectedValue(new NotFoundError('Food', 'food-1'));
+
+      // Act
+      await foodController.updateFood(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Food with id food-1 not found' },
+      });
+    });
+  });
+
+  describe('deleteFood', () => {
+    it('should return 404 when the food does not exist or belongs to another user', async () => {
+      // Arrange
+      mockFoodRepository.delete.mockRejectedValue(new NotFoundError('Food', 'food-1'));
+
+      // Act
+      await foodController.deleteFood(mockReq, mockRes);
+
+      // Assert
+      expect(mockFoodRepository.delete).toHaveBeenCalledWith('food-1', 'user-123');
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 500 when the repository fails', async () => {
+      // Arrange
+      mockFoodRepository.delete.mockRejectedValue(new Error('Database error'));
+
+      // Act
+      await foodController.deleteFood(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
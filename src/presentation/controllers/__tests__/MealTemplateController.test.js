@@ -0,0 +1,207 @@
+import { jest } from '@jest/globals';
+import { MealTemplateController } from '../MealTemplateController.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('MealTemplateController', () => {
+  let templateController;
+  let mockTemplateRepository;
+  let mockEntryRepository;
+  let mockFoodRepository;
+  let mockCacheService;
+  let mockReq;
+  let mockRes;
+
+  const template = {
+    id: 'template-123',
+    userId: 'user-123',
+    name: 'Batido post-entreno',
+    defaultMealType: 'snack',
+    foods: [
+      { name: 'Proteína whey', calories: 400, protein: 80, carbs: 8, fat: 6, quantity: 30 },
+      { name: 'Plátano', calories: 89, protein: 1.1, carbs: 23, fat: 0.3, quantity: 120 },
+    ],
+    notes: 'Después de entrenar',
+    toJSON: jest.fn().mockReturnValue({ id: 'template-123' }),
+  };
+
+  const createdEntry = {
+    id: 'entry-123',
+    toJSON: jest.fn().mockReturnValue({ id: 'entry-123' }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockTemplateRepository = {
+      create: jest.fn().mockResolvedValue(template),
+      findById: jest.fn().mockResolvedValue(template),
+      findByUser: jest.fn().mockResolvedValue([template]),
+      update: jest.fn().mockResolvedValue(template),
+      delete: jest.fn().mockResolvedValue(template),
+    };
+
+    mockEntryRepository = {
+      create: jest.fn().mockResolvedValue(createdEntry),
+    };
+
+    mockFoodRepository = {
+      findByIds: jest.fn().mockResolvedValue([
+        {
+          id: 'a1b2c3d4e5f6a1b2c3d4e5f6',
+          name: 'Avena',
+          calories: 389,
+          protein: 16.9,
+          carbs: 66.3,
+          fat: 6.9,
+          servingSize: 40,
+        },
+      ]),
+    };
+
+    mockCacheService = {
+      invalidateEntryCache: jest.fn().mockResolvedValue(undefined),
+    };
+
+    mockReq = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 'user-123' },
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    templateController = new MealTemplateController(mockTemplateRepository, mockCacheService, {
+      entryRepository: mockEntryRepository,
+      foodRepository: mockFoodRepository,
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('should resolve catalog foods into snapshots before saving', async () => {
+      // Arrange
+      mockReq.body = {
+        name: 'Desayuno',
+        defaultMealType: 'breakfast',
+        foods: [{ foodId: 'a1b2c3d4e5f6a1b2c3d4e5f6' }],
+      };
+
+      // Act
+      await templateController.createTemplate(mockReq, mockRes);
+
+      // Assert
+      expect(mockTemplateRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 'user-123',
+          defaultMealType: 'breakfast',
+          foods: [expect.objectContaining({ name: 'Avena', calories: 389, quantity: 40 })],
+        })
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+  });
+
+  describe('getTemplates', () => {
+    it('should list the user templates filtered by meal type', async () => {
+      // Arrange
+      mockReq.query = { mealType: 'snack' };
+
+      // Act
+      await templateController.getTemplates(mockReq, mockRes);
+
+      // Assert
+      expect(mockTemplateRepository.findByUser).toHaveBeenCalledWith('user-123', {
+        mealType: 'snack',
+      });
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ id: 'template-123' }],
+      });
+    });
+  });
+
+  describe('logTemplate', () => {
+    it('should create an entry with the template foods and default meal type', async () => {
+      // Arrange
+      mockReq.params = { id: 'template-123' };
+      mockReq.mealtemplate = template;
+      mockReq.body = { date: new Date('2025-11-05T18:30:00.000Z') };
+
+      // Act
+      await templateController.logTemplate(mockReq, mockRes);
+
+      // Assert
+      expect(mockTemplateRepository.findById).not.toHaveBeenCalled();
+      expect(mockEntryRepository.create).toHaveBeenCalledWith({
+        userId: 'user-123',
+        date: new Date('2025-11-05T18:30:00.000Z'),
+        mealType: 'snack',
+        foods: template.foods,
+        notes: 'Después de entrenar',
+      });
+      expect(mockCacheService.invalidateEntryCache).toHaveBeenCalledWith('user-123');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should scale quantities and allow overriding the meal type', async () => {
+      // Arrange
+      mockReq.params = { id: 'template-123' };
+      mockReq.mealtemplate = template;
+      mockReq.body = { date: new Date('2025-11-05T08:00:00.000Z'), mealType: 'breakfast', scale: 1.5 };
+
+      // Act
+      await templateController.logTemplate(mockReq, mockRes);
+
+      // Assert
+      const { mealType, foods } = mockEntryRepository.create.mock.calls[0][0];
+      expect(mealType).toBe('breakfast');
+      expect(foods.map((f) => f.quantity)).toEqual([45, 180]);
+      expect(foods[0].calories).toBe(400);
+      // La plantilla no se modifica
+      expect(template.foods[0].quantity).toBe(30);
+    });
+
+    it('should return 500 when the entry cannot be created', async () => {
+      // Arrange
+      mockReq.params = { id: 'template-123' };
+      mockReq.mealtemplate = template;
+      mockReq.body = { date: new Date('2025-11-05T08:00:00.000Z') };
+      const error = new Error('Database error');
+      mockEntryRepository.create.mockRejectedValue(error);
+
+      // Act
+      await templateController.logTemplate(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockCacheService.invalidateEntryCache).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteTemplate', () => {
+    it('should delete the template of the authenticated user', async () => {
+      // Arrange
+      mockReq.params = { id: 'template-123' };
+
+      // Act
+      await templateController.deleteTemplate(mockReq, mockRes);
+
+      // Assert
+      expect(mockTemplateRepository.delete).toHaveBeenCalledWith('template-123', 'user-123');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -0,0 +1,228 @@
+import { jest } from '@jest/globals';
+import { NutritionGoalController } from '../NutritionGoalController.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('NutritionGoalController', () => {
+  let goalController;
+  let mockGoalRepository;
+  let mockCacheService;
+  let mockReq;
+  let mockRes;
+
+  const savedGoal = {
+    id: 'goal-123',
+    toJSON: jest.fn().mockReturnValue({ id: 'goal-123', calories: 2000 }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockGoalRepository = {
+      upsert: jest.fn().mockResolvedValue(savedGoal),
+      findEffective: jest.fn(),
+      findByUser: jest.fn(),
+      delete: jest.fn(),
+    };
+
+    mockCacheService = {
+      invalidate: jest.fn().mockResolvedValue(1),
+    };
+
+    mockReq = {
+      body: {},
+      params: {},
+      user: { id: 'user-123' },
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    goalController = new NutritionGoalController(mockGoalRepository, mockCacheService);
+  });
+
+  describe('setGoal', () => {
+    it('should save goal effective from the start of the given day', async () => {
+      // Arrange
+      mockReq.body = {
+        calories: 2000,
+        macroMode: 'percentage',
+        protein: 30,
+        carbs: 40,
+        fat: 30,
+        effectiveFrom: new Date('2025-12-01T15:30:00.000Z'),
+      };
+
+      // Act
+      await goalController.setGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockGoalRepository.upsert).toHaveBeenCalledWith(
+        'user-123',
+        expect.objectContaining({
+          calories: 2000,
+          macroMode: 'percentage',
+          effectiveFrom: new Date('2025-12-01T00:00:00.000Z'),
+        })
+      );
+      expect(mockCacheService.invalidate).toHaveBeenCalledWith('stats:user-123:daily:*');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should default to the current day of the user timezone', async () => {
+      // Arrange
+      jest.useFakeTimers({ now: new Date('2025-12-05T02:00:00.000Z') });
+      mockReq.body = { calories: 2000 };
+      mockReq.timezone = 'America/Santiago';
+
+      // Act
+      await goalController.setGoal(mockReq, mockRes);
+      jest.useRealTimers();
+
+      // Assert
+      expect(mockGoalRepository.upsert).toHaveBeenCalledWith(
+        'user-123',
+        expect.objectContaining({ effectiveFrom: new Date('2025-12-04T00:00:00.000Z') })
+      );
+    });
+
+    it('should return 400 when percentages do not add up to 100', async () => {
+      // Arrange
+      mockReq.body = { calories: 2000, macroMode: 'percentage', protein: 50, carbs: 50, fat: 50 };
+
+      // Act
+      await goalController.setGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockGoalRepository.upsert).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Macro percentages must add up to 100' },
+      });
+    });
+  });
+
+  describe('suggested calories (TDEE)', () => {
+    let mockUserRepository;
+
+    beforeEach(() => {
+      mockUserRepository = {
+        findById: jest.fn().mockResolvedValue({ calculateTDEE: jest.fn().mockReturnValue(2595) }),
+      };
+      goalController = new NutritionGoalController(
+        mockGoalRepository,
+        mockCacheService,
+        mockUserRepository
+      );
+    });
+
+    it('should default the calorie goal to the user TDEE', async () => {
+      // Arrange
+      mockReq.body = { protein: 150 };
+
+      // Act
+      await goalController.setGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockGoalRepository.upsert).toHaveBeenCalledWith(
+        'user-123',
+        expect.objectContaining({ calories: 2595, protein: 150 })
+      );
+    });
+
+    it('should return 400 when calories are omitted and TDEE is unknown', async () => {
+      // Arrange
+      mockUserRepository.findById.mockResolvedValue({ calculateTDEE: () => null });
+      mockReq.body = {};
+
+      // Act
+      await goalController.setGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockGoalRepository.upsert).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should include the TDEE suggestion in getGoals', async () => {
+      // Arrange
+      mockGoalRepository.findEffective.mockResolvedValue(null);
+      mockGoalRepository.findByUser.mockResolvedValue([]);
+
+      // Act
+      await goalController.getGoals(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: { current: null, suggested: { calories: 2595, source: 'tdee' }, history: [] },
+      });
+    });
+  });
+
+  describe('getGoals', () => {
+    it('should return current goal and history', async () => {
+      // Arrange
+      mockGoalRepository.findEffective.mockResolvedValue(savedGoal);
+      mockGoalRepository.findByUser.mockResolvedValue([savedGoal]);
+
+      // Act
+      await goalController.getGoals(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: {
+          current: { id: 'goal-123', calories: 2000 },
+          suggested: null,
+          history: [{ id: 'goal-123', calories: 2000 }],
+        },
+      });
+    });
+
+    it('should look up the goal effective on the current day of the user timezone', async () => {
+      // Arrange
+      jest.useFakeTimers({ now: new Date('2025-12-05T02:00:00.000Z') });
+      mockGoalRepository.findEffective.mockResolvedValue(null);
+      mockGoalRepository.findByUser.mockResolvedValue([]);
+      mockReq.timezone = 'America/Santiago';
+
+      // Act
+      await goalController.getGoals(mockReq, mockRes);
+      jest.useRealTimers();
+
+      // Assert
+      expect(mockGoalRepository.findEffective).toHaveBeenCalledWith(
+        'user-123',
+        new Date('2025-12-04T00:00:00.000Z')
+      );
+    });
+
+    it('should return null current goal when none is active', async () => {
+      // Arrange
+      mockGoalRepository.findEffective.mockResolvedValue(null);
+      mockGoalRepository.findByUser.mockResolvedValue([]);
+
+      // Act
+      await goalController.getGoals(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: { current: null, suggested: null, history: [] },
+      });
+    });
+  });
+});
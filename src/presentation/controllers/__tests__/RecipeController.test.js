@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+import { RecipeController } from '../RecipeController.js';
+import { MongoRecipeRepository } from '../../../infrastructure/repositories/MongoRecipeRepository.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('RecipeController', () => {
+  let recipeController;
+  let mockRecipeRepository;
+  let mockEntryRepository;
+  let mockCacheService;
+  let mockReq;
+  let mockRes;
+  let recipe;
+
+  const createdEntry = {
+    id: 'entry-123',
+    toJSON: jest.fn().mockReturnValue({ id: 'entry-123' }),
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    // Receta real mapeada por el repositorio (usa la entidad Recipe para los cálculos)
+    recipe = new MongoRecipeRepository(null).mapToDomain({
+      _id: 'recipe-123',
+      userId: 'user-123',
+      name: 'Arroz con pollo',
+      ingredients: [
+        { name: 'Arroz blanco', calories: 360, protein: 7, carbs: 79, fat: 0.6, quantity: 300 },
+        { name: 'Pechuga de pollo', calories: 165, protein: 31, carbs: 0, fat: 3.6, quantity: 500 },
+      ],
+      cookedWeight: 1600,
+      servings: 4,
+      notes: '',
+    });
+
+    mockRecipeRepository = {
+      create: jest.fn().mockResolvedValue(recipe),
+      findById: jest.fn().mockResolvedValue(recipe),
+      findByUser: jest.fn().mockResolvedValue([recipe]),
+      update: jest.fn().mockResolvedValue(recipe),
+      delete: jest.fn().mockResolvedValue(recipe),
+    };
+
+    mockEntryRepository = {
+      create: jest.fn().mockResolvedValue(createdEntry),
+    };
+
+    mockCacheService = {
+      invalidateEntryCache: jest.fn().mockResolvedValue(undefined),
+    };
+
+    mockReq = {
+      body: {},
+      params: {},
+      query: {},
+      user: { id: 'user-123' },
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    recipeController = new RecipeController(mockRecipeRepository, mockCacheService, {
+      entryRepository: mockEntryRepository,
+    });
+  });
+
+  describe('createRecipe', () => {
+    it('should create recipe and return its nutrition', async () => {
+      // Arrange
+      mockReq.body = {
+        name: 'Arroz con pollo',
+        ingredients: recipe.ingredients,
+        cookedWeight: 1600,
+        servings: 4,
+      };
+
+      // Act
+      await recipeController.createRecipe(mockReq, mockRes);
+
+      // Assert
+      expect(mockRecipeRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: 'user-123', servings: 4 })
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.nutrition.perServing.calories).toBe(476.25);
+    });
+  });
+
+  describe('updateRecipe', () => {
+    it('should only send the fields present in the body', async () => {
+      // Arrange
+      mockReq.params = { id: 'recipe-123' };
+      mockReq.body = { servings: 5, cookedWeight: null };
+
+      // Act
+      await recipeController.updateRecipe(mockReq, mockRes);
+
+      // Assert
+      expect(mockRecipeRepository.update).toHaveBeenCalledWith('recipe-123', 'user-123', {
+        servings: 5,
+        cookedWeight: null,
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('logRecipe', () => {
+    it('should log N servings as a single synthesized food', async () => {
+      // Arrange
+      mockReq.params = { id: 'recipe-123' };
+      mockReq.recipe = recipe;
+      mockReq.body = { date: new Date('2025-11-05T13:00:00.000Z'), mealType: 'lunch', servings: 1.5 };
+
+      // Act
+      await recipeController.logRecipe(mockReq, mockRes);
+
+      // Assert
+      const { foods, mealType } = mockEntryRepository.create.mock.calls[0][0];
+      expect(mealType).toBe('lunch');
+      expect(foods).toEqual([
+        {
+          recipeId: 'recipe-123',
+          name: 'Arroz con pollo',
+          calories: 119.06,
+          protein: 11,
+          carbs: 14.81,
+          fat: 1.24,
+          quantity: 600,
+        },
+      ]);
+      expect(mockCacheService.invalidateEntryCache).toHaveBeenCalledWith('user-123');
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should log X grams of the cooked dish', async () => {
+      // Arrange
+      mockReq.params = { id: 'recipe-123' };
+      mockReq.recipe = recipe;
+      mockReq.body = { date: new Date('2025-11-05T13:00:00.000Z'), mealType: 'dinner', grams: 250 };
+
+      // Act
+      await recipeController.logRecipe(mockReq, mockRes);
+
+      // Assert
+      const { foods } = mockEntryRepository.create.mock.calls[0][0];
+      expect(foods[0].quantity).toBe(250);
+    });
+
+    it('should return 400 when the portion is too small to log', async () => {
+      // Arrange
+      const tinyRecipe = new MongoRecipeRepository(null).mapToDomain({
+        _id: 'recipe-456',
+        userId: 'user-123',
+        name: 'Aliño',
+        ingredients: [{ name: 'Aceite', calories: 884, protein: 0, carbs: 0, fat: 100, quantity: 5 }],
+        servings: 10,
+      });
+      mockReq.params = { id: 'recipe-456' };
+      mockReq.recipe = tinyRecipe;
+      mockReq.body = { date: new Date('2025-11-05T13:00:00.000Z'), mealType: 'lunch', servings: 0.1 };
+
+      // Act
+      await recipeController.logRecipe(mockReq, mockRes);
+
+      // Assert
+      expect(mockEntryRepository.create).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
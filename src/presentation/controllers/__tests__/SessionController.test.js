@@ -0,0 +1,133 @@
+import { jest } from '@jest/globals';
+import { SessionController } from '../SessionController.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('SessionController', () => {
+  let sessionController;
+  let mockSessionRepository;
+  let mockRefreshTokenRepository;
+  let mockReq;
+  let mockRes;
+
+  const buildSession = (id, userAgent) => ({
+    id,
+    userAgent,
+    toJSON: () => ({ id, userAgent, ip: '203.0.113.25' }),
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockSessionRepository = {
+      findActiveByUser: jest.fn().mockResolvedValue([
+        buildSession('session-1', 'Firefox'),
+        buildSession('session-2', 'iPhone'),
+      ]),
+      revoke: jest.fn().mockResolvedValue({ id: 'session-2' }),
+    };
+
+    mockRefreshTokenRepository = {
+      revokeFamily: jest.fn().mockResolvedValue(undefined),
+    };
+
+    mockReq = {
+      params: {},
+      user: { id: 'user-123', sessionId: 'session-1' },
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      clearCookie: jest.fn(),
+    };
+
+    sessionController = new SessionController(mockSessionRepository, null, {
+      refreshTokenRepository: mockRefreshTokenRepository,
+    });
+  });
+
+  describe('getSessions', () => {
+    it('should list the active sessions and flag the current one', async () => {
+      // Act
+      await sessionController.getSessions(mockReq, mockRes);
+
+      // Assert
+      expect(mockSessionRepository.findActiveByUser).toHaveBeenCalledWith('user-123');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [
+          { id: 'session-1', userAgent: 'Firefox', ip: '203.0.113.25', current: true },
+          { id: 'session-2', userAgent: 'iPhone', ip: '203.0.113.25', current: false },
+        ],
+      });
+    });
+  });
+
+  describe('revokeSession', () => {
+    it('should revoke the session and its refresh tokens', async () => {
+      // Arrange
+      mockReq.params.id = 'session-2';
+
+      // Act
+      await sessionController.revokeSession(mockReq, mockRes);
+
+      // Assert
+      expect(mockSessionRepository.revoke).toHaveBeenCalledWith('session-2', 'user-123');
+      expect(mockRefreshTokenRepository.revokeFamily).toHaveBeenCalledWith('session-2');
+      expect(mockRes.clearCookie).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should clear the cookie when revoking the current session', async () => {
+      // Arrange
+      mockReq.params.id = 'session-1';
+
+      // Act
+      await sessionController.revokeSession(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.clearCookie).toHaveBeenCalledWith('refreshToken', expect.any(Object));
+    });
+
+    it('should return 404 for sessions of other users or already closed', async () => {
+      // Arrange
+      mockReq.params.id = '507f1f77bcf86cd799439011';
+      mockSessionRepository.revoke.mockResolvedValue(null);
+
+      // Act
+      await sessionController.revokeSession(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRefreshTokenRepository.revokeFamily).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('revokeOtherSessions', () => {
+    it('should revoke every session except the current one', async () => {
+      // Act
+      await sessionController.revokeOtherSessions(mockReq, mockRes);
+
+      // Assert
+      expect(mockSessionRepository.revoke).toHaveBeenCalledTimes(1);
+      expect(mockSessionRepository.revoke).toHaveBeenCalledWith('session-2', 'user-123');
+      expect(mockRefreshTokenRepository.revokeFamily).toHaveBeenCalledWith('session-2');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Other sessions revoked successfully',
+        data: { revoked: 1 },
+      });
+    });
+  });
+});
@@ -0,0 +1,175 @@
+import { jest } from '@jest/globals';
+import { WeightGoalController } from '../WeightGoalController.js';
+
+// Mock de logger
+jest.mock('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+describe('WeightGoalController', () => {
+  let weightGoalController;
+  let mockUserRepository;
+  let mockBodyMetricRepository;
+  let mockEntryRepository;
+  let mockWorkoutRepository;
+  let mockCacheService;
+  let mockReq;
+  let mockRes;
+
+  const user = {
+    id: 'user-123',
+    weight: 78,
+    goalWeight: 72,
+    goalDate: new Date('2099-01-01T00:00:00.000Z'),
+    calculateBMR: () => 1700,
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2025-12-04T15:00:00.000Z') });
+    jest.clearAllMocks();
+
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue(user),
+      update: jest.fn().mockResolvedValue(user),
+    };
+
+    mockBodyMetricRepository = {
+      findByUser: jest.fn().mockResolvedValue([
+        { date: new Date('2025-11-20T08:00:00.000Z'), weight: 79 },
+        { date: new Date('2025-11-27T08:00:00.000Z'), weight: 78.5 },
+        { date: new Date('2025-11-30T08:00:00.000Z'), waist: 84, weight: null },
+        { date: new Date('2025-12-04T08:00:00.000Z'), weight: 78 },
+      ]),
+    };
+
+    mockEntryRepository = {
+      aggregatePeriodStats: jest.fn().mockResolvedValue({
+        byDay: [
+          { key: '2025-12-03', calories: 1200 },
+          { key: '2025-12-04', calories: 1400 },
+        ],
+        byMealType: [],
+      }),
+    };
+
+    mockWorkoutRepository = {
+      aggregateStats: jest.fn().mockResolvedValue({ byDay: [] }),
+    };
+
+    mockCacheService = {
+      invalidate: jest.fn().mockResolvedValue(0),
+    };
+
+    mockReq = {
+      body: {},
+      query: {},
+      user: { id: 'user-123' },
+      timezone: 'UTC',
+      id: 'test-request-id-123',
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    weightGoalController = new WeightGoalController(mockUserRepository, mockCacheService, {
+      bodyMetricRepository: mockBodyMetricRepository,
+      entryRepository: mockEntryRepository,
+      workoutRepository: mockWorkoutRepository,
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('getWeightGoal', () => {
+    it('should project the goal from the weigh-ins and energy balance of the last days', async () => {
+      // Act
+      await weightGoalController.getWeightGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockBodyMetricRepository.findByUser).toHaveBeenCalledWith('user-123', {
+        startDate: '2025-11-07',
+        endDate: '2025-12-04',
+        timezone: 'UTC',
+      });
+      expect(mockEntryRepository.aggregatePeriodStats).toHaveBeenCalledWith(
+        'user-123',
+        new Date('2025-11-07'),
+        new Date('2025-12-04'),
+        'UTC'
+      );
+
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.goalWeight).toBe(72);
+      expect(data.goalDate).toBe('2099-01-01');
+      expect(data.projection.basedOn).toEqual({
+        startDate: '2025-11-07',
+        endDate: '2025-12-04',
+        days: 28,
+        weighIns: 3,
+        daysLogged: 2,
+      });
+      // 1 kg en 14 días
+      expect(data.projection.projections.trend.weeklyRate).toBe(-0.5);
+      // (1200 - 1700 + 1400 - 1700) / 2
+      expect(data.projection.projections.energyBalance.averageNet).toBe(-400);
+      expect(data.projection.expectedDate).toBe('2026-02-26');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should return nulls when the user has no goal', async () => {
+      // Arrange
+      mockUserRepository.findById.mockResolvedValue({ ...user, goalWeight: null, goalDate: null });
+
+      // Act
+      await weightGoalController.getWeightGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: { goalWeight: null, goalDate: null, projection: null },
+      });
+      expect(mockBodyMetricRepository.findByUser).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setWeightGoal', () => {
+    it('should save the goal on the profile and invalidate the cached user', async () => {
+      // Arrange
+      mockReq.body = { goalWeight: 72, goalDate: new Date('2099-01-01') };
+
+      // Act
+      await weightGoalController.setWeightGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockUserRepository.update).toHaveBeenCalledWith('user-123', {
+        goalWeight: 72,
+        goalDate: new Date('2099-01-01'),
+      });
+      expect(mockCacheService.invalidate).toHaveBeenCalledWith('user:user-123');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('deleteWeightGoal', () => {
+    it('should clear the goal', async () => {
+      // Act
+      await weightGoalController.deleteWeightGoal(mockReq, mockRes);
+
+      // Assert
+      expect(mockUserRepository.update).toHaveBeenCalledWith('user-123', {
+        goalWeight: null,
+        goalDate: null,
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+});
@@ -176,6 +176,406 @@ describe('WorkoutController', () => {
     });
   });
 
+  describe('exercise library', () => {
+    let mockExerciseRepository;
+    const benchPress = {
+      id: '507f1f77bcf86cd799439011',
+      name: 'Bench Press',
+      matches: (text) => ['bench press', 'bench', 'press banca'].includes(text.toLowerCase()),
+    };
+
+    beforeEach(() => {
+      mockExerciseRepository = {
+        findByIds: jest.fn().mockResolvedValue([benchPress]),
+        findByNames: jest.fn().mockResolvedValue([benchPress]),
+      };
+      workoutController = new WorkoutController(mockWorkoutRepository, mockCacheService, {
+        exerciseRepository: mockExerciseRepository,
+      });
+      mockWorkoutRepository.create.mockResolvedValue({ id: 'workout-123', toJSON: () => ({}) });
+      mockReq.body = { date: '2025-11-05', type: 'strength', duration: 3600, exercises: [] };
+    });
+
+    it('should use the canonical name when only exerciseId is sent', async () => {
+      // Arrange
+      mockReq.body.exercises = [{ exerciseId: benchPress.id, sets: 5, reps: 5, weight: 100 }];
+
+      // Act
+      await workoutController.createWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockExerciseRepository.findByIds).toHaveBeenCalledWith([benchPress.id]);
+      expect(mockWorkoutRepository.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          exercises: [{ exerciseId: benchPress.id, name: 'Bench Press', sets: 5, reps: 5, weight: 100 }],
+        })
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+    });
+
+    it('should link free-text names that match an alias and keep the name', async () => {
+      // Arrange
+      mockReq.body.exercises = [
+        { name: 'Press banca', sets: 3, reps: 8 },
+        { name: 'Mi ejercicio', sets: 3, reps: 10 },
+      ];
+
+      // Act
+      await workoutController.createWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockExerciseRepository.findByNames).toHaveBeenCalledWith(['Press banca', 'Mi ejercicio']);
+      const [{ exercises }] = mockWorkoutRepository.create.mock.calls[0];
+      expect(exercises[0]).toEqual({ name: 'Press banca', sets: 3, reps: 8, exerciseId: benchPress.id });
+      expect(exercises[1]).not.toHaveProperty('exerciseId');
+    });
+
+    it('should return 404 when exerciseId does not exist', async () => {
+      // Arrange
+      mockExerciseRepository.findByIds.mockResolvedValue([]);
+      mockReq.body.exercises = [{ exerciseId: '507f1f77bcf86cd799439099', sets: 3, reps: 8 }];
+
+      // Act
+      await workoutController.createWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockWorkoutRepository.create).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should resolve exercises on update only when they are sent', async () => {
+      // Arrange
+      mockReq.params = { id: 'workout-123' };
+      mockReq.body = { notes: 'Solo notas' };
+      mockWorkoutRepository.update.mockResolvedValue({ id: 'workout-123', toJSON: () => ({}) });
+
+      // Act
+      await workoutController.updateWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockExerciseRepository.findByIds).not.toHaveBeenCalled();
+      expect(mockExerciseRepository.findByNames).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('workout stats', () => {
+    const aggregated = {
+      totals: { key: null, workouts: 3, duration: 9000, calories: 1100.456, volume: 12500 },
+      byType: [
+        { key: 'cardio', workouts: 1, duration: 1800, calories: 350, volume: 0 },
+        { key: 'strength', workouts: 2, duration: 7200, calories: 750.456, volume: 12500 },
+      ],
+      byDay: [
+        { key: '2025-11-03', workouts: 2, duration: 5400, calories: 700, volume: 8000 },
+        { key: '2025-11-05', workouts: 1, duration: 3600, calories: 400.456, volume: 4500 },
+      ],
+      topExercises: [{ exerciseId: null, name: 'Sentadilla', sessions: 2, sets: 8, volume: 6400 }],
+    };
+
+    beforeEach(() => {
+      mockCacheService.get = jest.fn().mockResolvedValue(null);
+      mockCacheService.set = jest.fn().mockResolvedValue(true);
+      mockWorkoutRepository.aggregateStats = jest.fn().mockResolvedValue(aggregated);
+    });
+
+    it('should compute daily stats and cache them', async () => {
+      // Arrange
+      mockReq.query = { date: '2025-11-05' };
+      mockReq.timezone = 'America/Santiago';
+
+      // Act
+      await workoutController.getDailyStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockWorkoutRepository.aggregateStats).toHaveBeenCalledWith(
+        'user-123',
+        new Date('2025-11-05'),
+        new Date('2025-11-05'),
+        'America/Santiago'
+      );
+      const { data, cached } = mockRes.json.mock.calls[0][0];
+      expect(cached).toBe(false);
+      expect(data).toEqual(
+        expect.objectContaining({
+          date: '2025-11-05',
+          timezone: 'America/Santiago',
+          totalWorkouts: 3,
+          totalDuration: 9000,
+          totalCalories: 1100.46,
+          totalVolume: 12500,
+          topExercises: aggregated.topExercises,
+        })
+      );
+      expect(data).not.toHaveProperty('days');
+      expect(data.byType.strength).toEqual({ workouts: 2, duration: 7200, calories: 750.46, volume: 12500 });
+      expect(data.byType.flexibility).toEqual({ workouts: 0, duration: 0, calories: 0, volume: 0 });
+      expect(mockCacheService.set).toHaveBeenCalledWith(
+        'stats:user-123:daily:workouts:2025-11-05:America/Santiago',
+        data,
+        300
+      );
+    });
+
+    it('should return daily stats from cache if available', async () => {
+      // Arrange
+      mockReq.query = { date: '2025-11-05' };
+      mockCacheService.get.mockResolvedValue({ date: '2025-11-05', totalWorkouts: 1 });
+
+      // Act
+      await workoutController.getDailyStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockWorkoutRepository.aggregateStats).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: { date: '2025-11-05', totalWorkouts: 1 },
+        cached: true,
+      });
+    });
+
+    it('should compute the Monday to Sunday week containing the date', async () => {
+      // Arrange: 2025-11-05 es miércoles
+      mockReq.query = { date: '2025-11-05' };
+
+      // Act
+      await workoutController.getWeeklyStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockCacheService.get).toHaveBeenCalledWith(
+        'stats:user-123:weekly:workouts:2025-11-03:2025-11-09:UTC'
+      );
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data).toEqual(
+        expect.objectContaining({
+          startDate: '2025-11-03',
+          endDate: '2025-11-09',
+          daysInPeriod: 7,
+          daysTrained: 2,
+        })
+      );
+      expect(data.days[1]).toEqual({
+        date: '2025-11-05',
+        workouts: 1,
+        duration: 3600,
+        calories: 400.46,
+        volume: 4500,
+      });
+      expect(mockCacheService.set).toHaveBeenCalledWith(expect.any(String), data, 3600);
+    });
+
+    it('should use the monthly cache key for periods longer than a week', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01', endDate: '2025-11-30' };
+
+      // Act
+      await workoutController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockCacheService.set).toHaveBeenCalledWith(
+        'stats:user-123:monthly:workouts:2025-11-01:2025-11-30:UTC',
+        expect.objectContaining({ daysInPeriod: 30, totalWorkouts: 3 }),
+        7200
+      );
+    });
+
+    it('should return 400 when period exceeds the maximum', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2023-01-01', endDate: '2025-01-01' };
+
+      // Act
+      await workoutController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockWorkoutRepository.aggregateStats).not.toHaveBeenCalled();
+    });
+
+    it('should return zeros when there are no workouts', async () => {
+      // Arrange
+      mockReq.query = { startDate: '2025-11-01', endDate: '2025-11-07' };
+      mockWorkoutRepository.aggregateStats.mockResolvedValue({
+        totals: null,
+        byType: [],
+        byDay: [],
+        topExercises: [],
+      });
+
+      // Act
+      await workoutController.getPeriodStats(mockReq, mockRes);
+
+      // Assert
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data).toEqual(
+        expect.objectContaining({ totalWorkouts: 0, totalVolume: 0, daysTrained: 0, days: [] })
+      );
+    });
+
+    it('should return 500 when aggregation fails', async () => {
+      // Arrange
+      mockReq.query = { date: '2025-11-05' };
+      mockWorkoutRepository.aggregateStats.mockRejectedValue(new Error('Aggregation error'));
+
+      // Act
+      await workoutController.getDailyStats(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('personal records', () => {
+    let mockPersonalRecordRepository;
+
+    beforeEach(() => {
+      mockPersonalRecordRepository = {
+        findByUser: jest.fn().mockResolvedValue([]),
+        findByKeys: jest.fn().mockResolvedValue([]),
+        saveMany: jest.fn().mockResolvedValue(undefined),
+        replaceAll: jest.fn().mockResolvedValue(undefined),
+      };
+      mockWorkoutRepository.findByType = jest.fn().mockResolvedValue([]);
+      workoutController = new WorkoutController(mockWorkoutRepository, mockCacheService, {
+        personalRecordRepository: mockPersonalRecordRepository,
+      });
+    });
+
+    it('should flag new personal records in the create response', async () => {
+      // Arrange
+      const exercises = [{ name: 'Sentadilla', sets: 3, reps: 5, weight: 110 }];
+      mockReq.body = { date: '2025-11-05', type: 'strength', duration: 3600, exercises };
+      mockWorkoutRepository.create.mockResolvedValue({
+        id: 'workout-123',
+        userId: 'user-123',
+        type: 'strength',
+        date: new Date('2025-11-05'),
+        exercises,
+        toJSON: () => ({ id: 'workout-123' }),
+      });
+      mockPersonalRecordRepository.findByKeys.mockResolvedValue([
+        {
+          key: 'name:sentadilla',
+          exerciseId: null,
+          name: 'Sentadilla',
+          maxWeight: { weight: 100, reps: 5 },
+          repsByWeight: [{ weight: 100, reps: 5 }],
+          estimatedOneRepMax: { epley: null, brzycki: null },
+          bestVolume: null,
+        },
+      ]);
+
+      // Act
+      await workoutController.createWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockPersonalRecordRepository.findByKeys).toHaveBeenCalledWith('user-123', ['name:sentadilla']);
+      expect(mockPersonalRecordRepository.saveMany).toHaveBeenCalledWith('user-123', [
+        expect.objectContaining({ maxWeight: expect.objectContaining({ weight: 110 }) }),
+      ]);
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.id).toBe('workout-123');
+      expect(data.newPersonalRecords).toContainEqual(
+        expect.objectContaining({ name: 'Sentadilla', record: 'maxWeight', value: 110, previous: 100 })
+      );
+    });
+
+    it('should still create the workout when records cannot be updated', async () => {
+      // Arrange
+      mockReq.body = {
+        date: '2025-11-05',
+        type: 'strength',
+        duration: 3600,
+        exercises: [{ name: 'Sentadilla', sets: 3, reps: 5, weight: 110 }],
+      };
+      mockWorkoutRepository.create.mockResolvedValue({
+        id: 'workout-123',
+        userId: 'user-123',
+        ...mockReq.body,
+        toJSON: () => ({ id: 'workout-123' }),
+      });
+      mockPersonalRecordRepository.findByKeys.mockRejectedValue(new Error('Database down'));
+
+      // Act
+      await workoutController.createWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(201);
+      expect(mockRes.json.mock.calls[0][0].data.newPersonalRecords).toEqual([]);
+    });
+
+    it('should recalculate records after an update', async () => {
+      // Arrange
+      mockReq.params = { id: 'workout-123' };
+      mockReq.body = { exercises: [{ name: 'Sentadilla', sets: 3, reps: 5, weight: 90 }] };
+      mockWorkoutRepository.update.mockResolvedValue({ id: 'workout-123', toJSON: () => ({}) });
+      mockWorkoutRepository.findByType.mockResolvedValue([
+        {
+          id: 'workout-123',
+          type: 'strength',
+          date: new Date('2025-11-05'),
+          exercises: mockReq.body.exercises,
+        },
+      ]);
+
+      // Act
+      await workoutController.updateWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockWorkoutRepository.findByType).toHaveBeenCalledWith('user-123', 'strength');
+      expect(mockPersonalRecordRepository.replaceAll).toHaveBeenCalledWith('user-123', [
+        expect.objectContaining({ key: 'name:sentadilla', maxWeight: expect.objectContaining({ weight: 90 }) }),
+      ]);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it('should recalculate records only when a strength workout is deleted', async () => {
+      // Arrange
+      mockReq.params = { id: 'workout-123' };
+      mockWorkoutRepository.delete.mockResolvedValue({
+        id: 'workout-123',
+        type: 'cardio',
+        toJSON: () => ({}),
+      });
+
+      // Act
+      await workoutController.deleteWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockPersonalRecordRepository.replaceAll).not.toHaveBeenCalled();
+
+      // Arrange
+      mockWorkoutRepository.delete.mockResolvedValue({
+        id: 'workout-123',
+        type: 'strength',
+        toJSON: () => ({}),
+      });
+
+      // Act
+      await workoutController.deleteWorkout(mockReq, mockRes);
+
+      // Assert
+      expect(mockPersonalRecordRepository.replaceAll).toHaveBeenCalledWith('user-123', []);
+    });
+
+    it('should list the user records', async () => {
+      // Arrange
+      mockPersonalRecordRepository.findByUser.mockResolvedValue([
+        { toJSON: () => ({ name: 'Sentadilla' }) },
+      ]);
+
+      // Act
+      await workoutController.getPersonalRecords(mockReq, mockRes);
+
+      // Assert
+      expect(mockPersonalRecordRepository.findByUser).toHaveBeenCalledWith('user-123');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        data: [{ name: 'Sentadilla' }],
+      });
+    });
+  });
+
   describe('getWorkoutsByDate', () => {
     it('should get workouts by date successfully', async () => {
       // Arrange
@@ -202,7 +602,8 @@ describe('WorkoutController', () => {
       // Assert
       expect(mockWorkoutRepository.findByDate).toHaveBeenCalledWith(
         'user-123',
-        new Date('2025-11-05')
+        new Date('2025-11-05'),
+        'UTC'
       );
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
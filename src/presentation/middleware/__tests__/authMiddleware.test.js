@@ -28,7 +28,9 @@ jest.unstable_mockModule('../../../config.js', () => ({
 }));
 
 // Now import the module under test
-const { authMiddleware } = await import('../authMiddleware.js');
+const { authMiddleware, configureAuthMiddleware, mfaEnrollmentMiddleware } = await import(
+  '../authMiddleware.js'
+);
 
 describe('authMiddleware', () => {
   let mockReq;
@@ -232,4 +234,201 @@ describe('authMiddleware', () => {
       expect(mockNext).toHaveBeenCalled();
     });
   });
+
+  describe('Session validation', () => {
+    let mockSessionRepository;
+
+    beforeEach(() => {
+      mockSessionRepository = {
+        findActiveById: jest.fn().mockResolvedValue({ id: 'session-1', lastUsedAt: new Date() }),
+        touch: jest.fn().mockResolvedValue(undefined),
+      };
+      configureAuthMiddleware({ sessionRepository: mockSessionRepository });
+
+      mockReq.headers.authorization = 'Bearer valid-token';
+      mockJwtVerify.mockReturnValue({ id: 'user-123', role: 'usuario', sid: 'session-1' });
+    });
+
+    afterEach(() => {
+      configureAuthMiddleware();
+    });
+
+    it('should accept tokens of active sessions', async () => {
+      // Act
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockSessionRepository.findActiveById).toHaveBeenCalledWith('session-1');
+      expect(mockReq.user.sessionId).toBe('session-1');
+      expect(mockSessionRepository.touch).not.toHaveBeenCalled();
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should reject tokens of revoked sessions', async () => {
+      // Arrange
+      mockSessionRepository.findActiveById.mockResolvedValue(null);
+
+      // Act
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Session has been revoked' },
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should record the use of sessions idle for a while', async () => {
+      // Arrange
+      mockSessionRepository.findActiveById.mockResolvedValue({
+        id: 'session-1',
+        lastUsedAt: new Date(Date.now() - 10 * 60 * 1000),
+      });
+
+      // Act
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockSessionRepository.touch).toHaveBeenCalledWith('session-1');
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
+
+  describe('Token revocation', () => {
+    let mockTokenRevocationRepository;
+
+    beforeEach(() => {
+      mockTokenRevocationRepository = {
+        isRevoked: jest.fn().mockResolvedValue(false),
+      };
+      configureAuthMiddleware({ tokenRevocationRepository: mockTokenRevocationRepository });
+
+      mockReq.headers.authorization = 'Bearer valid-token';
+      mockJwtVerify.mockReturnValue({
+        id: 'user-123',
+        role: 'usuario',
+        jti: 'token-1',
+        iat: 1700000000,
+        iatMs: 1700000000123,
+      });
+    });
+
+    afterEach(() => {
+      configureAuthMiddleware();
+    });
+
+    it('should check the token against the revocation list', async () => {
+      // Act
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockTokenRevocationRepository.isRevoked).toHaveBeenCalledWith({
+        jti: 'token-1',
+        userId: 'user-123',
+        issuedAt: 1700000000123,
+      });
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should reject revoked tokens', async () => {
+      // Arrange
+      mockTokenRevocationRepository.isRevoked.mockResolvedValue(true);
+
+      // Act
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Token has been revoked' },
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('MFA tokens', () => {
+    it('should not accept mfa pending tokens as access tokens', async () => {
+      // Arrange
+      mockReq.headers.authorization = 'Bearer mfa-token';
+      mockJwtVerify.mockReturnValue({ id: 'user-123', purpose: 'mfa' });
+
+      // Act
+      await authMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should accept the mfa token for a mandatory enrollment', async () => {
+      // Arrange
+      const claims = { id: 'user-123', purpose: 'mfa', jti: 'mfa-1' };
+      mockReq.body = { mfaToken: 'mfa-token' };
+      mockJwtVerify.mockReturnValue(claims);
+
+      // Act
+      await mfaEnrollmentMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockJwtVerify).toHaveBeenCalledWith('mfa-token', 'test-secret-key-for-unit-tests');
+      expect(mockReq.user).toEqual({ id: 'user-123', mfaPending: true, mfaClaims: claims });
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should reject mfa tokens that were already used', async () => {
+      // Arrange
+      const mockTokenRevocationRepository = { isRevoked: jest.fn().mockResolvedValue(true) };
+      configureAuthMiddleware({ tokenRevocationRepository: mockTokenRevocationRepository });
+      mockReq.body = { mfaToken: 'mfa-token' };
+      mockJwtVerify.mockReturnValue({ id: 'user-123', purpose: 'mfa', jti: 'mfa-1', iat: 1700000000 });
+
+      // Act
+      await mfaEnrollmentMiddleware(mockReq, mockRes, mockNext);
+      configureAuthMiddleware();
+
+      // Assert
+      expect(mockTokenRevocationRepository.isRevoked).toHaveBeenCalledWith({
+        jti: 'mfa-1',
+        userId: 'user-123',
+        issuedAt: 1700000000000,
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should reject other tokens sent as mfa token', async () => {
+      // Arrange
+      mockReq.body = { mfaToken: 'access-token' };
+      mockJwtVerify.mockReturnValue({ id: 'user-123', sid: 'session-1' });
+
+      // Act
+      await mfaEnrollmentMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: false,
+        error: { message: 'Invalid or expired MFA token' },
+      });
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the access token without an mfa token', async () => {
+      // Arrange
+      mockReq.body = {};
+      mockReq.headers.authorization = 'Bearer valid-token';
+      mockJwtVerify.mockReturnValue({ id: 'user-123', role: 'usuario' });
+
+      // Act
+      await mfaEnrollmentMiddleware(mockReq, mockRes, mockNext);
+
+      // Assert
+      expect(mockReq.user.id).toBe('user-123');
+      expect(mockReq.user.mfaPending).toBeUndefined();
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,90 @@
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../../shared/logger/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const { resolveTimezone } = await import('../timezoneMiddleware.js');
+
+describe('resolveTimezone', () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+  let mockUserRepository;
+  let mockCacheService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = { id: 'req-123', query: {}, user: { id: 'user-123' } };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    mockNext = jest.fn();
+    mockUserRepository = {
+      findById: jest.fn().mockResolvedValue({ id: 'user-123', timezone: 'America/Santiago' }),
+    };
+    mockCacheService = { get: jest.fn().mockResolvedValue(null) };
+  });
+
+  it('should prefer the tz query parameter', async () => {
+    mockReq.query.tz = 'Europe/Madrid';
+
+    await resolveTimezone(mockUserRepository, mockCacheService)(mockReq, mockRes, mockNext);
+
+    expect(mockReq.timezone).toBe('Europe/Madrid');
+    expect(mockUserRepository.findById).not.toHaveBeenCalled();
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it('should use the canonical name of the timezone', async () => {
+    mockReq.query.tz = 'america/santiago';
+
+    await resolveTimezone(mockUserRepository, mockCacheService)(mockReq, mockRes, mockNext);
+
+    expect(mockReq.timezone).toBe('America/Santiago');
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it('should return 400 for an invalid tz query parameter', async () => {
+    mockReq.query.tz = 'Mars/Olympus';
+
+    await resolveTimezone(mockUserRepository)(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(400);
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+
+  it('should use the cached user profile when available', async () => {
+    mockCacheService.get.mockResolvedValue({ id: 'user-123', timezone: 'Asia/Tokyo' });
+
+    await resolveTimezone(mockUserRepository, mockCacheService)(mockReq, mockRes, mockNext);
+
+    expect(mockCacheService.get).toHaveBeenCalledWith('user:user-123');
+    expect(mockReq.timezone).toBe('Asia/Tokyo');
+    expect(mockUserRepository.findById).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the stored user timezone', async () => {
+    await resolveTimezone(mockUserRepository, mockCacheService)(mockReq, mockRes, mockNext);
+
+    expect(mockUserRepository.findById).toHaveBeenCalledWith('user-123');
+    expect(mockReq.timezone).toBe('America/Santiago');
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it('should default to UTC when the user cannot be loaded', async () => {
+    mockUserRepository.findById.mockRejectedValue(new Error('Database error'));
+
+    await resolveTimezone(mockUserRepository)(mockReq, mockRes, mockNext);
+
+    expect(mockReq.timezone).toBe('UTC');
+    expect(mockNext).toHaveBeenCalled();
+  });
+});
@@ -1,8 +1,29 @@
 import jwt from 'jsonwebtoken';
 import logger from '../../shared/logger/logger.js';
 import config from '../../config.js';
+import { TokenRevocationService } from '../../application/services/TokenRevocationService.js';
+import { MFA_TOKEN_PURPOSE } from '../../application/services/TwoFactorService.js';
 
-export const authMiddleware = (req, res, next) => {
+// Cada cuánto se actualiza lastUsedAt de la sesión (no en cada request)
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+let sessionRepository = null;
+let tokenRevocationService = null;
+
+/**
+ * Configurar las dependencias del middleware al iniciar la aplicación.
+ * Con sessionRepository se rechazan los access tokens cuya sesión fue revocada;
+ * con tokenRevocationRepository, los que están en la lista de revocación.
+ * @param {Object} dependencies - { sessionRepository, tokenRevocationRepository }
+ */
+export const configureAuthMiddleware = (dependencies = {}) => {
+  sessionRepository = dependencies.sessionRepository || null;
+  tokenRevocationService = dependencies.tokenRevocationRepository
+    ? new TokenRevocationService(dependencies.tokenRevocationRepository)
+    : null;
+};
+
+export const authMiddleware = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
 
@@ -26,10 +47,39 @@ export const authMiddleware = (req, res, next) => {
     const token = authHeader.substring(7);
     const decoded = jwt.verify(token, jwtSecret);
 
+    // El token "mfa pending" del login no sirve como access token
+    if (decoded.purpose) {
+      throw new Error(`Token with purpose ${decoded.purpose} used as access token`);
+    }
+
+    if (tokenRevocationService && (await tokenRevocationService.isRevoked(decoded))) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Token has been revoked' }
+      });
+    }
+
+    // La sesión del token (claim sid) tiene que seguir activa
+    if (decoded.sid && sessionRepository) {
+      const session = await sessionRepository.findActiveById(decoded.sid);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Session has been revoked' }
+        });
+      }
+
+      if (Date.now() - new Date(session.lastUsedAt).getTime() >= SESSION_TOUCH_INTERVAL_MS) {
+        await sessionRepository.touch(decoded.sid);
+      }
+    }
+
     req.user = {
       id: decoded.id,
       email: decoded.email,
-      role: decoded.role || 'usuario'
+      role: decoded.role || 'usuario',
+      sessionId: decoded.sid
     };
 
     next();
@@ -40,4 +90,44 @@ export const authMiddleware = (req, res, next) => {
       error: { message: 'Invalid or expired token' }
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Alta de 2FA obligatoria (admins con TWO_FACTOR_REQUIRE_ADMINS): quien todavía no tiene
+ * 2FA recibe en el login un mfaToken en lugar de los tokens, y con él (en el body) puede
+ * activarlo. Sin mfaToken se comporta como authMiddleware.
+ * El mfaToken es de un solo uso: se rechaza si ya está revocado y el controller lo revoca
+ * al completar el login (por eso sus claims quedan en req.user.mfaClaims).
+ */
+export const mfaEnrollmentMiddleware = async (req, res, next) => {
+  const mfaToken = req.body?.mfaToken;
+  if (!mfaToken) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(mfaToken, config.jwt.secret || process.env.JWT_SECRET);
+
+    if (decoded.purpose !== MFA_TOKEN_PURPOSE) {
+      throw new Error('Token is not an MFA token');
+    }
+
+    if (tokenRevocationService && (await tokenRevocationService.isRevoked(decoded))) {
+      throw new Error('MFA token has already been used');
+    }
+
+    req.user = {
+      id: decoded.id,
+      mfaPending: true,
+      mfaClaims: decoded
+    };
+  } catch (error) {
+    logger.error('MFA enrollment middleware error', { error: error.message });
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Invalid or expired MFA token' }
+    });
+  }
+
+  next();
+};
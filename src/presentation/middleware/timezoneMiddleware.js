@@ -0,0 +1,61 @@
+import logger from '../../shared/logger/logger.js';
+import { DEFAULT_TIMEZONE, normalizeTimezone } from '../../domain/services/DayBoundaries.js';
+
+/**
+ * Resolve the timezone used for day-based queries and attach it as req.timezone
+ * Must be used AFTER authMiddleware to ensure req.user is populated
+ *
+ * Order of precedence:
+ * 1. `?tz=` query parameter (e.g. a traveling user looking at "today" where they are)
+ * 2. Timezone stored on the user profile (read from the `user:<id>` cache when available)
+ * 3. DEFAULT_TIMEZONE (UTC)
+ *
+ * The name is canonicalized ("america/santiago" → "America/Santiago") so every spelling
+ * shares the same `stats:…:<tz>` cache keys.
+ *
+ * @param {Object} userRepository - Repository with findById
+ * @param {Object} cacheService - Optional cache (same `user:<id>` key that getMe populates)
+ * @returns {Function} Express middleware function
+ *
+ * @example
+ * router.get('/stats/daily', validate(schema, 'query'), resolveTimezone(userRepository), controller.getDailyStats);
+ */
+export const resolveTimezone = (userRepository, cacheService = null) => async (req, res, next) => {
+  const override = req.query?.tz;
+
+  if (override) {
+    const timezone = normalizeTimezone(override);
+    if (!timezone) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Timezone must be a valid IANA timezone (e.g. America/Santiago)' }
+      });
+    }
+
+    req.timezone = timezone;
+    return next();
+  }
+
+  const userId = req.user?.id;
+
+  try {
+    const cachedUser = cacheService && userId ? await cacheService.get(`user:${userId}`) : null;
+
+    if (cachedUser?.timezone) {
+      req.timezone = normalizeTimezone(cachedUser.timezone) || DEFAULT_TIMEZONE;
+    } else {
+      const user = userRepository && userId ? await userRepository.findById(userId) : null;
+      req.timezone = normalizeTimezone(user?.timezone) || DEFAULT_TIMEZONE;
+    }
+  } catch (error) {
+    // Un fallo al leer el perfil no debe impedir la consulta: se usa UTC
+    logger.warn('Could not resolve user timezone, using default', {
+      userId,
+      error: error.message,
+      requestId: req.id
+    });
+    req.timezone = DEFAULT_TIMEZONE;
+  }
+
+  next();
+};
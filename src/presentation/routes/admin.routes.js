@@ -2,6 +2,8 @@ import { Router } from 'express';
 import { AdminController } from '../controllers/AdminController.js';
 import { authMiddleware } from '../middleware/authMiddleware.js';
 import { requireAdmin } from '../middleware/roleMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import { updateUserRoleSchema } from '../validators/adminValidators.js';
 
 /**
  * @swagger
@@ -94,7 +96,9 @@ import { requireAdmin } from '../middleware/roleMiddleware.js';
  *         description: Usuario no encontrado
  *   delete:
  *     summary: Eliminar usuario (solo admin)
- *     description: Elimina un usuario del sistema permanentemente
+ *     description: |
+ *       Elimina un usuario del sistema permanentemente.
+ *       Sus access tokens vigentes quedan revocados de inmediato.
  *     tags: [Admin]
  *     security:
  *       - BearerAuth: []
@@ -134,6 +138,153 @@ import { requireAdmin } from '../middleware/roleMiddleware.js';
  *         description: Usuario no encontrado
  */
 
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/lockout:
+ *   get:
+ *     summary: Ver el bloqueo de login de un usuario (solo admin)
+ *     description: |
+ *       Intentos fallidos de login seguidos y bloqueo temporal de la cuenta.
+ *       Después de cada fallo hay que esperar antes de reintentar (la espera se duplica con cada fallo);
+ *       al llegar a LOGIN_MAX_FAILED_ATTEMPTS la cuenta queda bloqueada LOGIN_LOCKOUT_MINUTES.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Estado de los intentos de login
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     userId:
+ *                       type: string
+ *                     failedAttempts:
+ *                       type: integer
+ *                       example: 5
+ *                     lastFailedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     locked:
+ *                       type: boolean
+ *                       example: true
+ *                     lockedUntil:
+ *                       type: string
+ *                       format: date-time
+ *                       nullable: true
+ *                     retryAfterSeconds:
+ *                       type: integer
+ *                       description: Segundos hasta que se permite otro intento (0 = permitido)
+ *                       example: 840
+ *                     twoFactor:
+ *                       type: object
+ *                       description: Mismo estado para los códigos 2FA (contador propio)
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Requiere rol de administrador
+ *       404:
+ *         description: Usuario no encontrado
+ *       503:
+ *         description: El bloqueo de login no está configurado
+ *   delete:
+ *     summary: Desbloquear la cuenta de un usuario (solo admin)
+ *     description: Borra los intentos fallidos de login del usuario (contraseña y códigos 2FA) y levanta el bloqueo
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Cuenta desbloqueada
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Requiere rol de administrador
+ *       404:
+ *         description: Usuario no encontrado
+ *       503:
+ *         description: El bloqueo de login no está configurado
+ */
+
+/**
+ * @swagger
+ * /api/v1/admin/users/{id}/role:
+ *   patch:
+ *     summary: Cambiar el rol de un usuario (solo admin)
+ *     description: |
+ *       Cambia el rol del usuario y revoca sus access tokens vigentes, que llevan el rol anterior.
+ *       El usuario obtiene un token con el rol nuevo al hacer refresh o iniciar sesión.
+ *     tags: [Admin]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [usuario, admin]
+ *                 example: admin
+ *     responses:
+ *       200:
+ *         description: Rol actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: User role updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Rol inválido o intento de cambiar el rol propio
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Requiere rol de administrador
+ *       404:
+ *         description: Usuario no encontrado
+ */
+
 /**
  * @swagger
  * /api/v1/admin/stats:
@@ -179,9 +330,16 @@ import { requireAdmin } from '../middleware/roleMiddleware.js';
  * Create admin routes
  * All routes require authentication AND admin role
  */
-export function createAdminRoutes(userRepository, cacheService) {
+export function createAdminRoutes(
+  userRepository,
+  cacheService,
+  { tokenRevocationRepository, loginAttemptRepository } = {}
+) {
   const router = Router();
-  const adminController = new AdminController(userRepository, cacheService);
+  const adminController = new AdminController(userRepository, cacheService, {
+    tokenRevocationRepository,
+    loginAttemptRepository
+  });
 
   // Todas las rutas admin requieren autenticación Y rol de admin
   router.use(authMiddleware);
@@ -196,6 +354,15 @@ export function createAdminRoutes(userRepository, cacheService) {
   // DELETE /api/v1/admin/users/:id - Eliminar usuario
   router.delete('/users/:id', adminController.deleteUser);
 
+  // PATCH /api/v1/admin/users/:id/role - Cambiar el rol de un usuario
+  router.patch('/users/:id/role', validate(updateUserRoleSchema), adminController.updateUserRole);
+
+  // GET /api/v1/admin/users/:id/lockout - Intentos fallidos y bloqueo de login
+  router.get('/users/:id/lockout', adminController.getUserLockout);
+
+  // DELETE /api/v1/admin/users/:id/lockout - Desbloquear la cuenta
+  router.delete('/users/:id/lockout', adminController.unlockUser);
+
   // GET /api/v1/admin/stats - Estadísticas del sistema
   router.get('/stats', adminController.getSystemStats);
 
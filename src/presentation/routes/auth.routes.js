@@ -1,8 +1,31 @@
 import { Router } from 'express';
 import { AuthController } from '../controllers/AuthController.js';
-import { authMiddleware } from '../middleware/authMiddleware.js';
+import { NutritionGoalController } from '../controllers/NutritionGoalController.js';
+import { WeightGoalController } from '../controllers/WeightGoalController.js';
+import { SessionController } from '../controllers/SessionController.js';
+import { authMiddleware, mfaEnrollmentMiddleware } from '../middleware/authMiddleware.js';
 import { validate } from '../middleware/validationMiddleware.js';
-import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/authValidators.js';
+import { resolveTimezone } from '../middleware/timezoneMiddleware.js';
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  requestPasswordResetSchema,
+  confirmPasswordResetSchema,
+  sessionIdSchema,
+  setupTwoFactorSchema,
+  confirmTwoFactorSchema,
+  verifyTwoFactorSchema,
+  disableTwoFactorSchema
+} from '../validators/authValidators.js';
+import {
+  setNutritionGoalSchema,
+  goalIdSchema,
+  setWeightGoalSchema,
+  weightGoalProjectionSchema
+} from '../validators/goalValidators.js';
 
 /**
  * @swagger
@@ -60,6 +83,20 @@ import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/a
  *                 maximum: 120
  *                 example: 25
  *                 description: Edad del usuario (mínimo 13 años)
+ *               sex:
+ *                 type: string
+ *                 enum: [male, female]
+ *                 description: Sexo biológico (opcional, necesario para calcular BMR/TDEE)
+ *               activityLevel:
+ *                 type: string
+ *                 enum: [sedentary, light, moderate, active, very_active]
+ *                 default: sedentary
+ *                 description: Nivel de actividad física (para TDEE)
+ *               timezone:
+ *                 type: string
+ *                 default: UTC
+ *                 example: America/Santiago
+ *                 description: Zona horaria IANA (define en qué día cae cada comida o entrenamiento)
  *     responses:
  *       201:
  *         description: Usuario registrado exitosamente. El refreshToken se envía en una httpOnly cookie.
@@ -104,7 +141,16 @@ import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/a
  * /api/v1/auth/login:
  *   post:
  *     summary: Iniciar sesión
- *     description: Autentica un usuario y devuelve tokens de acceso
+ *     description: |
+ *       Autentica un usuario y devuelve tokens de acceso.
+ *       Si la cuenta tiene 2FA activo (o es admin y TWO_FACTOR_REQUIRE_ADMINS obliga a usarlo),
+ *       en lugar de los tokens devuelve `mfaRequired: true` y un `mfaToken` válido por 5 minutos
+ *       para completar el login con POST /api/v1/auth/2fa/verify (o activar 2FA si `enrollmentRequired`).
+ *
+ *       Cada contraseña incorrecta obliga a esperar antes del siguiente intento en esa cuenta
+ *       (la espera se duplica con cada fallo) y tras LOGIN_MAX_FAILED_ATTEMPTS fallos la cuenta
+ *       queda bloqueada LOGIN_LOCKOUT_MINUTES minutos. Mientras tanto se responde 401 igual que
+ *       con un email desconocido, aunque la contraseña sea correcta.
  *     tags: [Auth]
  *     requestBody:
  *       required: true
@@ -167,7 +213,10 @@ import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/a
  * /api/v1/auth/refresh:
  *   post:
  *     summary: Refrescar token de acceso
- *     description: Genera un nuevo token de acceso usando el refresh token almacenado en cookie httpOnly. No requiere body.
+ *     description: |
+ *       Genera un nuevo token de acceso usando el refresh token almacenado en cookie httpOnly. No requiere body.
+ *       El refresh token se rota: el recibido deja de servir y la cookie trae uno nuevo. Si se presenta
+ *       un refresh token ya rotado (reuso) se revoca toda la sesión y hay que iniciar sesión de nuevo.
  *     tags: [Auth]
  *     parameters:
  *       - in: cookie
@@ -202,7 +251,7 @@ import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/a
  *                       type: string
  *                       description: Nuevo token de acceso
  *       401:
- *         description: Refresh token inválido, expirado o no encontrado
+ *         description: Refresh token inválido, expirado, revocado, reusado o no encontrado
  *         content:
  *           application/json:
  *             schema:
@@ -211,7 +260,9 @@ import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/a
  * /api/v1/auth/logout:
  *   post:
  *     summary: Cerrar sesión
- *     description: Elimina la cookie del refresh token
+ *     description: |
+ *       Cierra en el servidor la sesión del refresh token y elimina la cookie.
+ *       Si se envía el access token en el header Authorization, queda revocado hasta que venza.
  *     tags: [Auth]
  *     responses:
  *       200:
@@ -231,7 +282,9 @@ import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/a
  * /api/v1/auth/me:
  *   get:
  *     summary: Obtener perfil del usuario autenticado
- *     description: Devuelve la información del usuario actual basado en el token JWT
+ *     description: |
+ *       Devuelve la información del usuario actual basado en el token JWT,
+ *       incluyendo BMI, BMR (Mifflin-St Jeor y Harris-Benedict) y TDEE
  *     tags: [Auth]
  *     security:
  *       - BearerAuth: []
@@ -254,11 +307,758 @@ import { registerSchema, loginSchema, refreshTokenSchema } from '../validators/a
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Actualizar perfil del usuario autenticado
+ *     description: |
+ *       Actualiza solo los campos enviados, con los mismos rangos que el registro.
+ *       Para cambiar el email hay que confirmar la contraseña actual con `currentPassword`.
+ *       La contraseña no se cambia desde aquí.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             minProperties: 1
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               currentPassword:
+ *                 type: string
+ *                 description: Requerido al cambiar el email
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 50
+ *               weight:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 500
+ *               height:
+ *                 type: number
+ *                 minimum: 50
+ *                 maximum: 300
+ *               age:
+ *                 type: integer
+ *                 minimum: 13
+ *                 maximum: 120
+ *               sex:
+ *                 type: string
+ *                 enum: [male, female]
+ *               activityLevel:
+ *                 type: string
+ *                 enum: [sedentary, light, moderate, active, very_active]
+ *               timezone:
+ *                 type: string
+ *                 example: America/Santiago
+ *           examples:
+ *             medidas:
+ *               summary: Peso y nivel de actividad
+ *               value:
+ *                 weight: 72.5
+ *                 activityLevel: active
+ *             email:
+ *               summary: Cambio de email
+ *               value:
+ *                 email: nuevo@example.com
+ *                 currentPassword: SecurePass123
+ *     responses:
+ *       200:
+ *         description: Perfil actualizado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Profile updated successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Datos inválidos, sin campos, o email sin currentPassword
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado o contraseña actual incorrecta
+ *       409:
+ *         description: El email ya está en uso
  */
 
-export function createAuthRoutes(userRepository, cacheService) {
+/**
+ * @swagger
+ * /api/v1/auth/me/goals:
+ *   get:
+ *     summary: Obtener objetivos nutricionales
+ *     description: |
+ *       Devuelve el objetivo vigente hoy, el historial de versiones (más reciente primero)
+ *       y una sugerencia de calorías basada en el TDEE del usuario
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Objetivos obtenidos exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     current:
+ *                       nullable: true
+ *                       allOf:
+ *                         - $ref: '#/components/schemas/NutritionGoal'
+ *                     suggested:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         calories:
+ *                           type: number
+ *                           example: 2595
+ *                         source:
+ *                           type: string
+ *                           example: tdee
+ *                     history:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/NutritionGoal'
+ *       401:
+ *         description: No autenticado
+ *   put:
+ *     summary: Definir objetivo nutricional diario
+ *     description: |
+ *       Crea una nueva versión del objetivo vigente desde `effectiveFrom` (por defecto hoy).
+ *       Si se omite `calories` se usa el TDEE del usuario.
+ *       Los días anteriores se siguen evaluando con el objetivo que estaba activo entonces.
+ *       Si ya existe un objetivo con la misma fecha, se reemplaza.
+ *
+ *       Los macros pueden indicarse en gramos (`macroMode: grams`) o como porcentaje
+ *       de las calorías (`macroMode: percentage`, deben sumar 100).
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NutritionGoalInput'
+ *           examples:
+ *             gramos:
+ *               summary: Macros en gramos
+ *               value:
+ *                 calories: 2200
+ *                 protein: 150
+ *                 carbs: 250
+ *                 fat: 70
+ *             porcentaje:
+ *               summary: Reparto porcentual desde una fecha
+ *               value:
+ *                 calories: 2000
+ *                 macroMode: percentage
+ *                 protein: 30
+ *                 carbs: 40
+ *                 fat: 30
+ *                 effectiveFrom: "2025-12-01"
+ *     responses:
+ *       200:
+ *         description: Objetivo guardado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Nutrition goal saved successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/NutritionGoal'
+ *       400:
+ *         description: Datos inválidos (por ejemplo, porcentajes que no suman 100)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *
+ * /api/v1/auth/me/goals/{id}:
+ *   delete:
+ *     summary: Eliminar una versión del objetivo nutricional
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Objetivo eliminado
+ *       404:
+ *         description: Objetivo no encontrado
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/me/weight-goal:
+ *   get:
+ *     summary: Obtener peso objetivo y proyección
+ *     description: |
+ *       Proyecta cuándo se llega al peso objetivo con los datos de los últimos `days` días:
+ *
+ *       - `projections.trend`: ritmo medido con los pesajes de `/body-metrics` (recta de mínimos cuadrados)
+ *       - `projections.energyBalance`: ritmo esperado según el balance energético promedio
+ *         (`averageNet` kcal/día ÷ 7700 kcal por kg)
+ *
+ *       `expectedDate` usa la tendencia y, si no hay pesajes suficientes, el balance.
+ *       Es `null` cuando el ritmo no acerca al objetivo.
+ *
+ *       Con fecha objetivo, `required` indica el ritmo semanal y el déficit calórico diario
+ *       necesarios (`dailyDeficit` negativo = superávit). Si el ritmo supera el 1% del peso
+ *       corporal por semana se agrega la advertencia `UNSAFE_RATE`.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 7
+ *           maximum: 90
+ *           default: 28
+ *         description: Días hacia atrás para la tendencia y el balance promedio
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Objetivo obtenido exitosamente (todo null si no hay objetivo)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WeightGoal'
+ *       401:
+ *         description: No autenticado
+ *   put:
+ *     summary: Definir peso objetivo
+ *     description: Guarda el peso objetivo (y opcionalmente la fecha) en el perfil y devuelve la proyección.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - goalWeight
+ *             properties:
+ *               goalWeight:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 500
+ *                 example: 72
+ *               goalDate:
+ *                 type: string
+ *                 format: date
+ *                 nullable: true
+ *                 example: "2026-03-01"
+ *                 description: Debe ser futura
+ *     responses:
+ *       200:
+ *         description: Objetivo guardado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Weight goal set successfully
+ *                 data:
+ *                   $ref: '#/components/schemas/WeightGoal'
+ *       400:
+ *         description: Datos inválidos (peso fuera de rango o fecha pasada)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *   delete:
+ *     summary: Quitar el peso objetivo
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Objetivo eliminado
+ *       401:
+ *         description: No autenticado
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/password:
+ *   post:
+ *     summary: Cambiar la contraseña
+ *     description: |
+ *       Cambia la contraseña del usuario autenticado confirmando la actual.
+ *       Se cierran todas las demás sesiones del usuario; la sesión actual sigue activa.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: Password123
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 pattern: ^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)
+ *                 example: NewPassword456
+ *                 description: Mismas reglas que en el registro y distinta de la actual
+ *     responses:
+ *       200:
+ *         description: Contraseña cambiada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Password changed successfully
+ *       400:
+ *         description: Datos inválidos (contraseña débil o igual a la actual)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado o contraseña actual incorrecta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/auth/password/reset:
+ *   post:
+ *     summary: Pedir recuperación de contraseña
+ *     description: |
+ *       Envía por correo un enlace con un token de un solo uso (vence en 30 minutos por defecto).
+ *       La respuesta es la misma exista o no la cuenta.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: usuario@example.com
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: If the email is registered, a password reset link has been sent
+ *       400:
+ *         description: Email inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/auth/password/reset/confirm:
+ *   post:
+ *     summary: Confirmar recuperación de contraseña
+ *     description: |
+ *       Guarda la nueva contraseña usando el token recibido por correo. El token queda usado
+ *       y se cierran todas las sesiones del usuario (sus access tokens vigentes quedan revocados):
+ *       hay que iniciar sesión de nuevo.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 minLength: 64
+ *                 maxLength: 64
+ *                 description: Token del enlace (64 caracteres hexadecimales)
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 pattern: ^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)
+ *                 example: NewPassword456
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Password reset successfully. Please login with your new password.
+ *       400:
+ *         description: Token inválido, vencido o ya usado, o contraseña débil
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/auth/sessions:
+ *   get:
+ *     summary: Listar sesiones activas
+ *     description: |
+ *       Dispositivos donde el usuario tiene una sesión abierta (login o registro), la usada más
+ *       recientemente primero. La sesión del token usado en la petición viene con current = true.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones activas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: No autenticado
+ *   delete:
+ *     summary: Cerrar todas las demás sesiones
+ *     description: Cierra todas las sesiones del usuario excepto la del token usado en la petición
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Other sessions revoked successfully
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *                       example: 2
+ *       401:
+ *         description: No autenticado
+ *
+ * /api/v1/auth/sessions/{id}:
+ *   delete:
+ *     summary: Cerrar una sesión
+ *     description: |
+ *       Revoca la sesión: sus refresh tokens dejan de servir y sus access tokens se rechazan
+ *       de inmediato, sin esperar a que venzan.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID de la sesión
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: La sesión no existe, no es del usuario o ya estaba cerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Empezar el alta de 2FA (TOTP)
+ *     description: |
+ *       Genera un secreto y la URI otpauth para registrar la cuenta en una app de autenticación
+ *       (Google Authenticator, Authy...). 2FA queda activo recién al confirmar con un código.
+ *       Con el alta obligatoria se envía el mfaToken del login en el body en lugar del access token.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secreto generado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: otpauth://totp/Gordont%3Ausuario%40example.com?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Gordont&algorithm=SHA1&digits=6&period=30
+ *       401:
+ *         description: No autenticado
+ *       409:
+ *         description: 2FA ya está activo
+ *
+ * /api/v1/auth/2fa/confirm:
+ *   post:
+ *     summary: Activar 2FA
+ *     description: |
+ *       Activa 2FA con un código de la app y devuelve 10 códigos de recuperación de un solo uso
+ *       (se muestran solo esta vez). Con el alta obligatoria (mfaToken en el body) además completa
+ *       el login: devuelve el access token y el refresh token en la cookie.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               mfaToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA activado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: Two-factor authentication enabled
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                         example: 3f9a1-c07be
+ *       400:
+ *         description: Código inválido o alta no iniciada
+ *       401:
+ *         description: No autenticado, o mfaToken inválido, vencido o ya usado
+ *       409:
+ *         description: 2FA ya está activo
+ *       429:
+ *         description: Alta obligatoria con demasiados códigos incorrectos; hay que esperar (header Retry-After)
+ *
+ * /api/v1/auth/2fa/verify:
+ *   post:
+ *     summary: Completar el login con 2FA
+ *     description: |
+ *       Segundo paso del login: recibe el mfaToken y un código de la app (o un código de
+ *       recuperación). Cada código y cada mfaToken sirven una sola vez. Los códigos incorrectos
+ *       cuentan como intentos fallidos (misma espera y bloqueo que la contraseña, con otro contador).
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaToken
+ *             properties:
+ *               mfaToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1-c07be
+ *     responses:
+ *       200:
+ *         description: Login exitoso (misma respuesta que POST /api/v1/auth/login sin 2FA)
+ *       400:
+ *         description: Error de validación
+ *       401:
+ *         description: mfaToken inválido, vencido o ya usado, o código inválido
+ *       429:
+ *         description: Demasiados códigos incorrectos; hay que esperar (header Retry-After)
+ *
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Desactivar 2FA
+ *     description: Requiere un código de la app o de recuperación. Los admins no pueden desactivarlo si es obligatorio.
+ *     tags: [Auth]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA desactivado
+ *       401:
+ *         description: No autenticado o código inválido
+ *       403:
+ *         description: 2FA es obligatorio para la cuenta
+ */
+
+export function createAuthRoutes(
+  userRepository,
+  cacheService,
+  {
+    nutritionGoalRepository,
+    bodyMetricRepository,
+    entryRepository,
+    workoutRepository,
+    sessionRepository,
+    refreshTokenRepository,
+    passwordResetTokenRepository,
+    tokenRevocationRepository,
+    loginAttemptRepository,
+    mailService,
+  } = {}
+) {
   const router = Router();
-  const authController = new AuthController(userRepository, cacheService);
+  const authController = new AuthController(userRepository, cacheService, {
+    sessionRepository,
+    refreshTokenRepository,
+    passwordResetTokenRepository,
+    tokenRevocationRepository,
+    loginAttemptRepository,
+    mailService,
+  });
+  const sessionController = new SessionController(sessionRepository, cacheService, {
+    refreshTokenRepository,
+  });
+  const goalController = new NutritionGoalController(
+    nutritionGoalRepository,
+    cacheService,
+    userRepository
+  );
+  const weightGoalController = new WeightGoalController(userRepository, cacheService, {
+    bodyMetricRepository,
+    entryRepository,
+    workoutRepository,
+  });
 
   // POST /api/v1/auth/register
   router.post('/register', validate(registerSchema), authController.register);
@@ -275,5 +1075,95 @@ export function createAuthRoutes(userRepository, cacheService) {
   // GET /api/v1/auth/me (protected route)
   router.get('/me', authMiddleware, authController.getMe);
 
+  // PATCH /api/v1/auth/me - Update the authenticated user's profile
+  router.patch('/me', authMiddleware, validate(updateProfileSchema), authController.updateMe);
+
+  // Cambio y recuperación de contraseña
+  router.post(
+    '/password',
+    authMiddleware,
+    validate(changePasswordSchema),
+    authController.changePassword
+  );
+  router.post(
+    '/password/reset',
+    validate(requestPasswordResetSchema),
+    authController.requestPasswordReset
+  );
+  router.post(
+    '/password/reset/confirm',
+    validate(confirmPasswordResetSchema),
+    authController.confirmPasswordReset
+  );
+
+  // Sesiones activas y cierre de sesión a distancia
+  router.get('/sessions', authMiddleware, sessionController.getSessions);
+  router.delete('/sessions', authMiddleware, sessionController.revokeOtherSessions);
+  router.delete(
+    '/sessions/:id',
+    authMiddleware,
+    validate(sessionIdSchema, 'params'),
+    sessionController.revokeSession
+  );
+
+  // Autenticación en dos pasos (TOTP)
+  router.post(
+    '/2fa/setup',
+    mfaEnrollmentMiddleware,
+    validate(setupTwoFactorSchema),
+    authController.setupTwoFactor
+  );
+  router.post(
+    '/2fa/confirm',
+    mfaEnrollmentMiddleware,
+    validate(confirmTwoFactorSchema),
+    authController.confirmTwoFactor
+  );
+  router.post('/2fa/verify', validate(verifyTwoFactorSchema), authController.verifyTwoFactor);
+  router.post(
+    '/2fa/disable',
+    authMiddleware,
+    validate(disableTwoFactorSchema),
+    authController.disableTwoFactor
+  );
+
+  // Objetivos nutricionales del usuario autenticado
+  router.get(
+    '/me/goals',
+    authMiddleware,
+    resolveTimezone(userRepository, cacheService),
+    goalController.getGoals
+  );
+  router.put(
+    '/me/goals',
+    authMiddleware,
+    validate(setNutritionGoalSchema),
+    resolveTimezone(userRepository, cacheService),
+    goalController.setGoal
+  );
+  router.delete(
+    '/me/goals/:id',
+    authMiddleware,
+    validate(goalIdSchema, 'params'),
+    goalController.deleteGoal
+  );
+
+  // Peso objetivo y proyección
+  router.get(
+    '/me/weight-goal',
+    authMiddleware,
+    validate(weightGoalProjectionSchema, 'query'),
+    resolveTimezone(userRepository, cacheService),
+    weightGoalController.getWeightGoal
+  );
+  router.put(
+    '/me/weight-goal',
+    authMiddleware,
+    validate(setWeightGoalSchema),
+    resolveTimezone(userRepository, cacheService),
+    weightGoalController.setWeightGoal
+  );
+  router.delete('/me/weight-goal', authMiddleware, weightGoalController.deleteWeightGoal);
+
   return router;
 }
@@ -0,0 +1,338 @@
+import { Router } from 'express';
+import { BodyMetricController } from '../controllers/BodyMetricController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import { checkResourceOwnership } from '../middleware/authorizationMiddleware.js';
+import { resolveTimezone } from '../middleware/timezoneMiddleware.js';
+import {
+  createBodyMetricSchema,
+  updateBodyMetricSchema,
+  listBodyMetricsSchema,
+  bodyMetricTrendSchema,
+  getBodyMetricByIdSchema
+} from '../validators/bodyMetricValidators.js';
+
+/**
+ * @swagger
+ * /api/v1/body-metrics:
+ *   post:
+ *     summary: Registrar peso y medidas corporales
+ *     description: |
+ *       Guarda una medición con peso, % de grasa corporal y/o perímetros (cm). Todas las medidas
+ *       son opcionales, pero se requiere al menos una.
+ *
+ *       Si la medición trae peso y es la más reciente, ese peso pasa a ser el peso del perfil
+ *       (`User.weight`), con el que se calculan BMI, BMR y TDEE. Un peso cargado con una fecha
+ *       anterior al último no cambia el perfil.
+ *     tags: [BodyMetrics]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BodyMetricInput'
+ *           examples:
+ *             pesaje:
+ *               summary: Pesaje de la mañana
+ *               value:
+ *                 date: "2025-11-05T07:30:00Z"
+ *                 weight: 78.4
+ *             medidas:
+ *               summary: Medidas completas
+ *               value:
+ *                 date: "2025-11-05T07:30:00Z"
+ *                 weight: 78.4
+ *                 bodyFat: 18.5
+ *                 waist: 84
+ *                 hips: 98
+ *                 chest: 102
+ *                 arms: 35
+ *                 thighs: 58
+ *     responses:
+ *       201:
+ *         description: Medición registrada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/BodyMetric'
+ *       400:
+ *         description: Error de validación (sin medidas, fecha futura, valores fuera de rango)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: Historial de peso y medidas
+ *     description: |
+ *       Mediciones del usuario de la más antigua a la más reciente. Sin `startDate` y
+ *       `endDate` devuelve todo el historial; los días se interpretan en la zona horaria del usuario.
+ *     tags: [BodyMetrics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-10-01"
+ *         description: Primer día (inclusive, junto con endDate)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-10-31"
+ *         description: Último día (inclusive, junto con startDate)
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Lista de mediciones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BodyMetric'
+ *       400:
+ *         description: Error de validación
+ *       401:
+ *         description: No autenticado
+ *
+ * /api/v1/body-metrics/trend:
+ *   get:
+ *     summary: Tendencia de una medida
+ *     description: |
+ *       Por cada día medido del período: el valor (promedio si hubo varias mediciones ese día)
+ *       y la media móvil de los últimos `window` días. La media móvil de los primeros días
+ *       también usa las mediciones anteriores al período.
+ *
+ *       `weeklyRate` es la pendiente de la recta de mínimos cuadrados en unidades por semana
+ *       (kg/semana para el peso, negativo = bajando) y `change` la diferencia entre la primera
+ *       y la última media móvil. Ambos son `null` con menos de dos días medidos. Máximo 366 días.
+ *     tags: [BodyMetrics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-10-01"
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-30"
+ *       - in: query
+ *         name: metric
+ *         schema:
+ *           type: string
+ *           enum: [weight, bodyFat, waist, hips, chest, arms, thighs]
+ *           default: weight
+ *       - in: query
+ *         name: window
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 90
+ *           default: 7
+ *         description: Días de la media móvil
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Tendencia calculada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/BodyMetricTrend'
+ *       400:
+ *         description: Error de validación o rango inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *
+ * /api/v1/body-metrics/{id}:
+ *   get:
+ *     summary: Obtener medición por ID
+ *     tags: [BodyMetrics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la medición
+ *     responses:
+ *       200:
+ *         description: Medición encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/BodyMetric'
+ *       403:
+ *         description: No eres el dueño de esta medición
+ *       404:
+ *         description: Medición no encontrada
+ *
+ *   put:
+ *     summary: Actualizar medición
+ *     description: |
+ *       Actualiza solo los campos enviados; `null` borra una medida. Si cambia el peso o la
+ *       fecha se vuelve a tomar el peso más reciente para el perfil.
+ *     tags: [BodyMetrics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la medición
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BodyMetricInput'
+ *     responses:
+ *       200:
+ *         description: Medición actualizada exitosamente
+ *       400:
+ *         description: Error de validación o ID inválido
+ *       403:
+ *         description: No eres el dueño de esta medición
+ *       404:
+ *         description: Medición no encontrada
+ *
+ *   delete:
+ *     summary: Eliminar medición
+ *     description: Si era el último peso, el perfil vuelve al peso de la medición anterior.
+ *     tags: [BodyMetrics]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la medición
+ *     responses:
+ *       200:
+ *         description: Medición eliminada exitosamente
+ *       403:
+ *         description: No eres el dueño de esta medición
+ *       404:
+ *         description: Medición no encontrada
+ */
+
+export function createBodyMetricRoutes(bodyMetricRepository, cacheService, dependencies = {}) {
+  const router = Router();
+  const bodyMetricController = new BodyMetricController(
+    bodyMetricRepository,
+    cacheService,
+    dependencies
+  );
+  const { userRepository } = dependencies;
+
+  // All routes require authentication
+  router.use(authMiddleware);
+
+  // POST /api/v1/body-metrics - Log weight and/or measurements
+  router.post(
+    '/',
+    validate(createBodyMetricSchema),
+    bodyMetricController.createMetric
+  );
+
+  // GET /api/v1/body-metrics - Measurement history (optionally a date range)
+  router.get(
+    '/',
+    validate(listBodyMetricsSchema, 'query'),
+    resolveTimezone(userRepository, cacheService),
+    bodyMetricController.getMetrics
+  );
+
+  // GET /api/v1/body-metrics/trend - Moving average and weekly rate of one measurement
+  // Must be registered before /:id
+  router.get(
+    '/trend',
+    validate(bodyMetricTrendSchema, 'query'),
+    resolveTimezone(userRepository, cacheService),
+    bodyMetricController.getTrend
+  );
+
+  // GET /api/v1/body-metrics/:id - Get measurement by ID (requires ownership)
+  router.get(
+    '/:id',
+    validate(getBodyMetricByIdSchema, 'params'),
+    checkResourceOwnership(bodyMetricRepository, 'BodyMetric'),
+    bodyMetricController.getMetricById
+  );
+
+  // PUT /api/v1/body-metrics/:id - Update measurement (requires ownership)
+  router.put(
+    '/:id',
+    validate(getBodyMetricByIdSchema, 'params'),
+    validate(updateBodyMetricSchema),
+    checkResourceOwnership(bodyMetricRepository, 'BodyMetric'),
+    bodyMetricController.updateMetric
+  );
+
+  // DELETE /api/v1/body-metrics/:id - Delete measurement (requires ownership)
+  router.delete(
+    '/:id',
+    validate(getBodyMetricByIdSchema, 'params'),
+    checkResourceOwnership(bodyMetricRepository, 'BodyMetric'),
+    bodyMetricController.deleteMetric
+  );
+
+  return router;
+}
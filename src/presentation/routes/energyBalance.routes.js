@@ -0,0 +1,93 @@
+import { Router } from 'express';
+import { EnergyBalanceController } from '../controllers/EnergyBalanceController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import { resolveTimezone } from '../middleware/timezoneMiddleware.js';
+import { dateRangeSchema } from '../validators/commonValidators.js';
+
+/**
+ * @swagger
+ * /api/v1/energy-balance:
+ *   get:
+ *     summary: Obtener el balance energético de un período
+ *     description: |
+ *       Por cada día del período: calorías consumidas (comidas), calorías gastadas
+ *       (entrenamientos + metabolismo basal) y balance neto (`consumido - gastado`,
+ *       negativo = déficit), con acumulados desde el primer día.
+ *
+ *       El BMR se calcula con Mifflin-St Jeor a partir del perfil; si falta sexo, peso,
+ *       altura o edad es `null` y solo se cuentan los entrenamientos.
+ *       Los días sin comidas registradas tienen `logged: false` y `net: null`, y no
+ *       suman a los acumulados. Máximo 366 días.
+ *     tags: [Stats]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-01"
+ *         description: Primer día del período (inclusive)
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-07"
+ *         description: Último día del período (inclusive)
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Balance calculado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/EnergyBalance'
+ *                 cached:
+ *                   type: boolean
+ *       400:
+ *         description: Error de validación o rango inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+
+export function createEnergyBalanceRoutes(entryRepository, workoutRepository, userRepository, cacheService) {
+  const router = Router();
+  const energyBalanceController = new EnergyBalanceController(
+    entryRepository,
+    workoutRepository,
+    userRepository,
+    cacheService
+  );
+
+  // All routes require authentication
+  router.use(authMiddleware);
+
+  // GET /api/v1/energy-balance - Daily energy balance of a date range
+  router.get(
+    '/',
+    validate(dateRangeSchema, 'query'),
+    resolveTimezone(userRepository, cacheService),
+    energyBalanceController.getEnergyBalance
+  );
+
+  return router;
+}
@@ -3,13 +3,20 @@ import { EntryController } from '../controllers/EntryController.js';
 import { authMiddleware } from '../middleware/authMiddleware.js';
 import { validate } from '../middleware/validationMiddleware.js';
 import { checkResourceOwnership } from '../middleware/authorizationMiddleware.js';
+import { resolveTimezone } from '../middleware/timezoneMiddleware.js';
 import {
   createEntrySchema,
   updateEntrySchema,
   getEntryByIdSchema,
-  getEntriesByDateSchema
+  getEntriesByDateSchema,
+  copyEntrySchema,
+  copyEntriesSchema
 } from '../validators/entryValidators.js';
-import { cursorPaginationSchema, paginationSchema } from '../validators/commonValidators.js';
+import {
+  cursorPaginationSchema,
+  paginationSchema,
+  dateRangeSchema
+} from '../validators/commonValidators.js';
 
 /**
  * @swagger
@@ -72,6 +79,20 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *                     fat: 0.3
  *                     quantity: 100
  *                 notes: "Desayuno pre-entrenamiento"
+ *             desdeCatalogo:
+ *               summary: Alimentos del catálogo (/api/v1/foods)
+ *               value:
+ *                 date: "2025-11-13"
+ *                 mealType: "lunch"
+ *                 foods:
+ *                   - foodId: "507f1f77bcf86cd799439011"
+ *                     quantity: 150
+ *                   - name: "Ensalada"
+ *                     calories: 20
+ *                     protein: 1
+ *                     carbs: 4
+ *                     fat: 0.2
+ *                     quantity: 200
  *     responses:
  *       201:
  *         description: Entry creado exitosamente
@@ -113,6 +134,7 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *           format: date
  *         example: "2024-01-15"
  *         description: Fecha para filtrar las entradas
+ *       - $ref: '#/components/parameters/Timezone'
  *       - in: query
  *         name: page
  *         schema:
@@ -168,7 +190,10 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  * /api/v1/entries/stats/daily:
  *   get:
  *     summary: Obtener estadísticas diarias
- *     description: Calcula y devuelve estadísticas nutricionales del día
+ *     description: |
+ *       Calcula y devuelve estadísticas nutricionales del día.
+ *       Si el usuario tiene objetivos nutricionales (/auth/me/goals), incluye el objetivo
+ *       vigente ese día y el progreso de cada macro (restante, porcentaje y si se superó).
  *     tags: [Entries, Stats]
  *     security:
  *       - BearerAuth: []
@@ -181,6 +206,7 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *           format: date
  *         example: "2024-01-15"
  *         description: Fecha para calcular estadísticas
+ *       - $ref: '#/components/parameters/Timezone'
  *     responses:
  *       200:
  *         description: Estadísticas calculadas exitosamente
@@ -207,6 +233,62 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *
+ * /api/v1/entries/stats/period:
+ *   get:
+ *     summary: Obtener estadísticas de un período
+ *     description: |
+ *       Calcula totales de macros por día, promedios del período (sobre los días con registros),
+ *       días con mínimo y máximo de calorías y desglose por tipo de comida.
+ *       Rangos de hasta 7 días se cachean 1 hora y los mayores 2 horas. Máximo 366 días.
+ *     tags: [Entries, Stats]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-01"
+ *         description: Primer día del período (inclusive)
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-07"
+ *         description: Último día del período (inclusive)
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Estadísticas calculadas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/PeriodStats'
+ *                 cached:
+ *                   type: boolean
+ *       400:
+ *         description: Error de validación o rango inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
  * /api/v1/entries/list/paginated:
  *   get:
  *     summary: Listar entradas con paginación por cursor
@@ -314,6 +396,111 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *
+ * /api/v1/entries/copy:
+ *   post:
+ *     summary: Copiar comidas de un día a otro
+ *     description: |
+ *       Copia todas las comidas de `sourceDate` (o solo las de `mealType`) a `targetDate`.
+ *       Cada copia conserva alimentos, notas y hora del día de la original.
+ *       Las comidas se crean en bloque y la caché se invalida una sola vez.
+ *     tags: [Entries]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/Timezone'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sourceDate, targetDate]
+ *             properties:
+ *               sourceDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-04"
+ *               targetDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-05"
+ *                 description: No puede ser futura
+ *               mealType:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *                 description: Copiar solo este tipo de comida (por defecto el día completo)
+ *     responses:
+ *       201:
+ *         description: Comidas copiadas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: 3 entries copied successfully
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Entry'
+ *       400:
+ *         description: Error de validación
+ *       404:
+ *         description: No hay comidas para copiar en la fecha de origen
+ *
+ * /api/v1/entries/{id}/copy:
+ *   post:
+ *     summary: Copiar una comida a otra fecha
+ *     tags: [Entries]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/Timezone'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [targetDate]
+ *             properties:
+ *               targetDate:
+ *                 type: string
+ *                 format: date
+ *                 example: "2025-11-05"
+ *               mealType:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *                 description: Tipo de comida de la copia (por defecto el de la original)
+ *     responses:
+ *       201:
+ *         description: Comida copiada (lista con la comida creada)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Entry'
+ *       403:
+ *         description: La comida pertenece a otro usuario
+ *       404:
+ *         description: Comida no encontrada
+ *
  * /api/v1/entries/{id}:
  *   get:
  *     summary: Obtener entrada por ID
@@ -505,9 +692,10 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *               $ref: '#/components/schemas/Error'
  */
 
-export function createEntryRoutes(entryRepository, cacheService) {
+export function createEntryRoutes(entryRepository, cacheService, dependencies = {}) {
   const router = Router();
-  const entryController = new EntryController(entryRepository, cacheService);
+  const entryController = new EntryController(entryRepository, cacheService, dependencies);
+  const timezone = resolveTimezone(dependencies.userRepository, cacheService);
 
   // All routes require authentication
   router.use(authMiddleware);
@@ -523,6 +711,7 @@ export function createEntryRoutes(entryRepository, cacheService) {
   router.get(
     '/',
     validate(getEntriesByDateSchema, 'query'),
+    timezone,
     entryController.getEntriesByDate
   );
 
@@ -530,9 +719,18 @@ export function createEntryRoutes(entryRepository, cacheService) {
   router.get(
     '/stats/daily',
     validate(getEntriesByDateSchema, 'query'),
+    timezone,
     entryController.getDailyStats
   );
 
+  // GET /api/v1/entries/stats/period - Period stats (must be before /:id)
+  router.get(
+    '/stats/period',
+    validate(dateRangeSchema, 'query'),
+    timezone,
+    entryController.getPeriodStats
+  );
+
   // GET /api/v1/entries/list/paginated - Cursor-based pagination (must be before /:id)
   router.get(
     '/list/paginated',
@@ -547,6 +745,24 @@ export function createEntryRoutes(entryRepository, cacheService) {
     entryController.getEntriesByPage
   );
 
+  // POST /api/v1/entries/copy - Copy a whole day or one meal type to another date
+  router.post(
+    '/copy',
+    validate(copyEntriesSchema),
+    timezone,
+    entryController.copyEntries
+  );
+
+  // POST /api/v1/entries/:id/copy - Copy one entry to another date (requires ownership)
+  router.post(
+    '/:id/copy',
+    validate(getEntryByIdSchema, 'params'),
+    validate(copyEntrySchema),
+    checkResourceOwnership(entryRepository, 'Entry'),
+    timezone,
+    entryController.copyEntry
+  );
+
   // GET /api/v1/entries/:id - Get entry by ID (requires ownership)
   router.get(
     '/:id',
@@ -0,0 +1,253 @@
+import { Router } from 'express';
+import { ExerciseController } from '../controllers/ExerciseController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { requireAdmin } from '../middleware/roleMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import {
+  createExerciseSchema,
+  updateExerciseSchema,
+  getExerciseByIdSchema,
+  searchExercisesSchema
+} from '../validators/exerciseValidators.js';
+
+/**
+ * @swagger
+ * /api/v1/exercises:
+ *   get:
+ *     summary: Buscar ejercicios en la biblioteca
+ *     description: |
+ *       Busca por nombre o alias (sin distinguir mayúsculas ni tildes, coincidencia parcial)
+ *       y filtra por grupo muscular (principal o secundario), equipamiento y categoría.
+ *       El `id` de un ejercicio puede usarse como `exerciseId` al registrar un entrenamiento.
+ *     tags: [Exercises]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         example: "press banca"
+ *         description: Texto a buscar (vacío lista toda la biblioteca)
+ *       - in: query
+ *         name: muscle
+ *         schema:
+ *           type: string
+ *         example: "chest"
+ *         description: Grupo muscular (chest, lats, quadriceps, ...)
+ *       - in: query
+ *         name: equipment
+ *         schema:
+ *           type: string
+ *         example: "dumbbell"
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [strength, cardio, flexibility, sports, other]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Resultados de la búsqueda
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LibraryExercise'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: Filtro inválido
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   post:
+ *     summary: Agregar ejercicio a la biblioteca (solo admin)
+ *     tags: [Exercises]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LibraryExerciseInput'
+ *     responses:
+ *       201:
+ *         description: Ejercicio creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/LibraryExercise'
+ *       400:
+ *         description: Error de validación
+ *       403:
+ *         description: Requiere rol admin
+ *       409:
+ *         description: Ya existe un ejercicio con ese nombre
+ *
+ * /api/v1/exercises/{id}:
+ *   get:
+ *     summary: Obtener ejercicio por ID
+ *     tags: [Exercises]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID del ejercicio
+ *     responses:
+ *       200:
+ *         description: Ejercicio encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/LibraryExercise'
+ *       404:
+ *         description: Ejercicio no encontrado
+ *
+ *   put:
+ *     summary: Actualizar ejercicio (solo admin)
+ *     tags: [Exercises]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID del ejercicio
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LibraryExerciseInput'
+ *     responses:
+ *       200:
+ *         description: Ejercicio actualizado exitosamente
+ *       400:
+ *         description: Error de validación o ID inválido
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Ejercicio no encontrado
+ *       409:
+ *         description: Ya existe un ejercicio con ese nombre
+ *
+ *   delete:
+ *     summary: Eliminar ejercicio (solo admin)
+ *     description: Los entrenamientos ya registrados conservan el nombre y el exerciseId.
+ *     tags: [Exercises]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID del ejercicio
+ *     responses:
+ *       200:
+ *         description: Ejercicio eliminado exitosamente
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Ejercicio no encontrado
+ */
+
+export function createExerciseRoutes(exerciseRepository) {
+  const router = Router();
+  const exerciseController = new ExerciseController(exerciseRepository);
+
+  // All routes require authentication
+  router.use(authMiddleware);
+
+  // GET /api/v1/exercises - Search the library
+  router.get(
+    '/',
+    validate(searchExercisesSchema, 'query'),
+    exerciseController.searchExercises
+  );
+
+  // POST /api/v1/exercises - Add exercise to the library (admin only)
+  router.post(
+    '/',
+    requireAdmin,
+    validate(createExerciseSchema),
+    exerciseController.createExercise
+  );
+
+  // GET /api/v1/exercises/:id - Get exercise by ID (any authenticated user)
+  router.get(
+    '/:id',
+    validate(getExerciseByIdSchema, 'params'),
+    exerciseController.getExerciseById
+  );
+
+  // PUT /api/v1/exercises/:id - Update exercise (admin only)
+  router.put(
+    '/:id',
+    requireAdmin,
+    validate(getExerciseByIdSchema, 'params'),
+    validate(updateExerciseSchema),
+    exerciseController.updateExercise
+  );
+
+  // DELETE /api/v1/exercises/:id - Delete exercise (admin only)
+  router.delete(
+    '/:id',
+    requireAdmin,
+    validate(getExerciseByIdSchema, 'params'),
+    exerciseController.deleteExercise
+  );
+
+  return router;
+}
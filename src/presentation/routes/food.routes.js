@@ -0,0 +1,255 @@
+import { Router } from 'express';
+import { FoodController } from '../controllers/FoodController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import { checkResourceOwnership } from '../middleware/authorizationMiddleware.js';
+import {
+  createFoodSchema,
+  updateFoodSchema,
+  getFoodByIdSchema,
+  searchFoodsSchema
+} from '../validators/foodValidators.js';
+
+/**
+ * @swagger
+ * /api/v1/foods:
+ *   post:
+ *     summary: Agregar alimento al catálogo
+ *     description: |
+ *       Crea un alimento en el catálogo compartido. Los valores nutricionales son por 100g.
+ *       Luego puede usarse en una comida con `{ "foodId": "...", "quantity": 150 }`.
+ *     tags: [Foods]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FoodInput'
+ *           examples:
+ *             pechuga:
+ *               summary: Pechuga de pollo
+ *               value:
+ *                 name: "Pechuga de pollo"
+ *                 calories: 165
+ *                 protein: 31
+ *                 carbs: 0
+ *                 fat: 3.6
+ *                 servingSize: 150
+ *     responses:
+ *       201:
+ *         description: Alimento creado exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Food'
+ *       400:
+ *         description: Error de validación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: Buscar alimentos en el catálogo
+ *     description: Busca por nombre o marca (sin distinguir mayúsculas, coincidencia parcial)
+ *     tags: [Foods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *           maxLength: 100
+ *         example: "pollo"
+ *         description: Texto a buscar (vacío lista todo el catálogo)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Número de página
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Cantidad de resultados por página
+ *     responses:
+ *       200:
+ *         description: Resultados de la búsqueda
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     items:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Food'
+ *                     pagination:
+ *                       type: object
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/foods/{id}:
+ *   get:
+ *     summary: Obtener alimento por ID
+ *     tags: [Foods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID del alimento
+ *     responses:
+ *       200:
+ *         description: Alimento encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Food'
+ *       404:
+ *         description: Alimento no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   put:
+ *     summary: Actualizar alimento
+ *     description: Solo quien creó el alimento puede modificarlo. Las comidas ya registradas no cambian.
+ *     tags: [Foods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID del alimento
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FoodInput'
+ *     responses:
+ *       200:
+ *         description: Alimento actualizado exitosamente
+ *       400:
+ *         description: Error de validación o ID inválido
+ *       403:
+ *         description: No eres el creador de este alimento
+ *       404:
+ *         description: Alimento no encontrado
+ *
+ *   delete:
+ *     summary: Eliminar alimento
+ *     description: Solo quien creó el alimento puede eliminarlo. Las comidas ya registradas no cambian.
+ *     tags: [Foods]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID del alimento
+ *     responses:
+ *       200:
+ *         description: Alimento eliminado exitosamente
+ *       403:
+ *         description: No eres el creador de este alimento
+ *       404:
+ *         description: Alimento no encontrado
+ */
+
+export function createFoodRoutes(foodRepository) {
+  const router = Router();
+  const foodController = new FoodController(foodRepository);
+
+  // All routes require authentication
+  router.use(authMiddleware);
+
+  // POST /api/v1/foods - Add food to the shared catalog
+  router.post(
+    '/',
+    validate(createFoodSchema),
+    foodController.createFood
+  );
+
+  // GET /api/v1/foods - Search the catalog
+  router.get(
+    '/',
+    validate(searchFoodsSchema, 'query'),
+    foodController.searchFoods
+  );
+
+  // GET /api/v1/foods/:id - Get food by ID (any authenticated user)
+  router.get(
+    '/:id',
+    validate(getFoodByIdSchema, 'params'),
+    foodController.getFoodById
+  );
+
+  // PUT /api/v1/foods/:id - Update food (only its creator)
+  router.put(
+    '/:id',
+    validate(getFoodByIdSchema, 'params'),
+    validate(updateFoodSchema),
+    checkResourceOwnership(foodRepository, 'Food'),
+    foodController.updateFood
+  );
+
+  // DELETE /api/v1/foods/:id - Delete food (only its creator)
+  router.delete(
+    '/:id',
+    validate(getFoodByIdSchema, 'params'),
+    checkResourceOwnership(foodRepository, 'Food'),
+    foodController.deleteFood
+  );
+
+  return router;
+}
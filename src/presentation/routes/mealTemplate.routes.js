@@ -0,0 +1,320 @@
+import { Router } from 'express';
+import { MealTemplateController } from '../controllers/MealTemplateController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import { checkResourceOwnership } from '../middleware/authorizationMiddleware.js';
+import {
+  createMealTemplateSchema,
+  updateMealTemplateSchema,
+  listMealTemplatesSchema,
+  logMealTemplateSchema,
+  getMealTemplateByIdSchema
+} from '../validators/mealTemplateValidators.js';
+
+/**
+ * @swagger
+ * /api/v1/meal-templates:
+ *   post:
+ *     summary: Guardar una comida como plantilla
+ *     description: |
+ *       Crea una comida guardada (por ejemplo "Batido post-entreno") con sus alimentos y un tipo de comida por defecto.
+ *       Los alimentos aceptan el mismo formato que `POST /api/v1/entries`, incluido `{ "foodId": "...", "quantity": 150 }`.
+ *     tags: [MealTemplates]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MealTemplateInput'
+ *           examples:
+ *             batido:
+ *               summary: Batido post-entreno
+ *               value:
+ *                 name: "Batido post-entreno"
+ *                 defaultMealType: "snack"
+ *                 foods:
+ *                   - name: "Proteína whey"
+ *                     calories: 400
+ *                     protein: 80
+ *                     carbs: 8
+ *                     fat: 6
+ *                     quantity: 30
+ *                   - name: "Plátano"
+ *                     calories: 89
+ *                     protein: 1.1
+ *                     carbs: 23
+ *                     fat: 0.3
+ *                     quantity: 120
+ *     responses:
+ *       201:
+ *         description: Plantilla creada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MealTemplate'
+ *       400:
+ *         description: Error de validación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: Listar comidas guardadas
+ *     description: Devuelve las plantillas del usuario autenticado ordenadas por nombre
+ *     tags: [MealTemplates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: mealType
+ *         schema:
+ *           type: string
+ *           enum: [breakfast, lunch, dinner, snack]
+ *         description: Filtrar por tipo de comida por defecto
+ *     responses:
+ *       200:
+ *         description: Lista de plantillas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MealTemplate'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/meal-templates/{id}:
+ *   get:
+ *     summary: Obtener plantilla por ID
+ *     tags: [MealTemplates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la plantilla
+ *     responses:
+ *       200:
+ *         description: Plantilla encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/MealTemplate'
+ *       403:
+ *         description: No eres el dueño de esta plantilla
+ *       404:
+ *         description: Plantilla no encontrada
+ *
+ *   put:
+ *     summary: Actualizar plantilla
+ *     description: Las comidas ya registradas desde la plantilla no cambian.
+ *     tags: [MealTemplates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la plantilla
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MealTemplateInput'
+ *     responses:
+ *       200:
+ *         description: Plantilla actualizada exitosamente
+ *       400:
+ *         description: Error de validación o ID inválido
+ *       403:
+ *         description: No eres el dueño de esta plantilla
+ *       404:
+ *         description: Plantilla no encontrada
+ *
+ *   delete:
+ *     summary: Eliminar plantilla
+ *     description: Las comidas ya registradas desde la plantilla no se eliminan.
+ *     tags: [MealTemplates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la plantilla
+ *     responses:
+ *       200:
+ *         description: Plantilla eliminada exitosamente
+ *       403:
+ *         description: No eres el dueño de esta plantilla
+ *       404:
+ *         description: Plantilla no encontrada
+ *
+ * /api/v1/meal-templates/{id}/log:
+ *   post:
+ *     summary: Registrar una plantilla como comida
+ *     description: |
+ *       Crea una comida nueva en la fecha indicada con los alimentos de la plantilla.
+ *       `scale` multiplica la cantidad de cada alimento (0.5 = media porción, 2 = doble).
+ *     tags: [MealTemplates]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la plantilla
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-11-05T18:30:00Z"
+ *               mealType:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *                 description: Por defecto el defaultMealType de la plantilla
+ *               scale:
+ *                 type: number
+ *                 minimum: 0.1
+ *                 maximum: 10
+ *                 default: 1
+ *                 example: 0.5
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Por defecto las notas de la plantilla
+ *     responses:
+ *       201:
+ *         description: Comida creada desde la plantilla
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Entry'
+ *       400:
+ *         description: Error de validación (fecha futura, scale fuera de rango)
+ *       403:
+ *         description: No eres el dueño de esta plantilla
+ *       404:
+ *         description: Plantilla no encontrada
+ */
+
+export function createMealTemplateRoutes(mealTemplateRepository, cacheService, dependencies = {}) {
+  const router = Router();
+  const mealTemplateController = new MealTemplateController(
+    mealTemplateRepository,
+    cacheService,
+    dependencies
+  );
+
+  // All routes require authentication
+  router.use(authMiddleware);
+
+  // POST /api/v1/meal-templates - Save a meal template
+  router.post(
+    '/',
+    validate(createMealTemplateSchema),
+    mealTemplateController.createTemplate
+  );
+
+  // GET /api/v1/meal-templates - List the user's templates
+  router.get(
+    '/',
+    validate(listMealTemplatesSchema, 'query'),
+    mealTemplateController.getTemplates
+  );
+
+  // POST /api/v1/meal-templates/:id/log - Turn a template into an entry (requires ownership)
+  router.post(
+    '/:id/log',
+    validate(getMealTemplateByIdSchema, 'params'),
+    validate(logMealTemplateSchema),
+    checkResourceOwnership(mealTemplateRepository, 'MealTemplate'),
+    mealTemplateController.logTemplate
+  );
+
+  // GET /api/v1/meal-templates/:id - Get template by ID (requires ownership)
+  router.get(
+    '/:id',
+    validate(getMealTemplateByIdSchema, 'params'),
+    checkResourceOwnership(mealTemplateRepository, 'MealTemplate'),
+    mealTemplateController.getTemplateById
+  );
+
+  // PUT /api/v1/meal-templates/:id - Update template (requires ownership)
+  router.put(
+    '/:id',
+    validate(getMealTemplateByIdSchema, 'params'),
+    validate(updateMealTemplateSchema),
+    checkResourceOwnership(mealTemplateRepository, 'MealTemplate'),
+    mealTemplateController.updateTemplate
+  );
+
+  // DELETE /api/v1/meal-templates/:id - Delete template (requires ownership)
+  router.delete(
+    '/:id',
+    validate(getMealTemplateByIdSchema, 'params'),
+    checkResourceOwnership(mealTemplateRepository, 'MealTemplate'),
+    mealTemplateController.deleteTemplate
+  );
+
+  return router;
+}
@@ -0,0 +1,309 @@
+import { Router } from 'express';
+import { RecipeController } from '../controllers/RecipeController.js';
+import { authMiddleware } from '../middleware/authMiddleware.js';
+import { validate } from '../middleware/validationMiddleware.js';
+import { checkResourceOwnership } from '../middleware/authorizationMiddleware.js';
+import {
+  createRecipeSchema,
+  updateRecipeSchema,
+  logRecipeSchema,
+  getRecipeByIdSchema
+} from '../validators/recipeValidators.js';
+
+/**
+ * @swagger
+ * /api/v1/recipes:
+ *   post:
+ *     summary: Crear receta
+ *     description: |
+ *       Crea una receta a partir de sus ingredientes (gramos crudos), el peso total cocinado
+ *       y el número de porciones. La respuesta incluye la nutrición total, por porción y por 100g.
+ *       Los ingredientes aceptan el mismo formato que los alimentos de `POST /api/v1/entries`,
+ *       pero `quantity` es obligatorio.
+ *     tags: [Recipes]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecipeInput'
+ *           examples:
+ *             arrozConPollo:
+ *               summary: Arroz con pollo (4 porciones)
+ *               value:
+ *                 name: "Arroz con pollo"
+ *                 ingredients:
+ *                   - name: "Arroz blanco crudo"
+ *                     calories: 360
+ *                     protein: 7
+ *                     carbs: 79
+ *                     fat: 0.6
+ *                     quantity: 300
+ *                   - foodId: "6472c0a1b2c3d4e5f6a7b8c9"
+ *                     quantity: 500
+ *                 cookedWeight: 1600
+ *                 servings: 4
+ *     responses:
+ *       201:
+ *         description: Receta creada exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Recipe'
+ *       400:
+ *         description: Error de validación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ *   get:
+ *     summary: Listar recetas
+ *     description: Devuelve las recetas del usuario autenticado ordenadas por nombre
+ *     tags: [Recipes]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Lista de recetas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Recipe'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/recipes/{id}:
+ *   get:
+ *     summary: Obtener receta por ID
+ *     tags: [Recipes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la receta
+ *     responses:
+ *       200:
+ *         description: Receta encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Recipe'
+ *       403:
+ *         description: No eres el dueño de esta receta
+ *       404:
+ *         description: Receta no encontrada
+ *
+ *   put:
+ *     summary: Actualizar receta
+ *     description: Las comidas ya registradas conservan los valores con los que se registraron.
+ *     tags: [Recipes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la receta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RecipeInput'
+ *     responses:
+ *       200:
+ *         description: Receta actualizada exitosamente
+ *       400:
+ *         description: Error de validación o ID inválido
+ *       403:
+ *         description: No eres el dueño de esta receta
+ *       404:
+ *         description: Receta no encontrada
+ *
+ *   delete:
+ *     summary: Eliminar receta
+ *     description: Las comidas ya registradas con la receta no se modifican.
+ *     tags: [Recipes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la receta
+ *     responses:
+ *       200:
+ *         description: Receta eliminada exitosamente
+ *       403:
+ *         description: No eres el dueño de esta receta
+ *       404:
+ *         description: Receta no encontrada
+ *
+ * /api/v1/recipes/{id}/log:
+ *   post:
+ *     summary: Registrar una receta como comida
+ *     description: |
+ *       Crea una comida con un único alimento sintetizado a partir de la receta
+ *       (valores por 100g del plato cocinado). Indicar `servings` o `grams`, no ambos.
+ *     tags: [Recipes]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[0-9a-fA-F]{24}$'
+ *         description: ID de la receta
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - mealType
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2025-11-05T13:00:00Z"
+ *               mealType:
+ *                 type: string
+ *                 enum: [breakfast, lunch, dinner, snack]
+ *               servings:
+ *                 type: number
+ *                 minimum: 0.1
+ *                 maximum: 100
+ *                 example: 1.5
+ *               grams:
+ *                 type: number
+ *                 minimum: 1
+ *                 maximum: 10000
+ *                 description: Gramos del plato cocinado
+ *               notes:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Comida creada con la receta
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Entry'
+ *       400:
+ *         description: Error de validación (falta servings/grams, fecha futura)
+ *       403:
+ *         description: No eres el dueño de esta receta
+ *       404:
+ *         description: Receta no encontrada
+ */
+
+export function createRecipeRoutes(recipeRepository, cacheService, dependencies = {}) {
+  const router = Router();
+  const recipeController = new RecipeController(recipeRepository, cacheService, dependencies);
+
+  // All routes require authentication
+  router.use(authMiddleware);
+
+  // POST /api/v1/recipes - Create recipe
+  router.post(
+    '/',
+    validate(createRecipeSchema),
+    recipeController.createRecipe
+  );
+
+  // GET /api/v1/recipes - List the user's recipes
+  router.get(
+    '/',
+    recipeController.getRecipes
+  );
+
+  // POST /api/v1/recipes/:id/log - Log servings or grams of a recipe as an entry (requires ownership)
+  router.post(
+    '/:id/log',
+    validate(getRecipeByIdSchema, 'params'),
+    validate(logRecipeSchema),
+    checkResourceOwnership(recipeRepository, 'Recipe'),
+    recipeController.logRecipe
+  );
+
+  // GET /api/v1/recipes/:id - Get recipe by ID (requires ownership)
+  router.get(
+    '/:id',
+    validate(getRecipeByIdSchema, 'params'),
+    checkResourceOwnership(recipeRepository, 'Recipe'),
+    recipeController.getRecipeById
+  );
+
+  // PUT /api/v1/recipes/:id - Update recipe (requires ownership)
+  router.put(
+    '/:id',
+    validate(getRecipeByIdSchema, 'params'),
+    validate(updateRecipeSchema),
+    checkResourceOwnership(recipeRepository, 'Recipe'),
+    recipeController.updateRecipe
+  );
+
+  // DELETE /api/v1/recipes/:id - Delete recipe (requires ownership)
+  router.delete(
+    '/:id',
+    validate(getRecipeByIdSchema, 'params'),
+    checkResourceOwnership(recipeRepository, 'Recipe'),
+    recipeController.deleteRecipe
+  );
+
+  return router;
+}
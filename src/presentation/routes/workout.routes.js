@@ -3,13 +3,18 @@ import { WorkoutController } from '../controllers/WorkoutController.js';
 import { authMiddleware } from '../middleware/authMiddleware.js';
 import { validate } from '../middleware/validationMiddleware.js';
 import { checkResourceOwnership } from '../middleware/authorizationMiddleware.js';
+import { resolveTimezone } from '../middleware/timezoneMiddleware.js';
 import {
   createWorkoutSchema,
   updateWorkoutSchema,
   getWorkoutByIdSchema,
   getWorkoutsByDateSchema
 } from '../validators/workoutValidators.js';
-import { cursorPaginationSchema, paginationSchema } from '../validators/commonValidators.js';
+import {
+  cursorPaginationSchema,
+  paginationSchema,
+  dateRangeSchema
+} from '../validators/commonValidators.js';
 
 /**
  * @swagger
@@ -102,7 +107,9 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *                 caloriesBurned: 300
  *     responses:
  *       201:
- *         description: Workout creado exitosamente
+ *         description: |
+ *           Workout creado exitosamente. En entrenamientos de fuerza, `newPersonalRecords`
+ *           lista los récords personales superados (vacío si no hubo PRs).
  *         content:
  *           application/json:
  *             schema:
@@ -112,7 +119,14 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *                   type: boolean
  *                   example: true
  *                 data:
- *                   $ref: '#/components/schemas/Workout'
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Workout'
+ *                     - type: object
+ *                       properties:
+ *                         newPersonalRecords:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/NewPersonalRecord'
  *       400:
  *         description: Error de validación
  *         content:
@@ -141,6 +155,7 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *           format: date
  *         example: "2024-01-15"
  *         description: Fecha para filtrar los entrenamientos
+ *       - $ref: '#/components/parameters/Timezone'
  *       - in: query
  *         name: page
  *         schema:
@@ -193,6 +208,169 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *
+ * /api/v1/workouts/stats/daily:
+ *   get:
+ *     summary: Obtener estadísticas de entrenamiento del día
+ *     description: |
+ *       Duración y calorías totales, sesiones por tipo, volumen total (series × reps × peso)
+ *       y ejercicios más entrenados del día. Se cachea 5 minutos.
+ *     tags: [Workouts, Stats]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-05"
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Estadísticas calculadas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WorkoutStats'
+ *                 cached:
+ *                   type: boolean
+ *       400:
+ *         description: Error de validación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/workouts/stats/weekly:
+ *   get:
+ *     summary: Obtener estadísticas de entrenamiento de la semana
+ *     description: |
+ *       Igual que /stats/period para la semana de lunes a domingo que contiene `date`.
+ *       Se cachea 1 hora.
+ *     tags: [Workouts, Stats]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-05"
+ *         description: Cualquier día de la semana
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Estadísticas calculadas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WorkoutPeriodStats'
+ *                 cached:
+ *                   type: boolean
+ *       400:
+ *         description: Error de validación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/workouts/stats/period:
+ *   get:
+ *     summary: Obtener estadísticas de entrenamiento de un período
+ *     description: |
+ *       Totales del período, desglose por tipo y por día, y ejercicios más entrenados.
+ *       Rangos de hasta 7 días se cachean 1 hora y los mayores 2 horas. Máximo 366 días.
+ *     tags: [Workouts, Stats]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-01"
+ *         description: Primer día del período (inclusive)
+ *       - in: query
+ *         name: endDate
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         example: "2025-11-30"
+ *         description: Último día del período (inclusive)
+ *       - $ref: '#/components/parameters/Timezone'
+ *     responses:
+ *       200:
+ *         description: Estadísticas calculadas exitosamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/WorkoutPeriodStats'
+ *                 cached:
+ *                   type: boolean
+ *       400:
+ *         description: Error de validación o rango inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
+ * /api/v1/workouts/records:
+ *   get:
+ *     summary: Obtener récords personales
+ *     description: |
+ *       Récords de cada ejercicio de los entrenamientos de fuerza: mayor peso, mejores
+ *       repeticiones con cada peso, mejor 1RM estimado (Epley y Brzycki) y mayor volumen
+ *       de una sesión (series × reps × peso). Se actualizan al crear, editar o eliminar
+ *       entrenamientos.
+ *     tags: [Workouts]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Récords por ejercicio, ordenados por nombre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PersonalRecord'
+ *       401:
+ *         description: No autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *
  * /api/v1/workouts/list/paginated:
  *   get:
  *     summary: Listar entrenamientos con paginación por cursor
@@ -501,9 +679,17 @@ import { cursorPaginationSchema, paginationSchema } from '../validators/commonVa
  *               $ref: '#/components/schemas/Error'
  */
 
-export function createWorkoutRoutes(workoutRepository, cacheService) {
+export function createWorkoutRoutes(
+  workoutRepository,
+  cacheService,
+  { userRepository = null, exerciseRepository = null, personalRecordRepository = null } = {}
+) {
   const router = Router();
-  const workoutController = new WorkoutController(workoutRepository, cacheService);
+  const workoutController = new WorkoutController(workoutRepository, cacheService, {
+    exerciseRepository,
+    personalRecordRepository,
+  });
+  const timezone = resolveTimezone(userRepository, cacheService);
 
   // All routes require authentication
   router.use(authMiddleware);
@@ -519,9 +705,37 @@ export function createWorkoutRoutes(workoutRepository, cacheService) {
   router.get(
     '/',
     validate(getWorkoutsByDateSchema, 'query'),
+    timezone,
     workoutController.getWorkoutsByDate
   );
 
+  // GET /api/v1/workouts/stats/daily - Daily stats (must be before /:id)
+  router.get(
+    '/stats/daily',
+    validate(getWorkoutsByDateSchema, 'query'),
+    timezone,
+    workoutController.getDailyStats
+  );
+
+  // GET /api/v1/workouts/stats/weekly - Stats of the week containing a date (must be before /:id)
+  router.get(
+    '/stats/weekly',
+    validate(getWorkoutsByDateSchema, 'query'),
+    timezone,
+    workoutController.getWeeklyStats
+  );
+
+  // GET /api/v1/workouts/stats/period - Stats of a date range (must be before /:id)
+  router.get(
+    '/stats/period',
+    validate(dateRangeSchema, 'query'),
+    timezone,
+    workoutController.getPeriodStats
+  );
+
+  // GET /api/v1/workouts/records - Personal records (must be before /:id)
+  router.get('/records', workoutController.getPersonalRecords);
+
   // GET /api/v1/workouts/list/paginated - Cursor-based pagination (must be before /:id)
   router.get(
     '/list/paginated',
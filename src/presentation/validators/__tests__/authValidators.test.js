@@ -1,7 +1,14 @@
 import {
   registerSchema,
   loginSchema,
-  refreshTokenSchema
+  refreshTokenSchema,
+  updateProfileSchema,
+  changePasswordSchema,
+  requestPasswordResetSchema,
+  confirmPasswordResetSchema,
+  sessionIdSchema,
+  confirmTwoFactorSchema,
+  verifyTwoFactorSchema
 } from '../authValidators.js';
 
 describe('Auth Validators', () => {
@@ -299,4 +306,138 @@ describe('Auth Validators', () => {
       expect(error).toBeDefined();
     });
   });
+
+  describe('updateProfileSchema', () => {
+    it('should accept a partial update', () => {
+      const { error } = updateProfileSchema.validate({ weight: 72.5, timezone: 'America/Santiago' });
+
+      expect(error).toBeUndefined();
+    });
+
+    it('should store the canonical name of the timezone', () => {
+      const { value } = updateProfileSchema.validate({ timezone: 'america/santiago' });
+
+      expect(value.timezone).toBe('America/Santiago');
+    });
+
+    it('should apply the registration ranges', () => {
+      const { error } = updateProfileSchema.validate({ height: 20 });
+
+      expect(error.message).toBe('Height must be at least 50 cm');
+    });
+
+    it('should require the current password to change the email', () => {
+      const { error } = updateProfileSchema.validate({ email: 'new@example.com' });
+
+      expect(error.message).toBe('Current password is required to change the email');
+    });
+
+    it('should reject password changes', () => {
+      const { error } = updateProfileSchema.validate({ name: 'Test User', password: 'Password123' });
+
+      expect(error.message).toBe('Password cannot be changed from the profile');
+    });
+
+    it('should require at least one profile field', () => {
+      const { error } = updateProfileSchema.validate({ currentPassword: 'Password123' });
+
+      expect(error.message).toBe('At least one field must be provided for update');
+    });
+  });
+
+  describe('changePasswordSchema', () => {
+    it('should validate a password change', () => {
+      const { error } = changePasswordSchema.validate({
+        currentPassword: 'Password123',
+        newPassword: 'NewPassword456'
+      });
+
+      expect(error).toBeUndefined();
+    });
+
+    it('should apply the registration password rules to the new password', () => {
+      const { error } = changePasswordSchema.validate({
+        currentPassword: 'Password123',
+        newPassword: 'newpassword'
+      });
+
+      expect(error.message).toBe(
+        'Password must contain at least one uppercase letter, one lowercase letter, and one number'
+      );
+    });
+
+    it('should reject a new password equal to the current one', () => {
+      const { error } = changePasswordSchema.validate({
+        currentPassword: 'Password123',
+        newPassword: 'Password123'
+      });
+
+      expect(error.message).toBe('New password must be different from the current password');
+    });
+  });
+
+  describe('requestPasswordResetSchema', () => {
+    it('should normalize the email', () => {
+      const { error, value } = requestPasswordResetSchema.validate({ email: ' TEST@example.com ' });
+
+      expect(error).toBeUndefined();
+      expect(value.email).toBe('test@example.com');
+    });
+  });
+
+  describe('confirmPasswordResetSchema', () => {
+    it('should validate a reset token and new password', () => {
+      const { error } = confirmPasswordResetSchema.validate({
+        token: 'ab'.repeat(32),
+        newPassword: 'NewPassword456'
+      });
+
+      expect(error).toBeUndefined();
+    });
+
+    it('should reject malformed tokens', () => {
+      const { error } = confirmPasswordResetSchema.validate({
+        token: 'not-a-token',
+        newPassword: 'NewPassword456'
+      });
+
+      expect(error.message).toBe('Invalid reset token');
+    });
+  });
+
+  describe('sessionIdSchema', () => {
+    it('should require a valid session ID', () => {
+      expect(sessionIdSchema.validate({ id: '507f1f77bcf86cd799439011' }).error).toBeUndefined();
+      expect(sessionIdSchema.validate({ id: 'abc' }).error.message).toBe('Invalid session ID format');
+    });
+  });
+
+  describe('two-factor schemas', () => {
+    it('should require a 6-digit code to confirm the enrollment', () => {
+      expect(confirmTwoFactorSchema.validate({ code: '123456' }).error).toBeUndefined();
+      expect(confirmTwoFactorSchema.validate({ code: '12345a' }).error.message).toBe(
+        'Code must be a 6-digit number'
+      );
+      expect(confirmTwoFactorSchema.validate({}).error.message).toBe('Code is required');
+    });
+
+    it('should accept either a code or a recovery code in the second step', () => {
+      const mfaToken = 'mfa-token';
+
+      expect(verifyTwoFactorSchema.validate({ mfaToken, code: '123456' }).error).toBeUndefined();
+      expect(
+        verifyTwoFactorSchema.validate({ mfaToken, recoveryCode: 'a1b2c-3d4e5' }).error
+      ).toBeUndefined();
+      expect(verifyTwoFactorSchema.validate({ mfaToken }).error.message).toBe(
+        'A code or a recovery code is required'
+      );
+      expect(
+        verifyTwoFactorSchema.validate({ mfaToken, code: '123456', recoveryCode: 'a1b2c-3d4e5' })
+          .error.message
+      ).toBe('Provide either a code or a recovery code, not both');
+      expect(verifyTwoFactorSchema.validate({ code: '123456' }).error.message).toBe(
+        'MFA token is required'
+      );
+    });
+  });
 });
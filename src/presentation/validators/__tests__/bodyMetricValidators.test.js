@@ -0,0 +1,62 @@
+import {
+  createBodyMetricSchema,
+  updateBodyMetricSchema,
+  listBodyMetricsSchema,
+  bodyMetricTrendSchema,
+} from '../bodyMetricValidators.js';
+
+describe('Body Metric Validators', () => {
+  describe('createBodyMetricSchema', () => {
+    it('should accept a single measurement', () => {
+      const { error, value } = createBodyMetricSchema.validate({ date: '2025-11-05', waist: 84 });
+
+      expect(error).toBeUndefined();
+      expect(value.notes).toBe('');
+    });
+
+    it('should require at least one measurement', () => {
+      const { error } = createBodyMetricSchema.validate({ date: '2025-11-05', notes: 'nada' });
+
+      expect(error).toBeDefined();
+      expect(error.message).toContain('At least one measurement is required');
+    });
+
+    it('should reject out of range values', () => {
+      const { error } = createBodyMetricSchema.validate(
+        { date: '2025-11-05', weight: 600, bodyFat: 90 },
+        { abortEarly: false }
+      );
+
+      expect(error.details.map((d) => d.message)).toEqual([
+        'Weight cannot exceed 500 kg',
+        'Body fat cannot exceed 75%',
+      ]);
+    });
+  });
+
+  describe('updateBodyMetricSchema', () => {
+    it('should allow null to clear a measurement', () => {
+      const { error } = updateBodyMetricSchema.validate({ waist: null });
+
+      expect(error).toBeUndefined();
+    });
+  });
+
+  describe('listBodyMetricsSchema', () => {
+    it('should require both dates or none', () => {
+      expect(listBodyMetricsSchema.validate({}).error).toBeUndefined();
+      expect(listBodyMetricsSchema.validate({ startDate: '2025-11-01' }).error.message).toBe(
+        'Start date and end date must be provided together'
+      );
+    });
+  });
+
+  describe('bodyMetricTrendSchema', () => {
+    it('should default to the weight with a 7 day window', () => {
+      const { value } = bodyMetricTrendSchema.validate({ startDate: '2025-11-01', endDate: '2025-11-30' });
+
+      expect(value.metric).toBe('weight');
+      expect(value.window).toBe(7);
+    });
+  });
+});
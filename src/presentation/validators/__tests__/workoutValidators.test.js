@@ -0,0 +1,69 @@
+import { createWorkoutSchema, updateWorkoutSchema } from '../workoutValidators.js';
+
+describe('Workout Validators', () => {
+  const workout = (exercises) => ({
+    date: '2025-11-05',
+    type: 'strength',
+    duration: 3600,
+    exercises,
+  });
+
+  describe('exercises', () => {
+    it('should require sets and reps without setDetails', () => {
+      const { error } = createWorkoutSchema.validate(workout([{ name: 'Sentadilla', weight: 100 }]));
+
+      expect(error).toBeDefined();
+      expect(error.message).toContain('Sets is required');
+    });
+
+    it('should accept setDetails without summary fields and apply defaults', () => {
+      const { error, value } = createWorkoutSchema.validate(
+        workout([
+          {
+            name: 'Sentadilla',
+            setDetails: [
+              { reps: 5, weight: 100, rpe: 7.5, restSeconds: 180, tempo: '3-1-x-0' },
+              { reps: 8, weight: 60, setType: 'drop', rir: 1, completed: false },
+            ],
+          },
+        ])
+      );
+
+      expect(error).toBeUndefined();
+      expect(value.exercises[0].setDetails[0]).toEqual({
+        reps: 5,
+        weight: 100,
+        rpe: 7.5,
+        restSeconds: 180,
+        tempo: '3-1-X-0',
+        setType: 'working',
+        completed: true,
+      });
+      expect(value.exercises[0].setDetails[1].completed).toBe(false);
+    });
+
+    it('should reject invalid set values', () => {
+      const invalidSets = [
+        [{ reps: 5, rpe: 11 }, 'RPE must be between 1 and 10'],
+        [{ reps: 5, rpe: 7.3 }, 'RPE must be a multiple of 0.5'],
+        [{ reps: 5, setType: 'superset' }, 'Set type must be one of'],
+        [{ reps: 5, tempo: 'slow' }, 'Tempo must have 4 phases'],
+        [{ weight: 100 }, 'Set reps is required'],
+      ];
+
+      invalidSets.forEach(([set, message]) => {
+        const { error } = createWorkoutSchema.validate(workout([{ name: 'Sentadilla', setDetails: [set] }]));
+        expect(error).toBeDefined();
+        expect(error.message).toContain(message);
+      });
+    });
+
+    it('should reject an empty setDetails array', () => {
+      const { error } = updateWorkoutSchema.validate({
+        exercises: [{ name: 'Sentadilla', setDetails: [] }],
+      });
+
+      expect(error.message).toContain('setDetails must contain at least one set');
+    });
+  });
+});
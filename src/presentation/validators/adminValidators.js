@@ -0,0 +1,11 @@
+import Joi from 'joi';
+
+export const updateUserRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid('usuario', 'admin')
+    .required()
+    .messages({
+      'any.only': 'Role must be one of: usuario, admin',
+      'any.required': 'Role is required'
+    })
+});
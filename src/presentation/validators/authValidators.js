@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { timezoneSchema } from './commonValidators.js';
 
 export const registerSchema = Joi.object({
   email: Joi.string()
@@ -61,6 +62,155 @@ export const registerSchema = Joi.object({
       'number.min': 'Must be at least 13 years old',
       'number.max': 'Age cannot exceed 120 years',
       'any.required': 'Age is required'
+    }),
+
+  sex: Joi.string()
+    .valid('male', 'female')
+    .messages({
+      'any.only': 'Sex must be male or female'
+    }),
+
+  activityLevel: Joi.string()
+    .valid('sedentary', 'light', 'moderate', 'active', 'very_active')
+    .messages({
+      'any.only': 'Activity level must be sedentary, light, moderate, active or very_active'
+    }),
+
+  timezone: timezoneSchema
+});
+
+// Campos del perfil editables con PATCH /auth/me
+const PROFILE_FIELDS = ['email', 'name', 'weight', 'height', 'age', 'sex', 'activityLevel', 'timezone'];
+
+/**
+ * Actualización del perfil: mismos campos y rangos que el registro, todos opcionales.
+ * La contraseña no se cambia aquí, y cambiar el email exige confirmar la contraseña actual.
+ */
+export const updateProfileSchema = registerSchema
+  .fork(['email', 'name', 'weight', 'height', 'age'], (schema) => schema.optional())
+  .keys({
+    password: Joi.forbidden().messages({
+      'any.unknown': 'Password cannot be changed from the profile'
+    }),
+
+    currentPassword: Joi.string()
+      .when('email', { is: Joi.exist(), then: Joi.required() })
+      .messages({
+        'any.required': 'Current password is required to change the email'
+      })
+  })
+  .or(...PROFILE_FIELDS)
+  .messages({
+    'object.missing': 'At least one field must be provided for update'
+  });
+
+// Misma regla de contraseña que el registro
+const newPasswordSchema = registerSchema.extract('password').messages({
+  'any.required': 'New password is required'
+});
+
+export const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Current password is required'
+    }),
+
+  newPassword: newPasswordSchema
+    .invalid(Joi.ref('currentPassword'))
+    .messages({
+      'any.invalid': 'New password must be different from the current password'
+    })
+});
+
+export const requestPasswordResetSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .lowercase()
+    .trim()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+});
+
+export const confirmPasswordResetSchema = Joi.object({
+  // 32 bytes aleatorios en hexadecimal (ver PasswordResetService)
+  token: Joi.string()
+    .hex()
+    .length(64)
+    .required()
+    .messages({
+      'string.hex': 'Invalid reset token',
+      'string.length': 'Invalid reset token',
+      'any.required': 'Reset token is required'
+    }),
+
+  newPassword: newPasswordSchema
+});
+
+// Código de 6 dígitos de la app de autenticación
+const twoFactorCodeSchema = Joi.string()
+  .trim()
+  .pattern(/^\d{6}$/)
+  .messages({
+    'string.pattern.base': 'Code must be a 6-digit number'
+  });
+
+// Código de recuperación (xxxxx-xxxxx, ver TwoFactorService)
+const recoveryCodeSchema = Joi.string()
+  .trim()
+  .max(32)
+  .messages({
+    'string.max': 'Invalid recovery code'
+  });
+
+// Token del login para el alta obligatoria de 2FA (ver mfaEnrollmentMiddleware)
+const mfaTokenSchema = Joi.string().messages({
+  'any.required': 'MFA token is required'
+});
+
+export const setupTwoFactorSchema = Joi.object({
+  mfaToken: mfaTokenSchema
+});
+
+export const confirmTwoFactorSchema = Joi.object({
+  code: twoFactorCodeSchema.required().messages({
+    'any.required': 'Code is required'
+  }),
+
+  mfaToken: mfaTokenSchema
+});
+
+// Un código de la app o uno de recuperación, no ambos
+const twoFactorCredentialsMessages = {
+  'object.missing': 'A code or a recovery code is required',
+  'object.xor': 'Provide either a code or a recovery code, not both'
+};
+
+export const verifyTwoFactorSchema = Joi.object({
+  mfaToken: mfaTokenSchema.required(),
+  code: twoFactorCodeSchema,
+  recoveryCode: recoveryCodeSchema
+})
+  .xor('code', 'recoveryCode')
+  .messages(twoFactorCredentialsMessages);
+
+export const disableTwoFactorSchema = Joi.object({
+  code: twoFactorCodeSchema,
+  recoveryCode: recoveryCodeSchema
+})
+  .xor('code', 'recoveryCode')
+  .messages(twoFactorCredentialsMessages);
+
+export const sessionIdSchema = Joi.object({
+  id: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid session ID format',
+      'any.required': 'Session ID is required'
     })
 });
 
@@ -0,0 +1,140 @@
+import Joi from 'joi';
+import { timezoneSchema } from './commonValidators.js';
+import { BODY_METRICS, DEFAULT_TREND_WINDOW } from '../../domain/services/BodyMetricTrend.js';
+
+// Perímetro en centímetros
+const circumferenceSchema = (label) =>
+  Joi.number()
+    .min(1)
+    .max(300)
+    .messages({
+      'number.min': `${label} must be at least 1 cm`,
+      'number.max': `${label} cannot exceed 300 cm`
+    });
+
+const measurementFields = {
+  // Mismos límites que el peso del perfil (registerSchema)
+  weight: Joi.number()
+    .min(1)
+    .max(500)
+    .messages({
+      'number.min': 'Weight must be at least 1 kg',
+      'number.max': 'Weight cannot exceed 500 kg'
+    }),
+
+  bodyFat: Joi.number()
+    .min(1)
+    .max(75)
+    .messages({
+      'number.min': 'Body fat must be at least 1%',
+      'number.max': 'Body fat cannot exceed 75%'
+    }),
+
+  waist: circumferenceSchema('Waist'),
+  hips: circumferenceSchema('Hips'),
+  chest: circumferenceSchema('Chest'),
+  arms: circumferenceSchema('Arms'),
+  thighs: circumferenceSchema('Thighs')
+};
+
+const notesSchema = Joi.string()
+  .max(500)
+  .allow('')
+  .trim()
+  .messages({
+    'string.max': 'Notes cannot exceed 500 characters'
+  });
+
+export const createBodyMetricSchema = Joi.object({
+  date: Joi.date()
+    .max('now')
+    .required()
+    .messages({
+      'date.max': 'Measurement date cannot be in the future',
+      'any.required': 'Date is required'
+    }),
+
+  ...measurementFields,
+
+  notes: notesSchema.default('')
+}).or(...BODY_METRICS).messages({
+  'object.missing': `At least one measurement is required (${BODY_METRICS.join(', ')})`
+});
+
+// null borra una medida cargada por error
+export const updateBodyMetricSchema = Joi.object({
+  date: Joi.date()
+    .max('now')
+    .messages({
+      'date.max': 'Measurement date cannot be in the future'
+    }),
+
+  ...Object.fromEntries(
+    Object.entries(measurementFields).map(([field, schema]) => [field, schema.allow(null)])
+  ),
+
+  notes: notesSchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+// Sin fechas se devuelve todo el historial
+export const listBodyMetricsSchema = Joi.object({
+  startDate: Joi.date(),
+
+  endDate: Joi.date()
+    .min(Joi.ref('startDate'))
+    .messages({
+      'date.min': 'End date must be after start date'
+    }),
+
+  tz: timezoneSchema
+}).and('startDate', 'endDate').messages({
+  'object.and': 'Start date and end date must be provided together'
+});
+
+export const bodyMetricTrendSchema = Joi.object({
+  startDate: Joi.date()
+    .required()
+    .messages({
+      'any.required': 'Start date is required'
+    }),
+
+  endDate: Joi.date()
+    .min(Joi.ref('startDate'))
+    .required()
+    .messages({
+      'date.min': 'End date must be after start date',
+      'any.required': 'End date is required'
+    }),
+
+  metric: Joi.string()
+    .valid(...BODY_METRICS)
+    .default('weight')
+    .messages({
+      'any.only': `Metric must be one of: ${BODY_METRICS.join(', ')}`
+    }),
+
+  // Días de la media móvil
+  window: Joi.number()
+    .integer()
+    .min(1)
+    .max(90)
+    .default(DEFAULT_TREND_WINDOW)
+    .messages({
+      'number.min': 'Window must be at least 1 day',
+      'number.max': 'Window cannot exceed 90 days'
+    }),
+
+  tz: timezoneSchema
+});
+
+export const getBodyMetricByIdSchema = Joi.object({
+  id: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid body metric ID format',
+      'any.required': 'Body metric ID is required'
+    })
+});
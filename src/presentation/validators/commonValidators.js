@@ -1,4 +1,5 @@
 import Joi from 'joi';
+import { normalizeTimezone } from '../../domain/services/DayBoundaries.js';
 
 export const objectIdSchema = Joi.string()
   .regex(/^[0-9a-fA-F]{24}$/)
@@ -6,6 +7,18 @@ export const objectIdSchema = Joi.string()
     'string.pattern.base': 'Invalid ID format'
   });
 
+/**
+ * Zona horaria IANA (por ejemplo America/Santiago), convertida a su nombre canónico
+ * En las consultas por día se usa como `?tz=` para reemplazar la del perfil
+ */
+export const timezoneSchema = Joi.string()
+  .max(64)
+  .custom((value, helpers) => normalizeTimezone(value) ?? helpers.error('any.invalid'))
+  .messages({
+    'string.max': 'Timezone cannot exceed 64 characters',
+    'any.invalid': 'Timezone must be a valid IANA timezone (e.g. America/Santiago)'
+  });
+
 /**
  * Offset-based pagination (simple pero menos eficiente para páginas altas)
  * Use para: Admin panels, casos donde el usuario necesita saltar a páginas específicas
@@ -85,5 +98,7 @@ export const dateRangeSchema = Joi.object({
     .messages({
       'date.min': 'End date must be after start date',
       'any.required': 'End date is required'
-    })
+    }),
+
+  tz: timezoneSchema
 });
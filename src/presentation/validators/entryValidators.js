@@ -1,65 +1,112 @@
 import Joi from 'joi';
+import { MICRONUTRIENTS, MICRONUTRIENT_KEYS } from '../../domain/services/MacroCalculator.js';
+import { timezoneSchema } from './commonValidators.js';
+
+// Micronutrientes opcionales por 100g (fibra, sodio, vitaminas...), en la unidad de MICRONUTRIENTS
+const micronutrientFields = Object.fromEntries(
+  MICRONUTRIENT_KEYS.map((key) => [
+    key,
+    Joi.number()
+      .min(0)
+      .max(100000)
+      .messages({
+        'number.min': `${key} cannot be negative`,
+        'number.max': `${key} seems unrealistic (max 100000${MICRONUTRIENTS[key]})`,
+        'any.unknown': `${key} is taken from the catalog when foodId is provided`
+      })
+  ])
+);
+
+/**
+ * Un alimento puede escribirse a mano (name + macros por 100g)
+ * o referenciar el catálogo compartido con { foodId, quantity }.
+ * En el segundo caso los macros se copian del catálogo al crear la comida.
+ */
+export const foodItemSchema = Joi.object({
+  foodId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid food ID format'
+    }),
 
-const foodItemSchema = Joi.object({
   name: Joi.string()
     .min(1)
     .max(100)
     .trim()
-    .required()
     .messages({
       'string.min': 'Food name cannot be empty',
       'string.max': 'Food name cannot exceed 100 characters',
-      'any.required': 'Food name is required'
+      'any.required': 'Food name is required',
+      'any.unknown': 'Food name is not allowed when foodId is provided'
     }),
 
   calories: Joi.number()
     .min(0)
     .max(10000)
-    .required()
     .messages({
       'number.min': 'Calories cannot be negative',
       'number.max': 'Calories seems unrealistic (max 10000)',
-      'any.required': 'Calories is required'
+      'any.required': 'Calories is required',
+      'any.unknown': 'Calories are taken from the catalog when foodId is provided'
     }),
 
   protein: Joi.number()
     .min(0)
     .max(1000)
-    .required()
     .messages({
       'number.min': 'Protein cannot be negative',
       'number.max': 'Protein seems unrealistic (max 1000g)',
-      'any.required': 'Protein is required'
+      'any.required': 'Protein is required',
+      'any.unknown': 'Protein is taken from the catalog when foodId is provided'
     }),
 
   carbs: Joi.number()
     .min(0)
     .max(1000)
-    .required()
     .messages({
       'number.min': 'Carbs cannot be negative',
       'number.max': 'Carbs seems unrealistic (max 1000g)',
-      'any.required': 'Carbs is required'
+      'any.required': 'Carbs is required',
+      'any.unknown': 'Carbs are taken from the catalog when foodId is provided'
     }),
 
   fat: Joi.number()
     .min(0)
     .max(1000)
-    .required()
     .messages({
       'number.min': 'Fat cannot be negative',
       'number.max': 'Fat seems unrealistic (max 1000g)',
-      'any.required': 'Fat is required'
+      'any.required': 'Fat is required',
+      'any.unknown': 'Fat is taken from the catalog when foodId is provided'
     }),
 
+  ...micronutrientFields,
+
+  // Sin foodId el default es 100g; con foodId se usa la porción del catálogo
   quantity: Joi.number()
     .min(0.1)
     .max(10000)
-    .default(100)
     .messages({
       'number.min': 'Quantity must be greater than 0',
       'number.max': 'Quantity seems unrealistic (max 10000g)'
     })
+}).when(Joi.object({ foodId: Joi.exist() }).unknown(), {
+  then: Joi.object({
+    name: Joi.forbidden(),
+    calories: Joi.forbidden(),
+    protein: Joi.forbidden(),
+    carbs: Joi.forbidden(),
+    fat: Joi.forbidden(),
+    ...Object.fromEntries(MICRONUTRIENT_KEYS.map((key) => [key, Joi.forbidden()]))
+  }),
+  otherwise: Joi.object({
+    name: Joi.required(),
+    calories: Joi.required(),
+    protein: Joi.required(),
+    carbs: Joi.required(),
+    fat: Joi.required(),
+    quantity: Joi.number().default(100)
+  })
 });
 
 export const createEntrySchema = Joi.object({
@@ -123,6 +170,46 @@ export const updateEntrySchema = Joi.object({
   'object.min': 'At least one field must be provided for update'
 });
 
+export const copyEntrySchema = Joi.object({
+  targetDate: Joi.date()
+    .max('now')
+    .required()
+    .messages({
+      'date.max': 'Target date cannot be in the future',
+      'any.required': 'Target date is required'
+    }),
+
+  // Permite copiar, por ejemplo, el almuerzo como cena
+  mealType: Joi.string()
+    .valid('breakfast', 'lunch', 'dinner', 'snack')
+    .messages({
+      'any.only': 'Meal type must be one of: breakfast, lunch, dinner, snack'
+    })
+});
+
+export const copyEntriesSchema = Joi.object({
+  sourceDate: Joi.date()
+    .required()
+    .messages({
+      'any.required': 'Source date is required'
+    }),
+
+  targetDate: Joi.date()
+    .max('now')
+    .required()
+    .messages({
+      'date.max': 'Target date cannot be in the future',
+      'any.required': 'Target date is required'
+    }),
+
+  // Si se omite se copia el día completo
+  mealType: Joi.string()
+    .valid('breakfast', 'lunch', 'dinner', 'snack')
+    .messages({
+      'any.only': 'Meal type must be one of: breakfast, lunch, dinner, snack'
+    })
+});
+
 export const getEntryByIdSchema = Joi.object({
   id: Joi.string()
     .regex(/^[0-9a-fA-F]{24}$/)
@@ -156,5 +243,7 @@ export const getEntriesByDateSchema = Joi.object({
     .messages({
       'number.min': 'Limit must be at least 1',
       'number.max': 'Limit cannot exceed 100'
-    })
+    }),
+
+  tz: timezoneSchema
 });
@@ -0,0 +1,136 @@
+import Joi from 'joi';
+import { EXERCISE_CATEGORIES, MUSCLE_GROUPS, EQUIPMENT } from '../../domain/entities/Exercise.js';
+
+const muscleListSchema = Joi.array()
+  .items(Joi.string().valid(...MUSCLE_GROUPS))
+  .unique()
+  .messages({
+    'any.only': `Muscle group must be one of: ${MUSCLE_GROUPS.join(', ')}`,
+    'array.unique': 'Muscle groups cannot be repeated'
+  });
+
+const aliasesSchema = Joi.array()
+  .items(Joi.string().min(1).max(100).trim())
+  .max(20)
+  .messages({
+    'string.max': 'Alias cannot exceed 100 characters',
+    'array.max': 'An exercise cannot have more than 20 aliases'
+  });
+
+const equipmentSchema = Joi.string()
+  .valid(...EQUIPMENT)
+  .messages({
+    'any.only': `Equipment must be one of: ${EQUIPMENT.join(', ')}`
+  });
+
+const categorySchema = Joi.string()
+  .valid(...EXERCISE_CATEGORIES)
+  .messages({
+    'any.only': `Category must be one of: ${EXERCISE_CATEGORIES.join(', ')}`,
+    'any.required': 'Category is required'
+  });
+
+export const createExerciseSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.min': 'Exercise name must be at least 2 characters',
+      'string.max': 'Exercise name cannot exceed 100 characters',
+      'any.required': 'Exercise name is required'
+    }),
+
+  aliases: aliasesSchema.default([]),
+
+  primaryMuscles: muscleListSchema
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one primary muscle is required',
+      'any.required': 'Primary muscles are required'
+    }),
+
+  secondaryMuscles: muscleListSchema.default([]),
+
+  equipment: equipmentSchema.default('other'),
+
+  category: categorySchema.required()
+});
+
+export const updateExerciseSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Exercise name must be at least 2 characters',
+      'string.max': 'Exercise name cannot exceed 100 characters'
+    }),
+
+  aliases: aliasesSchema,
+
+  primaryMuscles: muscleListSchema
+    .min(1)
+    .messages({
+      'array.min': 'At least one primary muscle is required'
+    }),
+
+  secondaryMuscles: muscleListSchema,
+
+  equipment: equipmentSchema,
+
+  category: categorySchema
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+export const getExerciseByIdSchema = Joi.object({
+  id: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid exercise ID format',
+      'any.required': 'Exercise ID is required'
+    })
+});
+
+export const searchExercisesSchema = Joi.object({
+  q: Joi.string()
+    .max(100)
+    .allow('')
+    .trim()
+    .default('')
+    .messages({
+      'string.max': 'Search text cannot exceed 100 characters'
+    }),
+
+  muscle: Joi.string()
+    .valid(...MUSCLE_GROUPS)
+    .messages({
+      'any.only': `Muscle group must be one of: ${MUSCLE_GROUPS.join(', ')}`
+    }),
+
+  equipment: equipmentSchema,
+
+  category: categorySchema,
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
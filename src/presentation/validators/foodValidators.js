@@ -0,0 +1,172 @@
+import Joi from 'joi';
+
+export const createFoodSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.min': 'Food name must be at least 2 characters',
+      'string.max': 'Food name cannot exceed 100 characters',
+      'any.required': 'Food name is required'
+    }),
+
+  brand: Joi.string()
+    .max(100)
+    .allow('')
+    .trim()
+    .default('')
+    .messages({
+      'string.max': 'Brand cannot exceed 100 characters'
+    }),
+
+  calories: Joi.number()
+    .min(0)
+    .max(1000)
+    .required()
+    .messages({
+      'number.min': 'Calories cannot be negative',
+      'number.max': 'Calories per 100g cannot exceed 1000',
+      'any.required': 'Calories is required'
+    }),
+
+  protein: Joi.number()
+    .min(0)
+    .max(100)
+    .required()
+    .messages({
+      'number.min': 'Protein cannot be negative',
+      'number.max': 'Protein per 100g cannot exceed 100g',
+      'any.required': 'Protein is required'
+    }),
+
+  carbs: Joi.number()
+    .min(0)
+    .max(100)
+    .required()
+    .messages({
+      'number.min': 'Carbs cannot be negative',
+      'number.max': 'Carbs per 100g cannot exceed 100g',
+      'any.required': 'Carbs is required'
+    }),
+
+  fat: Joi.number()
+    .min(0)
+    .max(100)
+    .required()
+    .messages({
+      'number.min': 'Fat cannot be negative',
+      'number.max': 'Fat per 100g cannot exceed 100g',
+      'any.required': 'Fat is required'
+    }),
+
+  servingSize: Joi.number()
+    .min(0.1)
+    .max(10000)
+    .default(100)
+    .messages({
+      'number.min': 'Serving size must be greater than 0',
+      'number.max': 'Serving size seems unrealistic (max 10000g)'
+    })
+});
+
+export const updateFoodSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Food name must be at least 2 characters',
+      'string.max': 'Food name cannot exceed 100 characters'
+    }),
+
+  brand: Joi.string()
+    .max(100)
+    .allow('')
+    .trim()
+    .messages({
+      'string.max': 'Brand cannot exceed 100 characters'
+    }),
+
+  calories: Joi.number()
+    .min(0)
+    .max(1000)
+    .messages({
+      'number.min': 'Calories cannot be negative',
+      'number.max': 'Calories per 100g cannot exceed 1000'
+    }),
+
+  protein: Joi.number()
+    .min(0)
+    .max(100)
+    .messages({
+      'number.min': 'Protein cannot be negative',
+      'number.max': 'Protein per 100g cannot exceed 100g'
+    }),
+
+  carbs: Joi.number()
+    .min(0)
+    .max(100)
+    .messages({
+      'number.min': 'Carbs cannot be negative',
+      'number.max': 'Carbs per 100g cannot exceed 100g'
+    }),
+
+  fat: Joi.number()
+    .min(0)
+    .max(100)
+    .messages({
+      'number.min': 'Fat cannot be negative',
+      'number.max': 'Fat per 100g cannot exceed 100g'
+    }),
+
+  servingSize: Joi.number()
+    .min(0.1)
+    .max(10000)
+    .messages({
+      'number.min': 'Serving size must be greater than 0',
+      'number.max': 'Serving size seems unrealistic (max 10000g)'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+export const getFoodByIdSchema = Joi.object({
+  id: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid food ID format',
+      'any.required': 'Food ID is required'
+    })
+});
+
+export const searchFoodsSchema = Joi.object({
+  q: Joi.string()
+    .max(100)
+    .allow('')
+    .trim()
+    .default('')
+    .messages({
+      'string.max': 'Search text cannot exceed 100 characters'
+    }),
+
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1)
+    .messages({
+      'number.min': 'Page must be at least 1'
+    }),
+
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+    .messages({
+      'number.min': 'Limit must be at least 1',
+      'number.max': 'Limit cannot exceed 100'
+    })
+});
@@ -0,0 +1,94 @@
+import Joi from 'joi';
+import { timezoneSchema } from './commonValidators.js';
+
+// En modo 'percentage' cada macro es un % de las calorías; en 'grams', gramos por día
+const macroGoal = (label) =>
+  Joi.number()
+    .min(0)
+    .max(1000)
+    .allow(null)
+    .when('macroMode', {
+      is: 'percentage',
+      then: Joi.number().max(100).required()
+    })
+    .messages({
+      'number.min': `${label} goal cannot be negative`,
+      'number.max': `${label} goal is out of range (max 1000g or 100%)`,
+      'any.required': `${label} percentage is required when macroMode is percentage`
+    });
+
+export const setNutritionGoalSchema = Joi.object({
+  // Opcional: si se omite se usa el TDEE del usuario
+  calories: Joi.number()
+    .min(500)
+    .max(10000)
+    .messages({
+      'number.min': 'Calorie goal must be at least 500 kcal',
+      'number.max': 'Calorie goal cannot exceed 10000 kcal'
+    }),
+
+  macroMode: Joi.string()
+    .valid('grams', 'percentage')
+    .default('grams')
+    .messages({
+      'any.only': 'Macro mode must be grams or percentage'
+    }),
+
+  protein: macroGoal('Protein'),
+  carbs: macroGoal('Carbs'),
+  fat: macroGoal('Fat'),
+
+  effectiveFrom: Joi.date()
+    .iso()
+    .messages({
+      'date.format': 'Effective from date must be in ISO format (YYYY-MM-DD)'
+    })
+});
+
+export const goalIdSchema = Joi.object({
+  id: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid goal ID format',
+      'any.required': 'Goal ID is required'
+    })
+});
+
+export const setWeightGoalSchema = Joi.object({
+  // Mismos límites que el peso del perfil
+  goalWeight: Joi.number()
+    .min(1)
+    .max(500)
+    .required()
+    .messages({
+      'number.min': 'Goal weight must be at least 1 kg',
+      'number.max': 'Goal weight cannot exceed 500 kg',
+      'any.required': 'Goal weight is required'
+    }),
+
+  // Opcional: sin fecha solo se proyecta cuándo se llegaría
+  goalDate: Joi.date()
+    .iso()
+    .greater('now')
+    .allow(null)
+    .messages({
+      'date.format': 'Goal date must be in ISO format (YYYY-MM-DD)',
+      'date.greater': 'Goal date must be in the future'
+    })
+});
+
+export const weightGoalProjectionSchema = Joi.object({
+  // Días hacia atrás con los que se calculan la tendencia y el balance promedio
+  days: Joi.number()
+    .integer()
+    .min(7)
+    .max(90)
+    .default(28)
+    .messages({
+      'number.min': 'Days must be at least 7',
+      'number.max': 'Days cannot exceed 90'
+    }),
+
+  tz: timezoneSchema
+});
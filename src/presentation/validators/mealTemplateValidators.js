@@ -0,0 +1,129 @@
+import Joi from 'joi';
+import { foodItemSchema } from './entryValidators.js';
+
+export const createMealTemplateSchema = Joi.object({
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.min': 'Template name cannot be empty',
+      'string.max': 'Template name cannot exceed 100 characters',
+      'any.required': 'Template name is required'
+    }),
+
+  defaultMealType: Joi.string()
+    .valid('breakfast', 'lunch', 'dinner', 'snack')
+    .required()
+    .messages({
+      'any.only': 'Meal type must be one of: breakfast, lunch, dinner, snack',
+      'any.required': 'Default meal type is required'
+    }),
+
+  // Mismos alimentos que una comida (a mano o { foodId, quantity } del catálogo)
+  foods: Joi.array()
+    .items(foodItemSchema)
+    .min(1)
+    .required()
+    .messages({
+      'array.min': 'At least one food item is required',
+      'any.required': 'Foods array is required'
+    }),
+
+  notes: Joi.string()
+    .max(500)
+    .allow('')
+    .trim()
+    .default('')
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+export const updateMealTemplateSchema = Joi.object({
+  name: Joi.string()
+    .min(1)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Template name cannot be empty',
+      'string.max': 'Template name cannot exceed 100 characters'
+    }),
+
+  defaultMealType: Joi.string()
+    .valid('breakfast', 'lunch', 'dinner', 'snack')
+    .messages({
+      'any.only': 'Meal type must be one of: breakfast, lunch, dinner, snack'
+    }),
+
+  foods: Joi.array()
+    .items(foodItemSchema)
+    .min(1)
+    .messages({
+      'array.min': 'At least one food item is required'
+    }),
+
+  notes: Joi.string()
+    .max(500)
+    .allow('')
+    .trim()
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+export const listMealTemplatesSchema = Joi.object({
+  mealType: Joi.string()
+    .valid('breakfast', 'lunch', 'dinner', 'snack')
+    .messages({
+      'any.only': 'Meal type must be one of: breakfast, lunch, dinner, snack'
+    })
+});
+
+export const logMealTemplateSchema = Joi.object({
+  date: Joi.date()
+    .max('now')
+    .required()
+    .messages({
+      'date.max': 'Entry date cannot be in the future',
+      'any.required': 'Date is required'
+    }),
+
+  // Si se omite se usa el defaultMealType de la plantilla
+  mealType: Joi.string()
+    .valid('breakfast', 'lunch', 'dinner', 'snack')
+    .messages({
+      'any.only': 'Meal type must be one of: breakfast, lunch, dinner, snack'
+    }),
+
+  // Multiplica la cantidad de cada alimento (0.5 = media porción, 2 = doble)
+  scale: Joi.number()
+    .min(0.1)
+    .max(10)
+    .default(1)
+    .messages({
+      'number.min': 'Scale must be at least 0.1',
+      'number.max': 'Scale cannot exceed 10'
+    }),
+
+  notes: Joi.string()
+    .max(500)
+    .allow('')
+    .trim()
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+});
+
+export const getMealTemplateByIdSchema = Joi.object({
+  id: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid meal template ID format',
+      'any.required': 'Meal template ID is required'
+    })
+});
@@ -0,0 +1,186 @@
+import Joi from 'joi';
+import { foodItemSchema } from './entryValidators.js';
+
+// Igual que un alimento de una comida, pero los gramos crudos son obligatorios
+const ingredientSchema = foodItemSchema.keys({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Ingredient name must be at least 2 characters',
+      'string.max': 'Ingredient name cannot exceed 100 characters',
+      'any.required': 'Ingredient name is required',
+      'any.unknown': 'Ingredient name is not allowed when foodId is provided'
+    }),
+
+  quantity: Joi.number()
+    .min(1)
+    .max(10000)
+    .required()
+    .messages({
+      'number.min': 'Ingredient quantity must be at least 1g',
+      'number.max': 'Ingredient quantity seems unrealistic (max 10000g)',
+      'any.required': 'Ingredient quantity (grams) is required'
+    })
+});
+
+export const createRecipeSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .required()
+    .messages({
+      'string.min': 'Recipe name must be at least 2 characters',
+      'string.max': 'Recipe name cannot exceed 100 characters',
+      'any.required': 'Recipe name is required'
+    }),
+
+  ingredients: Joi.array()
+    .items(ingredientSchema)
+    .min(1)
+    .max(100)
+    .required()
+    .messages({
+      'array.min': 'At least one ingredient is required',
+      'array.max': 'A recipe cannot have more than 100 ingredients',
+      'any.required': 'Ingredients array is required'
+    }),
+
+  // Si se omite se usa la suma de los ingredientes crudos
+  cookedWeight: Joi.number()
+    .min(1)
+    .max(100000)
+    .messages({
+      'number.min': 'Cooked weight must be at least 1g',
+      'number.max': 'Cooked weight seems unrealistic (max 100000g)'
+    }),
+
+  servings: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(1)
+    .messages({
+      'number.integer': 'Servings must be a whole number',
+      'number.min': 'Servings must be at least 1',
+      'number.max': 'Servings cannot exceed 100'
+    }),
+
+  notes: Joi.string()
+    .max(1000)
+    .allow('')
+    .trim()
+    .default('')
+    .messages({
+      'string.max': 'Notes cannot exceed 1000 characters'
+    })
+});
+
+export const updateRecipeSchema = Joi.object({
+  name: Joi.string()
+    .min(2)
+    .max(100)
+    .trim()
+    .messages({
+      'string.min': 'Recipe name must be at least 2 characters',
+      'string.max': 'Recipe name cannot exceed 100 characters'
+    }),
+
+  ingredients: Joi.array()
+    .items(ingredientSchema)
+    .min(1)
+    .max(100)
+    .messages({
+      'array.min': 'At least one ingredient is required',
+      'array.max': 'A recipe cannot have more than 100 ingredients'
+    }),
+
+  // null vuelve a usar la suma de los ingredientes crudos
+  cookedWeight: Joi.number()
+    .min(1)
+    .max(100000)
+    .allow(null)
+    .messages({
+      'number.min': 'Cooked weight must be at least 1g',
+      'number.max': 'Cooked weight seems unrealistic (max 100000g)'
+    }),
+
+  servings: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .messages({
+      'number.integer': 'Servings must be a whole number',
+      'number.min': 'Servings must be at least 1',
+      'number.max': 'Servings cannot exceed 100'
+    }),
+
+  notes: Joi.string()
+    .max(1000)
+    .allow('')
+    .trim()
+    .messages({
+      'string.max': 'Notes cannot exceed 1000 characters'
+    })
+}).min(1).messages({
+  'object.min': 'At least one field must be provided for update'
+});
+
+export const logRecipeSchema = Joi.object({
+  date: Joi.date()
+    .max('now')
+    .required()
+    .messages({
+      'date.max': 'Entry date cannot be in the future',
+      'any.required': 'Date is required'
+    }),
+
+  mealType: Joi.string()
+    .valid('breakfast', 'lunch', 'dinner', 'snack')
+    .required()
+    .messages({
+      'any.only': 'Meal type must be one of: breakfast, lunch, dinner, snack',
+      'any.required': 'Meal type is required'
+    }),
+
+  // Cantidad consumida: porciones o gramos del plato cocinado (uno de los dos)
+  servings: Joi.number()
+    .min(0.1)
+    .max(100)
+    .messages({
+      'number.min': 'Servings must be at least 0.1',
+      'number.max': 'Servings cannot exceed 100'
+    }),
+
+  grams: Joi.number()
+    .min(1)
+    .max(10000)
+    .messages({
+      'number.min': 'Grams must be at least 1',
+      'number.max': 'Grams seems unrealistic (max 10000g)'
+    }),
+
+  notes: Joi.string()
+    .max(500)
+    .allow('')
+    .trim()
+    .default('')
+    .messages({
+      'string.max': 'Notes cannot exceed 500 characters'
+    })
+}).xor('servings', 'grams').messages({
+  'object.missing': 'Either servings or grams is required',
+  'object.xor': 'Provide either servings or grams, not both'
+});
+
+export const getRecipeByIdSchema = Joi.object({
+  id: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Invalid recipe ID format',
+      'any.required': 'Recipe ID is required'
+    })
+});
@@ -1,22 +1,100 @@
 import Joi from 'joi';
+import { timezoneSchema } from './commonValidators.js';
+import { SET_TYPES } from '../../domain/services/ExerciseSets.js';
+
+// Tempo por fases: excéntrica-pausa-concéntrica-pausa, por ejemplo "3-1-1-0" o "2-0-X-0"
+const TEMPO_PATTERN = /^(\d{1,2}|X)(-(\d{1,2}|X)){3}$/i;
+
+const setDetailSchema = Joi.object({
+  reps: Joi.number()
+    .integer()
+    .min(0)
+    .max(1000)
+    .required()
+    .messages({
+      'number.min': 'Set reps cannot be negative',
+      'number.max': 'Set reps cannot exceed 1000',
+      'any.required': 'Set reps is required'
+    }),
+
+  weight: Joi.number()
+    .min(0)
+    .max(1000)
+    .default(0)
+    .messages({
+      'number.min': 'Set weight cannot be negative',
+      'number.max': 'Set weight cannot exceed 1000 kg'
+    }),
+
+  rpe: Joi.number()
+    .min(1)
+    .max(10)
+    .multiple(0.5)
+    .messages({
+      'number.min': 'RPE must be between 1 and 10',
+      'number.max': 'RPE must be between 1 and 10',
+      'number.multiple': 'RPE must be a multiple of 0.5'
+    }),
+
+  rir: Joi.number()
+    .integer()
+    .min(0)
+    .max(10)
+    .messages({
+      'number.min': 'RIR cannot be negative',
+      'number.max': 'RIR cannot exceed 10'
+    }),
+
+  restSeconds: Joi.number()
+    .integer()
+    .min(0)
+    .max(3600)
+    .messages({
+      'number.min': 'Rest cannot be negative',
+      'number.max': 'Rest cannot exceed 1 hour (3600 seconds)'
+    }),
+
+  tempo: Joi.string()
+    .pattern(TEMPO_PATTERN)
+    .uppercase()
+    .messages({
+      'string.pattern.base': 'Tempo must have 4 phases like "3-1-1-0" (use X for explosive)'
+    }),
+
+  setType: Joi.string()
+    .valid(...SET_TYPES)
+    .default('working')
+    .messages({
+      'any.only': `Set type must be one of: ${SET_TYPES.join(', ')}`
+    }),
+
+  completed: Joi.boolean().default(true)
+});
 
 const exerciseSchema = Joi.object({
+  exerciseId: Joi.string()
+    .regex(/^[0-9a-fA-F]{24}$/)
+    .messages({
+      'string.pattern.base': 'Invalid exercise ID format'
+    }),
+
+  // Con exerciseId es opcional: se usa el nombre canónico de la biblioteca
   name: Joi.string()
     .min(1)
     .max(100)
     .trim()
-    .required()
     .messages({
       'string.min': 'Exercise name cannot be empty',
       'string.max': 'Exercise name cannot exceed 100 characters',
       'any.required': 'Exercise name is required'
     }),
 
+  // Con setDetails, sets/reps/weight se calculan a partir de las series
   sets: Joi.number()
     .integer()
     .min(1)
     .max(100)
-    .required()
+    .when('setDetails', { is: Joi.exist(), otherwise: Joi.required() })
     .messages({
       'number.min': 'Sets must be at least 1',
       'number.max': 'Sets cannot exceed 100',
@@ -27,7 +105,7 @@ const exerciseSchema = Joi.object({
     .integer()
     .min(1)
     .max(1000)
-    .required()
+    .when('setDetails', { is: Joi.exist(), otherwise: Joi.required() })
     .messages({
       'number.min': 'Reps must be at least 1',
       'number.max': 'Reps cannot exceed 1000',
@@ -60,7 +138,20 @@ const exerciseSchema = Joi.object({
     .default('')
     .messages({
       'string.max': 'Exercise notes cannot exceed 200 characters'
+    }),
+
+  setDetails: Joi.array()
+    .items(setDetailSchema)
+    .min(1)
+    .max(100)
+    .messages({
+      'array.min': 'setDetails must contain at least one set',
+      'array.max': 'An exercise cannot have more than 100 sets'
     })
+}).when(Joi.object({ exerciseId: Joi.exist() }).unknown(), {
+  otherwise: Joi.object({
+    name: Joi.required()
+  })
 });
 
 export const createWorkoutSchema = Joi.object({
@@ -195,5 +286,7 @@ export const getWorkoutsByDateSchema = Joi.object({
     .messages({
       'number.min': 'Limit must be at least 1',
       'number.max': 'Limit cannot exceed 100'
-    })
+    }),
+
+  tz: timezoneSchema
 });
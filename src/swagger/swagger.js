@@ -1,4 +1,5 @@
 import swaggerJsdoc from 'swagger-jsdoc';
+import { EXERCISE_CATEGORIES, MUSCLE_GROUPS, EQUIPMENT } from '../domain/entities/Exercise.js';
 
 const options = {
   definition: {
@@ -24,6 +25,15 @@ const options = {
       },
     ],
     components: {
+      parameters: {
+        Timezone: {
+          in: 'query',
+          name: 'tz',
+          schema: { type: 'string', example: 'America/Santiago' },
+          description:
+            'Zona horaria IANA para calcular los límites del día (por defecto la del perfil del usuario, o UTC)',
+        },
+      },
       securitySchemes: {
         BearerAuth: {
           type: 'http',
@@ -38,6 +48,38 @@ const options = {
             id: { type: 'string' },
             email: { type: 'string', format: 'email' },
             name: { type: 'string' },
+            weight: { type: 'number', description: 'kg' },
+            height: { type: 'number', description: 'cm' },
+            age: { type: 'integer' },
+            sex: { type: 'string', enum: ['male', 'female'], nullable: true },
+            activityLevel: {
+              type: 'string',
+              enum: ['sedentary', 'light', 'moderate', 'active', 'very_active'],
+            },
+            timezone: {
+              type: 'string',
+              description: 'Zona horaria IANA usada para los días de comidas y entrenamientos',
+              example: 'America/Santiago',
+            },
+            goalWeight: { type: 'number', nullable: true, description: 'Peso objetivo (kg)', example: 72 },
+            goalDate: { type: 'string', format: 'date-time', nullable: true },
+            role: { type: 'string', enum: ['usuario', 'admin'] },
+            twoFactorEnabled: { type: 'boolean', description: 'Autenticación en dos pasos activa' },
+            bmi: { type: 'number', nullable: true },
+            bmr: {
+              type: 'object',
+              description: 'Tasa metabólica basal en kcal/día (null si falta el sexo)',
+              properties: {
+                mifflinStJeor: { type: 'number', nullable: true, example: 1674 },
+                harrisBenedict: { type: 'number', nullable: true, example: 1724 },
+              },
+            },
+            tdee: {
+              type: 'number',
+              nullable: true,
+              description: 'Gasto energético diario (Mifflin-St Jeor × factor de actividad)',
+              example: 2595,
+            },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
           },
@@ -58,16 +100,74 @@ const options = {
         },
         FoodItem: {
           type: 'object',
+          description:
+            'Macros por 100g. Alternativamente se puede enviar solo { foodId, quantity } para copiar los valores del catálogo',
           properties: {
+            foodId: {
+              type: 'string',
+              description: 'Alimento del catálogo (/api/v1/foods) del que se copian los valores',
+            },
+            recipeId: {
+              type: 'string',
+              readOnly: true,
+              description: 'Receta de la que se sintetizó el alimento (POST /api/v1/recipes/{id}/log)',
+            },
             name: { type: 'string' },
             calories: { type: 'number' },
             protein: { type: 'number' },
             carbs: { type: 'number' },
             fat: { type: 'number' },
-            quantity: { type: 'number', default: 100 },
+            fiber: { type: 'number', description: 'Opcional, g por 100g' },
+            sugar: { type: 'number', description: 'Opcional, g por 100g' },
+            saturatedFat: { type: 'number', description: 'Opcional, g por 100g' },
+            sodium: { type: 'number', description: 'Opcional, mg por 100g' },
+            potassium: { type: 'number', description: 'Opcional, mg por 100g' },
+            cholesterol: { type: 'number', description: 'Opcional, mg por 100g' },
+            calcium: { type: 'number', description: 'Opcional, mg por 100g' },
+            iron: { type: 'number', description: 'Opcional, mg por 100g' },
+            vitaminA: { type: 'number', description: 'Opcional, µg por 100g' },
+            vitaminC: { type: 'number', description: 'Opcional, mg por 100g' },
+            vitaminD: { type: 'number', description: 'Opcional, µg por 100g' },
+            quantity: {
+              type: 'number',
+              default: 100,
+              description: 'Gramos consumidos (con foodId, por defecto la porción del catálogo)',
+            },
           },
           required: ['name', 'calories', 'protein', 'carbs', 'fat'],
         },
+        FoodInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 2, maxLength: 100, example: 'Pechuga de pollo' },
+            brand: { type: 'string', maxLength: 100, example: '' },
+            calories: { type: 'number', description: 'kcal por 100g', example: 165 },
+            protein: { type: 'number', description: 'g por 100g', example: 31 },
+            carbs: { type: 'number', description: 'g por 100g', example: 0 },
+            fat: { type: 'number', description: 'g por 100g', example: 3.6 },
+            servingSize: {
+              type: 'number',
+              default: 100,
+              description: 'Porción sugerida en gramos',
+              example: 150,
+            },
+          },
+          required: ['name', 'calories', 'protein', 'carbs', 'fat'],
+        },
+        Food: {
+          allOf: [
+            { $ref: '#/components/schemas/FoodInput' },
+            {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                userId: { type: 'string', description: 'Usuario que creó el alimento' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
         Entry: {
           type: 'object',
           properties: {
@@ -87,19 +187,111 @@ const options = {
             totalProtein: { type: 'number' },
             totalCarbs: { type: 'number' },
             totalFat: { type: 'number' },
+            totalMicronutrients: { $ref: '#/components/schemas/Micronutrients' },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        MealTemplateInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', maxLength: 100, example: 'Batido post-entreno' },
+            defaultMealType: {
+              type: 'string',
+              enum: ['breakfast', 'lunch', 'dinner', 'snack'],
+              example: 'snack',
+            },
+            foods: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/FoodItem' },
+            },
+            notes: { type: 'string', maxLength: 500 },
+          },
+          required: ['name', 'defaultMealType', 'foods'],
+        },
+        MealTemplate: {
+          allOf: [
+            { $ref: '#/components/schemas/MealTemplateInput' },
+            {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                userId: { type: 'string' },
+                totalCalories: { type: 'number' },
+                totalProtein: { type: 'number' },
+                totalCarbs: { type: 'number' },
+                totalFat: { type: 'number' },
+                totalMicronutrients: { $ref: '#/components/schemas/Micronutrients' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
+        RecipeNutrition: {
+          type: 'object',
+          description: 'Macros (y micronutrientes informados por los ingredientes)',
+          properties: {
+            calories: { type: 'number' },
+            protein: { type: 'number' },
+            carbs: { type: 'number' },
+            fat: { type: 'number' },
+          },
+        },
+        RecipeInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 2, maxLength: 100, example: 'Arroz con pollo' },
+            ingredients: {
+              type: 'array',
+              description: 'Ingredientes con sus gramos crudos (quantity obligatorio)',
+              items: { $ref: '#/components/schemas/FoodItem' },
+            },
+            cookedWeight: {
+              type: 'number',
+              nullable: true,
+              description: 'Peso del plato terminado en gramos (por defecto la suma de los ingredientes)',
+              example: 1600,
+            },
+            servings: { type: 'integer', minimum: 1, maximum: 100, default: 1, example: 4 },
+            notes: { type: 'string', maxLength: 1000 },
+          },
+          required: ['name', 'ingredients'],
+        },
+        Recipe: {
+          allOf: [
+            { $ref: '#/components/schemas/RecipeInput' },
+            {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                userId: { type: 'string' },
+                servingWeight: { type: 'number', description: 'Gramos cocinados por porción' },
+                nutrition: {
+                  type: 'object',
+                  properties: {
+                    total: { $ref: '#/components/schemas/RecipeNutrition' },
+                    perServing: { $ref: '#/components/schemas/RecipeNutrition' },
+                    per100g: { $ref: '#/components/schemas/RecipeNutrition' },
+                  },
+                },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
         Stats: {
           type: 'object',
           properties: {
             date: { type: 'string', format: 'date' },
+            timezone: { type: 'string', example: 'America/Santiago' },
             totalEntries: { type: 'number' },
             totalCalories: { type: 'number' },
             totalProtein: { type: 'number' },
             totalCarbs: { type: 'number' },
             totalFat: { type: 'number' },
+            totalMicronutrients: { $ref: '#/components/schemas/Micronutrients' },
             mealBreakdown: {
               type: 'object',
               additionalProperties: {
@@ -110,11 +302,201 @@ const options = {
                 },
               },
             },
+            goal: {
+              nullable: true,
+              description: 'Objetivo vigente ese día (null si el usuario no tenía objetivo)',
+              allOf: [{ $ref: '#/components/schemas/NutritionGoal' }],
+            },
+            progress: {
+              type: 'object',
+              nullable: true,
+              description: 'Progreso por macro (solo los que tienen objetivo)',
+              properties: {
+                calories: { $ref: '#/components/schemas/GoalProgress' },
+                protein: { $ref: '#/components/schemas/GoalProgress' },
+                carbs: { $ref: '#/components/schemas/GoalProgress' },
+                fat: { $ref: '#/components/schemas/GoalProgress' },
+              },
+            },
+          },
+        },
+        NutritionGoalInput: {
+          type: 'object',
+          properties: {
+            calories: {
+              type: 'number',
+              minimum: 500,
+              maximum: 10000,
+              example: 2200,
+              description: 'Si se omite se usa el TDEE del usuario',
+            },
+            macroMode: {
+              type: 'string',
+              enum: ['grams', 'percentage'],
+              default: 'grams',
+              description: 'Cómo se interpretan protein/carbs/fat',
+            },
+            protein: { type: 'number', nullable: true, example: 150, description: 'Gramos o % de calorías' },
+            carbs: { type: 'number', nullable: true, example: 250, description: 'Gramos o % de calorías' },
+            fat: { type: 'number', nullable: true, example: 70, description: 'Gramos o % de calorías' },
+            effectiveFrom: {
+              type: 'string',
+              format: 'date',
+              description: 'Día desde el que rige el objetivo (por defecto hoy)',
+            },
+          },
+        },
+        NutritionGoal: {
+          allOf: [
+            { $ref: '#/components/schemas/NutritionGoalInput' },
+            {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                targets: {
+                  allOf: [{ $ref: '#/components/schemas/MacroTotals' }],
+                  description: 'Objetivos en gramos (null si el macro no tiene objetivo)',
+                },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
+        GoalProgress: {
+          type: 'object',
+          properties: {
+            target: { type: 'number' },
+            consumed: { type: 'number' },
+            remaining: { type: 'number', description: 'Lo que falta para el objetivo (0 si se superó)' },
+            percent: { type: 'number', description: 'Porcentaje del objetivo consumido' },
+            over: { type: 'boolean', description: 'true si se superó el objetivo' },
+          },
+        },
+        Micronutrients: {
+          type: 'object',
+          description: 'Suma de los micronutrientes informados (los que ningún alimento trae se omiten)',
+          properties: {
+            fiber: { type: 'number' },
+            sugar: { type: 'number' },
+            saturatedFat: { type: 'number' },
+            sodium: { type: 'number' },
+            potassium: { type: 'number' },
+            cholesterol: { type: 'number' },
+            calcium: { type: 'number' },
+            iron: { type: 'number' },
+            vitaminA: { type: 'number' },
+            vitaminC: { type: 'number' },
+            vitaminD: { type: 'number' },
+          },
+          example: { fiber: 12.4, sodium: 850 },
+        },
+        MacroTotals: {
+          type: 'object',
+          properties: {
+            calories: { type: 'number' },
+            protein: { type: 'number' },
+            carbs: { type: 'number' },
+            fat: { type: 'number' },
+          },
+        },
+        PeriodStats: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', format: 'date' },
+            endDate: { type: 'string', format: 'date' },
+            timezone: { type: 'string', example: 'America/Santiago' },
+            daysInPeriod: { type: 'number' },
+            daysLogged: { type: 'number' },
+            totalEntries: { type: 'number' },
+            totals: { $ref: '#/components/schemas/MacroTotals' },
+            averages: { $ref: '#/components/schemas/MacroTotals' },
+            minDay: { $ref: '#/components/schemas/DayStats' },
+            maxDay: { $ref: '#/components/schemas/DayStats' },
+            days: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/DayStats' },
+            },
+            byMealType: {
+              type: 'object',
+              additionalProperties: {
+                allOf: [
+                  { $ref: '#/components/schemas/MacroTotals' },
+                  {
+                    type: 'object',
+                    properties: {
+                      entries: { type: 'number' },
+                      averageCalories: { type: 'number' },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+        DayStats: {
+          allOf: [
+            { $ref: '#/components/schemas/MacroTotals' },
+            {
+              type: 'object',
+              properties: {
+                date: { type: 'string', format: 'date' },
+                entries: { type: 'number' },
+              },
+            },
+          ],
+        },
+        SetDetail: {
+          type: 'object',
+          required: ['reps'],
+          properties: {
+            reps: { type: 'integer', minimum: 0, maximum: 1000, example: 5 },
+            weight: { type: 'number', minimum: 0, maximum: 1000, example: 100, default: 0 },
+            rpe: {
+              type: 'number',
+              minimum: 1,
+              maximum: 10,
+              multipleOf: 0.5,
+              example: 8,
+              description: 'Esfuerzo percibido (opcional)',
+            },
+            rir: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 10,
+              example: 2,
+              description: 'Repeticiones en reserva (opcional)',
+            },
+            restSeconds: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 3600,
+              example: 180,
+              description: 'Descanso después de la serie, en segundos',
+            },
+            tempo: {
+              type: 'string',
+              example: '3-1-1-0',
+              description: 'Excéntrica-pausa-concéntrica-pausa (X = explosivo)',
+            },
+            setType: {
+              type: 'string',
+              enum: ['warmup', 'working', 'drop', 'failure'],
+              default: 'working',
+            },
+            completed: { type: 'boolean', default: true },
           },
         },
         Exercise: {
           type: 'object',
+          description:
+            'Ejercicio dentro de un entrenamiento. Si el nombre coincide con un nombre o alias de la biblioteca se agrega su exerciseId. sets y reps son obligatorios salvo que se envíe setDetails',
           properties: {
+            exerciseId: {
+              type: 'string',
+              description:
+                'Ejercicio de la biblioteca (/api/v1/exercises). Con exerciseId el nombre es opcional',
+            },
             name: {
               type: 'string',
               minLength: 1,
@@ -152,8 +534,54 @@ const options = {
               maxLength: 200,
               example: 'Buen rango de movimiento',
             },
+            setDetails: {
+              type: 'array',
+              minItems: 1,
+              maxItems: 100,
+              items: { $ref: '#/components/schemas/SetDetail' },
+              description:
+                'Series una por una (opcional). Si se envían, sets, reps y weight se calculan a partir de ellas: cantidad de series completadas que no son de calentamiento, promedio de reps y peso máximo',
+            },
           },
-          required: ['name', 'sets', 'reps'],
+        },
+        LibraryExerciseInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 2, maxLength: 100, example: 'Bench Press' },
+            aliases: {
+              type: 'array',
+              maxItems: 20,
+              items: { type: 'string' },
+              example: ['bench', 'Press banca', 'Press de banca'],
+            },
+            primaryMuscles: {
+              type: 'array',
+              minItems: 1,
+              items: { type: 'string', enum: MUSCLE_GROUPS },
+              example: ['chest'],
+            },
+            secondaryMuscles: {
+              type: 'array',
+              items: { type: 'string', enum: MUSCLE_GROUPS },
+              example: ['triceps', 'shoulders'],
+            },
+            equipment: { type: 'string', enum: EQUIPMENT, default: 'other', example: 'barbell' },
+            category: { type: 'string', enum: EXERCISE_CATEGORIES, example: 'strength' },
+          },
+          required: ['name', 'primaryMuscles', 'category'],
+        },
+        LibraryExercise: {
+          allOf: [
+            { $ref: '#/components/schemas/LibraryExerciseInput' },
+            {
+              type: 'object',
+              properties: {
+                id: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
         },
         Workout: {
           type: 'object',
@@ -182,6 +610,13 @@ const options = {
               minimum: 0,
               maximum: 10000,
               example: 450,
+              description: 'Si se omite, se estima con METs según el tipo, los ejercicios, la duración y el peso del usuario',
+            },
+            caloriesEstimated: {
+              type: 'boolean',
+              readOnly: true,
+              example: false,
+              description: 'true si caloriesBurned fue estimado por el servidor',
             },
             notes: {
               type: 'string',
@@ -192,6 +627,384 @@ const options = {
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        WorkoutTotals: {
+          type: 'object',
+          properties: {
+            workouts: { type: 'integer', example: 3 },
+            duration: { type: 'integer', example: 10800, description: 'Segundos' },
+            calories: { type: 'number', example: 1250 },
+            volume: { type: 'number', example: 18400, description: 'Series × reps × peso (kg)' },
+          },
+        },
+        WorkoutStats: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date', example: '2025-11-05' },
+            timezone: { type: 'string', example: 'America/Santiago' },
+            totalWorkouts: { type: 'integer', example: 1 },
+            totalDuration: { type: 'integer', example: 3600, description: 'Segundos' },
+            totalCalories: { type: 'number', example: 420 },
+            totalVolume: { type: 'number', example: 6200 },
+            byType: {
+              type: 'object',
+              description: 'Una clave por tipo de entrenamiento (strength, cardio, flexibility, sports, other)',
+              additionalProperties: { $ref: '#/components/schemas/WorkoutTotals' },
+            },
+            topExercises: {
+              type: 'array',
+              description: 'Ejercicios más entrenados (máx. 5), por cantidad de sesiones y series',
+              items: {
+                type: 'object',
+                properties: {
+                  exerciseId: { type: 'string', nullable: true },
+                  name: { type: 'string', example: 'Sentadilla' },
+                  sessions: { type: 'integer', example: 2 },
+                  sets: { type: 'integer', example: 8 },
+                  volume: { type: 'number', example: 3200 },
+                },
+              },
+            },
+          },
+        },
+        WorkoutPeriodStats: {
+          allOf: [
+            { $ref: '#/components/schemas/WorkoutStats' },
+            {
+              type: 'object',
+              properties: {
+                startDate: { type: 'string', format: 'date', example: '2025-11-03' },
+                endDate: { type: 'string', format: 'date', example: '2025-11-09' },
+                daysInPeriod: { type: 'integer', example: 7 },
+                daysTrained: { type: 'integer', example: 3 },
+                days: {
+                  type: 'array',
+                  description: 'Solo los días con entrenamientos',
+                  items: {
+                    allOf: [
+                      { $ref: '#/components/schemas/WorkoutTotals' },
+                      {
+                        type: 'object',
+                        properties: { date: { type: 'string', format: 'date' } },
+                      },
+                    ],
+                  },
+                },
+              },
+            },
+          ],
+        },
+        EnergyBalanceTotals: {
+          type: 'object',
+          properties: {
+            consumed: { type: 'number', example: 6200 },
+            burned: { type: 'number', example: 7100 },
+            net: { type: 'number', example: -900, description: 'Negativo = déficit' },
+          },
+        },
+        EnergyBalanceDay: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date', example: '2025-11-03' },
+            logged: { type: 'boolean', description: 'false si no hay comidas registradas ese día' },
+            consumed: { type: 'number', example: 2100 },
+            burned: {
+              type: 'object',
+              properties: {
+                workouts: { type: 'number', example: 450 },
+                bmr: { type: 'number', nullable: true, example: 1750 },
+                total: { type: 'number', example: 2200 },
+              },
+            },
+            net: { type: 'number', nullable: true, example: -100 },
+            cumulative: {
+              allOf: [{ $ref: '#/components/schemas/EnergyBalanceTotals' }],
+              description: 'Acumulado desde el primer día del período (solo días con comidas)',
+            },
+          },
+        },
+        EnergyBalance: {
+          type: 'object',
+          properties: {
+            startDate: { type: 'string', format: 'date', example: '2025-11-01' },
+            endDate: { type: 'string', format: 'date', example: '2025-11-07' },
+            timezone: { type: 'string', example: 'America/Santiago' },
+            daysInPeriod: { type: 'integer', example: 7 },
+            bmr: {
+              type: 'number',
+              nullable: true,
+              example: 1750,
+              description: 'Metabolismo basal (Mifflin-St Jeor); null si faltan datos del perfil',
+            },
+            totals: {
+              allOf: [
+                { $ref: '#/components/schemas/EnergyBalanceTotals' },
+                {
+                  type: 'object',
+                  properties: {
+                    daysLogged: { type: 'integer', example: 3 },
+                    averageNet: { type: 'number', nullable: true, example: -300 },
+                  },
+                },
+              ],
+            },
+            days: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/EnergyBalanceDay' },
+            },
+          },
+        },
+        BodyMetricInput: {
+          type: 'object',
+          description: 'Al menos una medida. Perímetros en centímetros',
+          properties: {
+            date: { type: 'string', format: 'date-time', example: '2025-11-05T07:30:00Z' },
+            weight: { type: 'number', minimum: 1, maximum: 500, example: 78.4, description: 'kg' },
+            bodyFat: { type: 'number', minimum: 1, maximum: 75, example: 18.5, description: '% de grasa corporal' },
+            waist: { type: 'number', minimum: 1, maximum: 300, example: 84 },
+            hips: { type: 'number', minimum: 1, maximum: 300, example: 98 },
+            chest: { type: 'number', minimum: 1, maximum: 300, example: 102 },
+            arms: { type: 'number', minimum: 1, maximum: 300, example: 35 },
+            thighs: { type: 'number', minimum: 1, maximum: 300, example: 58 },
+            notes: { type: 'string', maxLength: 500 },
+          },
+          required: ['date'],
+        },
+        BodyMetric: {
+          allOf: [
+            { $ref: '#/components/schemas/BodyMetricInput' },
+            {
+              type: 'object',
+              description: 'Las medidas no registradas son null',
+              properties: {
+                id: { type: 'string' },
+                userId: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
+        BodyMetricTrendPoint: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', format: 'date', example: '2025-11-05' },
+            value: { type: 'number', example: 78.4, description: 'Promedio de las mediciones del día' },
+            movingAverage: { type: 'number', example: 78.9 },
+          },
+        },
+        BodyMetricTrend: {
+          type: 'object',
+          properties: {
+            metric: {
+              type: 'string',
+              enum: ['weight', 'bodyFat', 'waist', 'hips', 'chest', 'arms', 'thighs'],
+              example: 'weight',
+            },
+            startDate: { type: 'string', format: 'date', example: '2025-10-01' },
+            endDate: { type: 'string', format: 'date', example: '2025-11-30' },
+            timezone: { type: 'string', example: 'America/Santiago' },
+            window: { type: 'integer', example: 7, description: 'Días de la media móvil' },
+            points: {
+              type: 'array',
+              description: 'Solo los días con mediciones',
+              items: { $ref: '#/components/schemas/BodyMetricTrendPoint' },
+            },
+            latest: {
+              allOf: [{ $ref: '#/components/schemas/BodyMetricTrendPoint' }],
+              nullable: true,
+            },
+            change: {
+              type: 'number',
+              nullable: true,
+              example: -2.1,
+              description: 'Última media móvil menos la primera',
+            },
+            weeklyRate: {
+              type: 'number',
+              nullable: true,
+              example: -0.35,
+              description: 'Unidades por semana (recta de mínimos cuadrados); negativo = bajando',
+            },
+          },
+        },
+        WeightGoalRateProjection: {
+          type: 'object',
+          properties: {
+            weeklyRate: { type: 'number', nullable: true, example: -0.4, description: 'kg/semana' },
+            expectedDate: { type: 'string', format: 'date', nullable: true, example: '2026-04-10' },
+            daysToGoal: { type: 'integer', nullable: true, example: 105 },
+          },
+        },
+        WeightGoal: {
+          type: 'object',
+          properties: {
+            goalWeight: { type: 'number', nullable: true, example: 72 },
+            goalDate: { type: 'string', format: 'date', nullable: true, example: '2026-03-01' },
+            projection: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                basedOn: {
+                  type: 'object',
+                  properties: {
+                    startDate: { type: 'string', format: 'date' },
+                    endDate: { type: 'string', format: 'date' },
+                    days: { type: 'integer', example: 28 },
+                    weighIns: { type: 'integer', example: 12, description: 'Días con pesaje' },
+                    daysLogged: { type: 'integer', example: 25, description: 'Días con comidas registradas' },
+                  },
+                },
+                currentWeight: { type: 'number', example: 78 },
+                goalWeight: { type: 'number', example: 72 },
+                goalDate: { type: 'string', format: 'date', nullable: true },
+                remaining: { type: 'number', example: -6, description: 'Negativo = bajar' },
+                direction: { type: 'string', enum: ['lose', 'gain', 'maintain'] },
+                reached: { type: 'boolean' },
+                expectedDate: { type: 'string', format: 'date', nullable: true },
+                projections: {
+                  type: 'object',
+                  properties: {
+                    trend: { $ref: '#/components/schemas/WeightGoalRateProjection' },
+                    energyBalance: {
+                      allOf: [
+                        { $ref: '#/components/schemas/WeightGoalRateProjection' },
+                        {
+                          type: 'object',
+                          properties: {
+                            averageNet: { type: 'number', nullable: true, example: -450, description: 'kcal/día' },
+                          },
+                        },
+                      ],
+                    },
+                  },
+                },
+                required: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'Solo con fecha objetivo',
+                  properties: {
+                    daysToTarget: { type: 'integer', example: 120 },
+                    weeklyRate: { type: 'number', example: -0.35 },
+                    weeklyRatePercent: { type: 'number', example: 0.45 },
+                    dailyDeficit: { type: 'number', example: 385, description: 'kcal/día; negativo = superávit' },
+                  },
+                },
+                warnings: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      code: { type: 'string', enum: ['UNSAFE_RATE', 'GOAL_DATE_PASSED'] },
+                      message: { type: 'string' },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        PersonalLift: {
+          type: 'object',
+          properties: {
+            weight: { type: 'number', example: 100 },
+            reps: { type: 'integer', example: 5 },
+            date: { type: 'string', format: 'date-time' },
+            workoutId: { type: 'string' },
+          },
+        },
+        EstimatedOneRepMax: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            value: { type: 'number', example: 116.7 },
+            weight: { type: 'number', example: 100 },
+            reps: { type: 'integer', example: 5 },
+            date: { type: 'string', format: 'date-time' },
+            workoutId: { type: 'string' },
+          },
+        },
+        PersonalRecord: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            key: {
+              type: 'string',
+              description: 'exerciseId, o "name:<nombre normalizado>" si el ejercicio no está en la biblioteca',
+            },
+            exerciseId: { type: 'string', nullable: true },
+            name: { type: 'string', example: 'Sentadilla' },
+            maxWeight: {
+              allOf: [{ $ref: '#/components/schemas/PersonalLift' }],
+              nullable: true,
+              description: 'Mayor peso levantado',
+            },
+            repsByWeight: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/PersonalLift' },
+              description: 'Mejores repeticiones con cada peso (0 = peso corporal)',
+            },
+            estimatedOneRepMax: {
+              type: 'object',
+              properties: {
+                epley: { $ref: '#/components/schemas/EstimatedOneRepMax' },
+                brzycki: { $ref: '#/components/schemas/EstimatedOneRepMax' },
+              },
+            },
+            bestVolume: {
+              type: 'object',
+              nullable: true,
+              description: 'Mayor volumen en una sesión (series × reps × peso)',
+              properties: {
+                value: { type: 'number', example: 2000 },
+                date: { type: 'string', format: 'date-time' },
+                workoutId: { type: 'string' },
+              },
+            },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        NewPersonalRecord: {
+          type: 'object',
+          properties: {
+            exerciseId: { type: 'string', nullable: true },
+            name: { type: 'string', example: 'Sentadilla' },
+            record: {
+              type: 'string',
+              enum: ['maxWeight', 'reps', 'epley', 'brzycki', 'volume'],
+              example: 'maxWeight',
+            },
+            value: { type: 'number', example: 105 },
+            previous: { type: 'number', example: 100 },
+            weight: {
+              type: 'number',
+              description: 'Peso de la serie (solo en récords de tipo reps)',
+            },
+          },
+        },
+        Session: {
+          type: 'object',
+          properties: {
+            id: { type: 'string' },
+            userAgent: {
+              type: 'string',
+              nullable: true,
+              example: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X)',
+            },
+            ip: { type: 'string', nullable: true, example: '203.0.113.25' },
+            createdAt: { type: 'string', format: 'date-time' },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Último uso (se actualiza como máximo cada 5 minutos)',
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Vence si no se refresca antes (7 días desde el último refresh)',
+            },
+            current: { type: 'boolean', description: 'Es la sesión del token usado en la petición' },
+          },
+        },
         Error: {
           type: 'object',
           properties: {
@@ -215,6 +1028,12 @@ const options = {
     'src/presentation/routes/auth.routes.js',
     'src/presentation/routes/entry.routes.js',
     'src/presentation/routes/workout.routes.js',
+    'src/presentation/routes/food.routes.js',
+    'src/presentation/routes/mealTemplate.routes.js',
+    'src/presentation/routes/recipe.routes.js',
+    'src/presentation/routes/exercise.routes.js',
+    'src/presentation/routes/energyBalance.routes.js',
+    'src/presentation/routes/bodyMetric.routes.js',
   ],
 };
 